@@ -0,0 +1,361 @@
+/**
+ * Analyzer: Semantic validation of parsed schemas
+ * Catches mistakes the database would only report at apply time, such as
+ * unknown @ref targets or duplicate models, before any SQL is executed
+ */
+
+import {
+  SchemaAST,
+  ModelNode,
+  ColumnNode,
+  ViewNode,
+  AlterOperationNode,
+  Diagnostic,
+  SourceSpan,
+  qualifiedName,
+} from './types.js';
+
+/**
+ * A parsed migration file, analyzed in order with the files before it
+ */
+export interface AnalyzedFile {
+  filename: string;
+  ast: SchemaAST;
+}
+
+/**
+ * What the analyzer knows about a table after the files seen so far
+ */
+interface KnownModel {
+  name: string;
+  columns: Map<string, ColumnNode>;
+  // Columns with a single-column primary key or unique constraint
+  keys: Set<string>;
+  // Declared by a migration, so its column list is complete. Tables only seen in
+  // alter blocks or raw SQL are assumed to exist already and are checked loosely.
+  declared: boolean;
+  file?: string;
+}
+
+// Types that the database considers compatible for a foreign key
+const TYPE_FAMILIES: Record<string, string> = {
+  Serial: 'Int',
+  Numeric: 'Decimal',
+  VarChar: 'Text',
+  Float: 'DoublePrecision',
+  Blob: 'Bytes',
+};
+
+// The table name, optionally schema-qualified, with either part quoted or not
+const CREATE_TABLE_PATTERN =
+  /CREATE\s+TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:["`]?([A-Za-z_][\w-]*)["`]?\.)?["`]?([A-Za-z_][\w-]*)["`]?/gi;
+
+export class Analyzer {
+  private models = new Map<string, KnownModel>();
+  // View name to the file that declared it
+  private views = new Map<string, string | undefined>();
+  private diagnostics: Diagnostic[] = [];
+  private file?: string;
+  // The definition a `drop` or `change` operation replaced, as known from earlier declarations
+  private replaced = new Map<AlterOperationNode, ColumnNode>();
+
+  /**
+   * Analyze a single schema on its own
+   */
+  static analyze(ast: SchemaAST): Diagnostic[] {
+    const analyzer = new Analyzer();
+    analyzer.analyzeFile(ast);
+    return analyzer.diagnostics;
+  }
+
+  /**
+   * Analyze migration files in order, so each file is checked against the
+   * tables created and altered by the files before it
+   */
+  static analyzeMigrations(files: AnalyzedFile[]): Diagnostic[] {
+    const analyzer = new Analyzer();
+    for (const { filename, ast } of files) {
+      analyzer.file = filename;
+      analyzer.analyzeFile(ast);
+    }
+    return analyzer.diagnostics;
+  }
+
+  /**
+   * Fill in the original definition of `drop` and `change` operations that
+   * leave it out, from the models and alter blocks of the files before them,
+   * so generateDown can reverse them. Returns the files' ASTs in order.
+   */
+  static withPreviousDefinitions(files: AnalyzedFile[]): SchemaAST[] {
+    const analyzer = new Analyzer();
+    return files.map(({ filename, ast }) => {
+      analyzer.file = filename;
+      analyzer.analyzeFile(ast);
+      return analyzer.fillPrevious(ast);
+    });
+  }
+
+  private fillPrevious(ast: SchemaAST): SchemaAST {
+    if (!ast.alterations?.some((alter) => alter.operations.some((operation) => this.replaced.has(operation)))) {
+      return ast;
+    }
+    return {
+      ...ast,
+      alterations: ast.alterations.map((alter) => ({
+        ...alter,
+        operations: alter.operations.map((operation) =>
+          (operation.action === 'drop' || operation.action === 'change') && !operation.previous
+            ? { ...operation, previous: this.replaced.get(operation) }
+            : operation
+        ),
+      })),
+    };
+  }
+
+  private analyzeFile(ast: SchemaAST): void {
+    // Tables created by raw SQL can be referenced like any other table
+    for (const rawSql of ast.rawSql) {
+      if (rawSql.direction === 'down') continue;
+      for (const match of rawSql.sql.matchAll(CREATE_TABLE_PATTERN)) {
+        this.getOrAssumeModel(qualifiedName({ name: match[2], schema: match[1] }));
+      }
+    }
+
+    for (const model of ast.models) {
+      this.declareModel(model);
+    }
+
+    for (const view of ast.views ?? []) {
+      this.declareView(view);
+    }
+
+    // References are checked once every model in the file is known, since
+    // models may reference tables declared later in the same file
+    for (const model of ast.models) {
+      for (const column of model.columns) {
+        this.checkReference(qualifiedName(model), column);
+      }
+    }
+
+    for (const alter of ast.alterations ?? []) {
+      const alterName = qualifiedName(alter);
+      let model = this.models.get(alterName);
+      if (!model) {
+        this.report(
+          'warning',
+          `Model "${alterName}" is altered but not declared in any migration; assuming it already exists`,
+          alter
+        );
+        model = this.getOrAssumeModel(alterName);
+      }
+
+      for (const operation of alter.operations) {
+        switch (operation.action) {
+          case 'add':
+            if (model.columns.has(operation.column.name)) {
+              this.report(
+                'error',
+                `Column "${alterName}.${operation.column.name}" already exists`,
+                operation.column
+              );
+            }
+            this.addColumn(model, operation.column);
+            this.checkReference(alterName, operation.column);
+            break;
+
+          case 'drop':
+            this.recordReplaced(operation, this.requireColumn(model, operation.name, operation));
+            model.columns.delete(operation.name);
+            model.keys.delete(operation.name);
+            break;
+
+          case 'rename': {
+            const column = this.requireColumn(model, operation.from, operation);
+            if (model.columns.has(operation.to)) {
+              this.report(
+                'error',
+                `Cannot rename "${alterName}.${operation.from}": column "${operation.to}" already exists`,
+                operation
+              );
+            }
+            if (column) {
+              model.columns.delete(operation.from);
+              model.columns.set(operation.to, { ...column, name: operation.to });
+            }
+            if (model.keys.delete(operation.from)) {
+              model.keys.add(operation.to);
+            }
+            break;
+          }
+
+          case 'change':
+            this.recordReplaced(operation, this.requireColumn(model, operation.column.name, operation));
+            // Changing the type keeps the column's existing keys
+            model.columns.set(operation.column.name, operation.column);
+            this.checkReference(alterName, operation.column);
+            break;
+        }
+      }
+    }
+  }
+
+  private declareModel(model: ModelNode): void {
+    const name = qualifiedName(model);
+    const duplicate = this.findDeclaration(name);
+    if (duplicate) {
+      this.report('error', duplicate, model);
+      return;
+    }
+
+    const known: KnownModel = {
+      name,
+      columns: new Map(),
+      keys: new Set(),
+      declared: true,
+      file: this.file,
+    };
+
+    for (const column of model.columns) {
+      if (known.columns.has(column.name)) {
+        this.report('error', `Duplicate column "${name}.${column.name}"`, column);
+        continue;
+      }
+      this.addColumn(known, column);
+    }
+
+    for (const attribute of model.attributes ?? []) {
+      if ((attribute.name === 'pk' || attribute.name === 'unique') && attribute.args?.length === 1) {
+        known.keys.add(attribute.args[0]);
+      }
+    }
+
+    this.models.set(name, known);
+  }
+
+  /**
+   * Views share the table namespace, so a view may not reuse a model's name
+   */
+  private declareView(view: ViewNode): void {
+    const name = qualifiedName(view);
+    const duplicate = this.findDeclaration(name);
+    if (duplicate) {
+      this.report('error', duplicate, view);
+      return;
+    }
+    this.views.set(name, this.file);
+  }
+
+  /**
+   * The error for redeclaring a model or view name, if it is already taken
+   */
+  private findDeclaration(name: string): string | undefined {
+    const model = this.models.get(name);
+    if (!this.views.has(name) && !model?.declared) return undefined;
+
+    const [kind, file] = this.views.has(name) ? ['View', this.views.get(name)] : ['Model', model?.file];
+    const where = file && file !== this.file ? ` in ${file}` : '';
+    return `${kind} "${name}" is already declared${where}`;
+  }
+
+  private addColumn(model: KnownModel, column: ColumnNode): void {
+    model.columns.set(column.name, column);
+    if (column.decorators.some((d) => d.name === 'pk' || d.name === 'unique')) {
+      model.keys.add(column.name);
+    }
+  }
+
+  /**
+   * Check a column's @ref target exists, is a key and has a compatible type
+   */
+  private checkReference(modelName: string, column: ColumnNode): void {
+    const ref = column.decorators.find((d) => d.name === 'ref');
+    const parts = ref?.args?.[0]?.split('.');
+    // Malformed references are reported by the generators
+    if (!ref || !parts || parts.length < 2 || parts.length > 3) return;
+
+    // Model.field, or schema.Model.field for a model in another schema
+    const columnName = parts.pop()!.trim();
+    const tableName = parts.map((part) => part.trim()).join('.');
+    const source = `"${modelName}.${column.name}"`;
+    const target = this.models.get(tableName);
+
+    if (!target) {
+      this.report('error', `Column ${source} references unknown model "${tableName}"`, ref);
+      return;
+    }
+
+    const targetColumn = target.columns.get(columnName);
+    if (!targetColumn) {
+      // Assumed tables may have columns no migration mentions
+      if (target.declared) {
+        this.report(
+          'error',
+          `Column ${source} references unknown column "${tableName}.${columnName}"`,
+          ref
+        );
+      }
+      return;
+    }
+
+    if (target.declared && !target.keys.has(columnName)) {
+      this.report(
+        'error',
+        `Column ${source} references "${tableName}.${columnName}", which is not a primary key or unique column`,
+        ref
+      );
+    }
+
+    if (typeFamily(column.type) !== typeFamily(targetColumn.type)) {
+      this.report(
+        'error',
+        `Column ${source} has type ${column.type} but references "${tableName}.${columnName}" of type ${targetColumn.type}`,
+        column
+      );
+    }
+  }
+
+  private requireColumn(
+    model: KnownModel,
+    columnName: string,
+    node: { span?: SourceSpan }
+  ): ColumnNode | undefined {
+    const column = model.columns.get(columnName);
+    if (!column && model.declared) {
+      this.report('error', `Column "${model.name}.${columnName}" does not exist`, node);
+    }
+    return column;
+  }
+
+  private recordReplaced(operation: AlterOperationNode, column: ColumnNode | undefined): void {
+    if (column) {
+      this.replaced.set(operation, column);
+    }
+  }
+
+  private getOrAssumeModel(name: string): KnownModel {
+    let model = this.models.get(name);
+    if (!model) {
+      model = { name, columns: new Map(), keys: new Set(), declared: false };
+      this.models.set(name, model);
+    }
+    return model;
+  }
+
+  private report(
+    severity: Diagnostic['severity'],
+    message: string,
+    node: { span?: SourceSpan }
+  ): void {
+    this.diagnostics.push({
+      severity,
+      message,
+      file: this.file ?? node.span?.file,
+      line: node.span?.start.line,
+      column: node.span?.start.column,
+    });
+  }
+}
+
+function typeFamily(type: string): string {
+  return TYPE_FAMILIES[type] ?? type;
+}
@@ -3,7 +3,7 @@
  * Converts raw text into a stream of tokens
  */
 
-import { Token, TokenType, ParseError } from './types.js';
+import { Token, TokenType, CommentNode, ParseError } from './types.js';
 
 const KEYWORDS = new Set(['model']);
 
@@ -12,37 +12,73 @@ const DATA_TYPES = new Set([
   'Int',
   'BigInt',
   'SmallInt',
+  'TinyInt',
   'VarChar',
   'Char',
   'Text',
+  'MediumText',
+  'LongText',
+  'Citext',
   'Boolean',
   'Timestamp',
+  'TimestampTz',
   'Date',
   'Time',
+  'Interval',
   'Decimal',
   'Numeric',
   'Real',
+  'Float',
   'DoublePrecision',
   'Json',
   'Jsonb',
   'Uuid',
+  'Bytes',
+  'Blob',
+  'Inet',
+  'Cidr',
   'Enum',
 ]);
 
+/**
+ * Whether a word lexes as an identifier, i.e. can be written unquoted where the
+ * grammar expects a name or enum value without being read as a keyword or type
+ */
+export function isIdentifier(word: string): boolean {
+  return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(word) &&
+    !KEYWORDS.has(word.toLowerCase()) &&
+    !DATA_TYPES.has(word);
+}
+
 export class Lexer {
   private input: string;
+  private file?: string;
   private position: number = 0;
   private line: number = 1;
   private column: number = 1;
   private tokens: Token[] = [];
+  private comments: CommentNode[] = [];
 
-  constructor(input: string) {
+  /**
+   * @param file - Source filename, included in error locations
+   */
+  constructor(input: string, file?: string) {
     this.input = input;
+    this.file = file;
   }
 
-  tokenize(): Token[] {
+  /**
+   * @param errors - When given, errors are collected here and lexing resumes
+   *   after the offending character instead of throwing
+   */
+  tokenize(errors?: ParseError[]): Token[] {
     while (!this.isAtEnd()) {
-      this.scanToken();
+      try {
+        this.scanToken();
+      } catch (error) {
+        if (!errors || !(error instanceof ParseError)) throw error;
+        errors.push(error);
+      }
     }
 
     this.tokens.push({
@@ -50,6 +86,8 @@ export class Lexer {
       value: '',
       line: this.line,
       column: this.column,
+      endLine: this.line,
+      endColumn: this.column,
     });
 
     return this.tokens;
@@ -76,18 +114,30 @@ export class Lexer {
       return;
     }
 
-    // Handle raw SQL (lines starting with >)
-    if (char === '>' && (this.column === 2 || this.isAtLineStart())) {
-      this.scanRawSql();
+    // Handle doc comments (///), which document the model or column that follows
+    if (char === '/' && this.peek() === '/' && this.peekNext() === '/') {
+      this.scanDocComment();
       return;
     }
 
-    // Handle decorators
+    // Handle raw SQL (lines starting with > run on up, lines starting with < run on down)
+    if ((char === '>' || char === '<') && (this.column === 2 || this.isAtLineStart())) {
+      this.scanRawSql(char === '<' ? 'RAW_SQL_DOWN' : 'RAW_SQL');
+      return;
+    }
+
+    // Handle decorators (@name) and model-level attributes (@@name)
     if (char === '@') {
       this.scanDecorator();
       return;
     }
 
+    // Handle triple-quoted strings, which may span lines and are taken verbatim
+    if (char === '"' && this.peek() === '"' && this.peekNext() === '"') {
+      this.scanTripleQuotedString();
+      return;
+    }
+
     // Handle strings
     if (char === "'" || char === '"') {
       this.scanString(char);
@@ -108,12 +158,35 @@ export class Lexer {
       case '}':
         this.addToken('RBRACE', char);
         return;
+      case '[':
+        this.addToken('LBRACKET', char);
+        return;
+      case ']':
+        this.addToken('RBRACKET', char);
+        return;
       case ',':
         this.addToken('COMMA', char);
         return;
       case '.':
         this.addToken('DOT', char);
         return;
+      case ';':
+        this.addToken('SEMICOLON', char);
+        return;
+      case ':':
+        this.addToken('COLON', char);
+        return;
+      case '=':
+        this.addToken('EQUALS', char);
+        return;
+      case '-':
+        // Arrow used by `rename old -> new` inside alter blocks
+        if (this.peek() === '>') {
+          this.advance();
+          this.addToken('ARROW', '->');
+          return;
+        }
+        break;
     }
 
     // Handle identifiers, keywords, and types
@@ -128,29 +201,73 @@ export class Lexer {
       return;
     }
 
-    throw new ParseError(`Unexpected character: ${char}`, this.line, this.column - 1);
+    throw new ParseError(`Unexpected character: ${char}`, this.line, this.column - 1, this.file);
+  }
+
+  /**
+   * Comments found by tokenize(), in source order
+   */
+  getComments(): CommentNode[] {
+    return this.comments;
   }
 
   private scanComment(): void {
-    // Skip comment characters until end of line
+    const startLine = this.line;
+    const startColumn = this.column - 1;
+    let text = '#';
+
+    // Read until end of line
     while (!this.isAtEnd() && this.peek() !== '\n') {
-      this.advance();
+      text += this.advance();
+    }
+
+    // Comments are not tokens, so the parser never sees them
+    this.comments.push({
+      text: text.trimEnd(),
+      span: {
+        file: this.file,
+        start: { line: startLine, column: startColumn },
+        end: { line: this.line, column: this.column },
+      },
+    });
+  }
+
+  private scanDocComment(): void {
+    const startLine = this.line;
+    const startColumn = this.column - 1;
+    this.advance(); // consume second '/'
+    this.advance(); // consume third '/'
+
+    let text = '';
+    while (!this.isAtEnd() && this.peek() !== '\n') {
+      text += this.advance();
     }
 
-    // Comments are ignored, we don't add them to tokens
+    this.addToken('DOC_COMMENT', text.trim(), startLine, startColumn);
   }
 
-  private scanRawSql(): void {
+  private scanRawSql(type: TokenType): void {
     const startLine = this.line;
     const startColumn = this.column - 1;
     let sql = '';
 
+    while (this.peek() === ' ' || this.peek() === '\t') {
+      this.advance();
+    }
+
+    // A fenced block (> """ ... """) keeps multi-line SQL together
+    if (this.input.startsWith('"""', this.position)) {
+      this.advance();
+      this.addToken(type, this.readTripleQuoted(startLine, startColumn), startLine, startColumn);
+      return;
+    }
+
     // Read until end of line
     while (!this.isAtEnd() && this.peek() !== '\n') {
       sql += this.advance();
     }
 
-    this.addToken('RAW_SQL', sql.trim(), startLine, startColumn);
+    this.addToken(type, sql.trim(), startLine, startColumn);
   }
 
   private scanDecorator(): void {
@@ -158,15 +275,22 @@ export class Lexer {
     const startColumn = this.column - 1;
     let name = '';
 
+    // A second @ marks a model-level attribute such as @@pk(a, b)
+    const isModelAttribute = this.peek() === '@';
+    if (isModelAttribute) {
+      this.advance();
+    }
+
     while (!this.isAtEnd() && (this.isAlphaNumeric(this.peek()) || this.peek() === '_')) {
       name += this.advance();
     }
 
     if (name.length === 0) {
-      throw new ParseError('Expected decorator name after @', startLine, startColumn);
+      const prefix = isModelAttribute ? '@@' : '@';
+      throw new ParseError(`Expected decorator name after ${prefix}`, startLine, startColumn, this.file);
     }
 
-    this.addToken('DECORATOR', name, startLine, startColumn);
+    this.addToken(isModelAttribute ? 'MODEL_ATTRIBUTE' : 'DECORATOR', name, startLine, startColumn);
   }
 
   private scanString(quote: string): void {
@@ -210,7 +334,7 @@ export class Lexer {
     }
 
     if (this.isAtEnd()) {
-      throw new ParseError('Unterminated string', startLine, startColumn);
+      throw new ParseError('Unterminated string', startLine, startColumn, this.file);
     }
 
     // Consume closing quote
@@ -219,6 +343,45 @@ export class Lexer {
     this.addToken('STRING', value, startLine, startColumn);
   }
 
+  private scanTripleQuotedString(): void {
+    const startLine = this.line;
+    const startColumn = this.column - 1;
+    this.addToken('STRING', this.readTripleQuoted(startLine, startColumn), startLine, startColumn);
+  }
+
+  /**
+   * Read a """...""" string whose first quote was consumed. Escapes are not
+   * processed, so SQL can be pasted as is, and the indentation shared by its
+   * lines is removed.
+   */
+  private readTripleQuoted(startLine: number, startColumn: number): string {
+    this.advance(); // consume second '"'
+    this.advance(); // consume third '"'
+    let value = '';
+
+    // In a run of more than three quotes the last three close the string, so a
+    // query may end with a quoted identifier
+    while (!this.isAtEnd() && !(this.input.startsWith('"""', this.position) && this.peekAt(3) !== '"')) {
+      const char = this.advance();
+      if (char === '\n') {
+        this.line++;
+        this.column = 1;
+      }
+      value += char;
+    }
+
+    if (this.isAtEnd()) {
+      throw new ParseError('Unterminated triple-quoted string', startLine, startColumn, this.file);
+    }
+
+    // Consume closing quotes
+    this.advance();
+    this.advance();
+    this.advance();
+
+    return dedent(value);
+  }
+
   private scanIdentifierOrKeyword(firstChar: string): void {
     const startLine = this.line;
     const startColumn = this.column - 1;
@@ -270,6 +433,8 @@ export class Lexer {
       value,
       line: line ?? this.line,
       column: column ?? this.column - value.length,
+      endLine: this.line,
+      endColumn: this.column,
     });
   }
 
@@ -284,6 +449,10 @@ export class Lexer {
     return this.input[this.position];
   }
 
+  private peekAt(offset: number): string {
+    return this.input[this.position + offset] ?? '\0';
+  }
+
   private peekNext(): string {
     if (this.position + 1 >= this.input.length) return '\0';
     return this.input[this.position + 1];
@@ -315,3 +484,21 @@ export class Lexer {
     return this.isAlpha(char) || this.isDigit(char);
   }
 }
+
+/**
+ * Drop the blank first and last lines of a block and the indentation its lines share
+ */
+function dedent(text: string): string {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines.length > 1 && lines[0].trim() === '') {
+    lines.shift();
+  }
+  if (lines.length > 1 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  const indents = lines.filter((line) => line.trim() !== '').map((line) => line.match(/^[ \t]*/)![0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  // Trailing whitespace is kept: it may be part of a string literal
+  return lines.map((line) => line.slice(indent)).join('\n');
+}
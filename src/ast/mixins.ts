@@ -0,0 +1,94 @@
+/**
+ * Mixins: Expands `model Post with Timestamps` into a plain model
+ * Expansion runs after parsing rather than inside it, so the printer can still
+ * write the `with` clause back and mixins can come from included files.
+ */
+
+import {
+  SchemaAST,
+  ModelNode,
+  MixinNode,
+  ColumnNode,
+  DecoratorNode,
+  SourceSpan,
+  ParseError,
+} from './types.js';
+
+/**
+ * Copy each mixin's columns and attributes into the models that use it.
+ * Mixin columns come first, in the order the mixins are listed, followed by the
+ * model's own columns. Expanded models no longer carry a `mixins` list, so
+ * expanding twice is harmless.
+ *
+ * @param included - Mixins declared in files the schema includes
+ * @throws {ParseError} For unknown mixins and columns defined twice
+ */
+export function expandMixins(ast: SchemaAST, included: MixinNode[] = []): SchemaAST {
+  if (!ast.models.some((model) => model.mixins)) {
+    return ast;
+  }
+
+  const mixins = new Map<string, MixinNode>();
+  for (const mixin of [...included, ...(ast.mixins ?? [])]) {
+    const existing = mixins.get(mixin.name);
+    if (existing && existing !== mixin) {
+      const where = existing.span?.file ? ` in ${existing.span.file}` : '';
+      throw errorAt(`Mixin "${mixin.name}" is already declared${where}`, mixin.span);
+    }
+    mixins.set(mixin.name, mixin);
+  }
+
+  return { ...ast, models: ast.models.map((model) => expandModel(model, mixins)) };
+}
+
+function expandModel(model: ModelNode, mixins: Map<string, MixinNode>): ModelNode {
+  if (!model.mixins) {
+    return model;
+  }
+
+  const { mixins: names, ...rest } = model;
+  const columns: ColumnNode[] = [];
+  const attributes: DecoratorNode[] = [];
+  // Which mixin each column came from, for duplicate errors
+  const sources = new Map<string, string>();
+
+  for (const name of names) {
+    const mixin = mixins.get(name);
+    if (!mixin) {
+      throw errorAt(`Unknown mixin "${name}" in model "${model.name}"`, model.span);
+    }
+
+    for (const column of mixin.columns) {
+      const source = sources.get(column.name);
+      if (source) {
+        throw errorAt(
+          `Column "${column.name}" in model "${model.name}" is defined by both mixin "${source}" and mixin "${name}"`,
+          model.span
+        );
+      }
+      sources.set(column.name, name);
+      columns.push(column);
+    }
+    attributes.push(...(mixin.attributes ?? []));
+  }
+
+  for (const column of model.columns) {
+    const source = sources.get(column.name);
+    if (source) {
+      throw errorAt(
+        `Column "${model.name}.${column.name}" is already defined by mixin "${source}"`,
+        column.span
+      );
+    }
+  }
+
+  return {
+    ...rest,
+    columns: [...columns, ...model.columns],
+    attributes: [...attributes, ...(model.attributes ?? [])],
+  };
+}
+
+function errorAt(message: string, span?: SourceSpan): ParseError {
+  return new ParseError(message, span?.start.line, span?.start.column, span?.file);
+}
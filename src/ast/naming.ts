@@ -0,0 +1,368 @@
+/**
+ * Naming: Turns model and column names into table and column names, through
+ * explicit `@@map("blog_posts")` / `@map("created_at")` decorators or a naming
+ * strategy, and back again for introspection
+ */
+
+import {
+  SchemaAST,
+  ModelNode,
+  ColumnNode,
+  DecoratorNode,
+  AlterModelNode,
+  AlterOperationNode,
+  SourceSpan,
+  ParseError,
+  GeneratorError,
+  NamingStrategy,
+  qualifiedName,
+} from './types.js';
+import { columnsInExpression } from '../generators/constraint-names.js';
+
+// Model attributes whose arguments are column names
+const COLUMN_LIST_ATTRIBUTES = ['pk', 'unique', 'index'];
+
+export function tableNameFor(modelName: string, strategy: NamingStrategy = {}): string {
+  const name = strategy.case === 'snake_case' ? toSnakeCase(modelName) : modelName;
+  return strategy.pluralizeTables ? pluralize(name) : name;
+}
+
+export function columnNameFor(fieldName: string, strategy: NamingStrategy = {}): string {
+  return strategy.case === 'snake_case' ? toSnakeCase(fieldName) : fieldName;
+}
+
+/**
+ * The model name a table reads back as under a strategy. `map` is true when
+ * the strategy cannot produce the table name, so the model needs @@map.
+ */
+export function modelNameForTable(tableName: string, strategy: NamingStrategy = {}): { name: string; map: boolean } {
+  let candidate = strategy.pluralizeTables ? singularize(tableName) : tableName;
+  if (strategy.case === 'snake_case') {
+    candidate = fromSnakeCase(candidate, true);
+  }
+  return readBack(tableName, candidate, (name) => tableNameFor(name, strategy));
+}
+
+/**
+ * The field name a column reads back as under a strategy, with `map` true when
+ * the column needs @map
+ */
+export function fieldNameForColumn(columnName: string, strategy: NamingStrategy = {}): { name: string; map: boolean } {
+  const candidate = strategy.case === 'snake_case' ? fromSnakeCase(columnName, false) : columnName;
+  return readBack(columnName, candidate, (name) => columnNameFor(name, strategy));
+}
+
+/**
+ * The @ref argument for a foreign key to a table's column, read back under a
+ * strategy. A table in another schema is referenced as schema.Model.field.
+ */
+export function referenceForColumn(
+  tableName: string,
+  columnName: string,
+  strategy: NamingStrategy = {},
+  schema?: string
+): string {
+  const model = qualifiedName({ name: modelNameForTable(tableName, strategy).name, schema });
+  return `${model}.${fieldNameForColumn(columnName, strategy).name}`;
+}
+
+function readBack(actual: string, candidate: string, apply: (name: string) => string): { name: string; map: boolean } {
+  if (apply(candidate) === actual) {
+    return { name: candidate, map: false };
+  }
+  return { name: actual, map: apply(actual) !== actual };
+}
+
+/**
+ * Apply @@map, @map and a naming strategy to a single schema
+ */
+export function mapNames(ast: SchemaAST, strategy: NamingStrategy = {}): SchemaAST {
+  return new NameMapper(strategy).map(ast);
+}
+
+interface MappedModel {
+  schema?: string;
+  table: string;
+  // Field name to column name
+  columns: Map<string, string>;
+}
+
+/**
+ * Maps schemas to table and column names. Feed it every migration in order:
+ * it remembers the names each one declares, so @ref targets and `alter model`
+ * blocks in later migrations find tables and columns mapped earlier.
+ */
+export class NameMapper {
+  private models = new Map<string, MappedModel>();
+
+  constructor(private strategy: NamingStrategy = {}) {}
+
+  /**
+   * @throws {ParseError} For invalid @map and @@map decorators, and for two
+   * models or columns mapped to the same name
+   */
+  map(ast: SchemaAST): SchemaAST {
+    if (!this.strategy.case && !this.strategy.pluralizeTables && this.models.size === 0 && !usesMap(ast)) {
+      return ast;
+    }
+
+    // Declare first, so references to models later in the file resolve
+    for (const model of ast.models) {
+      this.declareModel(model);
+    }
+
+    return {
+      ...ast,
+      models: ast.models.map((model) => this.mapModel(model)),
+      alterations: ast.alterations?.map((alter) => this.mapAlter(alter)),
+    };
+  }
+
+  private declareModel(model: ModelNode): void {
+    const modelName = qualifiedName(model);
+    const attribute = model.attributes?.find((a) => a.name === 'map');
+    const table = attribute
+      ? readMapName(attribute, `@@map on model "${modelName}"`)
+      : tableNameFor(model.name, this.strategy);
+
+    // Schemas keep their own table names
+    for (const [name, existing] of this.models) {
+      if (name !== modelName && existing.schema === model.schema && existing.table === table) {
+        throw errorAt(`Models "${name}" and "${modelName}" both map to table "${table}"`, model.span);
+      }
+    }
+
+    const mapped: MappedModel = { schema: model.schema, table, columns: new Map() };
+    this.models.set(modelName, mapped);
+    for (const column of model.columns) {
+      this.declareColumn(modelName, mapped, column);
+    }
+  }
+
+  private declareColumn(modelName: string, model: MappedModel, column: ColumnNode): void {
+    const decorator = column.decorators.find((d) => d.name === 'map');
+    const name = decorator
+      ? readMapName(decorator, `@map on column "${modelName}.${column.name}"`)
+      : columnNameFor(column.name, this.strategy);
+    this.claimColumn(modelName, model, column.name, name, column.span);
+  }
+
+  private claimColumn(modelName: string, model: MappedModel, field: string, name: string, span?: SourceSpan): void {
+    for (const [other, existing] of model.columns) {
+      if (other !== field && existing === name) {
+        throw errorAt(`Columns "${modelName}.${other}" and "${modelName}.${field}" both map to column "${name}"`, span);
+      }
+    }
+    model.columns.set(field, name);
+  }
+
+  private mapModel(model: ModelNode): ModelNode {
+    const mapped = this.models.get(qualifiedName(model))!;
+    return {
+      ...model,
+      name: mapped.table,
+      columns: model.columns.map((column) => this.mapColumn(column, mapped, qualifiedName(model))),
+      attributes: model.attributes
+        ?.filter((attribute) => attribute.name !== 'map')
+        .map((attribute) => this.mapAttribute(attribute, mapped, qualifiedName(model))),
+    };
+  }
+
+  private mapColumn(column: ColumnNode, model: MappedModel, modelName: string): ColumnNode {
+    for (const decorator of column.decorators) {
+      if ((decorator.name === 'check' || decorator.name === 'generated') && decorator.args?.[0]) {
+        const context = `@${decorator.name} on column "${modelName}.${column.name}"`;
+        this.checkExpression(decorator.args[0], model, context, decorator.span);
+      }
+    }
+    return {
+      ...column,
+      name: this.columnName(model, column.name),
+      decorators: column.decorators
+        .filter((decorator) => decorator.name !== 'map')
+        .map((decorator) => (decorator.name === 'ref' ? this.mapReference(decorator) : decorator)),
+    };
+  }
+
+  private mapAttribute(attribute: DecoratorNode, model: MappedModel, modelName: string): DecoratorNode {
+    const expressions: string[] = [];
+    if (attribute.name === 'check' && attribute.args?.[0]) {
+      expressions.push(attribute.args[0]);
+    }
+    if (attribute.name === 'index') {
+      expressions.push(...(attribute.args ?? []).filter((_, i) => attribute.argKinds?.[i] === 'sql'));
+      if (attribute.namedArgs?.where) {
+        expressions.push(attribute.namedArgs.where);
+      }
+    }
+    for (const expression of expressions) {
+      this.checkExpression(expression, model, `@@${attribute.name} on model "${modelName}"`, attribute.span);
+    }
+
+    if (!COLUMN_LIST_ATTRIBUTES.includes(attribute.name) || !attribute.args) {
+      return attribute;
+    }
+    // sql("...") index expressions are raw SQL and keep their column names as written
+    return {
+      ...attribute,
+      args: attribute.args.map((arg, i) => (attribute.argKinds?.[i] === 'sql' ? arg : this.columnName(model, arg))),
+    };
+  }
+
+  /**
+   * Expressions are raw SQL and keep the names they are written with, so a
+   * field whose column is named differently would not exist in the database
+   */
+  private checkExpression(expression: string, model: MappedModel, context: string, span?: SourceSpan): void {
+    const columns = new Set(model.columns.values());
+    for (const field of columnsInExpression(expression, [...model.columns.keys()])) {
+      const column = model.columns.get(field)!;
+      if (column !== field && !columns.has(field)) {
+        throw new GeneratorError(
+          `${context} uses field "${field}", but expressions are passed to the database as written. ` +
+            `Use its column name "${column}" instead`,
+          span
+        );
+      }
+    }
+  }
+
+  /**
+   * Point @ref(Model.field) or @ref(schema.Model.field) at the mapped table and
+   * column; the schema is kept as written
+   */
+  private mapReference(decorator: DecoratorNode): DecoratorNode {
+    const parts = decorator.args?.length === 1 ? decorator.args[0].split('.') : [];
+    if (parts.length < 2 || parts.length > 3) {
+      // Malformed references are reported by the generators
+      return decorator;
+    }
+    const field = parts.pop()!;
+    const name = parts.pop()!;
+    const model = this.getModel({ name, schema: parts[0] });
+    const table = qualifiedName({ name: model.table, schema: model.schema });
+    return { ...decorator, args: [`${table}.${this.columnName(model, field)}`] };
+  }
+
+  private mapAlter(alter: AlterModelNode): AlterModelNode {
+    const model = this.getModel(alter);
+    return {
+      ...alter,
+      name: model.table,
+      operations: alter.operations.map((operation) => this.mapOperation(qualifiedName(alter), model, operation)),
+    };
+  }
+
+  private mapOperation(modelName: string, model: MappedModel, operation: AlterOperationNode): AlterOperationNode {
+    switch (operation.action) {
+      case 'add':
+        this.declareColumn(modelName, model, operation.column);
+        return { ...operation, column: this.mapColumn(operation.column, model, modelName) };
+      case 'change':
+        return {
+          ...operation,
+          column: this.mapColumn(operation.column, model, modelName),
+          previous: operation.previous && this.mapColumn(operation.previous, model, modelName),
+        };
+      case 'drop': {
+        const mapped = {
+          ...operation,
+          name: this.columnName(model, operation.name),
+          previous: operation.previous && this.mapColumn(operation.previous, model, modelName),
+        };
+        model.columns.delete(operation.name);
+        return mapped;
+      }
+      case 'rename': {
+        const from = this.columnName(model, operation.from);
+        const to = columnNameFor(operation.to, this.strategy);
+        model.columns.delete(operation.from);
+        this.claimColumn(modelName, model, operation.to, to, operation.span);
+        return { ...operation, from, to };
+      }
+    }
+  }
+
+  /**
+   * Models declared in an earlier migration keep their mapping; any other name
+   * (such as a table created with raw SQL) goes through the strategy
+   */
+  private getModel(node: { name: string; schema?: string }): MappedModel {
+    let model = this.models.get(qualifiedName(node));
+    if (!model) {
+      model = { schema: node.schema, table: tableNameFor(node.name, this.strategy), columns: new Map() };
+      this.models.set(qualifiedName(node), model);
+    }
+    return model;
+  }
+
+  private columnName(model: MappedModel, field: string): string {
+    return model.columns.get(field) ?? columnNameFor(field, this.strategy);
+  }
+}
+
+function usesMap(ast: SchemaAST): boolean {
+  const hasMap = (decorators?: DecoratorNode[]) => decorators?.some((d) => d.name === 'map') ?? false;
+  return (
+    ast.models.some((model) => hasMap(model.attributes) || model.columns.some((column) => hasMap(column.decorators))) ||
+    (ast.alterations ?? []).some((alter) =>
+      alter.operations.some((operation) => operation.action === 'add' && hasMap(operation.column.decorators))
+    )
+  );
+}
+
+function readMapName(decorator: DecoratorNode, context: string): string {
+  const kind = decorator.argKinds?.[0];
+  if (decorator.args?.length !== 1 || (kind && kind !== 'string') || decorator.namedArgs) {
+    throw errorAt(`${context} requires one quoted name, e.g. @map("created_at")`, decorator.span);
+  }
+  if (decorator.args[0].trim() === '') {
+    throw errorAt(`${context} cannot map to an empty name`, decorator.span);
+  }
+  return decorator.args[0];
+}
+
+/**
+ * BlogPost -> blog_post, createdAt -> created_at, userID -> user_id
+ */
+function toSnakeCase(name: string): string {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * blog_post -> BlogPost (or blogPost when the first letter stays lower case)
+ */
+function fromSnakeCase(name: string, capitalize: boolean): string {
+  const camel = name.replace(/_([a-z0-9])/g, (_, char: string) => char.toUpperCase());
+  return capitalize ? camel.charAt(0).toUpperCase() + camel.slice(1) : camel;
+}
+
+/**
+ * English plurals by suffix; table names that do not read back get @@map
+ */
+function pluralize(name: string): string {
+  if (/[^aeiou]y$/i.test(name)) {
+    return `${name.slice(0, -1)}ies`;
+  }
+  if (/(s|x|z|ch|sh)$/i.test(name)) {
+    return `${name}es`;
+  }
+  return `${name}s`;
+}
+
+function singularize(name: string): string {
+  if (/ies$/i.test(name)) {
+    return `${name.slice(0, -3)}y`;
+  }
+  if (/(ss|us|x|z|ch|sh)es$/i.test(name)) {
+    return name.slice(0, -2);
+  }
+  return name.replace(/s$/i, '');
+}
+
+function errorAt(message: string, span?: SourceSpan): ParseError {
+  return new ParseError(message, span?.start.line, span?.start.column, span?.file);
+}
@@ -11,28 +11,80 @@ import {
   ColumnNode,
   DecoratorNode,
   RawSqlNode,
+  AlterModelNode,
+  AlterOperationNode,
+  EnumNode,
+  MixinNode,
+  TypeAliasNode,
+  IncludeNode,
+  ViewNode,
+  SourceSpan,
+  ArgumentKind,
   ParseError,
+  qualifiedName,
 } from './types.js';
 import { Lexer } from './lexer.js';
 
+const ALTER_ACTIONS = new Set(['add', 'drop', 'rename', 'change']);
+
+/**
+ * Result of a recovering parse. The AST holds every construct that parsed cleanly.
+ */
+export interface ParseResult {
+  ast: SchemaAST;
+  errors: ParseError[];
+}
+
 export class Parser {
   private tokens: Token[];
   private current: number = 0;
-
-  constructor(tokens: Token[]) {
+  private file?: string;
+  // Set by parseWithRecovery; errors are collected instead of thrown
+  private recovering = false;
+  private errors: ParseError[] = [];
+
+  /**
+   * @param file - Source filename, recorded in node spans and error locations
+   */
+  constructor(tokens: Token[], file?: string) {
     this.tokens = tokens;
+    this.file = file;
   }
 
-  static parse(input: string): SchemaAST {
-    const lexer = new Lexer(input);
+  static parse(input: string, file?: string): SchemaAST {
+    const lexer = new Lexer(input, file);
     const tokens = lexer.tokenize();
-    const parser = new Parser(tokens);
-    return parser.parseSchema();
+    const parser = new Parser(tokens, file);
+    return withComments(parser.parseSchema(), lexer);
+  }
+
+  /**
+   * Parse without stopping at the first error. After an error the parser skips
+   * to the next line or closing brace and carries on, so every error in the
+   * input is reported at once. Errors are sorted by position.
+   */
+  static parseWithRecovery(input: string, file?: string): ParseResult {
+    const errors: ParseError[] = [];
+    const lexer = new Lexer(input, file);
+    const tokens = lexer.tokenize(errors);
+    const parser = new Parser(tokens, file);
+    parser.recovering = true;
+    parser.errors = errors;
+
+    const ast = withComments(parser.parseSchema(), lexer);
+    errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || (a.column ?? 0) - (b.column ?? 0));
+    return { ast, errors };
   }
 
   private parseSchema(): SchemaAST {
     const models: ModelNode[] = [];
     const rawSql: RawSqlNode[] = [];
+    const alterations: AlterModelNode[] = [];
+    const enums: EnumNode[] = [];
+    const mixins: MixinNode[] = [];
+    const typeAliases: TypeAliasNode[] = [];
+    const includes: IncludeNode[] = [];
+    const views: ViewNode[] = [];
 
     while (!this.isAtEnd()) {
       // Skip any unexpected newlines or whitespace tokens
@@ -41,34 +93,139 @@ export class Parser {
         continue;
       }
 
-      if (this.check('MODEL')) {
-        models.push(this.parseModel());
-      } else if (this.check('RAW_SQL')) {
-        rawSql.push(this.parseRawSql());
-      } else if (!this.check('EOF')) {
-        const token = this.peek();
-        throw new ParseError(
-          `Unexpected token: ${token.value} (${token.type})`,
-          token.line,
-          token.column
-        );
-      } else {
-        break;
+      const startIndex = this.current;
+      try {
+        if (this.check('MODEL') || this.check('DOC_COMMENT')) {
+          models.push(this.parseModel());
+        } else if (this.checkKeyword('alter')) {
+          alterations.push(this.parseAlterModel());
+        } else if (this.checkKeyword('enum')) {
+          const enumToken = this.peek();
+          const enumNode = this.parseEnum();
+          if (enums.some((e) => e.name === enumNode.name)) {
+            throw new ParseError(
+              `Duplicate enum "${enumNode.name}"`,
+              enumToken.line,
+              enumToken.column,
+              this.file
+            );
+          }
+          enums.push(enumNode);
+        } else if (this.checkKeyword('mixin')) {
+          const mixinToken = this.peek();
+          const mixin = this.parseMixin();
+          if (mixins.some((m) => m.name === mixin.name)) {
+            throw new ParseError(
+              `Duplicate mixin "${mixin.name}"`,
+              mixinToken.line,
+              mixinToken.column,
+              this.file
+            );
+          }
+          mixins.push(mixin);
+        } else if (this.checkKeyword('type') || this.checkKeyword('domain')) {
+          const aliasToken = this.peek();
+          const alias = this.parseTypeAlias();
+          if (typeAliases.some((a) => a.name === alias.name)) {
+            throw new ParseError(
+              `Duplicate type alias "${alias.name}"`,
+              aliasToken.line,
+              aliasToken.column,
+              this.file
+            );
+          }
+          typeAliases.push(alias);
+        } else if (this.checkKeyword('include')) {
+          includes.push(this.parseInclude());
+        } else if (this.checkKeyword('view') || this.checkKeyword('materialized')) {
+          const viewToken = this.peek();
+          const view = this.parseView();
+          if (views.some((v) => qualifiedName(v) === qualifiedName(view))) {
+            throw new ParseError(
+              `Duplicate view "${qualifiedName(view)}"`,
+              viewToken.line,
+              viewToken.column,
+              this.file
+            );
+          }
+          views.push(view);
+        } else if (this.check('RAW_SQL') || this.check('RAW_SQL_DOWN')) {
+          rawSql.push(this.parseRawSql());
+        } else {
+          const token = this.peek();
+          throw new ParseError(
+            `Unexpected token: ${token.value} (${token.type})`,
+            token.line,
+            token.column,
+            this.file
+          );
+        }
+      } catch (error) {
+        this.recordError(error);
+        this.synchronizeTopLevel(startIndex);
       }
     }
 
-    return { models, rawSql };
+    return { models, rawSql, alterations, enums, mixins, typeAliases, includes, views };
   }
 
   private parseModel(): ModelNode {
-    this.consume('MODEL', 'Expected "model" keyword');
-
-    const nameToken = this.consume('IDENTIFIER', 'Expected model name');
-    const name = nameToken.value;
+    const doc = this.parseDocComment();
+    const modelToken = this.consume(
+      'MODEL',
+      doc === undefined ? 'Expected "model" keyword' : 'Doc comments (///) must precede a model or column'
+    );
+
+    const { nameToken, name, schema } = this.parseQualifiedName('model');
+
+    // Optional mixin list: model Post with Timestamps, SoftDelete { ... }
+    const mixins: string[] = [];
+    if (this.checkKeyword('with')) {
+      this.advance();
+      mixins.push(this.consume('IDENTIFIER', 'Expected mixin name after "with"').value);
+      while (this.check('COMMA')) {
+        this.advance();
+        mixins.push(this.consume('IDENTIFIER', 'Expected mixin name after ","').value);
+      }
+    }
 
     this.consume('LBRACE', 'Expected "{" after model name');
+    const { columns, attributes } = this.parseColumnBlock('model', nameToken);
+
+    const model: ModelNode = { name, columns, attributes, span: this.spanFrom(modelToken) };
+    if (schema) {
+      model.schema = schema;
+    }
+    if (mixins.length > 0) {
+      model.mixins = mixins;
+    }
+    return withDoc(model, doc);
+  }
+
+  /**
+   * Parse a mixin declaration:
+   *   mixin Timestamps { createdAt Timestamp @default(now) }
+   */
+  private parseMixin(): MixinNode {
+    const mixinToken = this.advance(); // consume 'mixin'
+
+    const nameToken = this.consume('IDENTIFIER', 'Expected mixin name');
+    this.consume('LBRACE', 'Expected "{" after mixin name');
+    const { columns, attributes } = this.parseColumnBlock('mixin', nameToken);
 
+    return { name: nameToken.value, columns, attributes, span: this.spanFrom(mixinToken) };
+  }
+
+  /**
+   * Parse the columns and @@attributes of a model or mixin, up to and including its "}"
+   */
+  private parseColumnBlock(
+    kind: 'model' | 'mixin',
+    nameToken: Token
+  ): { columns: ColumnNode[]; attributes: DecoratorNode[] } {
+    const errorCount = this.errors.length;
     const columns: ColumnNode[] = [];
+    const attributes: DecoratorNode[] = [];
 
     while (!this.check('RBRACE') && !this.isAtEnd()) {
       // Skip newlines inside model block
@@ -77,28 +234,366 @@ export class Parser {
         continue;
       }
 
-      columns.push(this.parseColumn());
+      // An unclosed block: stop here so the next declaration still parses
+      if (this.recovering && this.atDeclarationStart()) break;
+
+      const startToken = this.peek();
+      try {
+        if (this.check('MODEL_ATTRIBUTE')) {
+          attributes.push(this.parseModelAttribute());
+        } else {
+          columns.push(this.parseColumn());
+        }
+      } catch (error) {
+        this.recordError(error);
+        this.synchronizeLine(startToken);
+      }
     }
 
-    this.consume('RBRACE', 'Expected "}" to close model block');
+    this.consume('RBRACE', `Expected "}" to close ${kind} block`);
 
     // FIX BUG-017: Validate that models have at least one column
-    if (columns.length === 0) {
+    // (unless its columns failed to parse and were already reported)
+    if (columns.length === 0 && this.errors.length === errorCount) {
+      const label = kind === 'model' ? 'Model' : 'Mixin';
       throw new ParseError(
-        `Model "${name}" must have at least one column`,
+        `${label} "${nameToken.value}" must have at least one column`,
         nameToken.line,
-        nameToken.column
+        nameToken.column,
+        this.file
       );
     }
 
-    return { name, columns };
+    return { columns, attributes };
   }
 
-  private parseColumn(): ColumnNode {
-    const nameToken = this.consume('IDENTIFIER', 'Expected column name');
+  /**
+   * Parse a type alias:
+   *   type Email = VarChar(320) @notnull
+   *   domain Money = Decimal(19, 4)
+   */
+  private parseTypeAlias(): TypeAliasNode {
+    const keywordToken = this.advance(); // consume 'type' or 'domain'
+
+    const nameToken = this.consume('IDENTIFIER', `Expected ${keywordToken.value} name`);
+    this.consume('EQUALS', `Expected "=" after ${keywordToken.value} name`);
+    const { type, typeArgs, array, decorators, span } = this.parseColumnDefinition(nameToken.value, keywordToken);
+
+    const alias: TypeAliasNode = { name: nameToken.value, type, typeArgs, decorators, span };
+    if (array) {
+      alias.array = true;
+    }
+    if (keywordToken.value === 'domain') {
+      alias.domain = true;
+    }
+    return alias;
+  }
+
+  /**
+   * Parse an include directive: include "./shared.sact"
+   */
+  private parseInclude(): IncludeNode {
+    const includeToken = this.advance(); // consume 'include'
+    const pathToken = this.consume('STRING', 'Expected a quoted file path after "include"');
+
+    if (pathToken.value.trim() === '') {
+      throw new ParseError('Include path cannot be empty', pathToken.line, pathToken.column, this.file);
+    }
+
+    return { path: pathToken.value, span: this.spanFrom(includeToken) };
+  }
+
+  /**
+   * Parse a view:
+   *   view ActiveUsers as """SELECT * FROM "User" WHERE "isActive""""
+   *   materialized view DailyTotals as """..."""
+   */
+  private parseView(): ViewNode {
+    const startToken = this.advance(); // consume 'view' or 'materialized'
+    const materialized = startToken.value === 'materialized';
+    if (materialized && !this.checkKeyword('view')) {
+      const token = this.peek();
+      throw new ParseError('Expected "view" after "materialized"', token.line, token.column, this.file);
+    }
+    if (materialized) {
+      this.advance();
+    }
+
+    const { nameToken, name, schema } = this.parseQualifiedName('view');
+    if (!this.checkKeyword('as')) {
+      const token = this.peek();
+      throw new ParseError('Expected "as" after view name', token.line, token.column, this.file);
+    }
+    this.advance();
+    const queryToken = this.consume('STRING', 'Expected the view\'s query as a string, e.g. """SELECT ..."""');
+
+    if (queryToken.value.trim() === '') {
+      throw new ParseError(
+        `View "${nameToken.value}" has an empty query`,
+        queryToken.line,
+        queryToken.column,
+        this.file
+      );
+    }
+
+    const view: ViewNode = { name, query: queryToken.value, span: this.spanFrom(startToken) };
+    if (schema) {
+      view.schema = schema;
+    }
+    if (materialized) {
+      view.materialized = true;
+    }
+    return view;
+  }
+
+  /**
+   * Parse a model-level attribute such as @@pk(postId, tagId) or @@index(createdAt)
+   */
+  private parseModelAttribute(): DecoratorNode {
+    const attributeToken = this.consume('MODEL_ATTRIBUTE', 'Expected model attribute');
+    const name = attributeToken.value;
+
+    if (!this.check('LPAREN')) {
+      throw new ParseError(
+        `Model attribute @@${name} requires a column list (e.g., @@${name}(columnA, columnB))`,
+        attributeToken.line,
+        attributeToken.column,
+        this.file
+      );
+    }
+
+    const args = this.parseDecoratorArgs();
+    return { name, ...args, span: this.spanFrom(attributeToken) };
+  }
+
+  /**
+   * Parse a named enum declaration:
+   *   enum Status { active suspended 'on hold' }
+   */
+  private parseEnum(): EnumNode {
+    const enumToken = this.advance(); // consume 'enum'
+
+    const nameToken = this.consume('IDENTIFIER', 'Expected enum name');
     const name = nameToken.value;
 
-    const typeToken = this.consume('TYPE', 'Expected column type');
+    this.consume('LBRACE', 'Expected "{" after enum name');
+
+    const errorCount = this.errors.length;
+    const values: string[] = [];
+    const valueSpans: SourceSpan[] = [];
+
+    while (!this.check('RBRACE') && !this.isAtEnd()) {
+      if (this.check('NEWLINE') || this.check('COMMA')) {
+        this.advance();
+        continue;
+      }
+
+      if (this.recovering && this.atDeclarationStart()) break;
+
+      const valueToken = this.peek();
+      try {
+        if (!this.check('IDENTIFIER') && !this.check('STRING')) {
+          throw new ParseError(
+            `Expected enum value, got ${valueToken.type}`,
+            valueToken.line,
+            valueToken.column,
+            this.file
+          );
+        }
+        this.advance();
+
+        if (values.includes(valueToken.value)) {
+          throw new ParseError(
+            `Duplicate value "${valueToken.value}" in enum "${name}"`,
+            valueToken.line,
+            valueToken.column,
+            this.file
+          );
+        }
+        values.push(valueToken.value);
+        valueSpans.push(this.spanFrom(valueToken));
+      } catch (error) {
+        this.recordError(error);
+        this.synchronizeLine(valueToken);
+      }
+    }
+
+    this.consume('RBRACE', 'Expected "}" to close enum block');
+
+    if (values.length === 0 && this.errors.length === errorCount) {
+      throw new ParseError(
+        `Enum "${name}" must have at least one value`,
+        nameToken.line,
+        nameToken.column,
+        this.file
+      );
+    }
+
+    return { name, values, valueSpans, span: this.spanFrom(enumToken) };
+  }
+
+  /**
+   * Parse an alter block:
+   *   alter model User { add phone VarChar(20); drop legacyId; rename name -> fullName }
+   */
+  private parseAlterModel(): AlterModelNode {
+    const alterToken = this.advance(); // consume 'alter'
+    this.consume('MODEL', 'Expected "model" after "alter"');
+
+    const { nameToken, name, schema } = this.parseQualifiedName('model');
+
+    this.consume('LBRACE', 'Expected "{" after model name');
+
+    const errorCount = this.errors.length;
+    const operations: AlterOperationNode[] = [];
+
+    while (!this.check('RBRACE') && !this.isAtEnd()) {
+      if (this.check('NEWLINE') || this.check('SEMICOLON')) {
+        this.advance();
+        continue;
+      }
+
+      if (this.recovering && this.atDeclarationStart()) break;
+
+      const startToken = this.peek();
+      try {
+        const doc = this.parseDocComment();
+        const operationToken = this.peek();
+        const operation = this.parseAlterOperation(doc);
+        operations.push({ ...operation, span: this.spanFrom(operationToken) });
+      } catch (error) {
+        this.recordError(error);
+        this.synchronizeLine(startToken);
+      }
+    }
+
+    this.consume('RBRACE', 'Expected "}" to close alter block');
+
+    if (operations.length === 0 && this.errors.length === errorCount) {
+      throw new ParseError(
+        `Alter block for model "${name}" must have at least one operation`,
+        nameToken.line,
+        nameToken.column,
+        this.file
+      );
+    }
+
+    const alter: AlterModelNode = { name, operations, span: this.spanFrom(alterToken) };
+    if (schema) {
+      alter.schema = schema;
+    }
+    return alter;
+  }
+
+  /**
+   * @param doc - Doc comment written above the operation, kept on the added or changed column
+   */
+  private parseAlterOperation(doc?: string): AlterOperationNode {
+    const actionToken = this.consume(
+      'IDENTIFIER',
+      'Expected alter operation (add, drop, rename, change)'
+    );
+
+    if (doc !== undefined && actionToken.value !== 'add' && actionToken.value !== 'change') {
+      throw new ParseError(
+        `Doc comments (///) can only precede "add" and "change" operations, not "${actionToken.value}"`,
+        actionToken.line,
+        actionToken.column,
+        this.file
+      );
+    }
+
+    switch (actionToken.value) {
+      case 'add':
+        return { action: 'add', column: withDoc(this.parseColumn(), doc) };
+
+      case 'drop': {
+        const nameToken = this.consume('IDENTIFIER', 'Expected column name after "drop"');
+        // An optional column definition makes the drop reversible
+        if (this.check('TYPE') || (this.check('IDENTIFIER') && !ALTER_ACTIONS.has(this.peek().value))) {
+          return {
+            action: 'drop',
+            name: nameToken.value,
+            previous: this.parseColumnDefinition(nameToken.value, nameToken),
+          };
+        }
+        return { action: 'drop', name: nameToken.value };
+      }
+
+      case 'rename': {
+        const from = this.consume('IDENTIFIER', 'Expected column name after "rename"').value;
+        this.consume('ARROW', 'Expected "->" between old and new column names');
+        const to = this.consume('IDENTIFIER', 'Expected new column name after "->"').value;
+        return { action: 'rename', from, to };
+      }
+
+      case 'change': {
+        const column = withDoc(this.parseColumn(), doc);
+        // An optional "from <definition>" clause makes the change reversible
+        if (this.checkKeyword('from')) {
+          const fromToken = this.advance();
+          return {
+            action: 'change',
+            column,
+            previous: this.parseColumnDefinition(column.name, fromToken),
+          };
+        }
+        return { action: 'change', column };
+      }
+
+      default:
+        throw new ParseError(
+          `Unknown alter operation "${actionToken.value}". Expected add, drop, rename or change`,
+          actionToken.line,
+          actionToken.column,
+          this.file
+        );
+    }
+  }
+
+  private parseColumn(): ColumnNode {
+    const doc = this.parseDocComment();
+    const nameToken = this.consume(
+      'IDENTIFIER',
+      doc === undefined ? 'Expected column name' : 'Doc comments (///) must precede a model or column'
+    );
+    return withDoc(this.parseColumnDefinition(nameToken.value, nameToken), doc);
+  }
+
+  /**
+   * Parse a model or view name with an optional schema in front, e.g. auth.User
+   */
+  private parseQualifiedName(kind: 'model' | 'view'): { nameToken: Token; name: string; schema?: string } {
+    let nameToken = this.consume('IDENTIFIER', `Expected ${kind} name`);
+    if (!this.check('DOT')) {
+      return { nameToken, name: nameToken.value };
+    }
+    this.advance(); // consume DOT
+    const schema = nameToken.value;
+    nameToken = this.consume('IDENTIFIER', `Expected ${kind} name after schema "${schema}."`);
+    return { nameToken, name: nameToken.value, schema };
+  }
+
+  /**
+   * Join consecutive /// lines into one doc string, if any are next
+   */
+  private parseDocComment(): string | undefined {
+    const lines: string[] = [];
+    while (this.check('DOC_COMMENT')) {
+      lines.push(this.advance().value);
+    }
+    return lines.length > 0 ? lines.join('\n') : undefined;
+  }
+
+  /**
+   * Parse the type, type arguments and decorators that follow a column name.
+   * The column's position is taken from startToken.
+   */
+  private parseColumnDefinition(name: string, startToken: Token): ColumnNode {
+    // Identifiers name a user-declared type such as an enum
+    const typeToken = this.check('IDENTIFIER')
+      ? this.advance()
+      : this.consume('TYPE', 'Expected column type');
     const type = typeToken.value;
 
     let typeArgs: string[] | undefined;
@@ -108,6 +603,18 @@ export class Parser {
       typeArgs = this.parseTypeArgs();
     }
 
+    // Array types: Text[], VarChar(50)[]
+    let array = false;
+    if (this.check('LBRACKET')) {
+      this.advance();
+      this.consume('RBRACKET', 'Expected "]" after "[" in array type');
+      array = true;
+      if (this.check('LBRACKET')) {
+        const token = this.peek();
+        throw new ParseError('Multi-dimensional array types are not supported', token.line, token.column, this.file);
+      }
+    }
+
     // FIX BUG-040: Parse decorators and detect duplicates
     const decorators: DecoratorNode[] = [];
     const seenDecorators = new Set<string>();
@@ -121,7 +628,8 @@ export class Parser {
           `Duplicate decorator @${decorator.name} on column "${name}". ` +
           `Each decorator can only be used once per column.`,
           this.previous().line,
-          this.previous().column
+          this.previous().column,
+          this.file
         );
       }
 
@@ -129,12 +637,17 @@ export class Parser {
       decorators.push(decorator);
     }
 
-    return {
+    const column: ColumnNode = {
       name,
       type,
       typeArgs,
       decorators,
+      span: this.spanFrom(startToken),
     };
+    if (array) {
+      column.array = true;
+    }
+    return column;
   }
 
   private parseTypeArgs(): string[] {
@@ -155,7 +668,8 @@ export class Parser {
           throw new ParseError(
             `Expected argument value, got ${token.type}`,
             token.line,
-            token.column
+            token.column,
+            this.file
           );
         }
 
@@ -176,33 +690,78 @@ export class Parser {
     const decoratorToken = this.consume('DECORATOR', 'Expected decorator');
     const name = decoratorToken.value;
 
-    let args: string[] | undefined;
-
     // Handle decorator arguments like @default('guest') or @ref(User.id)
     if (this.check('LPAREN')) {
-      args = this.parseDecoratorArgs();
+      const args = this.parseDecoratorArgs();
+      return { name, ...args, span: this.spanFrom(decoratorToken) };
     }
 
-    return { name, args };
+    return { name, args: undefined, span: this.spanFrom(decoratorToken) };
   }
 
-  private parseDecoratorArgs(): string[] {
+  /**
+   * Parse positional arguments and `key: value` named arguments, e.g.
+   * @ref(User.id, name: "posts_author_fkey")
+   */
+  private parseDecoratorArgs(): Pick<
+    DecoratorNode,
+    'args' | 'namedArgs' | 'argKinds' | 'namedArgKinds'
+  > {
     this.consume('LPAREN', 'Expected "("');
 
     const args: string[] = [];
+    const namedArgs: Record<string, string> = {};
+    const argKinds: ArgumentKind[] = [];
+    const namedArgKinds: Record<string, ArgumentKind> = {};
 
     if (!this.check('RPAREN')) {
       do {
-        if (this.check('STRING')) {
+        if (this.check('IDENTIFIER') && this.peekNext().type === 'COLON') {
+          const keyToken = this.advance();
+          this.advance(); // consume COLON
+
+          if (keyToken.value in namedArgs) {
+            throw new ParseError(
+              `Duplicate named argument "${keyToken.value}"`,
+              keyToken.line,
+              keyToken.column,
+              this.file
+            );
+          }
+          if (!this.check('STRING') && !this.check('NUMBER') && !this.check('IDENTIFIER')) {
+            const token = this.peek();
+            throw new ParseError(
+              `Expected value for named argument "${keyToken.value}", got ${token.type}`,
+              token.line,
+              token.column,
+              this.file
+            );
+          }
+          namedArgKinds[keyToken.value] = argumentKind(this.peek());
+          namedArgs[keyToken.value] = this.advance().value;
+        } else if (this.check('STRING')) {
+          argKinds.push('string');
           args.push(this.advance().value);
         } else if (this.check('NUMBER')) {
+          argKinds.push('number');
           args.push(this.advance().value);
+        } else if (this.check('IDENTIFIER') && this.peek().value === 'sql' && this.peekNext().type === 'LPAREN') {
+          // Raw SQL expressions like @default(sql("now() + interval '1 day'"))
+          this.advance(); // consume sql
+          this.advance(); // consume LPAREN
+          const sqlToken = this.consume('STRING', 'Expected a quoted SQL expression in sql(...)');
+          if (sqlToken.value.trim() === '') {
+            throw new ParseError('SQL expression cannot be empty', sqlToken.line, sqlToken.column, this.file);
+          }
+          this.consume('RPAREN', 'Expected ")" after SQL expression');
+          argKinds.push('sql');
+          args.push(sqlToken.value);
         } else if (this.check('IDENTIFIER')) {
           // Handle compound identifiers like User.id
           let value = this.advance().value;
 
-          // Check for dot notation
-          if (this.check('DOT')) {
+          // Dot notation, with an optional schema in front: auth.User.id
+          while (this.check('DOT')) {
             this.advance(); // consume DOT
             if (this.check('IDENTIFIER')) {
               value += '.' + this.advance().value;
@@ -210,18 +769,21 @@ export class Parser {
               throw new ParseError(
                 'Expected identifier after dot in reference',
                 this.peek().line,
-                this.peek().column
+                this.peek().column,
+                this.file
               );
             }
           }
 
+          argKinds.push('identifier');
           args.push(value);
         } else {
           const token = this.peek();
           throw new ParseError(
             `Expected decorator argument, got ${token.type}`,
             token.line,
-            token.column
+            token.column,
+            this.file
           );
         }
 
@@ -235,12 +797,83 @@ export class Parser {
 
     this.consume('RPAREN', 'Expected ")" after decorator arguments');
 
-    return args;
+    if (Object.keys(namedArgs).length > 0) {
+      return { args, namedArgs, argKinds, namedArgKinds };
+    }
+    return { args, argKinds };
   }
 
   private parseRawSql(): RawSqlNode {
+    if (this.check('RAW_SQL_DOWN')) {
+      const downToken = this.advance();
+      return { sql: downToken.value, direction: 'down', span: this.spanFrom(downToken) };
+    }
+
     const sqlToken = this.consume('RAW_SQL', 'Expected raw SQL');
-    return { sql: sqlToken.value };
+    return { sql: sqlToken.value, span: this.spanFrom(sqlToken) };
+  }
+
+  // Error recovery
+
+  /**
+   * Collect a parse error in recovery mode; rethrow it otherwise
+   */
+  private recordError(error: unknown): void {
+    if (!this.recovering || !(error instanceof ParseError)) throw error;
+    this.errors.push(error);
+  }
+
+  /**
+   * Skip the rest of a failed line inside a block, stopping at the block's "}".
+   * The failed item may have consumed tokens from later lines, so skipping
+   * starts after the last consumed token's line.
+   */
+  private synchronizeLine(startToken: Token): void {
+    const line = Math.max(startToken.line, this.previous().line);
+    while (!this.isAtEnd() && !this.check('RBRACE') && this.peek().line <= line) {
+      this.advance();
+    }
+  }
+
+  /**
+   * Skip to the start of the next top-level declaration. A declaration that
+   * failed after it was fully read (e.g. an empty model) may already have
+   * stopped at the next one.
+   */
+  private synchronizeTopLevel(startIndex: number): void {
+    if (this.current === startIndex) {
+      this.advance();
+    }
+    while (!this.isAtEnd() && !this.atDeclarationStart()) {
+      this.advance();
+    }
+  }
+
+  private atDeclarationStart(): boolean {
+    if (this.check('MODEL') || this.check('RAW_SQL') || this.check('RAW_SQL_DOWN')) {
+      return true;
+    }
+    // Contextual keywords only count when followed by what the declaration
+    // expects, so a column named "alter" or "enum" does not stop the skip
+    if (this.checkKeyword('alter')) {
+      return this.peekNext().type === 'MODEL';
+    }
+    if (this.checkKeyword('enum') || this.checkKeyword('mixin')) {
+      return this.peekNext().type === 'IDENTIFIER' && this.tokens[this.current + 2]?.type === 'LBRACE';
+    }
+    if (this.checkKeyword('include')) {
+      return this.peekNext().type === 'STRING';
+    }
+    if (this.checkKeyword('view')) {
+      return this.peekNext().type === 'IDENTIFIER' && this.tokens[this.current + 2]?.value === 'as';
+    }
+    if (this.checkKeyword('materialized')) {
+      return this.peekNext().type === 'IDENTIFIER' && this.peekNext().value === 'view';
+    }
+    if (this.checkKeyword('type') || this.checkKeyword('domain')) {
+      return this.peekNext().type === 'IDENTIFIER' && this.tokens[this.current + 2]?.type === 'EQUALS';
+    }
+    return false;
   }
 
   // Helper methods
@@ -257,11 +890,19 @@ export class Parser {
     return this.peek().type === type;
   }
 
+  /**
+   * Check for a contextual keyword (e.g., 'alter', 'from'). These are lexed as
+   * identifiers so they remain usable as column names elsewhere.
+   */
+  private checkKeyword(keyword: string): boolean {
+    return this.check('IDENTIFIER') && this.peek().value === keyword;
+  }
+
   private consume(type: TokenType, message: string): Token {
     if (this.check(type)) return this.advance();
 
     const token = this.peek();
-    throw new ParseError(message, token.line, token.column);
+    throw new ParseError(message, token.line, token.column, this.file);
   }
 
   private peek(): Token {
@@ -278,6 +919,25 @@ export class Parser {
     return this.tokens[this.current];
   }
 
+  /**
+   * Span from startToken to the end of the most recently consumed token
+   */
+  private spanFrom(startToken: Token): SourceSpan {
+    const endToken = this.previous();
+    return {
+      file: this.file,
+      start: { line: startToken.line, column: startToken.column },
+      end: {
+        line: endToken.endLine ?? endToken.line,
+        column: endToken.endColumn ?? endToken.column,
+      },
+    };
+  }
+
+  private peekNext(): Token {
+    return this.tokens[this.current + 1] ?? this.peek();
+  }
+
   private previous(): Token {
     return this.tokens[this.current - 1];
   }
@@ -286,3 +946,24 @@ export class Parser {
     return this.peek().type === 'EOF';
   }
 }
+
+/**
+ * Set a node's doc comment only when there is one, so undocumented nodes stay unchanged
+ */
+function withDoc<T extends { doc?: string }>(node: T, doc: string | undefined): T {
+  return doc === undefined ? node : { ...node, doc };
+}
+
+function argumentKind(token: Token): ArgumentKind {
+  if (token.type === 'STRING') return 'string';
+  if (token.type === 'NUMBER') return 'number';
+  return 'identifier';
+}
+
+/**
+ * Attach the comments the lexer found, if any, to a parsed schema
+ */
+function withComments(ast: SchemaAST, lexer: Lexer): SchemaAST {
+  const comments = lexer.getComments();
+  return comments.length > 0 ? { ...ast, comments } : ast;
+}
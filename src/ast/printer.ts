@@ -0,0 +1,441 @@
+/**
+ * Printer: Formats an AST back into .sact source
+ * Produces one canonical layout (aligned columns, single-quoted strings, a blank
+ * line between declarations) while keeping comments where they were written
+ */
+
+import {
+  SchemaAST,
+  ModelNode,
+  ColumnNode,
+  DecoratorNode,
+  EnumNode,
+  MixinNode,
+  TypeAliasNode,
+  IncludeNode,
+  AlterModelNode,
+  AlterOperationNode,
+  RawSqlNode,
+  ViewNode,
+  CommentNode,
+  SourceSpan,
+  ArgumentKind,
+  qualifiedName,
+} from './types.js';
+import { isIdentifier } from './lexer.js';
+import { alignColumns, formatDocComment, formatSqlBlock } from '../utils/formatting.js';
+
+const INDENT = '  ';
+// Decorators whose first argument is a SQL expression
+const EXPRESSION_DECORATORS = ['generated', 'check'];
+// Named arguments holding a SQL condition, such as @@index(..., where: "...")
+const EXPRESSION_NAMED_ARGS = ['where'];
+
+type Declaration =
+  | { kind: 'model'; node: ModelNode }
+  | { kind: 'enum'; node: EnumNode }
+  | { kind: 'mixin'; node: MixinNode }
+  | { kind: 'include'; node: IncludeNode }
+  | { kind: 'typeAlias'; node: TypeAliasNode }
+  | { kind: 'alter'; node: AlterModelNode }
+  | { kind: 'view'; node: ViewNode }
+  | { kind: 'rawSql'; node: RawSqlNode };
+
+/**
+ * A line inside a block, e.g. a column or an alter operation
+ */
+interface BlockLine {
+  text: string;
+  doc?: string;
+  span?: SourceSpan;
+}
+
+type LineKind = 'block' | 'rawSql' | 'include' | 'typeAlias' | 'comment';
+
+export class Printer {
+  private lines: string[] = [];
+  // Comments not yet written, in source order
+  private comments: CommentNode[];
+  // Last source line written, used to keep blank lines the author left
+  private lastLine = 0;
+  private previous?: LineKind;
+
+  private constructor(comments: CommentNode[]) {
+    this.comments = [...comments].sort((a, b) => comparePositions(a.span, b.span));
+  }
+
+  static print(ast: SchemaAST): string {
+    const printer = new Printer(ast.comments ?? []);
+    printer.printSchema(ast);
+    return printer.lines.length > 0 ? `${printer.lines.join('\n')}\n` : '';
+  }
+
+  private printSchema(ast: SchemaAST): void {
+    // Declarations are stored by kind, so restore the order they were written in
+    const declarations: Declaration[] = [
+      ...(ast.includes ?? []).map((node) => ({ kind: 'include' as const, node })),
+      ...(ast.enums ?? []).map((node) => ({ kind: 'enum' as const, node })),
+      ...(ast.typeAliases ?? []).map((node) => ({ kind: 'typeAlias' as const, node })),
+      ...(ast.mixins ?? []).map((node) => ({ kind: 'mixin' as const, node })),
+      ...ast.models.map((node) => ({ kind: 'model' as const, node })),
+      ...(ast.alterations ?? []).map((node) => ({ kind: 'alter' as const, node })),
+      ...(ast.views ?? []).map((node) => ({ kind: 'view' as const, node })),
+      ...ast.rawSql.map((node) => ({ kind: 'rawSql' as const, node })),
+    ].sort((a, b) => comparePositions(a.node.span, b.node.span));
+
+    for (const declaration of declarations) {
+      const doc = declaration.kind === 'model' ? declaration.node.doc : undefined;
+      const startLine = firstLine(declaration.node.span, doc);
+      this.printTopLevelComments(startLine);
+
+      const kind = lineKind(declaration);
+      this.separate(startLine, kind);
+
+      switch (declaration.kind) {
+        case 'model':
+          this.printModel(declaration.node);
+          break;
+        case 'enum':
+          this.printEnum(declaration.node);
+          break;
+        case 'mixin':
+          this.printColumnBlock(`mixin ${declaration.node.name} {`, declaration.node);
+          break;
+        case 'include':
+          this.writeLine(`include ${quote(declaration.node.path)}`, declaration.node.span);
+          break;
+        case 'typeAlias': {
+          const keyword = declaration.node.domain ? 'domain' : 'type';
+          const definition = formatColumnDefinition(declaration.node);
+          this.writeLine(`${keyword} ${declaration.node.name} = ${definition}`, declaration.node.span);
+          break;
+        }
+        case 'alter':
+          this.printAlterModel(declaration.node);
+          break;
+        case 'view':
+          this.printView(declaration.node);
+          break;
+        case 'rawSql':
+          this.printRawSql(declaration.node);
+          break;
+      }
+
+      this.previous = kind;
+    }
+
+    this.printTopLevelComments(undefined);
+  }
+
+  private printModel(model: ModelNode): void {
+    const mixins = model.mixins ? ` with ${model.mixins.join(', ')}` : '';
+    this.lines.push(...docLines(model.doc));
+    this.printColumnBlock(`model ${qualifiedName(model)}${mixins} {`, model);
+  }
+
+  /**
+   * Print a model or mixin body: aligned columns followed by @@attributes
+   */
+  private printColumnBlock(header: string, model: ModelNode | MixinNode): void {
+    const columnLines = alignColumns(
+      model.columns.map((column) => [
+        column.name,
+        formatType(column),
+        column.decorators.map((d) => formatDecorator(d, '@')).join(' '),
+      ])
+    );
+
+    const lines: BlockLine[] = [
+      ...model.columns.map((column, i) => ({
+        text: columnLines[i],
+        doc: column.doc,
+        span: column.span,
+      })),
+      ...(model.attributes ?? []).map((attribute) => ({
+        text: formatDecorator(attribute, '@@'),
+        span: attribute.span,
+      })),
+    ];
+
+    this.printBlock(header, lines, model.span);
+  }
+
+  /**
+   * Enums written on one line stay on one line; otherwise values keep the
+   * line grouping they were written with
+   */
+  private printEnum(enumNode: EnumNode): void {
+    const values = enumNode.values.map(formatName);
+    const span = enumNode.span;
+
+    if (!span || span.start.line === span.end.line || !enumNode.valueSpans) {
+      this.writeLine(`enum ${enumNode.name} { ${values.join(' ')} }`, span);
+      return;
+    }
+
+    const lines: BlockLine[] = [];
+    enumNode.valueSpans.forEach((valueSpan, i) => {
+      const last = lines[lines.length - 1];
+      if (last?.span && last.span.start.line === valueSpan.start.line) {
+        last.text += ` ${values[i]}`;
+      } else {
+        lines.push({ text: values[i], span: valueSpan });
+      }
+    });
+
+    this.printBlock(`enum ${enumNode.name} {`, lines, span);
+  }
+
+  private printAlterModel(alter: AlterModelNode): void {
+    const lines = alter.operations.map((operation) => ({
+      text: formatAlterOperation(operation),
+      doc: operation.action === 'add' || operation.action === 'change'
+        ? operation.column.doc
+        : undefined,
+      span: operation.span,
+    }));
+    this.printBlock(`alter model ${qualifiedName(alter)} {`, lines, alter.span);
+  }
+
+  /**
+   * The query goes in a triple-quoted block, indented one level
+   */
+  private printView(view: ViewNode): void {
+    const keyword = view.materialized ? 'materialized view' : 'view';
+    const [first, ...rest] = formatSqlBlock(view.query, INDENT).split('\n');
+    this.lines.push(`${keyword} ${qualifiedName(view)} as ${first}`);
+    this.lines.push(...rest.slice(0, -1));
+    this.writeLine(rest[rest.length - 1], view.span && { ...view.span, start: view.span.end });
+  }
+
+  /**
+   * Multi-line SQL is printed as a fenced block, the rest as a single line
+   */
+  private printRawSql(rawSql: RawSqlNode): void {
+    const prefix = rawSql.direction === 'down' ? '<' : '>';
+    if (!rawSql.sql.includes('\n')) {
+      this.writeLine(`${prefix} ${rawSql.sql}`.trimEnd(), rawSql.span);
+      return;
+    }
+
+    const lines = `${prefix} ${formatSqlBlock(rawSql.sql, INDENT)}`.split('\n');
+    this.lines.push(...lines.slice(0, -1));
+    this.writeLine(lines[lines.length - 1], rawSql.span && { ...rawSql.span, start: rawSql.span.end });
+  }
+
+  /**
+   * Print a braced block with one line per item, keeping comments and single
+   * blank lines between items
+   */
+  private printBlock(header: string, items: BlockLine[], span?: SourceSpan): void {
+    this.lines.push(header + this.trailingComment(span?.start.line));
+    this.lastLine = span?.start.line ?? this.lastLine;
+
+    let first = true;
+    const writeItem = (text: string, itemSpan?: SourceSpan, doc?: string) => {
+      const startLine = firstLine(itemSpan, doc);
+      if (!first && startLine !== undefined && startLine - this.lastLine > 1) {
+        this.lines.push('');
+      }
+      this.lines.push(...docLines(doc).map((line) => INDENT + line));
+      this.writeLine(INDENT + text, itemSpan);
+      first = false;
+    };
+
+    for (const item of items) {
+      for (const comment of this.takeComments(firstLine(item.span, item.doc))) {
+        writeItem(comment.text, comment.span);
+      }
+      writeItem(item.text, item.span, item.doc);
+    }
+
+    for (const comment of this.takeComments(span?.end.line)) {
+      writeItem(comment.text, comment.span);
+    }
+
+    this.writeLine('}', span && { ...span, start: span.end });
+  }
+
+  private printTopLevelComments(beforeLine: number | undefined): void {
+    const comments = beforeLine === undefined
+      ? this.comments.splice(0)
+      : this.takeComments(beforeLine);
+
+    for (const comment of comments) {
+      this.separate(comment.span?.start.line, 'comment');
+      this.writeLine(comment.text, comment.span);
+      this.previous = 'comment';
+    }
+  }
+
+  /**
+   * Add a blank line before a top-level item where the author left one, after
+   * every block, and after a run of one-line declarations unless a comment follows
+   */
+  private separate(line: number | undefined, next: LineKind): void {
+    if (this.previous === undefined) return;
+
+    const gap = line !== undefined && line - this.lastLine > 1;
+    const endsRun = this.previous !== 'comment' && next !== 'comment' && next !== this.previous;
+    if (gap || this.previous === 'block' || endsRun) {
+      this.lines.push('');
+    }
+  }
+
+  /**
+   * Write a line followed by any comment that ended its source line
+   */
+  private writeLine(text: string, span?: SourceSpan): void {
+    this.lines.push(text + this.trailingComment(span?.end.line));
+    if (span) {
+      this.lastLine = span.end.line;
+    }
+  }
+
+  private trailingComment(line: number | undefined): string {
+    if (line === undefined || this.comments[0]?.span?.start.line !== line) {
+      return '';
+    }
+    return ` ${this.comments.shift()!.text}`;
+  }
+
+  /**
+   * Remove and return the comments that start before the given line
+   */
+  private takeComments(line: number | undefined): CommentNode[] {
+    if (line === undefined) return [];
+
+    const count = this.comments.findIndex((c) => !c.span || c.span.start.line >= line);
+    return this.comments.splice(0, count === -1 ? this.comments.length : count);
+  }
+}
+
+function lineKind(declaration: Declaration): LineKind {
+  switch (declaration.kind) {
+    case 'rawSql':
+      // Fenced blocks are separated like other blocks
+      return declaration.node.sql.includes('\n') ? 'block' : 'rawSql';
+    case 'include':
+    case 'typeAlias':
+      return declaration.kind;
+    default:
+      return 'block';
+  }
+}
+
+function docLines(doc: string | undefined): string[] {
+  return doc === undefined ? [] : formatDocComment(doc);
+}
+
+/**
+ * The source line a node starts on, counting the /// lines written above it
+ */
+function firstLine(span: SourceSpan | undefined, doc: string | undefined): number | undefined {
+  return span && span.start.line - docLines(doc).length;
+}
+
+function formatAlterOperation(operation: AlterOperationNode): string {
+  switch (operation.action) {
+    case 'add':
+      return `add ${operation.column.name} ${formatColumnDefinition(operation.column)}`;
+
+    case 'drop':
+      return operation.previous
+        ? `drop ${operation.name} ${formatColumnDefinition(operation.previous)}`
+        : `drop ${operation.name}`;
+
+    case 'rename':
+      return `rename ${operation.from} -> ${operation.to}`;
+
+    case 'change': {
+      const change = `change ${operation.column.name} ${formatColumnDefinition(operation.column)}`;
+      return operation.previous
+        ? `${change} from ${formatColumnDefinition(operation.previous)}`
+        : change;
+    }
+  }
+}
+
+/**
+ * A column's or type alias's type and decorators, without its name
+ */
+function formatColumnDefinition(column: ColumnNode | TypeAliasNode): string {
+  return [formatType(column), ...column.decorators.map((d) => formatDecorator(d, '@'))].join(' ');
+}
+
+function formatType(column: ColumnNode | TypeAliasNode): string {
+  const suffix = column.array ? '[]' : '';
+  if (!column.typeArgs) {
+    return column.type + suffix;
+  }
+  const args = column.typeArgs.map((arg) => (isNumber(arg) ? arg : quote(arg)));
+  return `${column.type}(${args.join(', ')})${suffix}`;
+}
+
+function formatDecorator(decorator: DecoratorNode, prefix: '@' | '@@'): string {
+  if (decorator.args === undefined && decorator.namedArgs === undefined) {
+    return `${prefix}${decorator.name}`;
+  }
+
+  const args = (decorator.args ?? []).map((arg, i) =>
+    EXPRESSION_DECORATORS.includes(decorator.name) && i === 0 && decorator.argKinds?.[i] !== 'sql'
+      ? quote(arg, '"')
+      : formatArgument(arg, decorator.argKinds?.[i])
+  );
+  const namedArgs = Object.entries(decorator.namedArgs ?? {}).map(([key, value]) =>
+    EXPRESSION_NAMED_ARGS.includes(key)
+      ? `${key}: ${quote(value, '"')}`
+      : `${key}: ${formatArgument(value, decorator.namedArgKinds?.[key])}`
+  );
+
+  return `${prefix}${decorator.name}(${[...args, ...namedArgs].join(', ')})`;
+}
+
+/**
+ * Write an argument the way it was parsed. Hand-built ASTs carry no argument
+ * kinds, so numbers and Table.column references stay bare and the rest is quoted.
+ */
+function formatArgument(value: string, kind?: ArgumentKind): string {
+  // SQL expressions usually contain single quotes, so they read best in double
+  // quotes; the same goes for @generated and @check expressions
+  if (kind === 'sql') {
+    return `sql(${quote(value, '"')})`;
+  }
+  const resolved = kind ?? (isNumber(value) || isReference(value) ? 'identifier' : 'string');
+  return resolved === 'string' ? quote(value) : value;
+}
+
+/**
+ * Names and enum values are only quoted when they would not lex as an identifier
+ */
+function formatName(value: string): string {
+  return isIdentifier(value) ? value : quote(value);
+}
+
+function isNumber(value: string): boolean {
+  return /^\d+(\.\d+)?$/.test(value);
+}
+
+function isReference(value: string): boolean {
+  return value.split('.').every(isIdentifier);
+}
+
+function quote(value: string, mark: "'" | '"' = "'"): string {
+  const escaped = value
+    .replace(/\\/g, '\\\\')
+    .replace(new RegExp(mark, 'g'), `\\${mark}`)
+    .replace(/\n/g, '\\n')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r');
+  return `${mark}${escaped}${mark}`;
+}
+
+/**
+ * Order by start position; nodes without a span keep their relative order at the end
+ */
+function comparePositions(a?: SourceSpan, b?: SourceSpan): number {
+  if (!a || !b) {
+    return (a ? 0 : 1) - (b ? 0 : 1);
+  }
+  return a.start.line - b.start.line || a.start.column - b.start.column;
+}
@@ -0,0 +1,187 @@
+/**
+ * Relations: Expands `tags Tag[] @manyToMany` into an explicit join model
+ * Like mixins, expansion runs after parsing so the printer keeps the shorthand,
+ * while the analyzer, generators and other tools see an ordinary model with two
+ * @ref columns.
+ */
+
+import {
+  SchemaAST,
+  ModelNode,
+  ColumnNode,
+  DecoratorNode,
+  SourceSpan,
+  ParseError,
+  qualifiedName,
+} from './types.js';
+
+/**
+ * A many-to-many relation read from one side's @manyToMany field
+ */
+interface Relation {
+  joinName: string;
+  // The model declaring the relation, whose schema the join model joins
+  owner: ModelNode;
+  // Both ends, ordered by model name so either side describes the same table
+  ends: [ModelNode, ModelNode];
+  span?: SourceSpan;
+}
+
+/**
+ * Replace each @manyToMany field with a join model named after the two models
+ * in alphabetical order (PostTag), or after the decorator's argument:
+ * `@manyToMany("Wishlist")`. The join model has one column per side, named
+ * after the model and its primary key (postId, tagId), each referencing its
+ * model with ON DELETE CASCADE. Together they form the primary key, and the
+ * second column gets an index of its own for lookups from that side. Declaring
+ * the relation on both models produces a single join model. The other side may
+ * be one of `existingModels`, the models created by earlier migrations.
+ *
+ * @throws {ParseError} For relations to unknown models, models without a
+ * single-column primary key, self relations and join model name clashes
+ */
+export function expandRelations(ast: SchemaAST, existingModels: ModelNode[] = []): SchemaAST {
+  const hasRelation = (column: ColumnNode) => column.decorators.some((d) => d.name === 'manyToMany');
+  for (const alter of ast.alterations ?? []) {
+    for (const operation of alter.operations) {
+      if (operation.action === 'add' && hasRelation(operation.column)) {
+        throw errorAt(
+          `@manyToMany cannot be added in an alter model block. Declare the join model with two @ref columns instead`,
+          operation.column.span
+        );
+      }
+    }
+  }
+  if (!ast.models.some((model) => model.columns.some(hasRelation))) {
+    return ast;
+  }
+
+  const models = new Map(ast.models.map((model) => [qualifiedName(model), model]));
+  // This migration's models win over earlier ones of the same name
+  const knownModels = new Map([...existingModels, ...ast.models].map((model) => [qualifiedName(model), model]));
+  const relations = new Map<string, Relation>();
+  for (const model of ast.models) {
+    for (const column of model.columns.filter(hasRelation)) {
+      const relation = readRelation(model, column, knownModels);
+      const existing = relations.get(relation.joinName);
+      if (existing && (existing.ends[0] !== relation.ends[0] || existing.ends[1] !== relation.ends[1])) {
+        throw errorAt(`Join model "${relation.joinName}" is generated by two different relations`, column.span);
+      }
+      if (!existing && models.has(qualifiedName({ name: relation.joinName, schema: model.schema }))) {
+        throw errorAt(
+          `Join model "${relation.joinName}" for "${model.name}.${column.name}" clashes with a declared model. ` +
+            `Name it with @manyToMany("...")`,
+          column.span
+        );
+      }
+      relations.set(relation.joinName, existing ?? relation);
+    }
+  }
+
+  return {
+    ...ast,
+    models: [
+      ...ast.models.map((model) => ({ ...model, columns: model.columns.filter((column) => !hasRelation(column)) })),
+      ...[...relations.values()].map(buildJoinModel),
+    ],
+  };
+}
+
+function readRelation(model: ModelNode, column: ColumnNode, models: Map<string, ModelNode>): Relation {
+  const field = `${model.name}.${column.name}`;
+  const decorator = column.decorators.find((d) => d.name === 'manyToMany')!;
+  if (!column.array) {
+    throw errorAt(`@manyToMany on "${field}" needs a list type, e.g. ${column.name} ${column.type}[]`, column.span);
+  }
+  if (column.decorators.length > 1) {
+    throw errorAt(`@manyToMany on "${field}" cannot be combined with other decorators`, column.span);
+  }
+  const kind = decorator.argKinds?.[0];
+  if ((decorator.args?.length ?? 0) > 1 || (kind && kind !== 'string') || decorator.namedArgs) {
+    throw errorAt(
+      `@manyToMany on "${field}" takes only a quoted join model name, e.g. @manyToMany("PostTag")`,
+      column.span
+    );
+  }
+
+  const target = models.get(qualifiedName({ name: column.type, schema: model.schema })) ?? models.get(column.type);
+  if (!target) {
+    throw errorAt(`@manyToMany on "${field}" references unknown model "${column.type}"`, column.span);
+  }
+  if (target === model) {
+    throw errorAt(
+      `@manyToMany on "${field}" relates "${model.name}" to itself. ` +
+        `Declare the join model with two @ref columns instead`,
+      column.span
+    );
+  }
+
+  const ends = [model, target].sort((a, b) => a.name.localeCompare(b.name)) as [ModelNode, ModelNode];
+  return {
+    joinName: decorator.args?.[0] ?? `${ends[0].name}${ends[1].name}`,
+    owner: model,
+    ends,
+    span: column.span,
+  };
+}
+
+function buildJoinModel(relation: Relation): ModelNode {
+  const { joinName, owner, ends, span } = relation;
+  const columns = ends.map((end) => joinColumn(end, span));
+  const attribute = (name: string, args: string[]): DecoratorNode => ({
+    name,
+    args,
+    argKinds: args.map(() => 'identifier'),
+    span,
+  });
+
+  return {
+    name: joinName,
+    schema: owner.schema,
+    columns,
+    attributes: [attribute('pk', columns.map((c) => c.name)), attribute('index', [columns[1].name])],
+    span,
+  };
+}
+
+/**
+ * The join model's column for one end: the end's primary key type, referencing
+ * it with ON DELETE CASCADE
+ */
+function joinColumn(model: ModelNode, span?: SourceSpan): ColumnNode {
+  const key = primaryKey(model, span);
+  return {
+    name: `${lowerFirst(model.name)}${key.name.charAt(0).toUpperCase()}${key.name.slice(1)}`,
+    // Serial is an INTEGER that auto-increments; the copy only stores values
+    type: key.type === 'Serial' ? 'Int' : key.type,
+    typeArgs: key.typeArgs,
+    decorators: [
+      { name: 'ref', args: [`${qualifiedName(model)}.${key.name}`], argKinds: ['identifier'], span },
+      { name: 'onDelete', args: ['cascade'], argKinds: ['identifier'], span },
+    ],
+    span,
+  };
+}
+
+function primaryKey(model: ModelNode, span?: SourceSpan): ColumnNode {
+  const keyColumns = model.columns.filter((column) => column.decorators.some((d) => d.name === 'pk'));
+  const compositeKey = model.attributes?.find((attribute) => attribute.name === 'pk')?.args ?? [];
+  const names = [...keyColumns.map((column) => column.name), ...compositeKey];
+  const key = names.length === 1 ? model.columns.find((column) => column.name === names[0]) : undefined;
+  if (!key) {
+    throw errorAt(
+      `@manyToMany needs model "${model.name}" to have a single-column primary key. ` +
+        `Declare the join model with @ref columns instead`,
+      span
+    );
+  }
+  return key;
+}
+
+function lowerFirst(name: string): string {
+  return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+function errorAt(message: string, span?: SourceSpan): ParseError {
+  return new ParseError(message, span?.start.line, span?.start.column, span?.file);
+}
@@ -0,0 +1,208 @@
+/**
+ * Type Aliases: Replaces `type Email = VarChar(320) @notnull` aliases with the
+ * types and decorators they stand for, so generators only see built-in types,
+ * enums and (on PostgreSQL) domains
+ */
+
+import {
+  SchemaAST,
+  ColumnNode,
+  DecoratorNode,
+  TypeAliasNode,
+  AlterOperationNode,
+  SourceSpan,
+  ParseError,
+} from './types.js';
+
+/**
+ * Expand every column whose type is an alias. The alias's decorators are applied
+ * first and the column's own decorators replace any with the same name, so
+ * `email Email @default('')` keeps the alias's @notnull. Aliases may refer to
+ * other aliases. The returned schema's `typeAliases` are resolved too, which is
+ * what generators use to create domains.
+ *
+ * @param included - Type aliases declared in files the schema includes
+ * @throws {ParseError} For alias cycles, name clashes and arguments on an alias
+ */
+export function expandTypeAliases(ast: SchemaAST, included: TypeAliasNode[] = []): SchemaAST {
+  const declared = [...included, ...(ast.typeAliases ?? [])];
+  if (declared.length === 0) {
+    return ast;
+  }
+
+  const enumNames = new Set((ast.enums ?? []).map((e) => e.name));
+  const aliases = new Map<string, TypeAliasNode>();
+  for (const alias of declared) {
+    const existing = aliases.get(alias.name);
+    if (existing && existing !== alias) {
+      const where = existing.span?.file ? ` in ${existing.span.file}` : '';
+      throw errorAt(`Type alias "${alias.name}" is already declared${where}`, alias.span);
+    }
+    if (enumNames.has(alias.name)) {
+      throw errorAt(`Type alias "${alias.name}" has the same name as an enum`, alias.span);
+    }
+    aliases.set(alias.name, alias);
+  }
+
+  const resolver = new AliasResolver(aliases);
+  const expandColumn = (column: ColumnNode) => resolver.expandColumn(column);
+
+  return {
+    ...ast,
+    models: ast.models.map((model) => ({ ...model, columns: model.columns.map(expandColumn) })),
+    alterations: ast.alterations?.map((alter) => ({
+      ...alter,
+      operations: alter.operations.map((operation) => expandOperation(operation, expandColumn)),
+    })),
+    typeAliases: ast.typeAliases?.map((alias) => resolver.resolve(alias)),
+  };
+}
+
+function expandOperation(
+  operation: AlterOperationNode,
+  expandColumn: (column: ColumnNode) => ColumnNode
+): AlterOperationNode {
+  switch (operation.action) {
+    case 'add':
+      return { ...operation, column: expandColumn(operation.column) };
+    case 'change':
+      return {
+        ...operation,
+        column: expandColumn(operation.column),
+        previous: operation.previous && expandColumn(operation.previous),
+      };
+    case 'drop':
+      return { ...operation, previous: operation.previous && expandColumn(operation.previous) };
+    case 'rename':
+      return operation;
+  }
+}
+
+/**
+ * An alias with its chain of aliases followed down to a built-in type or enum
+ */
+interface ResolvedAlias {
+  alias: TypeAliasNode;
+  // Nearest domain alias in the chain, if any
+  domain?: string;
+}
+
+class AliasResolver {
+  private resolved = new Map<string, ResolvedAlias>();
+  // Aliases being resolved, to detect cycles
+  private resolving = new Set<string>();
+
+  constructor(private aliases: Map<string, TypeAliasNode>) {}
+
+  expandColumn(column: ColumnNode): ColumnNode {
+    const alias = this.aliases.get(column.type);
+    if (!alias) {
+      return column;
+    }
+
+    if (column.typeArgs) {
+      throw errorAt(
+        `Type alias "${alias.name}" does not accept arguments (column "${column.name}")`,
+        column.span
+      );
+    }
+
+    const { alias: base, domain } = this.resolveChain(alias);
+    if (column.array && base.array) {
+      throw errorAt(
+        `Type alias "${alias.name}" is already an array type (column "${column.name}")`,
+        column.span
+      );
+    }
+    if (column.array && domain) {
+      throw errorAt(
+        `Domain "${domain}" cannot be used as an array element (column "${column.name}"). Declare the domain as an array type instead`,
+        column.span
+      );
+    }
+
+    const expanded: ColumnNode = {
+      ...column,
+      type: base.type,
+      typeArgs: base.typeArgs,
+      decorators: mergeDecorators(base.decorators, column.decorators),
+    };
+    if (base.array) {
+      expanded.array = true;
+    }
+    if (domain) {
+      expanded.domain = domain;
+    }
+    return expanded;
+  }
+
+  resolve(alias: TypeAliasNode): TypeAliasNode {
+    return this.resolveChain(alias).alias;
+  }
+
+  private resolveChain(alias: TypeAliasNode): ResolvedAlias {
+    const cached = this.resolved.get(alias.name);
+    if (cached) {
+      return cached;
+    }
+
+    const target = this.aliases.get(alias.type);
+    let result: ResolvedAlias = { alias, domain: alias.domain ? alias.name : undefined };
+
+    if (target) {
+      if (this.resolving.has(alias.name)) {
+        throw errorAt(`Type alias "${alias.name}" refers to itself`, alias.span);
+      }
+      if (alias.typeArgs) {
+        throw errorAt(
+          `Type alias "${target.name}" does not accept arguments (alias "${alias.name}")`,
+          alias.span
+        );
+      }
+
+      this.resolving.add(alias.name);
+      const base = this.resolveChain(target);
+      this.resolving.delete(alias.name);
+      if (alias.array && base.alias.array) {
+        throw errorAt(
+          `Type alias "${target.name}" is already an array type (alias "${alias.name}")`,
+          alias.span
+        );
+      }
+      if (alias.array && base.domain) {
+        throw errorAt(
+          `Domain "${base.domain}" cannot be used as an array element (alias "${alias.name}"). Declare the domain as an array type instead`,
+          alias.span
+        );
+      }
+
+      result = {
+        alias: {
+          ...alias,
+          type: base.alias.type,
+          typeArgs: base.alias.typeArgs,
+          decorators: mergeDecorators(base.alias.decorators, alias.decorators),
+        },
+        domain: result.domain ?? base.domain,
+      };
+      if (base.alias.array) {
+        result.alias.array = true;
+      }
+    }
+
+    this.resolved.set(alias.name, result);
+    return result;
+  }
+}
+
+/**
+ * Apply overrides on top of base decorators, replacing any with the same name
+ */
+function mergeDecorators(base: DecoratorNode[], overrides: DecoratorNode[]): DecoratorNode[] {
+  const overridden = new Set(overrides.map((d) => d.name));
+  return [...base.filter((d) => !overridden.has(d.name)), ...overrides];
+}
+
+function errorAt(message: string, span?: SourceSpan): ParseError {
+  return new ParseError(message, span?.start.line, span?.start.column, span?.file);
+}
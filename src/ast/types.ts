@@ -8,16 +8,25 @@ export type TokenType =
   | 'IDENTIFIER'
   | 'TYPE'
   | 'DECORATOR'
+  | 'MODEL_ATTRIBUTE'
   | 'LPAREN'
   | 'RPAREN'
   | 'LBRACE'
   | 'RBRACE'
+  | 'LBRACKET'
+  | 'RBRACKET'
   | 'COMMA'
   | 'DOT'
+  | 'SEMICOLON'
+  | 'COLON'
+  | 'ARROW'
+  | 'EQUALS'
   | 'STRING'
   | 'NUMBER'
   | 'COMMENT'
+  | 'DOC_COMMENT'
   | 'RAW_SQL'
+  | 'RAW_SQL_DOWN'
   | 'NEWLINE'
   | 'EOF';
 
@@ -26,32 +35,181 @@ export interface Token {
   value: string;
   line: number;
   column: number;
+  endLine?: number; // Position just past the token's last character
+  endColumn?: number;
 }
 
+/**
+ * Where a node came from in its source file.
+ * Lines and columns are 1-based; end points just past the node's last character.
+ */
+export interface SourceSpan {
+  file?: string;
+  start: { line: number; column: number };
+  end: { line: number; column: number };
+}
+
+/**
+ * How a decorator argument was written: a quoted string, a number, a bare
+ * identifier such as now or User.id, or a raw SQL expression written sql("...")
+ */
+export type ArgumentKind = 'string' | 'number' | 'identifier' | 'sql';
+
 export interface DecoratorNode {
   name: string; // e.g., 'pk', 'unique', 'default', 'ref', 'onDelete'
   args?: string[]; // e.g., ['admin', 'guest'] for Enum, ['User.id'] for @ref
+  namedArgs?: Record<string, string>; // e.g., { name: 'users_email_key' } for @unique(name: "users_email_key")
+  argKinds?: ArgumentKind[]; // parallel to args, e.g., ['string'] for @default('guest')
+  namedArgKinds?: Record<string, ArgumentKind>; // parallel to namedArgs
+  span?: SourceSpan;
 }
 
 export interface ColumnNode {
   name: string; // e.g., 'id', 'email'
-  type: string; // e.g., 'Serial', 'VarChar', 'Int'
+  type: string; // e.g., 'Serial', 'VarChar', 'Int', or a named enum like 'Status'
   typeArgs?: string[]; // e.g., ['255'] for VarChar(255)
+  array?: boolean; // e.g., true for Text[]
   decorators: DecoratorNode[]; // e.g., [@pk, @unique]
+  doc?: string; // from /// comments above the column, emitted as a database comment
+  domain?: string; // set by type alias expansion when the type came from a `domain` alias
+  span?: SourceSpan;
 }
 
 export interface ModelNode {
   name: string; // e.g., 'User', 'Post'
+  schema?: string; // e.g., 'auth' for `model auth.User`; the connection's default schema when absent
   columns: ColumnNode[];
+  attributes?: DecoratorNode[]; // e.g., [@@pk(postId, tagId), @@index(createdAt)]
+  mixins?: string[]; // e.g., ['Timestamps'] for `model Post with Timestamps`, until expanded
+  doc?: string; // from /// comments above the model, emitted as a database comment
+  span?: SourceSpan;
+}
+
+/**
+ * A reusable group of columns and attributes, copied into every model that
+ * names it in a `with` clause. Mixins do not create tables themselves.
+ */
+export interface MixinNode {
+  name: string; // e.g., 'Timestamps'
+  columns: ColumnNode[];
+  attributes?: DecoratorNode[];
+  span?: SourceSpan;
+}
+
+/**
+ * A named column type: `type Email = VarChar(320) @notnull`.
+ * Columns using the alias get its type and decorators; decorators written on
+ * the column win. `domain` aliases also become a CREATE DOMAIN on PostgreSQL.
+ */
+export interface TypeAliasNode {
+  name: string; // e.g., 'Email'
+  type: string; // e.g., 'VarChar', or another alias
+  typeArgs?: string[]; // e.g., ['320']
+  array?: boolean; // e.g., true for `type Tags = Text[]`
+  decorators: DecoratorNode[]; // e.g., [@notnull]
+  domain?: boolean; // declared with `domain` instead of `type`
+  span?: SourceSpan;
+}
+
+/**
+ * An `include "./shared.sact"` directive. The path is resolved relative to the
+ * migrations directory; included files may only declare mixins and type aliases.
+ */
+export interface IncludeNode {
+  path: string;
+  span?: SourceSpan;
+}
+
+export interface EnumNode {
+  name: string; // e.g., 'Status'
+  values: string[]; // e.g., ['active', 'suspended']
+  valueSpans?: SourceSpan[]; // parallel to values
+  span?: SourceSpan;
+}
+
+/**
+ * A view: `view ActiveUsers as """SELECT ..."""`. The query is passed through
+ * as SQL. Materialized views are PostgreSQL only.
+ */
+export interface ViewNode {
+  name: string; // e.g., 'ActiveUsers'
+  schema?: string; // e.g., 'reporting' for `view reporting.ActiveUsers`
+  query: string; // e.g., 'SELECT * FROM "User" WHERE "isActive"'
+  materialized?: boolean; // declared with `materialized view`
+  span?: SourceSpan;
 }
 
 export interface RawSqlNode {
   sql: string;
+  direction?: 'up' | 'down'; // '>' lines run on up (default), '<' lines run on down
+  span?: SourceSpan;
+}
+
+/**
+ * Column operations inside an `alter model` block.
+ * `previous` holds the original column definition when the author declares it,
+ * which is what makes drop and change operations reversible.
+ */
+export interface AddColumnNode {
+  action: 'add';
+  column: ColumnNode; // e.g., add phone VarChar(20)
+  span?: SourceSpan;
+}
+
+export interface DropColumnNode {
+  action: 'drop';
+  name: string; // e.g., drop legacyId
+  previous?: ColumnNode; // e.g., drop legacyId Int @notnull
+  span?: SourceSpan;
+}
+
+export interface RenameColumnNode {
+  action: 'rename';
+  from: string; // e.g., rename name -> fullName
+  to: string;
+  span?: SourceSpan;
+}
+
+export interface ChangeColumnNode {
+  action: 'change';
+  column: ColumnNode; // e.g., change bio Text @notnull
+  previous?: ColumnNode; // e.g., ... from VarChar(500)
+  span?: SourceSpan;
+}
+
+export type AlterOperationNode =
+  | AddColumnNode
+  | DropColumnNode
+  | RenameColumnNode
+  | ChangeColumnNode;
+
+export interface AlterModelNode {
+  name: string; // e.g., 'User'
+  schema?: string; // e.g., 'auth' for `alter model auth.User`
+  operations: AlterOperationNode[];
+  span?: SourceSpan;
+}
+
+/**
+ * A `#` comment. Comments do not affect generated SQL; they are kept so the
+ * formatter can write them back.
+ */
+export interface CommentNode {
+  text: string; // e.g., '# Users table', including the leading '#'
+  span?: SourceSpan;
 }
 
 export interface SchemaAST {
   models: ModelNode[];
   rawSql: RawSqlNode[];
+  alterations?: AlterModelNode[];
+  enums?: EnumNode[];
+  existingEnums?: EnumNode[]; // enums declared by earlier migrations: usable as column types, not created again
+  mixins?: MixinNode[];
+  typeAliases?: TypeAliasNode[];
+  includes?: IncludeNode[];
+  views?: ViewNode[];
+  comments?: CommentNode[];
 }
 
 /**
@@ -86,7 +244,8 @@ export interface Ledger {
  * All introspectors must implement this interface
  */
 export interface SchemaIntrospector {
-  introspect(schema?: string): Promise<string>;
+  // Several schemas are pulled into one file, the first written unqualified
+  introspect(schema?: string | string[]): Promise<string>;
 }
 
 /**
@@ -94,11 +253,24 @@ export interface SchemaIntrospector {
  * FIX CRITICAL-1: Added file size validation options
  * FIX MEDIUM-1: Added logging configuration
  */
+/**
+ * How model and column names become table and column names when no @@map or
+ * @map says otherwise. Without a strategy, names are used as written.
+ */
+export interface NamingStrategy {
+  /** 'snake_case' turns BlogPost into blog_post and createdAt into created_at */
+  case?: 'snake_case';
+  /** Pluralize table names: BlogPost becomes blog_posts with snake_case, BlogPosts without */
+  pluralizeTables?: boolean;
+}
+
 export interface SchemactConfig {
   adapter: DbAdapter;
   generator?: SqlGenerator; // FIX BUG-045: Changed from any to SqlGenerator
   migrationsPath?: string;
   ledgerPath?: string;
+  /** Naming strategy for tables and columns, also used by `schemact pull` */
+  naming?: NamingStrategy;
 
   // FIX CRITICAL-1: File size validation (DoS prevention)
   /** Maximum size for a single migration file in bytes (default: 5MB) */
@@ -204,6 +376,17 @@ export interface SqlGenerator {
   generateDown(ast: SchemaAST): string[];
 }
 
+/**
+ * A problem found by the semantic analyzer, positioned in its migration file
+ */
+export interface Diagnostic {
+  severity: 'error' | 'warning';
+  message: string;
+  file?: string;
+  line?: number;
+  column?: number;
+}
+
 /**
  * Custom Error Types
  * FIX LOW-2: Documented error handling hierarchy
@@ -212,7 +395,9 @@ export interface SqlGenerator {
  * - SchemactError (base): General errors in Schemact operations
  *   - IntegrityError: Migration integrity violations (hash mismatch, missing files, ledger corruption, lock failures)
  *   - ParseError: Syntax errors in .sact migration files
+ *     - ParseErrorList: All syntax errors collected by a recovering parse
  *   - GeneratorError: SQL generation failures
+ *   - ValidationError: Semantic errors found across migration files before any SQL runs
  *
  * Usage Guidelines:
  * - Catch SchemactError to handle all Schemact-specific errors
@@ -248,18 +433,79 @@ export class IntegrityError extends SchemactError {
 }
 
 export class ParseError extends SchemactError {
-  constructor(message: string, line?: number, column?: number) {
-    const location = line !== undefined && column !== undefined
-      ? ` at line ${line}, column ${column}`
-      : '';
+  line?: number;
+  column?: number;
+  file?: string;
+
+  constructor(message: string, line?: number, column?: number, file?: string) {
+    let location = '';
+    if (line !== undefined && column !== undefined) {
+      location = file ? ` at ${file}:${line}:${column}` : ` at line ${line}, column ${column}`;
+    }
     super(`Parse error${location}: ${message}`);
     this.name = 'ParseError';
+    this.line = line;
+    this.column = column;
+    this.file = file;
+  }
+}
+
+/**
+ * Every syntax error found by a recovering parse, in source order.
+ * Extends ParseError so existing handlers keep working; line, column and file
+ * point at the first error.
+ */
+export class ParseErrorList extends ParseError {
+  errors: ParseError[];
+
+  constructor(errors: ParseError[]) {
+    const [first] = errors;
+    super(first.message, first.line, first.column, first.file);
+    this.name = 'ParseErrorList';
+    this.message = errors.length === 1
+      ? first.message
+      : `Found ${errors.length} parse errors:\n${errors.map((e) => `  ${e.message}`).join('\n')}`;
+    this.errors = errors;
   }
 }
 
 export class GeneratorError extends SchemactError {
-  constructor(message: string) {
-    super(message);
+  span?: SourceSpan;
+
+  constructor(message: string, span?: SourceSpan) {
+    super(span ? `${formatSourceSpan(span)}: ${message}` : message);
     this.name = 'GeneratorError';
+    this.span = span;
+  }
+}
+
+export class ValidationError extends SchemactError {
+  diagnostics: Diagnostic[];
+
+  constructor(diagnostics: Diagnostic[]) {
+    const lines = diagnostics.map((d) => {
+      const location = d.line !== undefined && d.column !== undefined
+        ? `:${d.line}:${d.column}`
+        : '';
+      return `  ${d.file ?? '<input>'}${location}: ${d.message}`;
+    });
+    super(`Schema validation failed:\n${lines.join('\n')}`);
+    this.name = 'ValidationError';
+    this.diagnostics = diagnostics;
   }
 }
+
+/**
+ * Format a span's start as file:line:column, the form editors and CI annotations link to
+ */
+export function formatSourceSpan(span: SourceSpan): string {
+  return `${span.file ?? '<input>'}:${span.start.line}:${span.start.column}`;
+}
+
+/**
+ * A model or view name with its schema, e.g. auth.User, as written in @ref and
+ * used to tell apart models of the same name in different schemas
+ */
+export function qualifiedName(node: { name: string; schema?: string }): string {
+  return node.schema ? `${node.schema}.${node.name}` : node.name;
+}
@@ -5,15 +5,24 @@
  * Handles user commands and orchestrates the migration workflow
  */
 
-import { writeFile, mkdir, access } from 'fs/promises';
+import { writeFile, readFile, readdir, mkdir, access } from 'fs/promises';
 import { join, resolve } from 'path';
 import { pathToFileURL } from 'url';
-import { SchemactConfig, SchemactError, SchemaIntrospector } from './ast/types.js';
+import {
+  SchemactConfig,
+  SchemactError,
+  SchemaIntrospector,
+  ParseError,
+  ParseErrorList,
+} from './ast/types.js';
+import { Parser } from './ast/parser.js';
+import { Printer } from './ast/printer.js';
 import { SqlGenerator } from './generators/base.js';
 import { PostgresGenerator } from './generators/postgres.js';
 import { MySQLGenerator } from './generators/mysql.js';
 import { SQLiteGenerator } from './generators/sqlite.js';
 import { MigrationRunner } from './engine/runner.js';
+import { LedgerManager } from './engine/ledger.js';
 import { PostgresIntrospector } from './engine/introspector.js';
 import { MySQLIntrospector } from './engine/mysql-introspector.js';
 import { SQLiteIntrospector } from './engine/sqlite-introspector.js';
@@ -22,6 +31,7 @@ import {
   generateMigrationFilename,
   createMigrationTemplate,
   pluralize,
+  formatCodeFrame,
 } from './utils/formatting.js';
 import { validateMigrationPath } from './utils/path-validator.js';
 
@@ -61,6 +71,10 @@ class SchemactCLI {
           await this.pull();
           break;
 
+        case 'fmt':
+          await this.fmt();
+          break;
+
         case 'help':
         case '--help':
         case '-h':
@@ -79,6 +93,10 @@ class SchemactCLI {
           process.exit(1);
       }
     } catch (error) {
+      if (error instanceof ParseError) {
+        await this.printParseErrors(error);
+        process.exit(1);
+      }
       if (error instanceof SchemactError) {
         console.log(c.error(error.message));
         process.exit(1);
@@ -87,6 +105,35 @@ class SchemactCLI {
     }
   }
 
+  /**
+   * Print each parse error with the offending source line and a caret under its column
+   */
+  private async printParseErrors(error: ParseError): Promise<void> {
+    const errors = error instanceof ParseErrorList ? error.errors : [error];
+    const sources = new Map<string, string | undefined>();
+
+    for (const parseError of errors) {
+      console.log(c.error(parseError.message));
+
+      const { file, line, column } = parseError;
+      if (!file || line === undefined || column === undefined) continue;
+
+      if (!sources.has(file)) {
+        sources.set(file, await readFile(file, 'utf-8').catch(() => undefined));
+      }
+      const source = sources.get(file);
+      const frame = source === undefined ? '' : formatCodeFrame(source, line, column);
+      if (frame) {
+        console.log(c.dim(frame.replace(/^/gm, '    ')));
+        console.log();
+      }
+    }
+
+    if (errors.length > 1) {
+      console.log(c.error(`${errors.length} parse errors found`));
+    }
+  }
+
   /**
    * Initialize a new Schemact project
    */
@@ -338,8 +385,9 @@ export default {
     const config = await this.loadConfig();
     this.validateConfig(config);
 
-    // Get schema/database name (first non-flag argument)
+    // Get schema/database name (first non-flag argument), or a comma-separated list of them
     const schemaArg = this.commandArgs.find(arg => !arg.startsWith('-')) || 'public';
+    const schemas = schemaArg.split(',').map((name) => name.trim()).filter((name) => name !== '');
 
     console.log(c.bold(`Introspecting database schema: ${c.cyan(schemaArg)}`));
 
@@ -350,16 +398,16 @@ export default {
     let dsl: string;
 
     if (generator instanceof MySQLGenerator) {
-      introspector = new MySQLIntrospector(config.adapter!);
-      dsl = await introspector.introspect(schemaArg);
+      introspector = new MySQLIntrospector(config.adapter!, config.naming);
+      dsl = await introspector.introspect(schemas);
     } else if (generator instanceof SQLiteGenerator) {
-      introspector = new SQLiteIntrospector(config.adapter!);
+      introspector = new SQLiteIntrospector(config.adapter!, config.naming);
       dsl = await introspector.introspect();
       console.log(c.dim('Note: SQLite introspection ignores schema parameter'));
     } else {
       // Default to PostgreSQL
-      introspector = new PostgresIntrospector(config.adapter!);
-      dsl = await introspector.introspect(schemaArg);
+      introspector = new PostgresIntrospector(config.adapter!, config.naming);
+      dsl = await introspector.introspect(schemas);
     }
 
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
@@ -376,6 +424,79 @@ export default {
     console.log(c.dim(`  Location: ${filepath}`));
   }
 
+  /**
+   * Format pending migration files, or with --check list the ones that need it
+   */
+  private async fmt(): Promise<void> {
+    const check = this.commandArgs.includes('--check');
+    const config = await this.loadConfig();
+    const migrationsPath = resolve(process.cwd(), config.migrationsPath || './migrations');
+
+    let filenames: string[];
+    try {
+      filenames = (await readdir(migrationsPath)).filter((f) => f.endsWith('.sigl')).sort();
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        throw new SchemactError(`Migrations directory not found: ${migrationsPath}`);
+      }
+      throw error;
+    }
+
+    // Applied migrations are hashed in the ledger, so rewriting them would fail integrity checks
+    const ledger = new LedgerManager(config.ledgerPath, config);
+    await ledger.load();
+    const pending = filenames.filter((filename) => !ledger.isApplied(filename));
+    const appliedCount = filenames.length - pending.length;
+
+    const unformatted: string[] = [];
+    const parseErrors: ParseError[] = [];
+
+    for (const filename of pending) {
+      const filepath = join(migrationsPath, filename);
+      const content = await readFile(filepath, 'utf-8');
+
+      const { ast, errors } = Parser.parseWithRecovery(content, filepath);
+      if (errors.length > 0) {
+        parseErrors.push(...errors);
+        continue;
+      }
+
+      const formatted = Printer.print(ast);
+      if (formatted === content) continue;
+
+      unformatted.push(filename);
+      if (!check) {
+        await writeFile(filepath, formatted, 'utf-8');
+      }
+    }
+
+    for (const filename of unformatted) {
+      console.log(check ? `  ${c.yellow('○')} ${filename}` : c.success(`Formatted ${filename}`));
+    }
+
+    if (appliedCount > 0) {
+      console.log(c.dim(
+        `Skipped ${appliedCount} applied ${pluralize('migration', appliedCount)}; ` +
+        'formatting them would change their ledger hash'
+      ));
+    }
+
+    if (parseErrors.length > 0) {
+      throw new ParseErrorList(parseErrors);
+    }
+
+    if (check && unformatted.length > 0) {
+      throw new SchemactError(
+        `${unformatted.length} ${pluralize('migration', unformatted.length)} not formatted. ` +
+        `Run ${c.cyan('schemact fmt')} to fix.`
+      );
+    }
+
+    if (unformatted.length === 0) {
+      console.log(c.success('All pending migrations are formatted'));
+    }
+  }
+
   /**
    * Show help information
    */
@@ -392,6 +513,7 @@ export default {
     console.log(`  ${c.cyan('down')}              Rollback last batch of migrations`);
     console.log(`  ${c.cyan('status')}            Show migration status`);
     console.log(`  ${c.cyan('pull')} ${c.dim('[schema]')}     Pull schema from database (default: public)`);
+    console.log(`  ${c.cyan('fmt')} ${c.dim('[--check]')}     Format pending migrations, or check they are formatted`);
     console.log(`  ${c.cyan('help')}              Show this help message`);
     console.log(`  ${c.cyan('version')}           Show version information`);
     console.log();
@@ -406,6 +528,8 @@ export default {
     console.log(`  ${c.dim('$')} schemact up --database mysql`);
     console.log(`  ${c.dim('$')} schemact status -d sqlite`);
     console.log(`  ${c.dim('$')} schemact pull public`);
+    console.log(`  ${c.dim('$')} schemact pull public,auth,billing`);
+    console.log(`  ${c.dim('$')} schemact fmt --check`);
     console.log();
     console.log(c.bold('Supported Databases:'));
     console.log(`  ${c.green('✓')} PostgreSQL   ${c.dim('(postgres, postgresql, pg)')}`);
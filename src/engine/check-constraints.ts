@@ -0,0 +1,83 @@
+/**
+ * Check Constraints: Turns CHECK constraints read from a database back into
+ * @check decorators on their column, or @@check attributes when they involve
+ * several columns (or none)
+ */
+
+import { buildConstraintName, columnsInExpression } from '../generators/constraint-names.js';
+import { formatDslString } from '../utils/formatting.js';
+
+export interface IntrospectedCheck {
+  // SQLite checks may be unnamed
+  name: string | null;
+  expression: string;
+}
+
+export interface PlacedChecks {
+  // Column name to its @check decorator
+  columns: Map<string, string>;
+  // @@check attributes for the model body
+  attributes: string[];
+}
+
+/**
+ * Place each check on the one column it mentions, or on the model. The name is
+ * only written out when it differs from the one the generators would choose.
+ */
+export function placeChecks(
+  tableName: string,
+  columnNames: string[],
+  checks: IntrospectedCheck[],
+  maxIdentifierLength: number
+): PlacedChecks {
+  const placed: PlacedChecks = { columns: new Map(), attributes: [] };
+
+  for (const check of checks) {
+    const expression = stripOuterParentheses(check.expression);
+    const columns = columnsInExpression(expression, columnNames);
+    const defaultName = buildConstraintName(tableName, columns, 'check', maxIdentifierLength);
+    const name = check.name && check.name !== defaultName ? `, name: ${formatDslString(check.name)}` : '';
+    const args = `${formatDslString(expression)}${name}`;
+
+    // A column holds one @check; further checks on it become @@check
+    if (columns.length === 1 && !placed.columns.has(columns[0])) {
+      placed.columns.set(columns[0], `@check(${args})`);
+    } else {
+      placed.attributes.push(`@@check(${args})`);
+    }
+  }
+
+  return placed;
+}
+
+/**
+ * Databases report check clauses wrapped in parentheses, e.g. ((price >= 0))
+ */
+function stripOuterParentheses(expression: string): string {
+  let result = expression.trim();
+  while (result.startsWith('(') && result.endsWith(')') && closingParenthesis(result, 0) === result.length - 1) {
+    result = result.slice(1, -1).trim();
+  }
+  return result;
+}
+
+/**
+ * Index of the ")" matching the "(" at start, skipping string literals, or -1
+ */
+export function closingParenthesis(sql: string, start: number): number {
+  let depth = 0;
+  for (let i = start; i < sql.length; i++) {
+    const char = sql[i];
+    if (char === "'") {
+      i = sql.indexOf("'", i + 1);
+      if (i === -1) {
+        return -1;
+      }
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
@@ -4,51 +4,128 @@
  * FIX CRITICAL-6: Added connection validation
  */
 
-import { DbAdapter } from '../ast/types.js';
-import { escapeSqlStringLiteral } from '../utils/sql-identifier-escape.js';
+import { DbAdapter, NamingStrategy, qualifiedName } from '../ast/types.js';
+import { modelNameForTable, fieldNameForColumn, referenceForColumn } from '../ast/naming.js';
+import { escapeSqlStringLiteral, MAX_IDENTIFIER_LENGTH_POSTGRES } from '../utils/sql-identifier-escape.js';
+import {
+  alignColumns,
+  formatDocComment,
+  formatDslString,
+  formatSqlExpression,
+  formatSqlBlock,
+} from '../utils/formatting.js';
 import { validateConnection } from '../utils/connection-validator.js';
+import { placeChecks, IntrospectedCheck } from './check-constraints.js';
+
+// Schemact element types for PostgreSQL array udt_names, which are the element
+// type's internal name prefixed with an underscore
+const ARRAY_ELEMENT_TYPES: Record<string, string> = {
+  _int2: 'SmallInt',
+  _int4: 'Int',
+  _int8: 'BigInt',
+  _varchar: 'VarChar',
+  _bpchar: 'Char',
+  _text: 'Text',
+  _citext: 'Citext',
+  _bool: 'Boolean',
+  _timestamp: 'Timestamp',
+  _timestamptz: 'TimestampTz',
+  _interval: 'Interval',
+  _date: 'Date',
+  _time: 'Time',
+  _numeric: 'Numeric',
+  _float4: 'Real',
+  _float8: 'DoublePrecision',
+  _bytea: 'Bytes',
+  _inet: 'Inet',
+  _cidr: 'Cidr',
+  _json: 'Json',
+  _jsonb: 'Jsonb',
+  _uuid: 'Uuid',
+};
+
+// A type cast at the end of a default expression, e.g. ::character varying or ::text[]
+const TRAILING_CAST = /::(?:"[^"]*"|[a-z_][a-z0-9_ ]*)(?:\(\d+(?:,\s*\d+)?\))?(?:\[\])*$/i;
+
+interface TableInfo {
+  tableName: string;
+  comment: string | null;
+}
+
+interface ViewInfo {
+  viewName: string;
+  definition: string;
+  materialized: boolean;
+}
 
 interface ColumnInfo {
   columnName: string;
   dataType: string;
+  udtName: string; // underlying type name, e.g. 'citext' where dataType is 'USER-DEFINED'
   characterMaximumLength: number | null;
   numericPrecision: number | null;
   numericScale: number | null;
   isNullable: string;
   columnDefault: string | null;
+  isIdentity: string; // 'YES' for GENERATED ... AS IDENTITY columns
+  isGenerated: string; // 'ALWAYS' for GENERATED ALWAYS AS (...) STORED columns
+  generationExpression: string | null;
+  comment: string | null;
 }
 
 interface ConstraintInfo {
   constraintType: string;
   columnName: string;
+  foreignTableSchema: string | null;
   foreignTableName: string | null;
   foreignColumnName: string | null;
+  deleteRule: string | null;
+  updateRule: string | null;
+  isDeferrable: string;
+  initiallyDeferred: string;
 }
 
 export class PostgresIntrospector {
   private adapter: DbAdapter;
+  private naming: NamingStrategy;
+  // The first schema pulled; its tables are written without a schema
+  private defaultSchema = 'public';
 
-  constructor(adapter: DbAdapter) {
+  constructor(adapter: DbAdapter, naming: NamingStrategy = {}) {
     this.adapter = adapter;
+    this.naming = naming;
   }
 
   /**
-   * Introspect the database and generate .sact DSL
+   * Introspect the database and generate .sact DSL. Given several schemas, the
+   * tables and views of all but the first are written schema-qualified, e.g.
+   * `model auth.User`.
    * FIX BUG-042: Move connect() inside try block to ensure disconnect() is called on failure
    * FIX CRITICAL-6: Added connection validation with retry
    */
-  async introspect(schema: string = 'public'): Promise<string> {
+  async introspect(schemas: string | string[] = 'public'): Promise<string> {
+    const schemaList = typeof schemas === 'string' ? [schemas] : schemas;
+    this.defaultSchema = schemaList[0] ?? 'public';
+
     try {
       // FIX CRITICAL-6: Validate connection before introspection
       await validateConnection(this.adapter, { maxRetries: 3 });
-      // Get all tables
-      const tables = await this.getTables(schema);
 
       const models: string[] = [];
 
-      for (const tableName of tables) {
-        const model = await this.introspectTable(tableName, schema);
-        models.push(model);
+      for (const schema of schemaList) {
+        for (const table of await this.getTables(schema)) {
+          const model = await this.introspectTable(table, schema);
+          models.push(model);
+        }
+      }
+
+      for (const schema of schemaList) {
+        for (const view of await this.getViews(schema)) {
+          const keyword = view.materialized ? 'materialized view' : 'view';
+          const name = this.qualify(view.viewName, schema);
+          models.push(`${keyword} ${name} as ${formatSqlBlock(view.definition)}`);
+        }
       }
 
       return models.join('\n\n');
@@ -60,11 +137,13 @@ export class PostgresIntrospector {
   /**
    * Get list of tables in schema
    */
-  private async getTables(schema: string): Promise<string[]> {
+  private async getTables(schema: string): Promise<TableInfo[]> {
     // FIX BUG-001: Use safe string literal escaping to prevent SQL injection
     const safeSchema = escapeSqlStringLiteral(schema);
     const query = `
-      SELECT table_name
+      SELECT
+        table_name,
+        obj_description(format('%I.%I', table_schema, table_name)::regclass, 'pg_class') AS table_comment
       FROM information_schema.tables
       WHERE table_schema = ${safeSchema}
         AND table_type = 'BASE TABLE'
@@ -72,22 +151,84 @@ export class PostgresIntrospector {
     `;
 
     const results = await this.adapter.query(query);
-    return results.map((row: any) => row.table_name);
+    return results.map((row: any) => ({
+      tableName: row.table_name,
+      comment: row.table_comment,
+    }));
+  }
+
+  /**
+   * Get views and materialized views in schema, with their queries
+   */
+  private async getViews(schema: string): Promise<ViewInfo[]> {
+    const safeSchema = escapeSqlStringLiteral(schema);
+    const query = `
+      SELECT viewname AS view_name, definition, false AS materialized
+      FROM pg_views
+      WHERE schemaname = ${safeSchema}
+      UNION ALL
+      SELECT matviewname, definition, true
+      FROM pg_matviews
+      WHERE schemaname = ${safeSchema}
+      ORDER BY view_name;
+    `;
+
+    const results = await this.adapter.query(query);
+    return results.map((row: any) => ({
+      viewName: row.view_name,
+      // PostgreSQL reports the query as " SELECT ...;"
+      definition: row.definition.trim().replace(/;$/, ''),
+      materialized: row.materialized,
+    }));
   }
 
   /**
    * Introspect a single table
    */
-  private async introspectTable(tableName: string, schema: string): Promise<string> {
+  private async introspectTable(table: TableInfo, schema: string): Promise<string> {
+    const { tableName } = table;
     const columns = await this.getColumns(tableName, schema);
     const constraints = await this.getConstraints(tableName, schema);
+    const checks = placeChecks(
+      tableName,
+      columns.map((col) => col.columnName),
+      await this.getChecks(tableName, schema),
+      MAX_IDENTIFIER_LENGTH_POSTGRES
+    );
 
     const lines: string[] = [];
-    lines.push(`model ${tableName} {`);
-
-    for (const col of columns) {
-      const line = this.generateColumnLine(col, constraints);
-      lines.push(`  ${line}`);
+    // Table and column comments become /// doc comments
+    if (table.comment) {
+      lines.push(...formatDocComment(table.comment));
+    }
+    const model = modelNameForTable(tableName, this.naming);
+    lines.push(`model ${this.qualify(model.name, schema)} {`);
+
+    // A primary key over several columns becomes @@pk rather than a @pk on each
+    const keyColumns = columns
+      .map((col) => col.columnName)
+      .filter((name) => constraints.some((c) => c.constraintType === 'PRIMARY KEY' && c.columnName === name));
+    const compositeKey = keyColumns.length > 1 ? keyColumns : [];
+
+    const rows = alignColumns(
+      columns.map((col) =>
+        this.generateColumnLine(col, constraints, compositeKey, checks.columns.get(col.columnName))
+      )
+    );
+    columns.forEach((col, i) => {
+      if (col.comment) {
+        lines.push(...formatDocComment(col.comment).map((line) => `  ${line}`));
+      }
+      lines.push(`  ${rows[i]}`);
+    });
+    if (compositeKey.length > 0) {
+      lines.push(`  @@pk(${compositeKey.map((name) => fieldNameForColumn(name, this.naming).name).join(', ')})`);
+    }
+    for (const attribute of checks.attributes) {
+      lines.push(`  ${attribute}`);
+    }
+    if (model.map) {
+      lines.push(`  @@map(${formatDslString(tableName)})`);
     }
 
     lines.push('}');
@@ -95,6 +236,13 @@ export class PostgresIntrospector {
     return lines.join('\n');
   }
 
+  /**
+   * A model or view name, with its schema unless it is the default one
+   */
+  private qualify(name: string, schema: string | null): string {
+    return qualifiedName({ name, schema: schema && schema !== this.defaultSchema ? schema : undefined });
+  }
+
   /**
    * Get column information
    */
@@ -107,11 +255,16 @@ export class PostgresIntrospector {
       SELECT
         column_name,
         data_type,
+        udt_name,
         character_maximum_length,
         numeric_precision,
         numeric_scale,
         is_nullable,
-        column_default
+        column_default,
+        is_identity,
+        is_generated,
+        generation_expression,
+        col_description(format('%I.%I', table_schema, table_name)::regclass, ordinal_position) AS column_comment
       FROM information_schema.columns
       WHERE table_schema = ${safeSchema}
         AND table_name = ${safeTableName}
@@ -123,11 +276,16 @@ export class PostgresIntrospector {
     return results.map((row: any) => ({
       columnName: row.column_name,
       dataType: row.data_type,
+      udtName: row.udt_name,
       characterMaximumLength: row.character_maximum_length,
       numericPrecision: row.numeric_precision,
       numericScale: row.numeric_scale,
       isNullable: row.is_nullable,
       columnDefault: row.column_default,
+      isIdentity: row.is_identity,
+      isGenerated: row.is_generated,
+      generationExpression: row.generation_expression,
+      comment: row.column_comment,
     }));
   }
 
@@ -146,15 +304,23 @@ export class PostgresIntrospector {
       SELECT
         tc.constraint_type,
         kcu.column_name,
+        ccu.table_schema AS foreign_table_schema,
         ccu.table_name AS foreign_table_name,
-        ccu.column_name AS foreign_column_name
+        ccu.column_name AS foreign_column_name,
+        rc.delete_rule,
+        rc.update_rule,
+        tc.is_deferrable,
+        tc.initially_deferred
       FROM information_schema.table_constraints tc
       LEFT JOIN information_schema.key_column_usage kcu
         ON tc.constraint_name = kcu.constraint_name
         AND tc.table_schema = kcu.table_schema
       LEFT JOIN information_schema.constraint_column_usage ccu
         ON tc.constraint_name = ccu.constraint_name
-        AND tc.table_schema = ccu.table_schema
+        AND tc.constraint_schema = ccu.constraint_schema
+      LEFT JOIN information_schema.referential_constraints rc
+        ON tc.constraint_name = rc.constraint_name
+        AND tc.table_schema = rc.constraint_schema
       WHERE tc.table_schema = ${safeSchema}
         AND tc.table_name = ${safeTableName};
     `;
@@ -164,26 +330,64 @@ export class PostgresIntrospector {
     return results.map((row: any) => ({
       constraintType: row.constraint_type,
       columnName: row.column_name,
+      foreignTableSchema: row.foreign_table_schema ?? null,
       foreignTableName: row.foreign_table_name,
       foreignColumnName: row.foreign_column_name,
+      deleteRule: row.delete_rule,
+      updateRule: row.update_rule,
+      isDeferrable: row.is_deferrable,
+      initiallyDeferred: row.initially_deferred,
     }));
   }
 
   /**
-   * Generate a single column line in DSL
+   * Get CHECK constraints, leaving out the NOT NULL checks PostgreSQL reports alongside them
+   */
+  private async getChecks(tableName: string, schema: string): Promise<IntrospectedCheck[]> {
+    const safeSchema = escapeSqlStringLiteral(schema);
+    const safeTableName = escapeSqlStringLiteral(tableName);
+
+    const query = `
+      SELECT
+        tc.constraint_name,
+        cc.check_clause
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.check_constraints cc
+        ON cc.constraint_schema = tc.constraint_schema
+        AND cc.constraint_name = tc.constraint_name
+      WHERE tc.table_schema = ${safeSchema}
+        AND tc.table_name = ${safeTableName}
+        AND tc.constraint_type = 'CHECK'
+        AND cc.check_clause NOT LIKE '%IS NOT NULL'
+      ORDER BY tc.constraint_name;
+    `;
+
+    const results = await this.adapter.query(query);
+
+    return results.map((row: any) => ({
+      name: row.constraint_name,
+      expression: row.check_clause,
+    }));
+  }
+
+  /**
+   * Generate a single column line in DSL, as name, type and decorator cells
    */
   private generateColumnLine(
     col: ColumnInfo,
-    constraints: ConstraintInfo[]
-  ): string {
+    constraints: ConstraintInfo[],
+    compositeKey: string[],
+    check?: string
+  ): string[] {
     const parts: string[] = [];
 
     // Column name
-    parts.push(col.columnName.padEnd(15));
+    const field = fieldNameForColumn(col.columnName, this.naming);
+    parts.push(field.name);
 
     // Map SQL type to Schemact type
     const schemactType = this.mapSqlTypeToSchemact(col);
-    parts.push(schemactType.padEnd(20));
+    parts.push(schemactType);
 
     // Find constraints for this column
     const colConstraints = constraints.filter((c) => c.columnName === col.columnName);
@@ -192,7 +396,8 @@ export class PostgresIntrospector {
     const decorators: string[] = [];
 
     // Primary key
-    if (colConstraints.some((c) => c.constraintType === 'PRIMARY KEY')) {
+    const inKey = colConstraints.some((c) => c.constraintType === 'PRIMARY KEY');
+    if (inKey && compositeKey.length === 0) {
       decorators.push('@pk');
     }
 
@@ -202,27 +407,54 @@ export class PostgresIntrospector {
     }
 
     // Not null
-    if (col.isNullable === 'NO' && !decorators.includes('@pk')) {
+    if (col.isNullable === 'NO' && !inKey) {
       decorators.push('@notnull');
     }
 
     // Foreign key
     const fkConstraint = colConstraints.find((c) => c.constraintType === 'FOREIGN KEY');
     if (fkConstraint && fkConstraint.foreignTableName && fkConstraint.foreignColumnName) {
-      decorators.push(`@ref(${fkConstraint.foreignTableName}.${fkConstraint.foreignColumnName})`);
+      const { foreignTableSchema, foreignTableName, foreignColumnName } = fkConstraint;
+      const schema = foreignTableSchema && foreignTableSchema !== this.defaultSchema ? foreignTableSchema : undefined;
+      decorators.push(`@ref(${referenceForColumn(foreignTableName, foreignColumnName, this.naming, schema)})`);
+      if (fkConstraint.deleteRule && fkConstraint.deleteRule !== 'NO ACTION') {
+        decorators.push(`@onDelete('${fkConstraint.deleteRule.toLowerCase()}')`);
+      }
+      if (fkConstraint.updateRule && fkConstraint.updateRule !== 'NO ACTION') {
+        decorators.push(`@onUpdate('${fkConstraint.updateRule.toLowerCase()}')`);
+      }
+      if (fkConstraint.isDeferrable === 'YES') {
+        decorators.push(fkConstraint.initiallyDeferred === 'YES' ? '@deferrable' : '@deferrable(immediate)');
+      }
+    }
+
+    // PostgreSQL only has stored generated columns
+    if (col.isGenerated === 'ALWAYS' && col.generationExpression) {
+      decorators.push(`@generated(${formatDslString(col.generationExpression)}, stored)`);
     }
 
-    // Default value
-    if (col.columnDefault) {
+    // Default value; identity columns have none but auto-increment, and
+    // Serial implies its sequence
+    if (col.isIdentity === 'YES') {
+      decorators.push('@default(autoincrement)');
+    } else if (col.columnDefault && schemactType !== 'Serial') {
       const defaultValue = this.parseDefaultValue(col.columnDefault);
       if (defaultValue) {
         decorators.push(`@default(${defaultValue})`);
       }
     }
 
+    if (check) {
+      decorators.push(check);
+    }
+
+    if (field.map) {
+      decorators.push(`@map(${formatDslString(col.columnName)})`);
+    }
+
     parts.push(decorators.join(' '));
 
-    return parts.join(' ').trimEnd();
+    return parts;
   }
 
   /**
@@ -233,7 +465,8 @@ export class PostgresIntrospector {
 
     switch (dataType) {
       case 'integer':
-        return 'Int';
+        // SERIAL is an integer column whose default takes the next value of its sequence
+        return /^nextval\(/i.test(col.columnDefault ?? '') ? 'Serial' : 'Int';
 
       case 'bigint':
         return 'BigInt';
@@ -263,9 +496,14 @@ export class PostgresIntrospector {
 
       case 'timestamp':
       case 'timestamp without time zone':
-      case 'timestamp with time zone':
         return 'Timestamp';
 
+      case 'timestamp with time zone':
+        return 'TimestampTz';
+
+      case 'interval':
+        return 'Interval';
+
       case 'date':
         return 'Date';
 
@@ -288,6 +526,22 @@ export class PostgresIntrospector {
       case 'double precision':
         return 'DoublePrecision';
 
+      case 'bytea':
+        return 'Bytes';
+
+      case 'inet':
+        return 'Inet';
+
+      case 'cidr':
+        return 'Cidr';
+
+      // Extension types such as citext are reported by their udt_name
+      case 'user-defined':
+        if (col.udtName === 'citext') {
+          return 'Citext';
+        }
+        return 'Text';
+
       case 'json':
         return 'Json';
 
@@ -297,6 +551,10 @@ export class PostgresIntrospector {
       case 'uuid':
         return 'Uuid';
 
+      // information_schema only says ARRAY; udt_name names the element type
+      case 'array':
+        return `${ARRAY_ELEMENT_TYPES[col.udtName] ?? 'Text'}[]`;
+
       default:
         // Fallback to Text for unknown types
         return 'Text';
@@ -304,37 +562,55 @@ export class PostgresIntrospector {
   }
 
   /**
-   * Parse PostgreSQL default value to Schemact format
+   * Parse PostgreSQL default value to Schemact format: a portable default
+   * function where one matches, a literal, or sql("...") for other expressions
    */
   private parseDefaultValue(defaultValue: string): string | null {
-    // Remove type casts
-    let value = defaultValue.replace(/::[a-z]+/gi, '');
+    // Remove type casts, e.g. 'active'::character varying
+    let value = defaultValue.trim();
+    while (TRAILING_CAST.test(value)) {
+      value = value.replace(TRAILING_CAST, '');
+    }
+    const lower = value.toLowerCase();
 
-    // Handle CURRENT_TIMESTAMP, now(), etc.
-    if (value.toLowerCase().includes('current_timestamp') || value.toLowerCase().includes('now()')) {
-      return "'now'";
+    if (lower === 'null') {
+      return null;
+    }
+
+    // Sequences behind BIGSERIAL and SMALLSERIAL columns, which have no type of their own
+    if (lower.startsWith('nextval(')) {
+      return 'autoincrement';
+    }
+
+    if (lower === 'now()' || lower === 'current_timestamp') {
+      return 'now';
+    }
+
+    if (lower === 'current_date') {
+      return 'today';
+    }
+
+    if (lower === 'gen_random_uuid()' || lower === 'uuid_generate_v4()') {
+      return 'uuid';
     }
 
     // Handle booleans
-    if (value.toLowerCase() === 'true' || value.toLowerCase() === 'false') {
-      return `'${value.toLowerCase()}'`;
+    if (lower === 'true' || lower === 'false') {
+      return lower;
     }
 
     // Handle string literals
-    if (value.startsWith("'") && value.endsWith("'")) {
+    if (/^'(?:[^']|'')*'$/.test(value)) {
       return value;
     }
 
-    // Handle numbers
-    if (/^-?\d+(\.\d+)?$/.test(value.trim())) {
-      return `'${value.trim()}'`;
-    }
-
-    // Handle nextval (sequences) - map to Serial
-    if (value.includes('nextval')) {
-      return null; // Don't add default for auto-increment
+    // Handle numbers; negative numbers come back parenthesized, e.g. (-1)
+    const number = value.match(/^\(?(-?\d+(?:\.\d+)?)\)?$/);
+    if (number) {
+      // The DSL has no negative number literals, but quoted numbers are written as numbers
+      return number[1].startsWith('-') ? `'${number[1]}'` : number[1];
     }
 
-    return null;
+    return formatSqlExpression(defaultValue);
   }
 }
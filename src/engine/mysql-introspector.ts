@@ -3,8 +3,27 @@
  * Queries information_schema to extract table and column definitions
  */
 
-import { DbAdapter } from '../ast/types.js';
-import { escapeSqlStringLiteral } from '../utils/sql-identifier-escape.js';
+import { DbAdapter, NamingStrategy, qualifiedName } from '../ast/types.js';
+import { modelNameForTable, fieldNameForColumn, referenceForColumn } from '../ast/naming.js';
+import { escapeSqlStringLiteral, MAX_IDENTIFIER_LENGTH_MYSQL } from '../utils/sql-identifier-escape.js';
+import {
+  alignColumns,
+  formatDocComment,
+  formatDslString,
+  formatSqlExpression,
+  formatSqlBlock,
+} from '../utils/formatting.js';
+import { placeChecks, IntrospectedCheck } from './check-constraints.js';
+
+interface TableInfo {
+  tableName: string;
+  comment: string;
+}
+
+interface ViewInfo {
+  viewName: string;
+  definition: string;
+}
 
 interface ColumnInfo {
   columnName: string;
@@ -16,37 +35,57 @@ interface ColumnInfo {
   columnDefault: string | null;
   columnType: string;
   extra: string;
+  generationExpression: string | null;
+  comment: string;
 }
 
 interface ConstraintInfo {
   constraintType: string;
   columnName: string;
+  foreignTableSchema: string | null;
   foreignTableName: string | null;
   foreignColumnName: string | null;
+  deleteRule: string | null;
+  updateRule: string | null;
 }
 
 export class MySQLIntrospector {
   private adapter: DbAdapter;
+  private naming: NamingStrategy;
+  // The first database pulled; its tables are written without a schema
+  private defaultDatabase = '';
 
-  constructor(adapter: DbAdapter) {
+  constructor(adapter: DbAdapter, naming: NamingStrategy = {}) {
     this.adapter = adapter;
+    this.naming = naming;
   }
 
   /**
-   * Introspect the database and generate .sact DSL
+   * Introspect the database and generate .sact DSL. Given several databases,
+   * the tables and views of all but the first are written schema-qualified,
+   * e.g. `model auth.User`.
    * FIX BUG-042: Move connect() inside try block to ensure disconnect() is called on failure
    */
-  async introspect(database: string): Promise<string> {
+  async introspect(databases: string | string[]): Promise<string> {
+    const databaseList = typeof databases === 'string' ? [databases] : databases;
+    this.defaultDatabase = databaseList[0];
+
     try {
       await this.adapter.connect();
-      // Get all tables
-      const tables = await this.getTables(database);
 
       const models: string[] = [];
 
-      for (const tableName of tables) {
-        const model = await this.introspectTable(tableName, database);
-        models.push(model);
+      for (const database of databaseList) {
+        for (const table of await this.getTables(database)) {
+          const model = await this.introspectTable(table, database);
+          models.push(model);
+        }
+      }
+
+      for (const database of databaseList) {
+        for (const view of await this.getViews(database)) {
+          models.push(`view ${this.qualify(view.viewName, database)} as ${formatSqlBlock(view.definition)}`);
+        }
       }
 
       return models.join('\n\n');
@@ -58,11 +97,11 @@ export class MySQLIntrospector {
   /**
    * Get list of tables in database
    */
-  private async getTables(database: string): Promise<string[]> {
+  private async getTables(database: string): Promise<TableInfo[]> {
     // FIX BUG-001: Use safe string literal escaping to prevent SQL injection
     const safeDatabase = escapeSqlStringLiteral(database);
     const query = `
-      SELECT table_name
+      SELECT table_name, table_comment
       FROM information_schema.tables
       WHERE table_schema = ${safeDatabase}
         AND table_type = 'BASE TABLE'
@@ -70,22 +109,81 @@ export class MySQLIntrospector {
     `;
 
     const rows = await this.adapter.query(query);
-    return rows.map((row: any) => row.table_name || row.TABLE_NAME);
+    return rows.map((row: any) => ({
+      tableName: row.table_name || row.TABLE_NAME,
+      comment: row.table_comment || row.TABLE_COMMENT || '',
+    }));
+  }
+
+  /**
+   * Get views in database, with their queries
+   */
+  private async getViews(database: string): Promise<ViewInfo[]> {
+    const safeDatabase = escapeSqlStringLiteral(database);
+    const query = `
+      SELECT table_name AS view_name, view_definition
+      FROM information_schema.views
+      WHERE table_schema = ${safeDatabase}
+      ORDER BY table_name
+    `;
+
+    const rows = await this.adapter.query(query);
+    // MySQL qualifies every table with the database name, which would tie the
+    // migration to the connection's database. Tables in other databases keep theirs.
+    const qualifier = `\`${this.defaultDatabase.replace(/`/g, '``')}\`.`;
+    return rows.map((row: any) => ({
+      viewName: row.view_name || row.VIEW_NAME,
+      definition: (row.view_definition || row.VIEW_DEFINITION).split(qualifier).join(''),
+    }));
   }
 
   /**
    * Introspect a single table
    */
-  private async introspectTable(tableName: string, database: string): Promise<string> {
+  private async introspectTable(table: TableInfo, database: string): Promise<string> {
+    const { tableName } = table;
     const columns = await this.getColumns(tableName, database);
     const constraints = await this.getConstraints(tableName, database);
+    const checks = placeChecks(
+      tableName,
+      columns.map((col) => col.columnName),
+      await this.getChecks(tableName, database),
+      MAX_IDENTIFIER_LENGTH_MYSQL
+    );
 
     let dsl = `# Table: ${tableName}\n`;
-    dsl += `model ${tableName} {\n`;
-
-    for (const col of columns) {
-      const line = this.generateColumnDefinition(col, constraints);
-      dsl += `  ${line}\n`;
+    // Table and column comments become /// doc comments
+    if (table.comment) {
+      dsl += formatDocComment(table.comment).map((line) => `${line}\n`).join('');
+    }
+    const model = modelNameForTable(tableName, this.naming);
+    dsl += `model ${this.qualify(model.name, database)} {\n`;
+
+    // A primary key over several columns becomes @@pk rather than a @pk on each
+    const keyColumns = columns
+      .map((col) => col.columnName)
+      .filter((name) => constraints.some((c) => c.constraintType === 'PRIMARY KEY' && c.columnName === name));
+    const compositeKey = keyColumns.length > 1 ? keyColumns : [];
+
+    const rows = alignColumns(
+      columns.map((col) =>
+        this.generateColumnDefinition(col, constraints, compositeKey, checks.columns.get(col.columnName))
+      )
+    );
+    columns.forEach((col, i) => {
+      if (col.comment) {
+        dsl += formatDocComment(col.comment).map((line) => `  ${line}\n`).join('');
+      }
+      dsl += `  ${rows[i]}\n`;
+    });
+    if (compositeKey.length > 0) {
+      dsl += `  @@pk(${compositeKey.map((name) => fieldNameForColumn(name, this.naming).name).join(', ')})\n`;
+    }
+    for (const attribute of checks.attributes) {
+      dsl += `  ${attribute}\n`;
+    }
+    if (model.map) {
+      dsl += `  @@map(${formatDslString(tableName)})\n`;
     }
 
     dsl += '}';
@@ -93,6 +191,13 @@ export class MySQLIntrospector {
     return dsl;
   }
 
+  /**
+   * A model or view name, with its database unless it is the default one
+   */
+  private qualify(name: string, database: string | null): string {
+    return qualifiedName({ name, schema: database && database !== this.defaultDatabase ? database : undefined });
+  }
+
   /**
    * Get column information
    */
@@ -111,7 +216,9 @@ export class MySQLIntrospector {
         is_nullable as isNullable,
         column_default as columnDefault,
         column_type as columnType,
-        extra
+        extra,
+        generation_expression as generationExpression,
+        column_comment as comment
       FROM information_schema.columns
       WHERE table_schema = ${safeDatabase}
         AND table_name = ${safeTableName}
@@ -133,13 +240,20 @@ export class MySQLIntrospector {
       SELECT
         tc.constraint_type as constraintType,
         kcu.column_name as columnName,
+        kcu.referenced_table_schema as foreignTableSchema,
         kcu.referenced_table_name as foreignTableName,
-        kcu.referenced_column_name as foreignColumnName
+        kcu.referenced_column_name as foreignColumnName,
+        rc.delete_rule as deleteRule,
+        rc.update_rule as updateRule
       FROM information_schema.table_constraints tc
       LEFT JOIN information_schema.key_column_usage kcu
         ON tc.constraint_name = kcu.constraint_name
         AND tc.table_schema = kcu.table_schema
         AND tc.table_name = kcu.table_name
+      LEFT JOIN information_schema.referential_constraints rc
+        ON tc.constraint_name = rc.constraint_name
+        AND tc.table_schema = rc.constraint_schema
+        AND tc.table_name = rc.table_name
       WHERE tc.table_schema = ${safeDatabase}
         AND tc.table_name = ${safeTableName}
     `;
@@ -148,45 +262,99 @@ export class MySQLIntrospector {
   }
 
   /**
-   * Generate column definition line
+   * Get CHECK constraints (MySQL 8.0.16 and later enforce them)
    */
-  private generateColumnDefinition(col: ColumnInfo, constraints: ConstraintInfo[]): string {
-    const parts: string[] = [];
+  private async getChecks(tableName: string, database: string): Promise<IntrospectedCheck[]> {
+    const safeDatabase = escapeSqlStringLiteral(database);
+    const safeTableName = escapeSqlStringLiteral(tableName);
 
-    // Column name (padded)
-    parts.push(col.columnName.padEnd(15));
+    const query = `
+      SELECT
+        tc.constraint_name as name,
+        cc.check_clause as expression
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.check_constraints cc
+        ON cc.constraint_schema = tc.constraint_schema
+        AND cc.constraint_name = tc.constraint_name
+      WHERE tc.table_schema = ${safeDatabase}
+        AND tc.table_name = ${safeTableName}
+        AND tc.constraint_type = 'CHECK'
+      ORDER BY tc.constraint_name
+    `;
+
+    return await this.adapter.query(query);
+  }
+
+  /**
+   * Generate column definition line, as name, type and decorator cells
+   */
+  private generateColumnDefinition(
+    col: ColumnInfo,
+    constraints: ConstraintInfo[],
+    compositeKey: string[],
+    check?: string
+  ): string[] {
+    const decorators: string[] = [];
 
     // Data type
     const schemactType = this.mapTypeToSchemact(col);
-    parts.push(schemactType.padEnd(20));
 
     // Constraints
     const columnConstraints = constraints.filter(c => c.columnName === col.columnName);
 
     for (const constraint of columnConstraints) {
       if (constraint.constraintType === 'PRIMARY KEY') {
-        parts.push('@pk');
+        if (compositeKey.length === 0) {
+          decorators.push('@pk');
+        }
       } else if (constraint.constraintType === 'UNIQUE') {
-        parts.push('@unique');
+        decorators.push('@unique');
       } else if (constraint.constraintType === 'FOREIGN KEY' && constraint.foreignTableName) {
-        parts.push(`@ref(${constraint.foreignTableName}.${constraint.foreignColumnName})`);
+        const { foreignTableSchema, foreignTableName, foreignColumnName } = constraint;
+        const database =
+          foreignTableSchema && foreignTableSchema !== this.defaultDatabase ? foreignTableSchema : undefined;
+        decorators.push(`@ref(${referenceForColumn(foreignTableName, foreignColumnName!, this.naming, database)})`);
+        // InnoDB treats RESTRICT the same as NO ACTION, and MySQL 5.7 reports either default as RESTRICT
+        if (constraint.deleteRule && !['NO ACTION', 'RESTRICT'].includes(constraint.deleteRule)) {
+          decorators.push(`@onDelete('${constraint.deleteRule.toLowerCase()}')`);
+        }
+        if (constraint.updateRule && !['NO ACTION', 'RESTRICT'].includes(constraint.updateRule)) {
+          decorators.push(`@onUpdate('${constraint.updateRule.toLowerCase()}')`);
+        }
       }
     }
 
     // NOT NULL
     if (col.isNullable === 'NO' && !columnConstraints.some(c => c.constraintType === 'PRIMARY KEY')) {
-      parts.push('@notnull');
+      decorators.push('@notnull');
     }
 
-    // Default value
-    if (col.columnDefault !== null) {
-      const defaultValue = this.formatDefaultValue(col.columnDefault);
+    // Generated columns are marked in extra as 'STORED GENERATED' or 'VIRTUAL GENERATED'
+    const generated = col.extra.toLowerCase().match(/\b(stored|virtual) generated\b/);
+    if (generated && col.generationExpression) {
+      decorators.push(`@generated(${formatDslString(col.generationExpression)}, ${generated[1]})`);
+    }
+
+    // Default value; AUTO_INCREMENT on an INT column is already Serial
+    if (col.extra.toLowerCase().includes('auto_increment') && schemactType !== 'Serial') {
+      decorators.push('@default(autoincrement)');
+    } else if (col.columnDefault !== null) {
+      const defaultValue = this.formatDefaultValue(col);
       if (defaultValue) {
-        parts.push(`@default(${defaultValue})`);
+        decorators.push(`@default(${defaultValue})`);
       }
     }
 
-    return parts.join(' ');
+    if (check) {
+      decorators.push(check);
+    }
+
+    const field = fieldNameForColumn(col.columnName, this.naming);
+    if (field.map) {
+      decorators.push(`@map(${formatDslString(col.columnName)})`);
+    }
+
+    return [field.name, schemactType, decorators.join(' ')];
   }
 
   /**
@@ -219,9 +387,12 @@ export class MySQLIntrospector {
         return 'BigInt';
 
       case 'smallint':
-      case 'tinyint':
         return 'SmallInt';
 
+      // BOOLEAN columns are created as tinyint(1)
+      case 'tinyint':
+        return col.columnType.toLowerCase() === 'tinyint(1)' ? 'Boolean' : 'TinyInt';
+
       case 'varchar':
         if (col.characterMaximumLength) {
           return `VarChar(${col.characterMaximumLength})`;
@@ -235,12 +406,15 @@ export class MySQLIntrospector {
         return 'Char(1)';
 
       case 'text':
+        return 'Text';
+
       case 'mediumtext':
+        return 'MediumText';
+
       case 'longtext':
-        return 'Text';
+        return 'LongText';
 
       case 'boolean':
-      case 'tinyint(1)':
       case 'bool':
         return 'Boolean';
 
@@ -269,6 +443,16 @@ export class MySQLIntrospector {
       case 'double':
         return 'DoublePrecision';
 
+      case 'blob':
+        return 'Blob';
+
+      case 'tinyblob':
+      case 'mediumblob':
+      case 'longblob':
+      case 'binary':
+      case 'varbinary':
+        return 'Bytes';
+
       case 'json':
         return 'Json';
 
@@ -280,11 +464,27 @@ export class MySQLIntrospector {
   /**
    * Format default value for DSL
    */
-  private formatDefaultValue(value: string): string | null {
+  private formatDefaultValue(col: ColumnInfo): string | null {
+    let value = col.columnDefault;
     if (!value || value === 'NULL') {
       return null;
     }
 
+    // MySQL 8 marks expression defaults, and returns them without parentheses
+    if (col.extra.toLowerCase().includes('default_generated')) {
+      const lower = value.toLowerCase();
+      if (lower === 'current_timestamp' || lower === 'current_timestamp()' || lower === 'now()') {
+        return 'now';
+      }
+      if (lower === 'curdate()' || lower === 'current_date') {
+        return 'today';
+      }
+      if (lower === 'uuid()') {
+        return 'uuid';
+      }
+      return formatSqlExpression(value);
+    }
+
     // Remove quotes and handle special values
     value = value.trim().replace(/^'|'$/g, '');
 
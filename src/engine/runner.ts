@@ -4,10 +4,28 @@
  * FIX MEDIUM-1: Added structured logging for audit trail
  */
 
-import { readdir, readFile } from 'fs/promises';
-import { join } from 'path';
-import { DbAdapter, SchemactError, SchemactConfig, MigrationMetricEvent } from '../ast/types.js';
-import { Parser } from '../ast/parser.js';
+import { access, readdir, readFile } from 'fs/promises';
+import { join, resolve, sep } from 'path';
+import {
+  DbAdapter,
+  SchemactError,
+  SchemactConfig,
+  MigrationMetricEvent,
+  SchemaAST,
+  ModelNode,
+  MixinNode,
+  TypeAliasNode,
+  EnumNode,
+  ValidationError,
+  ParseError,
+  ParseErrorList,
+} from '../ast/types.js';
+import { Parser, ParseResult } from '../ast/parser.js';
+import { expandMixins } from '../ast/mixins.js';
+import { expandTypeAliases } from '../ast/type-aliases.js';
+import { expandRelations } from '../ast/relations.js';
+import { Analyzer } from '../ast/analyzer.js';
+import { NameMapper } from '../ast/naming.js';
 import { SqlGenerator } from '../generators/base.js';
 import { LedgerManager } from './ledger.js';
 import {
@@ -39,6 +57,20 @@ export interface MigrationFile {
   filename: string;
   filepath: string;
   content: string;
+  includes?: IncludedFile[];
+}
+
+/**
+ * A file pulled in by an `include` directive
+ *
+ * @property {string} path - Path as written in the include directive
+ * @property {string} filepath - Path resolved against the migrations directory
+ * @property {string} content - Contents of the included file
+ */
+export interface IncludedFile {
+  path: string;
+  filepath: string;
+  content: string;
 }
 
 /**
@@ -118,6 +150,8 @@ export class MigrationRunner {
       }
 
       const migrations: MigrationFile[] = [];
+      // Shared files are usually included by many migrations; read each once
+      const includeCache = new Map<string, Promise<string>>();
 
       for (const filename of siglFiles) {
         const filepath = join(this.migrationsPath, filename);
@@ -128,7 +162,10 @@ export class MigrationRunner {
         }
 
         const content = await readFile(filepath, 'utf-8');
-        migrations.push({ filename, filepath, content });
+        const includes = await this.loadIncludes(filepath, content, includeCache);
+        migrations.push(includes.length > 0
+          ? { filename, filepath, content, includes }
+          : { filename, filepath, content });
       }
 
       return migrations;
@@ -142,6 +179,68 @@ export class MigrationRunner {
     }
   }
 
+  /**
+   * Read the files a migration includes, resolved relative to the migrations directory.
+   * Syntax errors are ignored here; analyzeMigrations reports them with the rest.
+   */
+  private async loadIncludes(
+    filepath: string,
+    content: string,
+    cache: Map<string, Promise<string>>
+  ): Promise<IncludedFile[]> {
+    const { ast } = Parser.parseWithRecovery(content, filepath);
+    const includes: IncludedFile[] = [];
+
+    for (const include of ast.includes ?? []) {
+      const includePath = resolve(this.migrationsPath, include.path);
+      // Included content is executed and hashed into the ledger, so it must not come from elsewhere
+      if (!includePath.startsWith(resolve(this.migrationsPath) + sep)) {
+        throw new ParseError(
+          `Included file "${include.path}" is outside the migrations directory`,
+          include.span?.start.line,
+          include.span?.start.column,
+          filepath
+        );
+      }
+
+      let read = cache.get(includePath);
+      if (!read) {
+        read = this.readInclude(includePath);
+        cache.set(includePath, read);
+      }
+
+      try {
+        includes.push({ path: include.path, filepath: includePath, content: await read });
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+          throw new ParseError(
+            `Included file "${include.path}" not found (resolved to ${includePath})`,
+            include.span?.start.line,
+            include.span?.start.column,
+            filepath
+          );
+        }
+        throw error;
+      }
+    }
+
+    return includes;
+  }
+
+  private async readInclude(includePath: string): Promise<string> {
+    // Included files count against the per-file limit, checked before reading.
+    // access() first so a missing file still fails with ENOENT, which
+    // validateFileSize would turn into a generic error
+    if (this.config?.enableFileSizeValidation ?? true) {
+      await access(includePath);
+      await validateFileSize(
+        includePath,
+        this.config?.maxMigrationFileSize ?? DEFAULT_MAX_MIGRATION_FILE_SIZE
+      );
+    }
+    return readFile(includePath, 'utf-8');
+  }
+
   /**
    * Run pending migrations (UP)
    * FIX CRITICAL-4: Added ledger write validation to prevent inconsistent state
@@ -156,7 +255,7 @@ export class MigrationRunner {
 
     // Create a map of migrations for integrity validation
     const migrationMap = new Map(
-      migrations.map((m) => [m.filename, m.content])
+      migrations.map((m) => [m.filename, ledgerContent(m)])
     );
 
     // Validate integrity of previously applied migrations
@@ -172,6 +271,9 @@ export class MigrationRunner {
       return { applied: [], skipped: [] };
     }
 
+    // Validate the schema across all migration files before touching the database
+    const asts = await this.analyzeMigrations(migrations, pendingFiles);
+
     // FIX MEDIUM-1: Log migration start
     await logger.security('migration_start', {
       pendingCount: pendingFiles.length,
@@ -211,14 +313,16 @@ export class MigrationRunner {
         const migrationStartTime = Date.now();
         await logger.info('migration', `Applying: ${migration.filename}`);
 
-        // Parse the migration file
-        const ast = Parser.parse(migration.content);
+        // Parsed and validated by analyzeMigrations
+        const ast = asts.get(migration.filename)!;
+        await this.warnOnIrreversibleRawSql(migration.filename, ast);
+        await this.warnOnIrreversibleAlterations(migration.filename, ast);
 
         // Generate SQL
         const sqlStatements = this.generator.generateUp(ast);
+        await this.logGeneratorWarnings();
 
-        // Execute in transaction
-        await this.adapter.transaction(sqlStatements);
+        await this.execute(migration.filename, sqlStatements, 'up');
 
         // FIX MEDIUM-1: Log successful application
         const migrationDuration = Date.now() - migrationStartTime;
@@ -244,7 +348,7 @@ export class MigrationRunner {
         // Collect migration for batch recording (don't record yet)
         migrationsToRecord.push({
           filename: migration.filename,
-          content: migration.content,
+          content: ledgerContent(migration),
         });
 
         applied.push(filename);
@@ -349,6 +453,7 @@ export class MigrationRunner {
     await this.ledger.validateWriteCapability();
 
     const rolledBack: string[] = [];
+    const asts = this.mapMigrationNames(migrations, lastBatch.map((entry) => entry.filename));
 
     // FIX BUG-042: Move connect() inside try block to ensure disconnect() is called on failure
     try {
@@ -370,14 +475,14 @@ export class MigrationRunner {
         const rollbackStartTime = Date.now();
         await logger.info('migration', `Rolling back: ${migration.filename}`);
 
-        // Parse the migration file
-        const ast = Parser.parse(migration.content);
+        // Parsed and mapped to table names above
+        const ast = asts.get(migration.filename)!;
+        await this.warnOnIrreversibleRawSql(migration.filename, ast);
 
         // Generate DOWN SQL
         const sqlStatements = this.generator.generateDown(ast);
 
-        // Execute in transaction
-        await this.adapter.transaction(sqlStatements);
+        await this.execute(migration.filename, sqlStatements, 'down');
 
         // FIX MEDIUM-1: Log successful rollback
         const rollbackDuration = Date.now() - rollbackStartTime;
@@ -452,6 +557,271 @@ export class MigrationRunner {
     return { rolledBack };
   }
 
+  /**
+   * Parse every migration and run the semantic analyzer over them in order.
+   * Syntax errors in any file abort the run with a ParseErrorList.
+   * Applied migrations only provide context; diagnostics in pending migrations
+   * are logged, and any errors among them abort the run with a ValidationError.
+   */
+  private async analyzeMigrations(
+    migrations: MigrationFile[],
+    pendingFiles: string[]
+  ): Promise<Map<string, SchemaAST>> {
+    const logger = getLogger();
+    const asts = new Map<string, SchemaAST>();
+
+    // Report every syntax error across all files at once rather than one per run
+    const parseErrors: ParseError[] = [];
+    const included = new Map<string, ParseResult>();
+    // Models created so far, which @manyToMany relations in later migrations may join
+    const models: ModelNode[] = [];
+    for (const migration of migrations) {
+      const { ast, errors } = Parser.parseWithRecovery(migration.content, migration.filepath);
+      parseErrors.push(...errors);
+
+      const mixins: MixinNode[] = [];
+      const typeAliases: TypeAliasNode[] = [];
+      for (const include of migration.includes ?? []) {
+        let result = included.get(include.filepath);
+        if (!result) {
+          // Errors in a shared file are reported once, not once per migration
+          result = parseIncludedFile(include);
+          included.set(include.filepath, result);
+          parseErrors.push(...result.errors);
+        }
+        mixins.push(...(result.ast.mixins ?? []));
+        typeAliases.push(...(result.ast.typeAliases ?? []));
+      }
+
+      try {
+        const expanded = expandRelations(expandTypeAliases(expandMixins(ast, mixins), typeAliases), models);
+        asts.set(migration.filename, expanded);
+        models.push(...expanded.models);
+      } catch (error) {
+        if (!(error instanceof ParseError)) throw error;
+        parseErrors.push(error);
+      }
+    }
+
+    if (parseErrors.length > 0) {
+      await logger.error('migration', 'Failed to parse migrations', {
+        errors: parseErrors.map((e) => e.message),
+      });
+      throw new ParseErrorList(parseErrors);
+    }
+
+    // Diagnostics carry the file path so editors and CI annotations can link to them
+    const pendingPaths = migrations
+      .filter((m) => pendingFiles.includes(m.filename))
+      .map((m) => m.filepath);
+    const diagnostics = Analyzer.analyzeMigrations(
+      migrations.map((m) => ({ filename: m.filepath, ast: asts.get(m.filename)! }))
+    ).filter((d) => d.file !== undefined && pendingPaths.includes(d.file));
+
+    for (const diagnostic of diagnostics) {
+      if (diagnostic.severity === 'warning') {
+        await logger.warn('migration', diagnostic.message, {
+          filename: diagnostic.file,
+          line: diagnostic.line,
+          column: diagnostic.column,
+        });
+      }
+    }
+
+    const errors = diagnostics.filter((d) => d.severity === 'error');
+    if (errors.length > 0) {
+      await logger.error('migration', 'Schema validation failed', {
+        errors: errors.map((d) => d.message),
+      });
+      throw new ValidationError(errors);
+    }
+
+    // The analyzer works with model names; generators get table and column names
+    const names = new NameMapper(this.config?.naming);
+    const enums: EnumNode[] = [];
+    const completed = Analyzer.withPreviousDefinitions(
+      migrations.map((m) => ({ filename: m.filepath, ast: asts.get(m.filename)! }))
+    );
+    migrations.forEach((migration, i) => {
+      asts.set(migration.filename, withExistingEnums(names.map(completed[i]), enums));
+    });
+
+    return asts;
+  }
+
+  /**
+   * Parse a migration and expand the mixins and type aliases it uses, including
+   * those from included files, and its @manyToMany relations, which may join
+   * the models of earlier migrations. Throws on the first error.
+   */
+  private parseMigration(migration: MigrationFile, models: ModelNode[]): SchemaAST {
+    const included = (migration.includes ?? []).map((include) => {
+      const { ast, errors } = parseIncludedFile(include);
+      if (errors.length > 0) {
+        throw new ParseErrorList(errors);
+      }
+      return ast;
+    });
+
+    const ast = expandMixins(
+      Parser.parse(migration.content, migration.filepath),
+      included.flatMap((a) => a.mixins ?? [])
+    );
+    return expandRelations(expandTypeAliases(ast, included.flatMap((a) => a.typeAliases ?? [])), models);
+  }
+
+  /**
+   * Parse migrations in order up to the last of the given ones, mapping model and
+   * column names to table and column names, so a rollback sees the names,
+   * enums and column definitions that earlier migrations declared
+   */
+  private mapMigrationNames(migrations: MigrationFile[], filenames: string[]): Map<string, SchemaAST> {
+    const last = Math.max(...filenames.map((filename) => migrations.findIndex((m) => m.filename === filename)));
+    const parsed = migrations.slice(0, last + 1);
+    const models: ModelNode[] = [];
+    const completed = Analyzer.withPreviousDefinitions(
+      parsed.map((migration) => {
+        const ast = this.parseMigration(migration, models);
+        models.push(...ast.models);
+        return { filename: migration.filepath, ast };
+      })
+    );
+
+    const names = new NameMapper(this.config?.naming);
+    const enums: EnumNode[] = [];
+    const asts = new Map<string, SchemaAST>();
+    parsed.forEach((migration, i) => {
+      asts.set(migration.filename, withExistingEnums(names.map(completed[i]), enums));
+    });
+    return asts;
+  }
+
+  /**
+   * Run a migration's statements in order. Statements the generator marks as
+   * non-transactional, such as CREATE INDEX CONCURRENTLY, run on their own and
+   * split the rest into one transaction before them and one after. A failure
+   * after a step has committed leaves the migration partially applied, which
+   * the error records along with the committed statements.
+   */
+  private async execute(filename: string, statements: string[], direction: 'up' | 'down'): Promise<void> {
+    const nonTransactional = new Set(this.generator.getNonTransactional?.() ?? []);
+    if (!statements.some((sql) => nonTransactional.has(sql))) {
+      await this.adapter.transaction(statements);
+      return;
+    }
+
+    const committed: string[] = [];
+    let pending: string[] = [];
+    const commitPending = async (): Promise<void> => {
+      if (pending.length > 0) {
+        await this.adapter.transaction(pending);
+        committed.push(...pending);
+        pending = [];
+      }
+    };
+
+    try {
+      for (const sql of statements) {
+        if (!nonTransactional.has(sql)) {
+          pending.push(sql);
+          continue;
+        }
+        await commitPending();
+        await this.adapter.query(sql);
+        committed.push(sql);
+      }
+      await commitPending();
+    } catch (error) {
+      if (committed.length === 0) {
+        throw error;
+      }
+      throw await this.partialApplicationError(filename, direction, committed, error as Error);
+    }
+  }
+
+  /**
+   * Log and describe a migration that failed after some of its statements were
+   * committed. The ledger is not updated, so running again repeats them.
+   */
+  private async partialApplicationError(
+    filename: string,
+    direction: 'up' | 'down',
+    committed: string[],
+    cause: Error
+  ): Promise<SchemactError> {
+    const action = direction === 'up' ? 'applied' : 'rolled back';
+    await getLogger().error('migration', `Migration partially ${action}`, {
+      filename,
+      error: cause.message,
+      committedStatements: committed,
+    });
+
+    const error = new SchemactError([
+      `Migration "${filename}" was partially ${action}: ${cause.message}`,
+      '',
+      'These statements were committed before the failure:',
+      ...committed.map((sql) => `   - ${sql}`),
+      '',
+      'The ledger was not updated, so running again repeats them.',
+      'Undo them, or run the remaining statements by hand and update the ledger, before running again.',
+      'A failed CREATE INDEX CONCURRENTLY leaves an invalid index that must be dropped.',
+    ].join('\n'));
+    (error as any).cause = cause;
+    (error as any).committedStatements = committed;
+    return error;
+  }
+
+  /**
+   * Log warnings from the last generateUp call, such as array columns stored as JSON
+   */
+  private async logGeneratorWarnings(): Promise<void> {
+    for (const warning of this.generator.getWarnings?.() ?? []) {
+      await getLogger().warn('migration', warning.message, {
+        filename: warning.file,
+        line: warning.line,
+        column: warning.column,
+      });
+    }
+  }
+
+  /**
+   * Warn when a migration has '>' raw SQL but no '<' down SQL,
+   * since rolling it back cannot undo those statements
+   */
+  private async warnOnIrreversibleRawSql(filename: string, ast: SchemaAST): Promise<void> {
+    const upStatements = ast.rawSql.filter((raw) => raw.direction !== 'down');
+    const hasDownSql = ast.rawSql.some((raw) => raw.direction === 'down');
+
+    if (upStatements.length > 0 && !hasDownSql) {
+      await getLogger().warn(
+        'migration',
+        `${filename} has raw SQL without "<" down statements; rollback will not revert it`,
+        { filename, rawSqlStatements: upStatements.length }
+      );
+    }
+  }
+
+  /**
+   * Warn about `drop` and `change` operations whose original definition is
+   * neither declared nor known from an earlier migration, since rolling them
+   * back will fail
+   */
+  private async warnOnIrreversibleAlterations(filename: string, ast: SchemaAST): Promise<void> {
+    for (const alter of ast.alterations ?? []) {
+      for (const operation of alter.operations) {
+        if ((operation.action === 'drop' || operation.action === 'change') && !operation.previous) {
+          const column = operation.action === 'drop' ? operation.name : operation.column.name;
+          await getLogger().warn(
+            'migration',
+            `${filename} cannot be rolled back: the original definition of "${alter.name}.${column}" is unknown. ` +
+              `Declare it in the "${operation.action}" operation`,
+            { filename, line: operation.span?.start.line, column: operation.span?.start.column }
+          );
+        }
+      }
+    }
+  }
+
   /**
    * FIX LOW-3: Get migration status
    *
@@ -497,3 +867,54 @@ export class MigrationRunner {
     return { applied, pending, currentBatch };
   }
 }
+
+/**
+ * Attach the enums declared by earlier migrations, then add this migration's own
+ * to the list, so a later migration can use a shared enum as a column type
+ */
+function withExistingEnums(ast: SchemaAST, enums: EnumNode[]): SchemaAST {
+  const result = enums.length > 0 ? { ...ast, existingEnums: [...enums] } : ast;
+  enums.push(...(ast.enums ?? []));
+  return result;
+}
+
+/**
+ * Parse an included file. Included files may only declare mixins and plain type
+ * aliases, since models, views, raw SQL or domains in them would be created again by
+ * every migration that includes them.
+ */
+function parseIncludedFile(include: IncludedFile): ParseResult {
+  const { ast, errors } = Parser.parseWithRecovery(include.content, include.filepath);
+
+  const declarations = [
+    ...ast.models,
+    ...ast.rawSql,
+    ...(ast.alterations ?? []),
+    ...(ast.enums ?? []),
+    ...(ast.includes ?? []),
+    ...(ast.views ?? []),
+    ...(ast.typeAliases ?? []).filter((alias) => alias.domain),
+  ];
+  for (const node of declarations) {
+    errors.push(new ParseError(
+      'Included files may only declare mixins and type aliases',
+      node.span?.start.line,
+      node.span?.start.column,
+      include.filepath
+    ));
+  }
+
+  return { ast, errors };
+}
+
+/**
+ * The content hashed into the ledger for a migration: the file itself followed by
+ * every file it includes, so editing a shared file is caught by validateIntegrity.
+ * Migrations without includes hash exactly as before.
+ */
+function ledgerContent(migration: MigrationFile): string {
+  return (migration.includes ?? []).reduce(
+    (content, include) => `${content}\n# include ${include.path}\n${include.content}`,
+    migration.content
+  );
+}
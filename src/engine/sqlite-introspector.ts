@@ -3,8 +3,21 @@
  * Uses PRAGMA commands and sqlite_master to extract table and column definitions
  */
 
-import { DbAdapter } from '../ast/types.js';
-import { escapeSqlIdentifier } from '../utils/sql-identifier-escape.js';
+import { DbAdapter, NamingStrategy } from '../ast/types.js';
+import { modelNameForTable, fieldNameForColumn, referenceForColumn } from '../ast/naming.js';
+import {
+  escapeSqlIdentifier,
+  escapeSqlStringLiteral,
+  MAX_IDENTIFIER_LENGTH_POSTGRES,
+} from '../utils/sql-identifier-escape.js';
+import { alignColumns, formatDslString, formatSqlExpression, formatSqlBlock } from '../utils/formatting.js';
+import { SQLITE_UUID_EXPRESSION } from '../generators/sqlite.js';
+import { placeChecks, closingParenthesis, IntrospectedCheck } from './check-constraints.js';
+
+interface ViewInfo {
+  name: string;
+  query: string;
+}
 
 interface ColumnInfo {
   cid: number;
@@ -13,6 +26,7 @@ interface ColumnInfo {
   notnull: number;
   dflt_value: string | null;
   pk: number;
+  hidden: number; // 2 for virtual and 3 for stored generated columns
 }
 
 interface ForeignKeyInfo {
@@ -39,9 +53,11 @@ interface IndexColumnInfo {
 
 export class SQLiteIntrospector {
   private adapter: DbAdapter;
+  private naming: NamingStrategy;
 
-  constructor(adapter: DbAdapter) {
+  constructor(adapter: DbAdapter, naming: NamingStrategy = {}) {
     this.adapter = adapter;
+    this.naming = naming;
   }
 
   /**
@@ -61,6 +77,10 @@ export class SQLiteIntrospector {
         models.push(model);
       }
 
+      for (const view of await this.getViews()) {
+        models.push(`view ${view.name} as ${formatSqlBlock(view.query)}`);
+      }
+
       return models.join('\n\n');
     } finally {
       await this.adapter.disconnect();
@@ -83,6 +103,21 @@ export class SQLiteIntrospector {
     return rows.map((row: any) => row.name);
   }
 
+  /**
+   * Get views, with the query taken from their CREATE VIEW statement
+   */
+  private async getViews(): Promise<ViewInfo[]> {
+    const query = `
+      SELECT name, sql
+      FROM sqlite_master
+      WHERE type = 'view'
+      ORDER BY name
+    `;
+
+    const rows = await this.adapter.query(query);
+    return rows.map((row: any) => ({ name: row.name, query: findViewQuery(row.sql) }));
+  }
+
   /**
    * Introspect a single table
    */
@@ -90,14 +125,48 @@ export class SQLiteIntrospector {
     const columns = await this.getColumns(tableName);
     const foreignKeys = await this.getForeignKeys(tableName);
     const indexes = await this.getIndexes(tableName);
+    // Checks and generated column expressions are only recorded in the CREATE TABLE statement
+    const tableSql = await this.getTableSql(tableName);
+    const checks = placeChecks(
+      tableName,
+      columns.map((col) => col.name),
+      findChecks(tableSql),
+      MAX_IDENTIFIER_LENGTH_POSTGRES
+    );
 
     let dsl = `# Table: ${tableName}\n`;
-    dsl += `model ${tableName} {\n`;
-
-    for (const col of columns) {
-      const line = this.generateColumnDefinition(col, foreignKeys, indexes);
+    const model = modelNameForTable(tableName, this.naming);
+    dsl += `model ${model.name} {\n`;
+
+    const deferrable = findDeferrableColumns(tableSql);
+    // PRAGMA table_info numbers key columns by their position in the key, so a
+    // primary key over several columns becomes @@pk in that order
+    const keyColumns = columns.filter((col) => col.pk > 0).sort((a, b) => a.pk - b.pk);
+    const compositeKey = keyColumns.length > 1;
+
+    const rows = columns.map((col) =>
+      this.generateColumnDefinition(
+        col,
+        foreignKeys,
+        indexes,
+        tableSql,
+        checks.columns.get(col.name),
+        deferrable,
+        compositeKey
+      )
+    );
+    for (const line of alignColumns(rows)) {
       dsl += `  ${line}\n`;
     }
+    if (compositeKey) {
+      dsl += `  @@pk(${keyColumns.map((col) => fieldNameForColumn(col.name, this.naming).name).join(', ')})\n`;
+    }
+    for (const attribute of checks.attributes) {
+      dsl += `  ${attribute}\n`;
+    }
+    if (model.map) {
+      dsl += `  @@map(${formatDslString(tableName)})\n`;
+    }
 
     dsl += '}';
 
@@ -105,13 +174,26 @@ export class SQLiteIntrospector {
   }
 
   /**
-   * Get column information using PRAGMA
+   * Get column information using PRAGMA. table_xinfo also lists generated
+   * columns, whose declared type SQLite reports with "GENERATED ALWAYS" appended.
    */
   private async getColumns(tableName: string): Promise<ColumnInfo[]> {
     // FIX BUG-001: Validate table name to prevent SQL injection
     const safeTableName = escapeSqlIdentifier(tableName);
-    const query = `PRAGMA table_info("${safeTableName}")`;
-    return await this.adapter.query(query);
+    const query = `PRAGMA table_xinfo("${safeTableName}")`;
+    const columns: ColumnInfo[] = await this.adapter.query(query);
+    return columns
+      .filter((col) => col.hidden !== 1)
+      .map((col) => ({ ...col, type: col.type.replace(/\s+GENERATED\s+ALWAYS$/i, '') }));
+  }
+
+  /**
+   * Get the CREATE TABLE statement a table was created with
+   */
+  private async getTableSql(tableName: string): Promise<string> {
+    const query = `SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ${escapeSqlStringLiteral(tableName)}`;
+    const rows = await this.adapter.query(query);
+    return rows[0]?.sql ?? '';
   }
 
   /**
@@ -157,68 +239,93 @@ export class SQLiteIntrospector {
   }
 
   /**
-   * Generate column definition line
+   * Generate column definition line, as name, type and decorator cells
    */
   private generateColumnDefinition(
     col: ColumnInfo,
     foreignKeys: ForeignKeyInfo[],
-    indexes: Map<string, IndexInfo>
-  ): string {
-    const parts: string[] = [];
-
-    // Column name (padded)
-    parts.push(col.name.padEnd(15));
+    indexes: Map<string, IndexInfo>,
+    tableSql: string,
+    check: string | undefined,
+    deferrable: Map<string, 'deferred' | 'immediate'>,
+    compositeKey: boolean
+  ): string[] {
+    const decorators: string[] = [];
 
     // Data type
-    const schemactType = this.mapTypeToSchemact(col);
-    parts.push(schemactType.padEnd(20));
+    const schemactType = this.mapTypeToSchemact(col, compositeKey);
+
+    // Generated columns
+    if (col.hidden >= 2) {
+      const expression = findGeneratedExpression(tableSql, col.name);
+      if (expression) {
+        decorators.push(`@generated(${formatDslString(expression)}, ${col.hidden === 3 ? 'stored' : 'virtual'})`);
+      }
+    }
 
     // Primary key
-    if (col.pk === 1) {
-      parts.push('@pk');
+    if (col.pk === 1 && !compositeKey) {
+      decorators.push('@pk');
     }
 
     // Unique (from index)
     const indexInfo = indexes.get(col.name);
     if (indexInfo && indexInfo.unique === 1 && col.pk === 0) {
-      parts.push('@unique');
+      decorators.push('@unique');
     }
 
     // Foreign key
     const fk = foreignKeys.find(fk => fk.from === col.name);
     if (fk) {
-      parts.push(`@ref(${fk.table}.${fk.to})`);
+      decorators.push(`@ref(${referenceForColumn(fk.table, fk.to, this.naming)})`);
 
       if (fk.on_delete && fk.on_delete !== 'NO ACTION') {
-        parts.push(`@onDelete('${fk.on_delete.toLowerCase()}')`);
+        decorators.push(`@onDelete('${fk.on_delete.toLowerCase()}')`);
+      }
+      if (fk.on_update && fk.on_update !== 'NO ACTION') {
+        decorators.push(`@onUpdate('${fk.on_update.toLowerCase()}')`);
+      }
+      // PRAGMA foreign_key_list leaves out DEFERRABLE, so it comes from the table SQL
+      const timing = deferrable.get(col.name);
+      if (timing) {
+        decorators.push(timing === 'deferred' ? '@deferrable' : '@deferrable(immediate)');
       }
     }
 
     // NOT NULL (if not primary key)
     if (col.notnull === 1 && col.pk === 0) {
-      parts.push('@notnull');
+      decorators.push('@notnull');
     }
 
     // Default value
     if (col.dflt_value !== null) {
       const defaultValue = this.formatDefaultValue(col.dflt_value, col.type);
       if (defaultValue) {
-        parts.push(`@default(${defaultValue})`);
+        decorators.push(`@default(${defaultValue})`);
       }
     }
 
-    return parts.join(' ');
+    if (check) {
+      decorators.push(check);
+    }
+
+    const field = fieldNameForColumn(col.name, this.naming);
+    if (field.map) {
+      decorators.push(`@map(${formatDslString(col.name)})`);
+    }
+
+    return [field.name, schemactType, decorators.join(' ')];
   }
 
   /**
    * Map SQLite type to Schemact type
    */
-  private mapTypeToSchemact(col: ColumnInfo): string {
+  private mapTypeToSchemact(col: ColumnInfo, compositeKey: boolean): string {
     const type = col.type.toUpperCase();
 
     // Check for AUTOINCREMENT in the column definition
     // SQLite AUTOINCREMENT is only valid with INTEGER PRIMARY KEY
-    if (col.pk === 1 && type === 'INTEGER') {
+    if (col.pk === 1 && !compositeKey && type === 'INTEGER') {
       return 'Serial';
     }
 
@@ -251,11 +358,23 @@ export class SQLiteIntrospector {
       case 'SMALLINT':
         return 'Int';
 
+      case 'TINYINT':
+        return 'TinyInt';
+
       case 'TEXT':
       case 'VARCHAR':
       case 'CHAR':
         return 'Text';
 
+      case 'MEDIUMTEXT':
+        return 'MediumText';
+
+      case 'LONGTEXT':
+        return 'LongText';
+
+      case 'BLOB':
+        return 'Bytes';
+
       case 'BOOLEAN':
       case 'BOOL':
         return 'Boolean';
@@ -271,10 +390,12 @@ export class SQLiteIntrospector {
         return 'Time';
 
       case 'REAL':
-      case 'FLOAT':
       case 'DOUBLE':
         return 'Real';
 
+      case 'FLOAT':
+        return 'Float';
+
       case 'NUMERIC':
       case 'DECIMAL':
         return 'Decimal(10,2)';
@@ -306,18 +427,27 @@ export class SQLiteIntrospector {
       return null;
     }
 
-    // Remove surrounding quotes
     value = value.trim();
 
-    // Handle quoted strings
-    if (value.startsWith("'") && value.endsWith("'")) {
-      value = value.slice(1, -1);
-    }
-
     // Special values
-    if (value === 'CURRENT_TIMESTAMP' || value === "datetime('now')") {
+    const upper = value.toUpperCase();
+    if (upper === 'CURRENT_TIMESTAMP' || value === "datetime('now')") {
       return 'now';
     }
+    if (upper === 'CURRENT_DATE' || value === "date('now')") {
+      return 'today';
+    }
+    if (value === SQLITE_UUID_EXPRESSION) {
+      return 'uuid';
+    }
+
+    // Remove surrounding quotes
+    if (value.startsWith("'") && value.endsWith("'")) {
+      value = value.slice(1, -1);
+    } else if (value.startsWith('(') && value.endsWith(')')) {
+      // Parenthesized expression defaults
+      return formatSqlExpression(value.slice(1, -1));
+    }
 
     // Boolean values (SQLite stores as 0/1)
     if (type.toUpperCase().includes('BOOL')) {
@@ -338,3 +468,120 @@ export class SQLiteIntrospector {
     return `'${value}'`;
   }
 }
+
+/**
+ * Find a generated column's expression in its table's CREATE TABLE statement
+ */
+function findGeneratedExpression(tableSql: string, columnName: string): string | null {
+  const name = columnName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const definition = new RegExp(
+    `(?:^|[(,])\\s*(?:"${name}"|\`${name}\`|\\[${name}\\]|${name})\\s[^,]*?\\bAS\\s*\\(`,
+    'i'
+  );
+  const match = definition.exec(tableSql);
+  if (!match) {
+    return null;
+  }
+
+  const open = match.index + match[0].length - 1;
+  const close = closingParenthesis(tableSql, open);
+  return close === -1 ? null : tableSql.slice(open + 1, close).trim();
+}
+
+// A bare, double-quoted, backquoted or bracketed SQLite identifier
+const IDENTIFIER = '"(?:[^"]|"")+"|`[^`]+`|\\[[^\\]]+\\]|\\w+';
+
+/**
+ * The query in a CREATE VIEW statement: everything after AS
+ */
+function findViewQuery(viewSql: string): string {
+  const pattern = new RegExp(
+    `^\\s*CREATE\\s+(?:TEMP(?:ORARY)?\\s+)?VIEW\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?` +
+      `(?:(?:${IDENTIFIER})\\s*\\.\\s*)?(?:${IDENTIFIER})\\s*(?:\\([^)]*\\)\\s*)?AS\\s+`,
+    'i'
+  );
+  return viewSql.replace(pattern, '').trim().replace(/;$/, '');
+}
+
+/**
+ * Find the CHECK constraints in a CREATE TABLE statement, named or not
+ */
+function findChecks(tableSql: string): IntrospectedCheck[] {
+  const checks: IntrospectedCheck[] = [];
+  const pattern = new RegExp(`(?:\\bCONSTRAINT\\s+(${IDENTIFIER})\\s+)?\\bCHECK\\s*\\(`, 'gi');
+
+  for (const match of tableSql.matchAll(pattern)) {
+    const open = match.index! + match[0].length - 1;
+    const close = closingParenthesis(tableSql, open);
+    if (close === -1) {
+      continue;
+    }
+    checks.push({
+      name: match[1] ? unquoteIdentifier(match[1]) : null,
+      expression: tableSql.slice(open + 1, close).trim(),
+    });
+  }
+  return checks;
+}
+
+function unquoteIdentifier(name: string): string {
+  if (/^\w/.test(name)) {
+    return name;
+  }
+  return name.slice(1, -1).replace(/""/g, '"');
+}
+
+/**
+ * Find the columns whose foreign key is DEFERRABLE, and whether it is initially
+ * deferred. A plain DEFERRABLE is initially immediate.
+ */
+function findDeferrableColumns(tableSql: string): Map<string, 'deferred' | 'immediate'> {
+  const columns = new Map<string, 'deferred' | 'immediate'>();
+  const foreignKey = new RegExp(
+    `^(?:CONSTRAINT\\s+(?:${IDENTIFIER})\\s+)?FOREIGN\\s+KEY\\s*\\(\\s*(${IDENTIFIER})\\s*\\)`,
+    'i'
+  );
+  const columnName = new RegExp(`^(${IDENTIFIER})`);
+
+  for (const definition of splitTableDefinitions(tableSql)) {
+    const deferrable = definition.match(/\b(NOT\s+)?DEFERRABLE(?:\s+INITIALLY\s+(DEFERRED|IMMEDIATE))?\b/i);
+    if (!deferrable || deferrable[1]) {
+      continue;
+    }
+    const column = definition.match(foreignKey)?.[1] ?? definition.match(columnName)?.[1];
+    if (column) {
+      columns.set(unquoteIdentifier(column), deferrable[2]?.toUpperCase() === 'DEFERRED' ? 'deferred' : 'immediate');
+    }
+  }
+  return columns;
+}
+
+/**
+ * Split the body of a CREATE TABLE statement into its column and table constraint definitions
+ */
+function splitTableDefinitions(tableSql: string): string[] {
+  const open = tableSql.indexOf('(');
+  const close = open === -1 ? -1 : closingParenthesis(tableSql, open);
+  if (close === -1) {
+    return [];
+  }
+
+  const definitions: string[] = [];
+  let start = open + 1;
+  let depth = 0;
+  for (let i = start; i < close; i++) {
+    const char = tableSql[i];
+    if (char === "'") {
+      i = tableSql.indexOf("'", i + 1);
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      definitions.push(tableSql.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  definitions.push(tableSql.slice(start, close).trim());
+  return definitions;
+}
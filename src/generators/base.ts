@@ -3,7 +3,17 @@
  * All database-specific generators must implement this interface
  */
 
-import { SchemaAST } from '../ast/types.js';
+import {
+  SchemaAST,
+  ModelNode,
+  ColumnNode,
+  DecoratorNode,
+  ViewNode,
+  SourceSpan,
+  Diagnostic,
+  GeneratorError,
+} from '../ast/types.js';
+import { buildConstraintName, columnsInExpression, getNameOverride } from './constraint-names.js';
 
 export interface SqlGenerator {
   /**
@@ -15,9 +25,488 @@ export interface SqlGenerator {
    * Generate SQL for dropping tables (DOWN migration)
    */
   generateDown(ast: SchemaAST): string[];
+
+  /**
+   * Warnings from the last generateUp or generateDown call, such as types the
+   * database cannot represent natively
+   */
+  getWarnings?(): Diagnostic[];
+
+  /**
+   * Statements from the last generateUp or generateDown call that the database
+   * refuses inside a transaction. The runner runs each on its own, in place.
+   */
+  getNonTransactional?(): string[];
 }
 
 export interface GeneratedMigration {
   up: string[];
   down: string[];
 }
+
+/**
+ * Run a generation step for one AST node. A GeneratorError thrown without a
+ * location is rethrown with the node's span, so the innermost node wins.
+ */
+export function withSourceSpan<T>(node: { span?: SourceSpan }, generate: () => T): T {
+  try {
+    return generate();
+  } catch (error) {
+    if (error instanceof GeneratorError && !error.span && node.span) {
+      throw new GeneratorError(error.message, node.span);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Portable default functions, written bare as in @default(uuid)
+ */
+export type DefaultFunction = 'uuid' | 'now' | 'today' | 'autoincrement';
+
+const DEFAULT_FUNCTIONS = new Set<string>(['uuid', 'now', 'today', 'autoincrement']);
+
+// Types @default(autoincrement) can be used on; Serial already auto-increments
+const AUTOINCREMENT_TYPES = new Set(['Int', 'BigInt', 'SmallInt', 'TinyInt']);
+
+export type DefaultValue =
+  | { kind: 'function'; name: DefaultFunction }
+  | { kind: 'sql'; sql: string }
+  | { kind: 'literal'; value: string };
+
+/**
+ * Classify the argument of a @default decorator. Bare function names are portable
+ * functions, while quoted strings stay literals, so @default('uuid') is the text
+ * "uuid". A quoted 'now' still means the current time, as it did before bare
+ * `now` existed.
+ */
+export function resolveDefault(decorator: DecoratorNode): DefaultValue {
+  const value = decorator.args?.[0] ?? '';
+  const kind = decorator.argKinds?.[0];
+  if (kind === 'sql') {
+    return { kind: 'sql', sql: value };
+  }
+
+  const name = value.toLowerCase();
+  if (name === 'now' || (kind !== 'string' && DEFAULT_FUNCTIONS.has(name))) {
+    return { kind: 'function', name: name as DefaultFunction };
+  }
+  return { kind: 'literal', value };
+}
+
+/**
+ * Whether a column is declared with @default(autoincrement)
+ */
+export function hasAutoincrementDefault(column: ColumnNode): boolean {
+  const decorator = column.decorators.find((d) => d.name === 'default');
+  if (!decorator?.args?.length) {
+    return false;
+  }
+  const value = resolveDefault(decorator);
+  return value.kind === 'function' && value.name === 'autoincrement';
+}
+
+/**
+ * Check that @default(autoincrement) is on a plain integer column
+ */
+export function validateAutoincrement(column: ColumnNode, modelName: string): void {
+  if (!AUTOINCREMENT_TYPES.has(column.type) || column.array) {
+    throw new GeneratorError(
+      `@default(autoincrement) on column "${modelName}.${column.name}" requires Int, BigInt, SmallInt or TinyInt` +
+      (column.type === 'Serial' ? '. Serial columns already auto-increment' : '')
+    );
+  }
+}
+
+export interface GeneratedColumn {
+  expression: string;
+  stored: boolean;
+}
+
+/**
+ * Read a column's @generated("expression", stored|virtual) decorator. Storage
+ * defaults to stored, the one kind every dialect supports.
+ */
+export function resolveGenerated(column: ColumnNode, modelName: string): GeneratedColumn | undefined {
+  const decorator = column.decorators.find((d) => d.name === 'generated');
+  if (!decorator) {
+    return undefined;
+  }
+
+  const context = `@generated on column "${modelName}.${column.name}"`;
+  const args = decorator.args ?? [];
+  if (args.length < 1 || args.length > 2) {
+    throw new GeneratorError(
+      `${context} requires an expression and optionally stored or virtual, e.g. @generated("price * quantity", stored)`
+    );
+  }
+  const kind = decorator.argKinds?.[0];
+  if (kind === 'number' || kind === 'identifier') {
+    throw new GeneratorError(`${context} requires the expression as a quoted string`);
+  }
+  const storage = args[1] ?? 'stored';
+  if (storage !== 'stored' && storage !== 'virtual') {
+    throw new GeneratorError(`${context} must be stored or virtual, got "${storage}"`);
+  }
+  if (column.decorators.some((d) => d.name === 'default')) {
+    throw new GeneratorError(`${context} cannot be combined with @default`);
+  }
+  if (column.type === 'Serial') {
+    throw new GeneratorError(`${context} cannot be used on a Serial column`);
+  }
+
+  return { expression: args[0], stored: storage === 'stored' };
+}
+
+/**
+ * A CHECK constraint from a column's @check or a model's @@check
+ */
+export interface CheckConstraint {
+  expression: string;
+  // Columns the default name is built from
+  columns: string[];
+  // The decorator's name: argument
+  name?: string;
+}
+
+/**
+ * Read a @check("expression") column decorator or @@check("expression") model attribute
+ */
+export function resolveCheck(decorator: DecoratorNode, columns: string[], context: string): CheckConstraint {
+  if (decorator.args?.length !== 1) {
+    throw new GeneratorError(`${context} requires exactly one expression, e.g. @check("price >= 0")`);
+  }
+  const kind = decorator.argKinds?.[0];
+  if (kind === 'number' || kind === 'identifier') {
+    throw new GeneratorError(`${context} requires the expression as a quoted string`);
+  }
+  return { expression: decorator.args[0], columns, name: getNameOverride(decorator, context) };
+}
+
+/**
+ * Check that a model's CHECK constraints, from column @check and @@check, have
+ * distinct names. Two checks on the same columns must be given names.
+ *
+ * @param enumColumns - Columns whose enum values the dialect enforces with a CHECK
+ */
+export function validateCheckNames(model: ModelNode, enumColumns: string[] = []): void {
+  const checks: CheckConstraint[] = enumColumns.map((column) => ({ expression: '', columns: [column] }));
+  for (const column of model.columns) {
+    const decorator = column.decorators.find((d) => d.name === 'check');
+    if (decorator) {
+      checks.push(resolveCheck(decorator, [column.name], `@check on column "${model.name}.${column.name}"`));
+    }
+  }
+  const columnNames = model.columns.map((c) => c.name);
+  for (const attribute of model.attributes ?? []) {
+    if (attribute.name === 'check') {
+      const check = resolveCheck(attribute, [], `@@check on model "${model.name}"`);
+      checks.push({ ...check, columns: columnsInExpression(check.expression, columnNames) });
+    }
+  }
+
+  const seen = new Set<string>();
+  for (const check of checks) {
+    // Compare untruncated names; truncation keeps distinct names distinct
+    const name = check.name ?? buildConstraintName(model.name, check.columns, 'check', Infinity);
+    if (seen.has(name)) {
+      throw new GeneratorError(
+        `Model "${model.name}" has more than one CHECK constraint named "${name}". Pass name: to tell them apart`
+      );
+    }
+    seen.add(name);
+  }
+}
+
+/**
+ * The columns an @@pk or @@unique attribute lists, each an existing column named once
+ */
+export function resolveAttributeColumns(model: ModelNode, attribute: DecoratorNode): string[] {
+  if (!attribute.args || attribute.args.length === 0) {
+    throw new GeneratorError(
+      `@@${attribute.name} on model "${model.name}" requires at least one column`
+    );
+  }
+
+  const seen = new Set<string>();
+  for (const columnName of attribute.args) {
+    if (!model.columns.some((c) => c.name === columnName)) {
+      throw new GeneratorError(
+        `@@${attribute.name} on model "${model.name}" references unknown column "${columnName}"`
+      );
+    }
+    if (seen.has(columnName)) {
+      throw new GeneratorError(
+        `@@${attribute.name} on model "${model.name}" lists column "${columnName}" more than once`
+      );
+    }
+    seen.add(columnName);
+  }
+
+  return attribute.args;
+}
+
+/**
+ * Read an @@pk attribute. A model has one primary key, declared either on a
+ * column or with @@pk, and it takes the database's default name.
+ */
+export function resolvePrimaryKey(model: ModelNode, attribute: DecoratorNode): string[] {
+  if ((model.attributes ?? []).filter((a) => a.name === 'pk').length > 1) {
+    throw new GeneratorError(`Model "${model.name}" declares @@pk more than once`);
+  }
+  if (model.columns.some((c) => c.decorators.some((d) => d.name === 'pk'))) {
+    throw new GeneratorError(
+      `Model "${model.name}" cannot combine @@pk with a column-level @pk decorator`
+    );
+  }
+  if (attribute.namedArgs) {
+    throw new GeneratorError(`@@pk on model "${model.name}" does not accept named arguments`);
+  }
+  return resolveAttributeColumns(model, attribute);
+}
+
+export interface UniqueConstraint {
+  columns: string[];
+  name?: string;
+}
+
+/**
+ * Read an @@unique attribute and its optional name: argument
+ */
+export function resolveUnique(model: ModelNode, attribute: DecoratorNode): UniqueConstraint {
+  const columns = resolveAttributeColumns(model, attribute);
+  return { columns, name: getNameOverride(attribute, `@@unique on model "${model.name}"`) };
+}
+
+/**
+ * A column, or a sql("...") expression such as lower(email), that an index covers
+ */
+export type IndexPart = { column: string } | { expression: string };
+
+/**
+ * An @@index attribute with its options. Each dialect rejects the options it
+ * cannot build.
+ */
+export interface IndexDefinition {
+  parts: IndexPart[];
+  // Columns the default name is built from, including those in expressions
+  columns: string[];
+  // The attribute's name: argument
+  name?: string;
+  // where: "condition" for a partial index
+  where?: string;
+  // using: method, e.g. gin
+  using?: string;
+  concurrently: boolean;
+}
+
+const INDEX_ARGUMENTS = ['name', 'where', 'using', 'concurrently'];
+
+/**
+ * Read an @@index attribute: columns and sql("...") expressions, then the name:,
+ * where:, using: and concurrently: arguments
+ */
+export function resolveIndex(model: ModelNode, attribute: DecoratorNode): IndexDefinition {
+  const context = `@@index on model "${model.name}"`;
+  const args = attribute.args ?? [];
+  if (args.length === 0) {
+    throw new GeneratorError(`${context} requires at least one column`);
+  }
+
+  const columnNames = model.columns.map((c) => c.name);
+  const parts: IndexPart[] = [];
+  const columns = new Set<string>();
+  args.forEach((arg, i) => {
+    if (attribute.argKinds?.[i] === 'sql') {
+      parts.push({ expression: arg });
+      columnsInExpression(arg, columnNames).forEach((column) => columns.add(column));
+      return;
+    }
+    if (!columnNames.includes(arg)) {
+      throw new GeneratorError(`${context} references unknown column "${arg}"`);
+    }
+    if (parts.some((part) => 'column' in part && part.column === arg)) {
+      throw new GeneratorError(`${context} lists column "${arg}" more than once`);
+    }
+    parts.push({ column: arg });
+    columns.add(arg);
+  });
+
+  const namedArgs = attribute.namedArgs ?? {};
+  const kinds = attribute.namedArgKinds ?? {};
+  for (const key of Object.keys(namedArgs)) {
+    if (!INDEX_ARGUMENTS.includes(key)) {
+      throw new GeneratorError(
+        `Unknown argument "${key}" for ${context}. Supported arguments are ${INDEX_ARGUMENTS.join(', ')}`
+      );
+    }
+  }
+
+  const { where, using, concurrently } = namedArgs;
+  if (where !== undefined && ((kinds.where && kinds.where !== 'string') || where.trim() === '')) {
+    throw new GeneratorError(`${context} requires where: to be a quoted condition, e.g. where: "deleted_at IS NULL"`);
+  }
+  if (using !== undefined && !/^[A-Za-z_][A-Za-z0-9_]*$/.test(using)) {
+    throw new GeneratorError(`${context} requires using: to name an index method, e.g. using: gin`);
+  }
+  if (concurrently !== undefined && concurrently !== 'true' && concurrently !== 'false') {
+    throw new GeneratorError(`${context} requires concurrently: to be true or false`);
+  }
+
+  return {
+    parts,
+    columns: [...columns],
+    name: namedArgs.name,
+    where,
+    using: using?.toLowerCase(),
+    concurrently: concurrently === 'true',
+  };
+}
+
+/**
+ * The parenthesized key list of CREATE INDEX. Expressions get parentheses of their
+ * own, which every dialect requires for anything but a bare function call.
+ */
+export function formatIndexParts(parts: IndexPart[], escape: (identifier: string) => string): string {
+  const keys = parts.map((part) => ('column' in part ? escape(part.column) : `(${part.expression})`));
+  return `(${keys.join(', ')})`;
+}
+
+const REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
+
+/**
+ * How a @ref foreign key reacts to changes in the referenced table
+ */
+export interface ForeignKeyOptions {
+  onDelete?: string;
+  onUpdate?: string;
+  // @deferrable: checked at commit (deferred) or per statement until SET CONSTRAINTS (immediate)
+  deferrable?: 'deferred' | 'immediate';
+}
+
+/**
+ * Read the @onDelete, @onUpdate and @deferrable decorators accompanying a @ref
+ */
+export function resolveForeignKeyOptions(decorators: DecoratorNode[]): ForeignKeyOptions {
+  const options: ForeignKeyOptions = {
+    onDelete: findReferentialAction(decorators, 'onDelete'),
+    onUpdate: findReferentialAction(decorators, 'onUpdate'),
+  };
+
+  const deferrable = decorators.find((d) => d.name === 'deferrable');
+  if (deferrable) {
+    const args = deferrable.args ?? [];
+    const timing = args.length === 0 ? 'deferred' : args[0].toLowerCase();
+    if (args.length > 1 || (timing !== 'deferred' && timing !== 'immediate')) {
+      throw new GeneratorError(
+        `@deferrable accepts one optional argument, deferred (the default) or immediate, got "${args.join(', ')}"`
+      );
+    }
+    options.deferrable = timing;
+  }
+
+  return options;
+}
+
+function findReferentialAction(decorators: DecoratorNode[], name: 'onDelete' | 'onUpdate'): string | undefined {
+  const decorator = decorators.find((d) => d.name === name);
+  if (!decorator) {
+    return undefined;
+  }
+
+  // FIX BUG-019 & BUG-028: Validate onDelete decorator arguments
+  if (!decorator.args || decorator.args.length === 0) {
+    throw new GeneratorError(
+      `@${name} decorator requires an action argument (${REFERENTIAL_ACTIONS.join(', ')})`
+    );
+  }
+
+  const action = decorator.args[0].toUpperCase();
+  if (!REFERENTIAL_ACTIONS.includes(action)) {
+    throw new GeneratorError(
+      `@${name} action "${decorator.args[0]}" is invalid. Must be one of: ${REFERENTIAL_ACTIONS.join(', ')}`
+    );
+  }
+
+  return action;
+}
+
+/**
+ * The ON DELETE, ON UPDATE and DEFERRABLE clauses following REFERENCES
+ */
+export function formatForeignKeyOptions(options: ForeignKeyOptions): string {
+  let clauses = '';
+  if (options.onDelete) {
+    clauses += ` ON DELETE ${options.onDelete}`;
+  }
+  if (options.onUpdate) {
+    clauses += ` ON UPDATE ${options.onUpdate}`;
+  }
+  if (options.deferrable) {
+    clauses += ` DEFERRABLE INITIALLY ${options.deferrable.toUpperCase()}`;
+  }
+  return clauses;
+}
+
+/**
+ * Reject array element types no dialect can store: Serial needs a sequence per
+ * value and inline Enum(...) has no type name to make an array of
+ */
+export function validateArrayColumn(column: ColumnNode, modelName: string): void {
+  if (column.type === 'Serial' || column.type === 'Enum') {
+    const hint = column.type === 'Enum' ? 'Declare a named enum and use an array of it' : 'Use Int[] instead';
+    throw new GeneratorError(
+      `Column "${modelName}.${column.name}" cannot be an array of ${column.type}. ${hint}`
+    );
+  }
+}
+
+/**
+ * Warning for an array column stored in a dialect without native arrays
+ */
+export function arrayFallbackWarning(
+  column: ColumnNode,
+  modelName: string,
+  dialect: string,
+  storage: string
+): Diagnostic {
+  return {
+    severity: 'warning',
+    message:
+      `Column "${modelName}.${column.name}" has array type ${column.type}[]; ` +
+      `${dialect} has no array types, so it is stored as ${storage}`,
+    file: column.span?.file,
+    line: column.span?.start.line,
+    column: column.span?.start.column,
+  };
+}
+
+/**
+ * A view's query as the body of CREATE VIEW, without its trailing semicolon
+ */
+export function formatViewQuery(view: ViewNode): string {
+  return view.query.trim().replace(/[\s;]+$/, '');
+}
+
+/**
+ * The target of @ref(Table.column), or @ref(schema.Table.column) for a table in
+ * another schema
+ */
+export interface Reference {
+  schema?: string;
+  table: string;
+  column: string;
+}
+
+/**
+ * The schemas that models and views are declared in, in order of first use
+ */
+export function collectSchemas(ast: SchemaAST): string[] {
+  const schemas = new Set<string>();
+  for (const node of [...ast.models, ...(ast.views ?? [])]) {
+    if (node.schema) {
+      schemas.add(node.schema);
+    }
+  }
+  return [...schemas];
+}
@@ -0,0 +1,71 @@
+/**
+ * Constraint Naming
+ * Builds stable names for generated constraints and indexes so every environment
+ * ends up with the same names and later migrations can drop them reliably
+ */
+
+import { createHash } from 'crypto';
+import { DecoratorNode, GeneratorError } from '../ast/types.js';
+
+/**
+ * Name suffixes, following PostgreSQL's own conventions
+ */
+export type ConstraintSuffix = 'key' | 'fkey' | 'check' | 'idx';
+
+const HASH_LENGTH = 8;
+
+/**
+ * Build a constraint name from its table and columns, e.g. User_email_key.
+ * Names longer than maxLength are truncated and given a short hash of the full
+ * name, so two long names that share a prefix still differ.
+ */
+export function buildConstraintName(
+  tableName: string,
+  columns: string[],
+  suffix: ConstraintSuffix,
+  maxLength: number
+): string {
+  const name = [tableName, ...columns, suffix].join('_');
+  if (name.length <= maxLength) {
+    return name;
+  }
+
+  const hash = createHash('sha256').update(name).digest('hex').slice(0, HASH_LENGTH);
+  const prefix = name.slice(0, maxLength - suffix.length - HASH_LENGTH - 2);
+  return `${prefix}_${hash}_${suffix}`;
+}
+
+/**
+ * The columns a CHECK expression mentions, in order of first use, which name
+ * the constraint: @@check("startsAt < endsAt") becomes Event_startsAt_endsAt_check
+ */
+export function columnsInExpression(expression: string, columnNames: string[]): string[] {
+  const known = new Set(columnNames);
+  const found = new Set<string>();
+  // String literals may contain words that happen to be column names
+  const withoutStrings = expression.replace(/'(?:[^']|'')*'/g, "''");
+  for (const match of withoutStrings.matchAll(/"([^"]+)"|`([^`]+)`|[A-Za-z_][A-Za-z0-9_]*/g)) {
+    const word = match[1] ?? match[2] ?? match[0];
+    if (known.has(word)) {
+      found.add(word);
+    }
+  }
+  return [...found];
+}
+
+/**
+ * Validate a decorator's named arguments and return its `name:` override, if any
+ */
+export function getNameOverride(decorator: DecoratorNode, context: string): string | undefined {
+  const namedArgs = decorator.namedArgs ?? {};
+
+  for (const key of Object.keys(namedArgs)) {
+    if (key !== 'name') {
+      throw new GeneratorError(
+        `Unknown argument "${key}" for ${context}. Only "name" is supported`
+      );
+    }
+  }
+
+  return namedArgs.name;
+}
@@ -0,0 +1,143 @@
+/**
+ * Dependency Ordering
+ * Sorts models by their @ref foreign keys so referenced tables are created first,
+ * and views by the other views their queries select from
+ */
+
+import { ModelNode, ColumnNode, ViewNode, qualifiedName } from '../ast/types.js';
+
+/**
+ * A foreign key that closes a reference cycle.
+ * It cannot be declared inside CREATE TABLE because its target does not exist yet,
+ * so generators add it with ALTER TABLE once every table has been created.
+ */
+export interface DeferredForeignKey {
+  model: ModelNode;
+  column: ColumnNode;
+}
+
+export interface ModelOrder {
+  /** Models in creation order; drop them in reverse */
+  models: ModelNode[];
+  /** Foreign keys to add after all tables exist */
+  deferred: DeferredForeignKey[];
+}
+
+interface ReferenceEdge {
+  column: ColumnNode;
+  target: string;
+}
+
+/**
+ * Topologically sort models by their @ref edges.
+ * File order is kept wherever the references allow it. References to tables that
+ * are not declared in the same schema, and self-references, do not affect ordering.
+ */
+export function orderModelsByDependencies(models: ModelNode[]): ModelOrder {
+  const byName = new Map(models.map((model) => [qualifiedName(model), model]));
+  const edges = new Map<string, ReferenceEdge[]>();
+
+  for (const model of models) {
+    const modelEdges: ReferenceEdge[] = [];
+    for (const column of model.columns) {
+      const target = getReferencedTable(column);
+      if (target && target !== qualifiedName(model) && byName.has(target)) {
+        modelEdges.push({ column, target });
+      }
+    }
+    edges.set(qualifiedName(model), modelEdges);
+  }
+
+  const ordered: ModelNode[] = [];
+  const deferred: DeferredForeignKey[] = [];
+  const placed = new Set<string>();
+  const remaining = [...models];
+  const pendingEdges = (model: ModelNode) =>
+    (edges.get(qualifiedName(model)) ?? []).filter((edge) => !placed.has(edge.target));
+
+  while (remaining.length > 0) {
+    let index = remaining.findIndex((model) => pendingEdges(model).length === 0);
+
+    if (index === -1) {
+      // Every remaining model waits on another one, so there is a cycle.
+      // Break it at a model on the cycle by deferring its unresolved references.
+      const cycleModel = findModelOnCycle(remaining[0], byName, pendingEdges);
+      for (const edge of pendingEdges(cycleModel)) {
+        deferred.push({ model: cycleModel, column: edge.column });
+      }
+      index = remaining.indexOf(cycleModel);
+    }
+
+    const [model] = remaining.splice(index, 1);
+    ordered.push(model);
+    placed.add(qualifiedName(model));
+  }
+
+  return { models: ordered, deferred };
+}
+
+/**
+ * Follow unresolved references from a model until one repeats.
+ * Every unplaced model has at least one unresolved reference, so the walk must
+ * eventually revisit a model, and that model lies on a cycle.
+ */
+function findModelOnCycle(
+  start: ModelNode,
+  byName: Map<string, ModelNode>,
+  pendingEdges: (model: ModelNode) => ReferenceEdge[]
+): ModelNode {
+  const visited = new Set<string>();
+  let current = start;
+
+  while (!visited.has(qualifiedName(current))) {
+    visited.add(qualifiedName(current));
+    current = byName.get(pendingEdges(current)[0].target)!;
+  }
+
+  return current;
+}
+
+/**
+ * Sort views so each comes after the views its query mentions by name.
+ * File order is kept otherwise, including for views that mention each other,
+ * which the database will reject either way.
+ */
+export function orderViewsByDependencies(views: ViewNode[]): ViewNode[] {
+  const dependencies = new Map(
+    views.map((view) => [view, views.filter((other) => other !== view && mentionsName(view.query, other.name))])
+  );
+
+  const ordered: ViewNode[] = [];
+  const remaining = [...views];
+  while (remaining.length > 0) {
+    const index = remaining.findIndex((view) =>
+      dependencies.get(view)!.every((dependency) => ordered.includes(dependency))
+    );
+    ordered.push(...remaining.splice(Math.max(index, 0), 1));
+  }
+
+  return ordered;
+}
+
+/**
+ * Whether a query mentions a view name as a whole word, quoted or not.
+ * View names are identifiers, so they need no escaping in the pattern.
+ */
+function mentionsName(query: string, name: string): boolean {
+  return new RegExp(`(^|[^\\w$])${name}(?![\\w$])`).test(query);
+}
+
+/**
+ * Extract the table name, with its schema if any, from a column's
+ * @ref(Table.column) or @ref(schema.Table.column) decorator
+ */
+function getReferencedTable(column: ColumnNode): string | undefined {
+  const ref = column.decorators.find((d) => d.name === 'ref');
+  const parts = ref?.args?.[0]?.split('.');
+  return parts && (parts.length === 2 || parts.length === 3)
+    ? parts
+        .slice(0, -1)
+        .map((part) => part.trim())
+        .join('.')
+    : undefined;
+}
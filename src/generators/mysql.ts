@@ -8,10 +8,54 @@ import {
   ModelNode,
   ColumnNode,
   DecoratorNode,
+  AlterModelNode,
+  DropColumnNode,
+  ChangeColumnNode,
+  EnumNode,
+  Diagnostic,
+  ViewNode,
   GeneratorError,
 } from '../ast/types.js';
-import { SqlGenerator } from './base.js';
-import { escapeMySQLIdentifier, escapeSqlStringLiteral } from '../utils/sql-identifier-escape.js';
+import { expandMixins } from '../ast/mixins.js';
+import { expandTypeAliases } from '../ast/type-aliases.js';
+import { expandRelations } from '../ast/relations.js';
+import { mapNames } from '../ast/naming.js';
+import {
+  SqlGenerator,
+  withSourceSpan,
+  validateArrayColumn,
+  arrayFallbackWarning,
+  resolveDefault,
+  hasAutoincrementDefault,
+  validateAutoincrement,
+  resolveGenerated,
+  resolveCheck,
+  validateCheckNames,
+  ForeignKeyOptions,
+  resolveForeignKeyOptions,
+  formatForeignKeyOptions,
+  formatViewQuery,
+  Reference,
+  collectSchemas,
+  IndexDefinition,
+  resolveIndex,
+  resolvePrimaryKey,
+  resolveUnique,
+  formatIndexParts,
+} from './base.js';
+import { orderModelsByDependencies, orderViewsByDependencies } from './dependency-order.js';
+import { buildConstraintName, columnsInExpression, ConstraintSuffix, getNameOverride } from './constraint-names.js';
+import {
+  escapeMySQLIdentifier,
+  escapeMySQLTableName,
+  escapeSqlStringLiteral,
+  MAX_IDENTIFIER_LENGTH_MYSQL,
+} from '../utils/sql-identifier-escape.js';
+import { splitSqlStatements } from '../utils/sql-splitter.js';
+
+// MySQL's limits on table and column comments, in characters
+const MAX_TABLE_COMMENT_LENGTH = 2048;
+const MAX_COLUMN_COMMENT_LENGTH = 1024;
 
 /**
  * Configuration options for MySQL generator
@@ -27,6 +71,9 @@ export interface MySQLGeneratorOptions {
 
 export class MySQLGenerator implements SqlGenerator {
   private readonly options: Required<MySQLGeneratorOptions>;
+  // Named enums declared in the schema currently being generated
+  private enums = new Map<string, EnumNode>();
+  private warnings: Diagnostic[] = [];
 
   constructor(options?: MySQLGeneratorOptions) {
     // FIX BUG-014: Make MySQL charset, collation, and engine configurable
@@ -36,70 +83,451 @@ export class MySQLGenerator implements SqlGenerator {
       collation: options?.collation ?? 'utf8mb4_unicode_ci',
     };
   }
-  generateUp(ast: SchemaAST): string[] {
+
+  generateUp(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
+
+    // A schema is a database in MySQL. Databases are not dropped on down, since
+    // other migrations may use them too.
+    for (const database of collectSchemas(ast)) {
+      statements.push(`CREATE DATABASE IF NOT EXISTS ${escapeMySQLIdentifier(database)};`);
+    }
+
+    // Generate CREATE TABLE statements in dependency order, each followed by its indexes
+    const { models, deferred } = orderModelsByDependencies(ast.models);
+    const deferredColumns = new Set(deferred.map((fk) => fk.column));
+    for (const model of models) {
+      withSourceSpan(model, () => {
+        statements.push(this.generateCreateTable(model, deferredColumns));
+        statements.push(...this.generateIndexes(model));
+      });
+    }
+
+    // Add foreign keys that close reference cycles once every table exists
+    for (const { model, column } of deferred) {
+      statements.push(withSourceSpan(column, () => this.generateAddForeignKey(model, column)));
+    }
+
+    // Generate ALTER TABLE statements for alter blocks
+    for (const alter of ast.alterations ?? []) {
+      statements.push(...this.generateAlterUp(alter));
+    }
 
-    // Generate CREATE TABLE statements for each model
-    for (const model of ast.models) {
-      statements.push(this.generateCreateTable(model));
+    // Views select from tables in their final shape, and from each other
+    for (const view of orderViewsByDependencies(ast.views ?? [])) {
+      statements.push(withSourceSpan(view, () => this.generateCreateView(view)));
     }
 
-    // Add raw SQL statements
+    // Add raw SQL statements ('<' lines only run on down)
     for (const raw of ast.rawSql) {
-      statements.push(raw.sql);
+      if (raw.direction !== 'down') {
+        statements.push(...splitSqlStatements(raw.sql, 'mysql'));
+      }
     }
 
     return statements;
   }
 
-  generateDown(ast: SchemaAST): string[] {
+  generateDown(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
+
+    // Run down raw SQL first, since up raw SQL ran last: lines and blocks in
+    // reverse order, the statements inside a block as written
+    const downSql = ast.rawSql.filter((raw) => raw.direction === 'down');
+    for (let i = downSql.length - 1; i >= 0; i--) {
+      statements.push(...splitSqlStatements(downSql[i].sql, 'mysql'));
+    }
+
+    // Drop views before the tables they select from
+    const views = orderViewsByDependencies(ast.views ?? []);
+    for (let i = views.length - 1; i >= 0; i--) {
+      statements.push(`DROP VIEW IF EXISTS ${escapeMySQLTableName(views[i].name, views[i].schema)};`);
+    }
+
+    // Reverse alter blocks next, since they ran after the CREATE TABLE statements
+    const alterations = ast.alterations ?? [];
+    for (let i = alterations.length - 1; i >= 0; i--) {
+      statements.push(...this.generateAlterDown(alterations[i]));
+    }
 
-    // Generate DROP TABLE statements in reverse order
-    // MySQL doesn't have CASCADE for DROP TABLE, handle foreign keys first
-    for (let i = ast.models.length - 1; i >= 0; i--) {
-      const model = ast.models[i];
+    // Generate DROP TABLE statements in reverse dependency order
+    // MySQL doesn't have CASCADE for DROP TABLE, so the foreign keys that close
+    // reference cycles are dropped first
+    const { models, deferred } = orderModelsByDependencies(ast.models);
+    for (const { model, column } of deferred) {
+      const tableName = escapeMySQLTableName(model.name, model.schema);
+      const fkName = this.getForeignKeyName(model.name, column);
+      statements.push(`ALTER TABLE ${tableName} DROP FOREIGN KEY ${fkName};`);
+    }
+
+    // DROP TABLE removes the table's indexes. Dropping them first would fail
+    // for an index a foreign key relies on (error 1553).
+    for (let i = models.length - 1; i >= 0; i--) {
+      const model = models[i];
       // FIX BUG-022: Use safe identifier escaping for model names
-      const tableName = escapeMySQLIdentifier(model.name);
+      const tableName = escapeMySQLTableName(model.name, model.schema);
       statements.push(`DROP TABLE IF EXISTS ${tableName};`);
     }
 
     return statements;
   }
 
-  private generateCreateTable(model: ModelNode): string {
+  getWarnings(): Diagnostic[] {
+    return this.warnings;
+  }
+
+  private collectEnums(ast: SchemaAST): Map<string, EnumNode> {
+    const enums = [...(ast.existingEnums ?? []), ...(ast.enums ?? [])];
+    return new Map(enums.map((enumNode) => [enumNode.name, enumNode]));
+  }
+
+  private generateCreateView(view: ViewNode): string {
+    if (view.materialized) {
+      throw new GeneratorError(`View "${view.name}" cannot be materialized: MySQL has no materialized views`);
+    }
+    return `CREATE VIEW ${escapeMySQLTableName(view.name, view.schema)} AS\n${formatViewQuery(view)};`;
+  }
+
+  private generateCreateTable(model: ModelNode, deferredColumns: Set<ColumnNode>): string {
     const lines: string[] = [];
     // FIX BUG-022: Use safe identifier escaping for model names
-    const tableName = escapeMySQLIdentifier(model.name);
+    const tableName = escapeMySQLTableName(model.name, model.schema);
     lines.push(`CREATE TABLE ${tableName} (`);
 
     const columnDefs: string[] = [];
     const constraints: string[] = [];
 
     for (const column of model.columns) {
-      const { columnDef, constraint } = this.generateColumn(column, model.name);
+      const { columnDef, uniqueConstraint, constraint } = withSourceSpan(column, () =>
+        this.generateColumn(column, model.name, model)
+      );
       columnDefs.push(columnDef);
-      if (constraint) {
+      if (uniqueConstraint) {
+        constraints.push(uniqueConstraint);
+      }
+      // Deferred foreign keys are added with ALTER TABLE after all tables exist
+      if (constraint && !deferredColumns.has(column)) {
         constraints.push(constraint);
       }
     }
 
     // Combine column definitions and constraints
-    const allDefs = [...columnDefs, ...constraints];
+    const allDefs = [...columnDefs, ...constraints, ...this.generateTableConstraints(model)];
     lines.push(allDefs.map((def) => `  ${def}`).join(',\n'));
 
     // FIX BUG-014: Use configurable engine, charset, and collation
+    const comment = model.doc !== undefined
+      ? ` COMMENT=${this.formatComment(model.doc, MAX_TABLE_COMMENT_LENGTH, `model "${model.name}"`)}`
+      : '';
     lines.push(
-      `) ENGINE=${this.options.engine} DEFAULT CHARSET=${this.options.charset} COLLATE=${this.options.collation};`
+      `) ENGINE=${this.options.engine} DEFAULT CHARSET=${this.options.charset} COLLATE=${this.options.collation}${comment};`
     );
 
     return lines.join('\n');
   }
 
+  /**
+   * Add a foreign key that was deferred out of CREATE TABLE to break a reference cycle
+   */
+  private generateAddForeignKey(model: ModelNode, column: ColumnNode): string {
+    const { constraint } = this.generateColumn(column, model.name, model);
+    return `ALTER TABLE ${escapeMySQLTableName(model.name, model.schema)} ADD ${constraint};`;
+  }
+
+  /**
+   * Generate table-level constraints from @@pk, @@unique and @@check model attributes
+   */
+  private generateTableConstraints(model: ModelNode): string[] {
+    const constraints: string[] = [];
+    const attributes = model.attributes ?? [];
+    validateCheckNames(model);
+
+    for (const attribute of attributes) {
+      withSourceSpan(attribute, () => {
+        switch (attribute.name) {
+          case 'pk': {
+            const columns = resolvePrimaryKey(model, attribute);
+            constraints.push(`PRIMARY KEY (${columns.map(escapeMySQLIdentifier).join(', ')})`);
+            break;
+          }
+
+          case 'unique': {
+            const unique = resolveUnique(model, attribute);
+            const constraintName = this.getConstraintName(model.name, unique.columns, 'key', unique.name);
+            constraints.push(
+              `CONSTRAINT ${constraintName} UNIQUE (${unique.columns.map(escapeMySQLIdentifier).join(', ')})`
+            );
+            break;
+          }
+
+          case 'check': {
+            const check = resolveCheck(attribute, [], `@@check on model "${model.name}"`);
+            const columns = columnsInExpression(check.expression, model.columns.map((c) => c.name));
+            const constraintName = this.getConstraintName(model.name, columns, 'check', check.name);
+            constraints.push(`CONSTRAINT ${constraintName} CHECK (${check.expression})`);
+            break;
+          }
+
+          case 'index':
+            // Indexes are emitted as separate CREATE INDEX statements
+            this.getIndex(model, attribute);
+            break;
+
+          default:
+            throw new GeneratorError(
+              `Unknown model attribute @@${attribute.name} on model "${model.name}"`
+            );
+        }
+      });
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Generate CREATE INDEX statements from @@index model attributes. Expressions
+   * become functional key parts (MySQL 8.0.13+).
+   */
+  private generateIndexes(model: ModelNode): string[] {
+    const tableName = escapeMySQLTableName(model.name, model.schema);
+
+    return (model.attributes ?? [])
+      .filter((attribute) => attribute.name === 'index')
+      .map((attribute) => withSourceSpan(attribute, () => {
+        const index = this.getIndex(model, attribute);
+        const indexName = this.getIndexName(model, attribute);
+        const keys = formatIndexParts(index.parts, escapeMySQLIdentifier);
+        const using = index.using ? ` USING ${index.using.toUpperCase()}` : '';
+        return `CREATE INDEX ${indexName} ON ${tableName} ${keys}${using};`;
+      }));
+  }
+
+  /**
+   * Generate ALTER TABLE statements for an alter block
+   */
+  private generateAlterUp(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapeMySQLTableName(alter.name, alter.schema);
+
+    for (const operation of alter.operations) {
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            statements.push(...this.generateAddColumn(tableName, operation.column, alter.name));
+            break;
+
+          case 'drop':
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapeMySQLIdentifier(operation.name)};`
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapeMySQLIdentifier(operation.from)} ` +
+              `TO ${escapeMySQLIdentifier(operation.to)};`
+            );
+            break;
+
+          case 'change':
+            statements.push(this.generateChangeColumn(tableName, operation.column, alter.name));
+            break;
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  /**
+   * Generate the statements that undo an alter block, in reverse operation order
+   */
+  private generateAlterDown(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapeMySQLTableName(alter.name, alter.schema);
+
+    for (let i = alter.operations.length - 1; i >= 0; i--) {
+      const operation = alter.operations[i];
+
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            // MySQL refuses to drop a column that still has a foreign key
+            if (operation.column.decorators.some((d) => d.name === 'ref')) {
+              const fkName = this.getForeignKeyName(alter.name, operation.column);
+              statements.push(`ALTER TABLE ${tableName} DROP FOREIGN KEY ${fkName};`);
+            }
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapeMySQLIdentifier(operation.column.name)};`
+            );
+            break;
+
+          case 'drop':
+            statements.push(
+              ...this.generateAddColumn(tableName, this.requirePrevious(operation, alter.name), alter.name)
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapeMySQLIdentifier(operation.to)} ` +
+              `TO ${escapeMySQLIdentifier(operation.from)};`
+            );
+            break;
+
+          case 'change':
+            statements.push(
+              this.generateChangeColumn(tableName, this.requirePrevious(operation, alter.name), alter.name)
+            );
+            break;
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  private generateAddColumn(tableName: string, column: ColumnNode, modelName: string): string[] {
+    const { columnDef, uniqueConstraint, constraint } = this.generateColumn(column, modelName);
+    const statements = [`ALTER TABLE ${tableName} ADD COLUMN ${columnDef};`];
+
+    if (uniqueConstraint) {
+      statements.push(`ALTER TABLE ${tableName} ADD ${uniqueConstraint};`);
+    }
+    if (constraint) {
+      statements.push(`ALTER TABLE ${tableName} ADD ${constraint};`);
+    }
+
+    return statements;
+  }
+
+  private generateChangeColumn(tableName: string, column: ColumnNode, modelName: string): string {
+    for (const decorator of column.decorators) {
+      if (decorator.name !== 'notnull' && decorator.name !== 'default') {
+        throw new GeneratorError(
+          `@${decorator.name} cannot be used when changing column "${modelName}.${column.name}". ` +
+          `Only the type, @notnull and @default can be changed`
+        );
+      }
+    }
+
+    if (column.type === 'Serial') {
+      throw new GeneratorError(
+        `Cannot change column "${modelName}.${column.name}" to Serial in MySQL. ` +
+        `Use raw SQL for this change`
+      );
+    }
+
+    const { columnDef } = this.generateColumn(column, modelName);
+    return `ALTER TABLE ${tableName} MODIFY COLUMN ${columnDef};`;
+  }
+
+  /**
+   * Return the escaped name of the foreign key created for a column's @ref
+   */
+  private getForeignKeyName(tableName: string, column: ColumnNode): string {
+    const ref = column.decorators.find((d) => d.name === 'ref');
+    const override = ref
+      ? getNameOverride(ref, `@ref on column "${tableName}.${column.name}"`)
+      : undefined;
+    return this.getConstraintName(tableName, [column.name], 'fkey', override);
+  }
+
+  /**
+   * Return the original column definition needed to reverse a drop or change
+   */
+  private requirePrevious(
+    operation: DropColumnNode | ChangeColumnNode,
+    modelName: string
+  ): ColumnNode {
+    if (operation.previous) {
+      return operation.previous;
+    }
+
+    const columnName = operation.action === 'drop' ? operation.name : operation.column.name;
+    const hint = operation.action === 'drop'
+      ? `declare the dropped definition (e.g., drop ${columnName} Int)`
+      : `declare the original definition (e.g., change ${columnName} Text from VarChar(255))`;
+
+    throw new GeneratorError(
+      `Cannot reverse "${operation.action} ${columnName}" on model "${modelName}": ${hint}`
+    );
+  }
+
+  /**
+   * Resolve an @@index, rejecting the options MySQL has no equivalent for
+   */
+  private getIndex(model: ModelNode, attribute: DecoratorNode): IndexDefinition {
+    const index = resolveIndex(model, attribute);
+    const context = `@@index on model "${model.name}"`;
+    if (index.where !== undefined) {
+      throw new GeneratorError(`${context} cannot use "where": MySQL has no partial indexes`);
+    }
+    if (index.using && index.using !== 'btree' && index.using !== 'hash') {
+      throw new GeneratorError(`${context} cannot use "using: ${index.using}": MySQL indexes are btree or hash`);
+    }
+    if (index.concurrently) {
+      throw new GeneratorError(`${context} cannot use "concurrently": it is PostgreSQL only`);
+    }
+    return index;
+  }
+
+  /**
+   * Whether a column is the first column of one of its model's keys, which
+   * MySQL requires of an AUTO_INCREMENT column. Columns added in an alter
+   * block have no model, so only their own decorators count.
+   */
+  private leadsKey(column: ColumnNode, model?: ModelNode): boolean {
+    if (column.decorators.some((d) => d.name === 'pk' || d.name === 'unique')) {
+      return true;
+    }
+    return (model?.attributes ?? []).some((attribute) => {
+      switch (attribute.name) {
+        case 'pk':
+          return resolvePrimaryKey(model!, attribute)[0] === column.name;
+        case 'unique':
+          return resolveUnique(model!, attribute).columns[0] === column.name;
+        case 'index': {
+          const [first] = resolveIndex(model!, attribute).parts;
+          return 'column' in first && first.column === column.name;
+        }
+        default:
+          return false;
+      }
+    });
+  }
+
+  private getIndexName(model: ModelNode, attribute: DecoratorNode): string {
+    const index = this.getIndex(model, attribute);
+    return this.getConstraintName(model.name, index.columns, 'idx', index.name);
+  }
+
+  /**
+   * Return the escaped name for a constraint or index: the decorator's `name:`
+   * argument when given, otherwise a stable name derived from table and columns
+   */
+  private getConstraintName(
+    tableName: string,
+    columns: string[],
+    suffix: ConstraintSuffix,
+    override?: string
+  ): string {
+    return escapeMySQLIdentifier(
+      override ?? buildConstraintName(tableName, columns, suffix, MAX_IDENTIFIER_LENGTH_MYSQL)
+    );
+  }
+
   private generateColumn(
     column: ColumnNode,
-    modelName: string
-  ): { columnDef: string; constraint: string | null } {
+    modelName: string,
+    model?: ModelNode
+  ): { columnDef: string; uniqueConstraint: string | null; constraint: string | null } {
     const parts: string[] = [];
 
     // FIX BUG-026: Use safe identifier escaping for column names
@@ -107,13 +535,28 @@ export class MySQLGenerator implements SqlGenerator {
     parts.push(columnName);
 
     // Column type
-    parts.push(this.mapType(column.type, column.typeArgs, column.name, modelName));
+    parts.push(this.columnType(column, modelName));
+
+    // The generated clause must come straight after the type
+    const generated = resolveGenerated(column, modelName);
+    if (generated) {
+      parts.push(`GENERATED ALWAYS AS (${generated.expression}) ${generated.stored ? 'STORED' : 'VIRTUAL'}`);
+    }
 
     let constraint: string | null = null;
+    let uniqueConstraint: string | null = null;
+    let checkConstraint: string | null = null;
     let isPrimaryKey = false;
 
     // Process decorators
     for (const decorator of column.decorators) {
+      // Only decorators that create a named constraint accept `name:`
+      if (decorator.namedArgs && !['unique', 'ref', 'check'].includes(decorator.name)) {
+        throw new GeneratorError(
+          `@${decorator.name} decorator on column "${modelName}.${column.name}" does not accept named arguments`
+        );
+      }
+
       switch (decorator.name) {
         case 'pk':
           // FIX BUG-041: Validate no arguments provided
@@ -133,7 +576,11 @@ export class MySQLGenerator implements SqlGenerator {
               `@unique decorator on column "${modelName}.${column.name}" does not accept arguments, but ${decorator.args.length} were provided`
             );
           }
-          parts.push('UNIQUE');
+          // MySQL cannot name an inline UNIQUE, so it becomes a table constraint
+          const uniqueName = this.getConstraintName(
+            modelName, [column.name], 'key', getNameOverride(decorator, `@unique on column "${modelName}.${column.name}"`)
+          );
+          uniqueConstraint = `CONSTRAINT ${uniqueName} UNIQUE (${columnName})`;
           break;
 
         case 'notnull':
@@ -158,7 +605,19 @@ export class MySQLGenerator implements SqlGenerator {
               `@default decorator on column "${modelName}.${column.name}" accepts only one argument, got ${decorator.args.length}`
             );
           }
-          const defaultValue = this.formatDefaultValue(decorator.args[0]);
+          // MySQL only auto-increments a column that is (the start of) a key
+          if (hasAutoincrementDefault(column)) {
+            validateAutoincrement(column, modelName);
+            if (!this.leadsKey(column, model)) {
+              throw new GeneratorError(
+                `@default(autoincrement) on column "${modelName}.${column.name}" requires @pk or @unique, ` +
+                  `or to be the first column of @@pk, @@unique or @@index in MySQL`
+              );
+            }
+            parts.push('AUTO_INCREMENT');
+            break;
+          }
+          const defaultValue = this.formatDefaultValue(decorator);
           parts.push(`DEFAULT ${defaultValue}`);
           break;
 
@@ -175,29 +634,57 @@ export class MySQLGenerator implements SqlGenerator {
             );
           }
           const ref = this.parseReference(decorator.args[0]);
-          const onDelete = this.findOnDelete(column.decorators);
+          const foreignKeyOptions = resolveForeignKeyOptions(column.decorators);
+          // InnoDB parses SET DEFAULT but rejects the table
+          for (const name of ['onDelete', 'onUpdate'] as const) {
+            if (foreignKeyOptions[name] === 'SET DEFAULT') {
+              throw new GeneratorError(
+                `@${name}('SET DEFAULT') on column "${modelName}.${column.name}" is not supported by MySQL`
+              );
+            }
+          }
           const fkConstraint = this.generateForeignKey(
+            this.getForeignKeyName(modelName, column),
             column.name,
-            ref.table,
-            ref.column,
-            onDelete
+            ref,
+            foreignKeyOptions
           );
           constraint = fkConstraint;
           break;
 
         // FIX BUG-043: Validate onDelete is used with @ref
         case 'onDelete':
+        case 'onUpdate':
+        case 'deferrable':
           // Check if there's a @ref decorator
           const hasRef = column.decorators.some(d => d.name === 'ref');
           if (!hasRef) {
             throw new GeneratorError(
-              `@onDelete decorator on column "${modelName}.${column.name}" ` +
-              `requires a @ref decorator (e.g., @ref(Table.column) @onDelete(CASCADE))`
+              `@${decorator.name} decorator on column "${modelName}.${column.name}" ` +
+              `requires a @ref decorator (e.g., @ref(Table.column) @${decorator.name}${decorator.name === 'deferrable' ? '' : '(CASCADE)'})`
+            );
+          }
+          if (decorator.name === 'deferrable') {
+            throw new GeneratorError(
+              `@deferrable on column "${modelName}.${column.name}" is not supported by MySQL, ` +
+              `which always checks foreign keys immediately`
             );
           }
           // If it has @ref, it will be handled there, so just skip here
           break;
 
+        case 'generated':
+          // Handled with the column type above
+          break;
+
+        case 'check': {
+          const check = resolveCheck(decorator, [column.name], `@check on column "${modelName}.${column.name}"`);
+          const checkName = this.getConstraintName(modelName, check.columns, 'check', check.name);
+          // MySQL wants the check last in the column definition
+          checkConstraint = `CONSTRAINT ${checkName} CHECK (${check.expression})`;
+          break;
+        }
+
         default:
           // FIX BUG-032: Add model/column context to error messages
           throw new GeneratorError(
@@ -211,12 +698,48 @@ export class MySQLGenerator implements SqlGenerator {
       parts.push('PRIMARY KEY');
     }
 
+    if (column.doc !== undefined) {
+      const context = `column "${modelName}.${column.name}"`;
+      parts.push(`COMMENT ${this.formatComment(column.doc, MAX_COLUMN_COMMENT_LENGTH, context)}`);
+    }
+
+    if (checkConstraint) {
+      parts.push(checkConstraint);
+    }
+
     return {
       columnDef: parts.join(' '),
+      uniqueConstraint,
       constraint,
     };
   }
 
+  /**
+   * Quote a /// doc comment, checking it fits MySQL's comment limit
+   */
+  private formatComment(doc: string, maxLength: number, context: string): string {
+    if (doc.length > maxLength) {
+      throw new GeneratorError(
+        `Doc comment on ${context} is ${doc.length} characters; MySQL allows at most ${maxLength}`
+      );
+    }
+    return escapeSqlStringLiteral(doc);
+  }
+
+  /**
+   * A column's SQL type. MySQL has no arrays, so array columns hold a JSON array.
+   */
+  private columnType(column: ColumnNode, modelName: string): string {
+    if (!column.array) {
+      return this.mapType(column.type, column.typeArgs, column.name, modelName);
+    }
+    validateArrayColumn(column, modelName);
+    // Still validate the element type and its arguments
+    this.mapType(column.type, column.typeArgs, column.name, modelName);
+    this.warnings.push(arrayFallbackWarning(column, modelName, 'MySQL', 'JSON'));
+    return 'JSON';
+  }
+
   private mapType(type: string, args?: string[], columnName?: string, modelName?: string): string {
     switch (type) {
       case 'Serial':
@@ -231,6 +754,9 @@ export class MySQLGenerator implements SqlGenerator {
       case 'SmallInt':
         return 'SMALLINT';
 
+      case 'TinyInt':
+        return 'TINYINT';
+
       case 'VarChar':
         if (args && args.length > 0) {
           return `VARCHAR(${args[0]})`;
@@ -246,18 +772,36 @@ export class MySQLGenerator implements SqlGenerator {
       case 'Text':
         return 'TEXT';
 
+      case 'MediumText':
+        return 'MEDIUMTEXT';
+
+      case 'LongText':
+        return 'LONGTEXT';
+
+      case 'Citext':
+        // Comparisons are case-insensitive under the default utf8mb4_unicode_ci collation
+        return 'TEXT';
+
       case 'Boolean':
         return 'BOOLEAN'; // MySQL maps this to TINYINT(1)
 
       case 'Timestamp':
         return 'TIMESTAMP';
 
+      case 'TimestampTz':
+        // TIMESTAMP is stored in UTC and converted to the session time zone
+        return 'TIMESTAMP';
+
       case 'Date':
         return 'DATE';
 
       case 'Time':
         return 'TIME';
 
+      case 'Interval':
+        // No interval type; store ISO 8601 durations such as 'P1DT2H'
+        return 'VARCHAR(64)';
+
       case 'Decimal':
       case 'Numeric':
         if (args && args.length >= 2) {
@@ -270,6 +814,7 @@ export class MySQLGenerator implements SqlGenerator {
       case 'Real':
         return 'FLOAT';
 
+      case 'Float':
       case 'DoublePrecision':
         return 'DOUBLE';
 
@@ -283,6 +828,18 @@ export class MySQLGenerator implements SqlGenerator {
       case 'Uuid':
         return 'CHAR(36)'; // UUID format: 8-4-4-4-12
 
+      case 'Bytes':
+        return 'LONGBLOB';
+
+      case 'Blob':
+        return 'BLOB';
+
+      case 'Inet':
+        return 'VARCHAR(45)'; // Longest IPv6 text form, e.g. IPv4-mapped addresses
+
+      case 'Cidr':
+        return 'VARCHAR(49)'; // Inet plus a /128 prefix length
+
       case 'Enum':
         if (args && args.length > 0) {
           // FIX BUG-024: Escape enum values to prevent SQL injection
@@ -296,15 +853,39 @@ export class MySQLGenerator implements SqlGenerator {
       default:
         // FIX BUG-032: Add model/column context to error messages
         const typeContext = modelName && columnName ? ` for column "${modelName}.${columnName}"` : '';
+
+        // Named enums are inlined as ENUM(...) column types
+        const namedEnum = this.enums.get(type);
+        if (namedEnum) {
+          if (args && args.length > 0) {
+            throw new GeneratorError(`Enum type ${type} does not accept arguments${typeContext}`);
+          }
+          return `ENUM(${namedEnum.values.map((v) => escapeSqlStringLiteral(v)).join(', ')})`;
+        }
+
         throw new GeneratorError(`Unknown type: ${type}${typeContext}`);
     }
   }
 
-  private formatDefaultValue(value: string): string {
-    // Handle special keywords
-    if (value.toLowerCase() === 'now') {
-      return 'CURRENT_TIMESTAMP';
+  private formatDefaultValue(decorator: DecoratorNode): string {
+    // Expression defaults other than CURRENT_TIMESTAMP must be parenthesized (MySQL 8.0.13+)
+    const resolved = resolveDefault(decorator);
+    if (resolved.kind === 'sql') {
+      return `(${resolved.sql})`;
     }
+    if (resolved.kind === 'function') {
+      switch (resolved.name) {
+        case 'uuid':
+          return '(UUID())';
+        case 'now':
+          return 'CURRENT_TIMESTAMP';
+        case 'today':
+          return '(CURRENT_DATE)';
+        case 'autoincrement':
+          throw new GeneratorError('@default(autoincrement) can only be used on a column');
+      }
+    }
+    const value = resolved.value;
 
     if (value.toLowerCase() === 'true') {
       return '1';
@@ -323,15 +904,16 @@ export class MySQLGenerator implements SqlGenerator {
     return escapeSqlStringLiteral(value);
   }
 
-  private parseReference(ref: string): { table: string; column: string } {
+  private parseReference(ref: string): Reference {
     const parts = ref.split('.');
-    if (parts.length !== 2) {
-      throw new GeneratorError(`Invalid reference format: ${ref}. Expected Table.column`);
+    if (parts.length !== 2 && parts.length !== 3) {
+      throw new GeneratorError(`Invalid reference format: ${ref}. Expected Table.column or database.Table.column`);
     }
 
     // FIX BUG-031: Validate table and column names are valid SQL identifiers
-    const table = parts[0].trim();
-    const column = parts[1].trim();
+    const schema = parts.length === 3 ? parts[0].trim() : undefined;
+    const table = parts[parts.length - 2].trim();
+    const column = parts[parts.length - 1].trim();
 
     // FIX BUG-036: Update regex to allow hyphens, matching escapeSqlIdentifier validation
     // Validate table name
@@ -350,53 +932,22 @@ export class MySQLGenerator implements SqlGenerator {
       );
     }
 
-    return { table, column };
-  }
-
-  private findOnDelete(decorators: DecoratorNode[]): string | undefined {
-    const onDeleteDecorator = decorators.find((d) => d.name === 'onDelete');
-    if (!onDeleteDecorator) {
-      return undefined;
-    }
-
-    // FIX BUG-019 & BUG-028: Validate onDelete decorator arguments
-    if (!onDeleteDecorator.args || onDeleteDecorator.args.length === 0) {
-      throw new GeneratorError(
-        '@onDelete decorator requires an action argument (CASCADE, SET NULL, SET DEFAULT, RESTRICT, NO ACTION)'
-      );
-    }
-
-    const action = onDeleteDecorator.args[0].toUpperCase();
-    const validActions = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
-
-    if (!validActions.includes(action)) {
-      throw new GeneratorError(
-        `@onDelete action "${onDeleteDecorator.args[0]}" is invalid. ` +
-        `Must be one of: ${validActions.join(', ')}`
-      );
-    }
-
-    return onDeleteDecorator.args[0];
+    return { schema, table, column };
   }
 
   private generateForeignKey(
+    constraintName: string,
     columnName: string,
-    refTable: string,
-    refColumn: string,
-    onDelete?: string
+    ref: Reference,
+    options: ForeignKeyOptions
   ): string {
     // FIX BUG-026: Use safe identifier escaping for foreign key references
     const safeColumnName = escapeMySQLIdentifier(columnName);
-    const safeRefTable = escapeMySQLIdentifier(refTable);
-    const safeRefColumn = escapeMySQLIdentifier(refColumn);
+    const safeRefTable = escapeMySQLTableName(ref.table, ref.schema);
+    const safeRefColumn = escapeMySQLIdentifier(ref.column);
 
-    let fk = `FOREIGN KEY (${safeColumnName}) REFERENCES ${safeRefTable}(${safeRefColumn})`;
-
-    if (onDelete) {
-      const action = onDelete.toUpperCase();
-      fk += ` ON DELETE ${action}`;
-    }
+    const fk = `CONSTRAINT ${constraintName} FOREIGN KEY (${safeColumnName}) REFERENCES ${safeRefTable}(${safeRefColumn})`;
 
-    return fk;
+    return fk + formatForeignKeyOptions(options);
   }
 }
@@ -8,61 +8,246 @@ import {
   ModelNode,
   ColumnNode,
   DecoratorNode,
+  AlterModelNode,
+  DropColumnNode,
+  ChangeColumnNode,
+  EnumNode,
+  TypeAliasNode,
+  ViewNode,
+  Diagnostic,
   GeneratorError,
 } from '../ast/types.js';
-import { SqlGenerator } from './base.js';
-import { escapePostgresIdentifier, escapeSqlStringLiteral } from '../utils/sql-identifier-escape.js';
+import { expandMixins } from '../ast/mixins.js';
+import { expandTypeAliases } from '../ast/type-aliases.js';
+import { expandRelations } from '../ast/relations.js';
+import { mapNames } from '../ast/naming.js';
+import {
+  SqlGenerator,
+  withSourceSpan,
+  validateArrayColumn,
+  resolveDefault,
+  hasAutoincrementDefault,
+  validateAutoincrement,
+  resolveGenerated,
+  resolveCheck,
+  validateCheckNames,
+  ForeignKeyOptions,
+  resolveForeignKeyOptions,
+  formatForeignKeyOptions,
+  formatViewQuery,
+  Reference,
+  collectSchemas,
+  resolveIndex,
+  formatIndexParts,
+  resolvePrimaryKey,
+  resolveUnique,
+} from './base.js';
+import { orderModelsByDependencies, orderViewsByDependencies } from './dependency-order.js';
+import { buildConstraintName, columnsInExpression, ConstraintSuffix, getNameOverride } from './constraint-names.js';
+import {
+  escapePostgresIdentifier,
+  escapePostgresTableName,
+  escapeSqlStringLiteral,
+  MAX_IDENTIFIER_LENGTH_POSTGRES,
+} from '../utils/sql-identifier-escape.js';
+import { splitSqlStatements } from '../utils/sql-splitter.js';
 
 export class PostgresGenerator implements SqlGenerator {
-  generateUp(ast: SchemaAST): string[] {
+  // Named enums declared in the schema currently being generated
+  private enums = new Map<string, EnumNode>();
+  private warnings: Diagnostic[] = [];
+  // CONCURRENTLY index statements, which cannot run inside a transaction block
+  private nonTransactional: string[] = [];
+
+  generateUp(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
+    this.nonTransactional = [];
+
+    // Create the schemas that models and views live in before anything else.
+    // They are not dropped on down, since other migrations may use them too.
+    for (const schemaName of collectSchemas(ast)) {
+      statements.push(`CREATE SCHEMA IF NOT EXISTS ${escapePostgresIdentifier(schemaName)};`);
+    }
+
+    // Create enum types first so that columns can reference them
+    for (const enumNode of ast.enums ?? []) {
+      statements.push(withSourceSpan(enumNode, () => this.generateCreateType(enumNode)));
+    }
+
+    // Domains may be based on enum types, and columns may use them
+    for (const alias of ast.typeAliases ?? []) {
+      if (alias.domain) {
+        statements.push(withSourceSpan(alias, () => this.generateCreateDomain(alias)));
+      }
+    }
+
+    // Generate CREATE TABLE statements in dependency order, each followed by its indexes
+    const { models, deferred } = orderModelsByDependencies(ast.models);
+    const deferredColumns = new Set(deferred.map((fk) => fk.column));
+    for (const model of models) {
+      withSourceSpan(model, () => {
+        statements.push(this.generateCreateTable(model, deferredColumns));
+        statements.push(...this.generateIndexes(model));
+        statements.push(...this.generateComments(model));
+      });
+    }
+
+    // Add foreign keys that close reference cycles once every table exists
+    for (const { model, column } of deferred) {
+      statements.push(withSourceSpan(column, () => this.generateAddForeignKey(model, column)));
+    }
 
-    // Generate CREATE TABLE statements for each model
-    for (const model of ast.models) {
-      statements.push(this.generateCreateTable(model));
+    // Generate ALTER TABLE statements for alter blocks
+    for (const alter of ast.alterations ?? []) {
+      statements.push(...this.generateAlterUp(alter));
     }
 
-    // Add raw SQL statements
+    // Views select from tables in their final shape, and from each other
+    for (const view of orderViewsByDependencies(ast.views ?? [])) {
+      statements.push(withSourceSpan(view, () => this.generateCreateView(view)));
+    }
+
+    // Add raw SQL statements ('<' lines only run on down)
     for (const raw of ast.rawSql) {
-      statements.push(raw.sql);
+      if (raw.direction !== 'down') {
+        statements.push(...splitSqlStatements(raw.sql, 'postgres'));
+      }
     }
 
     return statements;
   }
 
-  generateDown(ast: SchemaAST): string[] {
+  generateDown(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
+    this.nonTransactional = [];
+
+    // Run down raw SQL first, since up raw SQL ran last: lines and blocks in
+    // reverse order, the statements inside a block as written
+    const downSql = ast.rawSql.filter((raw) => raw.direction === 'down');
+    for (let i = downSql.length - 1; i >= 0; i--) {
+      statements.push(...splitSqlStatements(downSql[i].sql, 'postgres'));
+    }
+
+    // Drop views before the tables they select from
+    const views = orderViewsByDependencies(ast.views ?? []);
+    for (let i = views.length - 1; i >= 0; i--) {
+      const keyword = views[i].materialized ? 'MATERIALIZED VIEW' : 'VIEW';
+      statements.push(`DROP ${keyword} IF EXISTS ${escapePostgresTableName(views[i].name, views[i].schema)};`);
+    }
 
-    // Generate DROP TABLE statements in reverse order
-    for (let i = ast.models.length - 1; i >= 0; i--) {
-      const model = ast.models[i];
+    // Reverse alter blocks next, since they ran after the CREATE TABLE statements
+    const alterations = ast.alterations ?? [];
+    for (let i = alterations.length - 1; i >= 0; i--) {
+      statements.push(...this.generateAlterDown(alterations[i]));
+    }
+
+    // Generate DROP TABLE statements in reverse dependency order
+    const { models } = orderModelsByDependencies(ast.models);
+    for (let i = models.length - 1; i >= 0; i--) {
+      const model = models[i];
+      statements.push(...this.generateDropIndexes(model));
       // FIX BUG-021: Use safe identifier escaping for model names
-      const tableName = escapePostgresIdentifier(model.name);
+      const tableName = escapePostgresTableName(model.name, model.schema);
       statements.push(`DROP TABLE IF EXISTS ${tableName} CASCADE;`);
     }
 
+    // Drop domains and then enum types last, once no table uses them
+    const aliases = ast.typeAliases ?? [];
+    for (let i = aliases.length - 1; i >= 0; i--) {
+      if (aliases[i].domain) {
+        statements.push(`DROP DOMAIN IF EXISTS ${escapePostgresIdentifier(aliases[i].name)};`);
+      }
+    }
+
+    const enums = ast.enums ?? [];
+    for (let i = enums.length - 1; i >= 0; i--) {
+      statements.push(`DROP TYPE IF EXISTS ${escapePostgresIdentifier(enums[i].name)};`);
+    }
+
     return statements;
   }
 
-  private generateCreateTable(model: ModelNode): string {
+  getWarnings(): Diagnostic[] {
+    return this.warnings;
+  }
+
+  getNonTransactional(): string[] {
+    return this.nonTransactional;
+  }
+
+  private collectEnums(ast: SchemaAST): Map<string, EnumNode> {
+    // Enums from earlier migrations resolve as types, but only this schema's are created
+    const enums = [...(ast.existingEnums ?? []), ...(ast.enums ?? [])];
+    return new Map(enums.map((enumNode) => [enumNode.name, enumNode]));
+  }
+
+  private generateCreateType(enumNode: EnumNode): string {
+    const typeName = escapePostgresIdentifier(enumNode.name);
+    const values = enumNode.values.map((v) => escapeSqlStringLiteral(v)).join(', ');
+    return `CREATE TYPE ${typeName} AS ENUM (${values});`;
+  }
+
+  /**
+   * CREATE DOMAIN for a resolved `domain` alias. @notnull and @default become part
+   * of the domain; other decorators only apply to the columns that use it.
+   */
+  private generateCreateDomain(alias: TypeAliasNode): string {
+    if (alias.type === 'Serial' || alias.type === 'Enum') {
+      throw new GeneratorError(
+        `Domain "${alias.name}" cannot be based on ${alias.type}. Use a named enum or a plain type alias instead`
+      );
+    }
+
+    const baseType = this.mapType(alias.type, alias.typeArgs) + (alias.array ? '[]' : '');
+    const parts = [`CREATE DOMAIN ${escapePostgresIdentifier(alias.name)} AS ${baseType}`];
+
+    const defaultDecorator = alias.decorators.find((d) => d.name === 'default');
+    if (defaultDecorator) {
+      if (defaultDecorator.args?.length !== 1) {
+        throw new GeneratorError(`@default decorator on domain "${alias.name}" requires exactly one argument`);
+      }
+      parts.push(`DEFAULT ${this.formatDefaultValue(defaultDecorator)}`);
+    }
+    if (alias.decorators.some((d) => d.name === 'notnull')) {
+      parts.push('NOT NULL');
+    }
+
+    return `${parts.join(' ')};`;
+  }
+
+  private generateCreateView(view: ViewNode): string {
+    const keyword = view.materialized ? 'MATERIALIZED VIEW' : 'VIEW';
+    return `CREATE ${keyword} ${escapePostgresTableName(view.name, view.schema)} AS\n${formatViewQuery(view)};`;
+  }
+
+  private generateCreateTable(model: ModelNode, deferredColumns: Set<ColumnNode>): string {
     const lines: string[] = [];
     // FIX BUG-021: Use safe identifier escaping for model names
-    const tableName = escapePostgresIdentifier(model.name);
+    const tableName = escapePostgresTableName(model.name, model.schema);
     lines.push(`CREATE TABLE ${tableName} (`);
 
     const columnDefs: string[] = [];
     const constraints: string[] = [];
 
     for (const column of model.columns) {
-      const { columnDef, constraint } = this.generateColumn(column, model.name);
+      const { columnDef, constraint } = withSourceSpan(column, () =>
+        this.generateColumn(column, model.name)
+      );
       columnDefs.push(columnDef);
-      if (constraint) {
+      // Deferred foreign keys are added with ALTER TABLE after all tables exist
+      if (constraint && !deferredColumns.has(column)) {
         constraints.push(constraint);
       }
     }
 
     // Combine column definitions and constraints
-    const allDefs = [...columnDefs, ...constraints];
+    const allDefs = [...columnDefs, ...constraints, ...this.generateTableConstraints(model)];
     lines.push(allDefs.map((def) => `  ${def}`).join(',\n'));
 
     lines.push(');');
@@ -70,6 +255,347 @@ export class PostgresGenerator implements SqlGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * Add a foreign key that was deferred out of CREATE TABLE to break a reference cycle
+   */
+  private generateAddForeignKey(model: ModelNode, column: ColumnNode): string {
+    const { constraint } = this.generateColumn(column, model.name);
+    return `ALTER TABLE ${escapePostgresTableName(model.name, model.schema)} ADD ${constraint};`;
+  }
+
+  /**
+   * Generate table-level constraints from @@pk, @@unique and @@check model attributes
+   */
+  private generateTableConstraints(model: ModelNode): string[] {
+    const constraints: string[] = [];
+    const attributes = model.attributes ?? [];
+    // Inline Enum(...) columns are VARCHAR with a CHECK on their values
+    validateCheckNames(model, model.columns.filter((c) => c.type === 'Enum').map((c) => c.name));
+
+    for (const attribute of attributes) {
+      withSourceSpan(attribute, () => {
+        switch (attribute.name) {
+          case 'pk': {
+            const columns = resolvePrimaryKey(model, attribute);
+            constraints.push(`PRIMARY KEY (${columns.map(escapePostgresIdentifier).join(', ')})`);
+            break;
+          }
+
+          case 'unique': {
+            const unique = resolveUnique(model, attribute);
+            const constraintName = this.getConstraintName(model.name, unique.columns, 'key', unique.name);
+            constraints.push(
+              `CONSTRAINT ${constraintName} UNIQUE (${unique.columns.map(escapePostgresIdentifier).join(', ')})`
+            );
+            break;
+          }
+
+          case 'check': {
+            const check = resolveCheck(attribute, [], `@@check on model "${model.name}"`);
+            const columns = columnsInExpression(check.expression, model.columns.map((c) => c.name));
+            const constraintName = this.getConstraintName(model.name, columns, 'check', check.name);
+            constraints.push(`CONSTRAINT ${constraintName} CHECK (${check.expression})`);
+            break;
+          }
+
+          case 'index':
+            // Indexes are emitted as separate CREATE INDEX statements
+            resolveIndex(model, attribute);
+            break;
+
+          default:
+            throw new GeneratorError(
+              `Unknown model attribute @@${attribute.name} on model "${model.name}"`
+            );
+        }
+      });
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Generate CREATE INDEX statements from @@index model attributes, with their
+   * USING method, WHERE condition and CONCURRENTLY option
+   */
+  private generateIndexes(model: ModelNode): string[] {
+    const tableName = escapePostgresTableName(model.name, model.schema);
+
+    return (model.attributes ?? [])
+      .filter((attribute) => attribute.name === 'index')
+      .map((attribute) => withSourceSpan(attribute, () => {
+        const index = resolveIndex(model, attribute);
+        const indexName = this.getIndexName(model, attribute);
+        const using = index.using ? ` USING ${index.using}` : '';
+        const where = index.where ? ` WHERE ${index.where}` : '';
+        const keys = formatIndexParts(index.parts, escapePostgresIdentifier);
+        if (!index.concurrently) {
+          return `CREATE INDEX ${indexName} ON ${tableName}${using} ${keys}${where};`;
+        }
+        this.warnConcurrently(indexName, attribute);
+        return this.outsideTransaction(
+          `CREATE INDEX CONCURRENTLY ${indexName} ON ${tableName}${using} ${keys}${where};`
+        );
+      }));
+  }
+
+  /**
+   * Generate DROP INDEX statements matching generateIndexes, in reverse order.
+   * An index lives in its table's schema.
+   */
+  private generateDropIndexes(model: ModelNode): string[] {
+    const schemaPrefix = model.schema ? `${escapePostgresIdentifier(model.schema)}.` : '';
+    return (model.attributes ?? [])
+      .filter((attribute) => attribute.name === 'index')
+      .map((attribute) => withSourceSpan(attribute, () => {
+        const indexName = `${schemaPrefix}${this.getIndexName(model, attribute)}`;
+        if (!resolveIndex(model, attribute).concurrently) {
+          return `DROP INDEX IF EXISTS ${indexName};`;
+        }
+        return this.outsideTransaction(`DROP INDEX CONCURRENTLY IF EXISTS ${indexName};`);
+      }))
+      .reverse();
+  }
+
+  private outsideTransaction(sql: string): string {
+    this.nonTransactional.push(sql);
+    return sql;
+  }
+
+  /**
+   * PostgreSQL refuses CREATE INDEX CONCURRENTLY inside a transaction block, so
+   * the runner commits the statements before it and builds the index on its own
+   */
+  private warnConcurrently(indexName: string, attribute: DecoratorNode): void {
+    this.warnings.push({
+      severity: 'warning',
+      message:
+        `Index ${indexName} is created CONCURRENTLY, which PostgreSQL does not allow inside a transaction. ` +
+        `The migration is applied in several steps and is not atomic`,
+      file: attribute.span?.file,
+      line: attribute.span?.start.line,
+      column: attribute.span?.start.column,
+    });
+  }
+
+  /**
+   * Generate COMMENT ON statements for a model's /// doc comments
+   */
+  private generateComments(model: ModelNode): string[] {
+    const tableName = escapePostgresTableName(model.name, model.schema);
+    const statements: string[] = [];
+
+    if (model.doc !== undefined) {
+      statements.push(`COMMENT ON TABLE ${tableName} IS ${escapeSqlStringLiteral(model.doc)};`);
+    }
+    for (const column of model.columns) {
+      if (column.doc !== undefined) {
+        statements.push(this.generateColumnComment(tableName, column.name, column.doc));
+      }
+    }
+
+    return statements;
+  }
+
+  /**
+   * Set a column's comment, or remove it when doc is undefined
+   */
+  private generateColumnComment(tableName: string, columnName: string, doc: string | undefined): string {
+    const comment = doc === undefined ? 'NULL' : escapeSqlStringLiteral(doc);
+    return `COMMENT ON COLUMN ${tableName}.${escapePostgresIdentifier(columnName)} IS ${comment};`;
+  }
+
+  /**
+   * Generate ALTER TABLE statements for an alter block
+   */
+  private generateAlterUp(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapePostgresTableName(alter.name, alter.schema);
+
+    for (const operation of alter.operations) {
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            statements.push(...this.generateAddColumn(tableName, operation.column, alter.name));
+            break;
+
+          case 'drop':
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapePostgresIdentifier(operation.name)};`
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapePostgresIdentifier(operation.from)} ` +
+              `TO ${escapePostgresIdentifier(operation.to)};`
+            );
+            break;
+
+          case 'change':
+            statements.push(this.generateChangeColumn(tableName, operation.column, alter.name));
+            if (operation.column.doc !== undefined) {
+              statements.push(
+                this.generateColumnComment(tableName, operation.column.name, operation.column.doc)
+              );
+            }
+            break;
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  /**
+   * Generate the statements that undo an alter block, in reverse operation order
+   */
+  private generateAlterDown(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapePostgresTableName(alter.name, alter.schema);
+
+    for (let i = alter.operations.length - 1; i >= 0; i--) {
+      const operation = alter.operations[i];
+
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapePostgresIdentifier(operation.column.name)};`
+            );
+            break;
+
+          case 'drop':
+            statements.push(
+              ...this.generateAddColumn(tableName, this.requirePrevious(operation, alter.name), alter.name)
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapePostgresIdentifier(operation.to)} ` +
+              `TO ${escapePostgresIdentifier(operation.from)};`
+            );
+            break;
+
+          case 'change': {
+            const previous = this.requirePrevious(operation, alter.name);
+            statements.push(this.generateChangeColumn(tableName, previous, alter.name));
+            // Restore the old comment only if the change replaced it
+            if (operation.column.doc !== undefined) {
+              statements.push(this.generateColumnComment(tableName, previous.name, previous.doc));
+            }
+            break;
+          }
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  private generateAddColumn(tableName: string, column: ColumnNode, modelName: string): string[] {
+    const { columnDef, constraint } = this.generateColumn(column, modelName);
+    const statements = [`ALTER TABLE ${tableName} ADD COLUMN ${columnDef};`];
+
+    if (constraint) {
+      statements.push(`ALTER TABLE ${tableName} ADD ${constraint};`);
+    }
+    if (column.doc !== undefined) {
+      statements.push(this.generateColumnComment(tableName, column.name, column.doc));
+    }
+
+    return statements;
+  }
+
+  private generateChangeColumn(tableName: string, column: ColumnNode, modelName: string): string {
+    // Validate decorators and their arguments the same way CREATE TABLE does
+    this.generateColumn(column, modelName);
+
+    for (const decorator of column.decorators) {
+      if (decorator.name !== 'notnull' && decorator.name !== 'default') {
+        throw new GeneratorError(
+          `@${decorator.name} cannot be used when changing column "${modelName}.${column.name}". ` +
+          `Only the type, @notnull and @default can be changed`
+        );
+      }
+    }
+
+    if (column.type === 'Serial' || column.type === 'Enum') {
+      throw new GeneratorError(
+        `Cannot change column "${modelName}.${column.name}" to ${column.type} in PostgreSQL. ` +
+        `Use raw SQL for this change`
+      );
+    }
+    if (hasAutoincrementDefault(column)) {
+      throw new GeneratorError(
+        `Cannot change column "${modelName}.${column.name}" to @default(autoincrement) in PostgreSQL. ` +
+        `Use raw SQL for this change`
+      );
+    }
+
+    const columnName = escapePostgresIdentifier(column.name);
+    const columnType = this.columnType(column, modelName);
+    // Converting to a named enum needs an explicit cast from the old type
+    const using = this.enums.has(column.type) ? ` USING ${columnName}::${columnType}` : '';
+    const clauses = [`ALTER COLUMN ${columnName} TYPE ${columnType}${using}`];
+
+    const isNotNull = column.decorators.some((d) => d.name === 'notnull');
+    clauses.push(`ALTER COLUMN ${columnName} ${isNotNull ? 'SET' : 'DROP'} NOT NULL`);
+
+    const defaultDecorator = column.decorators.find((d) => d.name === 'default');
+    if (defaultDecorator && defaultDecorator.args) {
+      clauses.push(
+        `ALTER COLUMN ${columnName} SET DEFAULT ${this.formatDefaultValue(defaultDecorator)}`
+      );
+    } else {
+      clauses.push(`ALTER COLUMN ${columnName} DROP DEFAULT`);
+    }
+
+    return `ALTER TABLE ${tableName} ${clauses.join(', ')};`;
+  }
+
+  /**
+   * Return the original column definition needed to reverse a drop or change
+   */
+  private requirePrevious(
+    operation: DropColumnNode | ChangeColumnNode,
+    modelName: string
+  ): ColumnNode {
+    if (operation.previous) {
+      return operation.previous;
+    }
+
+    const columnName = operation.action === 'drop' ? operation.name : operation.column.name;
+    const hint = operation.action === 'drop'
+      ? `declare the dropped definition (e.g., drop ${columnName} Int)`
+      : `declare the original definition (e.g., change ${columnName} Text from VarChar(255))`;
+
+    throw new GeneratorError(
+      `Cannot reverse "${operation.action} ${columnName}" on model "${modelName}": ${hint}`
+    );
+  }
+
+  private getIndexName(model: ModelNode, attribute: DecoratorNode): string {
+    const index = resolveIndex(model, attribute);
+    return this.getConstraintName(model.name, index.columns, 'idx', index.name);
+  }
+
+  /**
+   * Return the escaped name for a constraint or index: the decorator's `name:`
+   * argument when given, otherwise a stable name derived from table and columns
+   */
+  private getConstraintName(
+    tableName: string,
+    columns: string[],
+    suffix: ConstraintSuffix,
+    override?: string
+  ): string {
+    return escapePostgresIdentifier(
+      override ?? buildConstraintName(tableName, columns, suffix, MAX_IDENTIFIER_LENGTH_POSTGRES)
+    );
+  }
+
   private generateColumn(
     column: ColumnNode,
     modelName: string
@@ -81,12 +607,30 @@ export class PostgresGenerator implements SqlGenerator {
     parts.push(columnName);
 
     // Column type (pass column name for CHECK constraints)
-    parts.push(this.mapType(column.type, column.typeArgs, column.name, modelName));
+    parts.push(this.columnType(column, modelName));
+
+    const generated = resolveGenerated(column, modelName);
+    if (generated) {
+      if (!generated.stored) {
+        throw new GeneratorError(
+          `Column "${modelName}.${column.name}" is a virtual generated column, ` +
+          `but PostgreSQL only supports stored generated columns`
+        );
+      }
+      parts.push(`GENERATED ALWAYS AS (${generated.expression}) STORED`);
+    }
 
     let constraint: string | null = null;
 
     // Process decorators
     for (const decorator of column.decorators) {
+      // Only decorators that create a named constraint accept `name:`
+      if (decorator.namedArgs && !['unique', 'ref', 'check'].includes(decorator.name)) {
+        throw new GeneratorError(
+          `@${decorator.name} decorator on column "${modelName}.${column.name}" does not accept named arguments`
+        );
+      }
+
       switch (decorator.name) {
         case 'pk':
           // FIX BUG-041: Validate no arguments provided
@@ -105,7 +649,10 @@ export class PostgresGenerator implements SqlGenerator {
               `@unique decorator on column "${modelName}.${column.name}" does not accept arguments, but ${decorator.args.length} were provided`
             );
           }
-          parts.push('UNIQUE');
+          const uniqueName = this.getConstraintName(
+            modelName, [column.name], 'key', getNameOverride(decorator, `@unique on column "${modelName}.${column.name}"`)
+          );
+          parts.push(`CONSTRAINT ${uniqueName} UNIQUE`);
           break;
 
         case 'notnull':
@@ -130,7 +677,13 @@ export class PostgresGenerator implements SqlGenerator {
               `@default decorator on column "${modelName}.${column.name}" accepts only one argument, got ${decorator.args.length}`
             );
           }
-          const defaultValue = this.formatDefaultValue(decorator.args[0]);
+          // Identity columns replace SERIAL's sequence default
+          if (hasAutoincrementDefault(column)) {
+            validateAutoincrement(column, modelName);
+            parts.push('GENERATED BY DEFAULT AS IDENTITY');
+            break;
+          }
+          const defaultValue = this.formatDefaultValue(decorator);
           parts.push(`DEFAULT ${defaultValue}`);
           break;
 
@@ -147,29 +700,40 @@ export class PostgresGenerator implements SqlGenerator {
             );
           }
           const ref = this.parseReference(decorator.args[0]);
-          const onDelete = this.findOnDelete(column.decorators);
-          const fkConstraint = this.generateForeignKey(
-            column.name,
-            ref.table,
-            ref.column,
-            onDelete
+          const foreignKeyOptions = resolveForeignKeyOptions(column.decorators);
+          const fkName = this.getConstraintName(
+            modelName, [column.name], 'fkey', getNameOverride(decorator, `@ref on column "${modelName}.${column.name}"`)
           );
+          const fkConstraint = this.generateForeignKey(fkName, column.name, ref, foreignKeyOptions);
           constraint = fkConstraint;
           break;
 
         // FIX BUG-043: Validate onDelete is used with @ref
         case 'onDelete':
+        case 'onUpdate':
+        case 'deferrable':
           // Check if there's a @ref decorator
           const hasRef = column.decorators.some(d => d.name === 'ref');
           if (!hasRef) {
             throw new GeneratorError(
-              `@onDelete decorator on column "${modelName}.${column.name}" ` +
-              `requires a @ref decorator (e.g., @ref(Table.column) @onDelete(CASCADE))`
+              `@${decorator.name} decorator on column "${modelName}.${column.name}" ` +
+              `requires a @ref decorator (e.g., @ref(Table.column) @${decorator.name}${decorator.name === 'deferrable' ? '' : '(CASCADE)'})`
             );
           }
           // If it has @ref, it will be handled there, so just skip here
           break;
 
+        case 'generated':
+          // Handled with the column type above
+          break;
+
+        case 'check': {
+          const check = resolveCheck(decorator, [column.name], `@check on column "${modelName}.${column.name}"`);
+          const checkName = this.getConstraintName(modelName, check.columns, 'check', check.name);
+          parts.push(`CONSTRAINT ${checkName} CHECK (${check.expression})`);
+          break;
+        }
+
         default:
           // FIX BUG-032: Add model/column context to error messages
           throw new GeneratorError(
@@ -184,6 +748,21 @@ export class PostgresGenerator implements SqlGenerator {
     };
   }
 
+  /**
+   * A column's SQL type: its domain when it uses a `domain` alias, otherwise its
+   * mapped type, with `[]` for array columns
+   */
+  private columnType(column: ColumnNode, modelName: string): string {
+    if (column.domain) {
+      return escapePostgresIdentifier(column.domain);
+    }
+    if (!column.array) {
+      return this.mapType(column.type, column.typeArgs, column.name, modelName);
+    }
+    validateArrayColumn(column, modelName);
+    return `${this.mapType(column.type, column.typeArgs, column.name, modelName)}[]`;
+  }
+
   private mapType(type: string, args?: string[], columnName?: string, modelName?: string): string {
     switch (type) {
       case 'Serial':
@@ -198,6 +777,10 @@ export class PostgresGenerator implements SqlGenerator {
       case 'SmallInt':
         return 'SMALLINT';
 
+      case 'TinyInt':
+        // PostgreSQL has no one-byte integer
+        return 'SMALLINT';
+
       case 'VarChar':
         if (args && args.length > 0) {
           return `VARCHAR(${args[0]})`;
@@ -213,20 +796,33 @@ export class PostgresGenerator implements SqlGenerator {
         return 'CHAR(1)';
 
       case 'Text':
+      case 'MediumText':
+      case 'LongText':
+        // TEXT has no length limit, so the MySQL size variants are all TEXT
         return 'TEXT';
 
+      case 'Citext':
+        // Requires the citext extension (CREATE EXTENSION citext)
+        return 'CITEXT';
+
       case 'Boolean':
         return 'BOOLEAN';
 
       case 'Timestamp':
         return 'TIMESTAMP';
 
+      case 'TimestampTz':
+        return 'TIMESTAMPTZ';
+
       case 'Date':
         return 'DATE';
 
       case 'Time':
         return 'TIME';
 
+      case 'Interval':
+        return 'INTERVAL';
+
       case 'Decimal':
       case 'Numeric':
         if (args && args.length >= 2) {
@@ -241,6 +837,7 @@ export class PostgresGenerator implements SqlGenerator {
       case 'Real':
         return 'REAL';
 
+      case 'Float':
       case 'DoublePrecision':
         return 'DOUBLE PRECISION';
 
@@ -253,13 +850,28 @@ export class PostgresGenerator implements SqlGenerator {
       case 'Uuid':
         return 'UUID';
 
+      case 'Bytes':
+      case 'Blob':
+        return 'BYTEA';
+
+      case 'Inet':
+        return 'INET';
+
+      case 'Cidr':
+        return 'CIDR';
+
       case 'Enum':
         if (args && args.length > 0) {
           // FIX BUG-024: Escape enum values to prevent SQL injection
           const values = args.map((v) => escapeSqlStringLiteral(v)).join(', ');
           // FIX BUG-002: Use actual column name instead of non-existent VALUE keyword
           const checkColumn = columnName ? escapePostgresIdentifier(columnName) : 'value';
-          return `VARCHAR(50) CHECK (${checkColumn} IN (${values}))`;
+          const check = modelName && columnName
+            ? `CONSTRAINT ${this.getConstraintName(modelName, [columnName], 'check')} CHECK`
+            : 'CHECK';
+          // Widen the column beyond the default 50 characters when a value needs it
+          const length = Math.max(50, ...args.map((v) => v.length));
+          return `VARCHAR(${length}) ${check} (${checkColumn} IN (${values}))`;
         }
         // FIX BUG-032: Add model/column context to error messages
         const enumContext = modelName && columnName ? ` on column "${modelName}.${columnName}"` : '';
@@ -268,15 +880,38 @@ export class PostgresGenerator implements SqlGenerator {
       default:
         // FIX BUG-032: Add model/column context to error messages
         const typeContext = modelName && columnName ? ` for column "${modelName}.${columnName}"` : '';
+
+        // Named enums map to native enum types created by CREATE TYPE
+        if (this.enums.has(type)) {
+          if (args && args.length > 0) {
+            throw new GeneratorError(`Enum type ${type} does not accept arguments${typeContext}`);
+          }
+          return escapePostgresIdentifier(type);
+        }
+
         throw new GeneratorError(`Unknown type: ${type}${typeContext}`);
     }
   }
 
-  private formatDefaultValue(value: string): string {
-    // Handle special keywords
-    if (value.toLowerCase() === 'now') {
-      return 'CURRENT_TIMESTAMP';
+  private formatDefaultValue(decorator: DecoratorNode): string {
+    const resolved = resolveDefault(decorator);
+    if (resolved.kind === 'sql') {
+      return `(${resolved.sql})`;
+    }
+    if (resolved.kind === 'function') {
+      switch (resolved.name) {
+        case 'uuid':
+          // Built in since PostgreSQL 13
+          return 'gen_random_uuid()';
+        case 'now':
+          return 'CURRENT_TIMESTAMP';
+        case 'today':
+          return 'CURRENT_DATE';
+        case 'autoincrement':
+          throw new GeneratorError('@default(autoincrement) can only be used on a column');
+      }
     }
+    const value = resolved.value;
 
     // FIX BUG-006: Use lowercase 'true'/'false' for PostgreSQL boolean defaults
     if (value.toLowerCase() === 'true' || value.toLowerCase() === 'false') {
@@ -292,15 +927,16 @@ export class PostgresGenerator implements SqlGenerator {
     return escapeSqlStringLiteral(value);
   }
 
-  private parseReference(ref: string): { table: string; column: string } {
+  private parseReference(ref: string): Reference {
     const parts = ref.split('.');
-    if (parts.length !== 2) {
-      throw new GeneratorError(`Invalid reference format: ${ref}. Expected Table.column`);
+    if (parts.length !== 2 && parts.length !== 3) {
+      throw new GeneratorError(`Invalid reference format: ${ref}. Expected Table.column or schema.Table.column`);
     }
 
     // FIX BUG-031: Validate table and column names are valid SQL identifiers
-    const table = parts[0].trim();
-    const column = parts[1].trim();
+    const schema = parts.length === 3 ? parts[0].trim() : undefined;
+    const table = parts[parts.length - 2].trim();
+    const column = parts[parts.length - 1].trim();
 
     // FIX BUG-036: Update regex to allow hyphens, matching escapeSqlIdentifier validation
     // Validate table name
@@ -319,53 +955,22 @@ export class PostgresGenerator implements SqlGenerator {
       );
     }
 
-    return { table, column };
-  }
-
-  private findOnDelete(decorators: DecoratorNode[]): string | undefined {
-    const onDeleteDecorator = decorators.find((d) => d.name === 'onDelete');
-    if (!onDeleteDecorator) {
-      return undefined;
-    }
-
-    // FIX BUG-019 & BUG-028: Validate onDelete decorator arguments
-    if (!onDeleteDecorator.args || onDeleteDecorator.args.length === 0) {
-      throw new GeneratorError(
-        '@onDelete decorator requires an action argument (CASCADE, SET NULL, SET DEFAULT, RESTRICT, NO ACTION)'
-      );
-    }
-
-    const action = onDeleteDecorator.args[0].toUpperCase();
-    const validActions = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
-
-    if (!validActions.includes(action)) {
-      throw new GeneratorError(
-        `@onDelete action "${onDeleteDecorator.args[0]}" is invalid. ` +
-        `Must be one of: ${validActions.join(', ')}`
-      );
-    }
-
-    return onDeleteDecorator.args[0];
+    return { schema, table, column };
   }
 
   private generateForeignKey(
+    constraintName: string,
     columnName: string,
-    refTable: string,
-    refColumn: string,
-    onDelete?: string
+    ref: Reference,
+    options: ForeignKeyOptions
   ): string {
     // FIX BUG-026: Use safe identifier escaping for foreign key references
     const safeColumnName = escapePostgresIdentifier(columnName);
-    const safeRefTable = escapePostgresIdentifier(refTable);
-    const safeRefColumn = escapePostgresIdentifier(refColumn);
-
-    let fk = `FOREIGN KEY (${safeColumnName}) REFERENCES ${safeRefTable}(${safeRefColumn})`;
+    const safeRefTable = escapePostgresTableName(ref.table, ref.schema);
+    const safeRefColumn = escapePostgresIdentifier(ref.column);
 
-    if (onDelete) {
-      const action = onDelete.toUpperCase();
-      fk += ` ON DELETE ${action}`;
-    }
+    const fk = `CONSTRAINT ${constraintName} FOREIGN KEY (${safeColumnName}) REFERENCES ${safeRefTable}(${safeRefColumn})`;
 
-    return fk;
+    return fk + formatForeignKeyOptions(options);
   }
 }
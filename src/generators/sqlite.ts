@@ -8,59 +8,169 @@ import {
   ModelNode,
   ColumnNode,
   DecoratorNode,
+  AlterModelNode,
+  DropColumnNode,
+  EnumNode,
+  Diagnostic,
+  ViewNode,
   GeneratorError,
 } from '../ast/types.js';
-import { SqlGenerator } from './base.js';
-import { escapePostgresIdentifier, escapeSqlStringLiteral } from '../utils/sql-identifier-escape.js';
+import { expandMixins } from '../ast/mixins.js';
+import { expandTypeAliases } from '../ast/type-aliases.js';
+import { expandRelations } from '../ast/relations.js';
+import { mapNames } from '../ast/naming.js';
+import {
+  SqlGenerator,
+  withSourceSpan,
+  validateArrayColumn,
+  arrayFallbackWarning,
+  resolveDefault,
+  hasAutoincrementDefault,
+  validateAutoincrement,
+  resolveGenerated,
+  resolveCheck,
+  validateCheckNames,
+  ForeignKeyOptions,
+  resolveForeignKeyOptions,
+  formatForeignKeyOptions,
+  formatViewQuery,
+  Reference,
+  IndexDefinition,
+  resolveIndex,
+  resolvePrimaryKey,
+  resolveUnique,
+  formatIndexParts,
+} from './base.js';
+import { orderModelsByDependencies, orderViewsByDependencies } from './dependency-order.js';
+import { buildConstraintName, columnsInExpression, ConstraintSuffix, getNameOverride } from './constraint-names.js';
+import {
+  escapePostgresIdentifier,
+  escapePostgresTableName,
+  escapeSqlStringLiteral,
+  MAX_IDENTIFIER_LENGTH_POSTGRES,
+} from '../utils/sql-identifier-escape.js';
+import { splitSqlStatements } from '../utils/sql-splitter.js';
+
+// SQLite has no UUID function, so @default(uuid) builds a random version 4 UUID
+export const SQLITE_UUID_EXPRESSION =
+  "(lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || " +
+  "substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))))";
 
 export class SQLiteGenerator implements SqlGenerator {
-  generateUp(ast: SchemaAST): string[] {
+  // Named enums declared in the schema currently being generated
+  private enums = new Map<string, EnumNode>();
+  private warnings: Diagnostic[] = [];
+
+  generateUp(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
 
     // Enable foreign keys (SQLite specific)
     statements.push('PRAGMA foreign_keys = ON;');
 
-    // Generate CREATE TABLE statements for each model
-    for (const model of ast.models) {
-      statements.push(this.generateCreateTable(model));
+    // Generate CREATE TABLE statements in dependency order, each followed by its indexes.
+    // SQLite does not check that a referenced table exists until rows are written,
+    // so foreign keys in reference cycles can stay inline.
+    const { models } = orderModelsByDependencies(ast.models);
+    for (const model of models) {
+      withSourceSpan(model, () => {
+        statements.push(this.generateCreateTable(model));
+        statements.push(...this.generateIndexes(model));
+      });
+    }
+
+    // Generate ALTER TABLE statements for alter blocks
+    for (const alter of ast.alterations ?? []) {
+      statements.push(...this.generateAlterUp(alter));
     }
 
-    // Add raw SQL statements
+    // Views select from tables in their final shape, and from each other
+    for (const view of orderViewsByDependencies(ast.views ?? [])) {
+      statements.push(withSourceSpan(view, () => this.generateCreateView(view)));
+    }
+
+    // Add raw SQL statements ('<' lines only run on down)
     for (const raw of ast.rawSql) {
-      statements.push(raw.sql);
+      if (raw.direction !== 'down') {
+        statements.push(...splitSqlStatements(raw.sql, 'sqlite'));
+      }
     }
 
     return statements;
   }
 
-  generateDown(ast: SchemaAST): string[] {
+  generateDown(schema: SchemaAST): string[] {
+    const ast = mapNames(expandRelations(expandTypeAliases(expandMixins(schema))));
     const statements: string[] = [];
+    this.enums = this.collectEnums(ast);
+    this.warnings = [];
 
     // Enable foreign keys
     statements.push('PRAGMA foreign_keys = ON;');
 
-    // Generate DROP TABLE statements in reverse order
-    for (let i = ast.models.length - 1; i >= 0; i--) {
-      const model = ast.models[i];
+    // Run down raw SQL first, since up raw SQL ran last: lines and blocks in
+    // reverse order, the statements inside a block as written
+    const downSql = ast.rawSql.filter((raw) => raw.direction === 'down');
+    for (let i = downSql.length - 1; i >= 0; i--) {
+      statements.push(...splitSqlStatements(downSql[i].sql, 'sqlite'));
+    }
+
+    // Drop views before the tables they select from
+    const views = orderViewsByDependencies(ast.views ?? []);
+    for (let i = views.length - 1; i >= 0; i--) {
+      statements.push(`DROP VIEW IF EXISTS ${escapePostgresTableName(views[i].name, views[i].schema)};`);
+    }
+
+    // Reverse alter blocks next, since they ran after the CREATE TABLE statements
+    const alterations = ast.alterations ?? [];
+    for (let i = alterations.length - 1; i >= 0; i--) {
+      statements.push(...this.generateAlterDown(alterations[i]));
+    }
+
+    // Generate DROP TABLE statements in reverse dependency order
+    const { models } = orderModelsByDependencies(ast.models);
+    for (let i = models.length - 1; i >= 0; i--) {
+      const model = models[i];
+      statements.push(...this.generateDropIndexes(model));
       // FIX BUG-023: Use safe identifier escaping for model names
-      const tableName = escapePostgresIdentifier(model.name);
+      const tableName = escapePostgresTableName(model.name, model.schema);
       statements.push(`DROP TABLE IF EXISTS ${tableName};`);
     }
 
     return statements;
   }
 
+  getWarnings(): Diagnostic[] {
+    return this.warnings;
+  }
+
+  private collectEnums(ast: SchemaAST): Map<string, EnumNode> {
+    const enums = [...(ast.existingEnums ?? []), ...(ast.enums ?? [])];
+    return new Map(enums.map((enumNode) => [enumNode.name, enumNode]));
+  }
+
+  private generateCreateView(view: ViewNode): string {
+    if (view.materialized) {
+      throw new GeneratorError(`View "${view.name}" cannot be materialized: SQLite has no materialized views`);
+    }
+    return `CREATE VIEW ${escapePostgresTableName(view.name, view.schema)} AS\n${formatViewQuery(view)};`;
+  }
+
   private generateCreateTable(model: ModelNode): string {
     const lines: string[] = [];
     // FIX BUG-023: Use safe identifier escaping for model names
-    const tableName = escapePostgresIdentifier(model.name);
+    const tableName = escapePostgresTableName(model.name, model.schema);
     lines.push(`CREATE TABLE ${tableName} (`);
 
     const columnDefs: string[] = [];
     const constraints: string[] = [];
 
     for (const column of model.columns) {
-      const { columnDef, constraint } = this.generateColumn(column, model.name);
+      const { columnDef, constraint } = withSourceSpan(column, () =>
+        this.generateColumn(column, model.name, model.schema)
+      );
       columnDefs.push(columnDef);
       if (constraint) {
         constraints.push(constraint);
@@ -68,7 +178,7 @@ export class SQLiteGenerator implements SqlGenerator {
     }
 
     // Combine column definitions and constraints
-    const allDefs = [...columnDefs, ...constraints];
+    const allDefs = [...columnDefs, ...constraints, ...this.generateTableConstraints(model)];
     lines.push(allDefs.map((def) => `  ${def}`).join(',\n'));
 
     lines.push(');');
@@ -76,9 +186,277 @@ export class SQLiteGenerator implements SqlGenerator {
     return lines.join('\n');
   }
 
+  /**
+   * Generate table-level constraints from @@pk, @@unique and @@check model attributes
+   */
+  private generateTableConstraints(model: ModelNode): string[] {
+    const constraints: string[] = [];
+    const attributes = model.attributes ?? [];
+    // Enum columns are TEXT with a CHECK on their values
+    validateCheckNames(
+      model,
+      model.columns.filter((c) => (c.type === 'Enum' || this.enums.has(c.type)) && !c.array).map((c) => c.name)
+    );
+
+    for (const attribute of attributes) {
+      withSourceSpan(attribute, () => {
+        switch (attribute.name) {
+          case 'pk': {
+            const columns = resolvePrimaryKey(model, attribute);
+            constraints.push(`PRIMARY KEY (${columns.map(escapePostgresIdentifier).join(', ')})`);
+            break;
+          }
+
+          case 'unique': {
+            const unique = resolveUnique(model, attribute);
+            const constraintName = this.getConstraintName(model.name, unique.columns, 'key', unique.name);
+            constraints.push(
+              `CONSTRAINT ${constraintName} UNIQUE (${unique.columns.map(escapePostgresIdentifier).join(', ')})`
+            );
+            break;
+          }
+
+          case 'check': {
+            const check = resolveCheck(attribute, [], `@@check on model "${model.name}"`);
+            const columns = columnsInExpression(check.expression, model.columns.map((c) => c.name));
+            const constraintName = this.getConstraintName(model.name, columns, 'check', check.name);
+            constraints.push(`CONSTRAINT ${constraintName} CHECK (${check.expression})`);
+            break;
+          }
+
+          case 'index':
+            // Indexes are emitted as separate CREATE INDEX statements
+            this.getIndex(model, attribute);
+            break;
+
+          default:
+            throw new GeneratorError(
+              `Unknown model attribute @@${attribute.name} on model "${model.name}"`
+            );
+        }
+      });
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Generate CREATE INDEX statements from @@index model attributes. In an
+   * attached database the index name carries the schema and the table may not.
+   */
+  private generateIndexes(model: ModelNode): string[] {
+    const tableName = escapePostgresIdentifier(model.name);
+    const schemaPrefix = model.schema ? `${escapePostgresIdentifier(model.schema)}.` : '';
+
+    return (model.attributes ?? [])
+      .filter((attribute) => attribute.name === 'index')
+      .map((attribute) => withSourceSpan(attribute, () => {
+        const index = this.getIndex(model, attribute);
+        const indexName = this.getIndexName(model, attribute);
+        const keys = formatIndexParts(index.parts, escapePostgresIdentifier);
+        const where = index.where ? ` WHERE ${index.where}` : '';
+        return `CREATE INDEX ${schemaPrefix}${indexName} ON ${tableName} ${keys}${where};`;
+      }));
+  }
+
+  /**
+   * Generate DROP INDEX statements matching generateIndexes, in reverse order
+   */
+  private generateDropIndexes(model: ModelNode): string[] {
+    const schemaPrefix = model.schema ? `${escapePostgresIdentifier(model.schema)}.` : '';
+    return (model.attributes ?? [])
+      .filter((attribute) => attribute.name === 'index')
+      .map((attribute) => withSourceSpan(attribute, () =>
+        `DROP INDEX IF EXISTS ${schemaPrefix}${this.getIndexName(model, attribute)};`
+      ))
+      .reverse();
+  }
+
+  /**
+   * Generate ALTER TABLE statements for an alter block
+   * Requires SQLite 3.35+ for DROP COLUMN and 3.25+ for RENAME COLUMN
+   */
+  private generateAlterUp(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapePostgresTableName(alter.name, alter.schema);
+
+    for (const operation of alter.operations) {
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            statements.push(this.generateAddColumn(tableName, operation.column, alter.name, alter.schema));
+            break;
+
+          case 'drop':
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapePostgresIdentifier(operation.name)};`
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapePostgresIdentifier(operation.from)} ` +
+              `TO ${escapePostgresIdentifier(operation.to)};`
+            );
+            break;
+
+          case 'change':
+            throw this.unsupportedChangeError(alter.name, operation.column.name);
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  /**
+   * Generate the statements that undo an alter block, in reverse operation order
+   */
+  private generateAlterDown(alter: AlterModelNode): string[] {
+    const statements: string[] = [];
+    const tableName = escapePostgresTableName(alter.name, alter.schema);
+
+    for (let i = alter.operations.length - 1; i >= 0; i--) {
+      const operation = alter.operations[i];
+
+      withSourceSpan(operation, () => {
+        switch (operation.action) {
+          case 'add':
+            // SQLite refuses to drop a column that takes part in a foreign key
+            if (operation.column.decorators.some((d) => d.name === 'ref')) {
+              throw new GeneratorError(
+                `Cannot reverse "add ${operation.column.name}" on model "${alter.name}": ` +
+                `SQLite cannot drop a column used in a foreign key constraint`
+              );
+            }
+            statements.push(
+              `ALTER TABLE ${tableName} DROP COLUMN ${escapePostgresIdentifier(operation.column.name)};`
+            );
+            break;
+
+          case 'drop':
+            statements.push(
+              this.generateAddColumn(tableName, this.requirePrevious(operation, alter.name), alter.name, alter.schema)
+            );
+            break;
+
+          case 'rename':
+            statements.push(
+              `ALTER TABLE ${tableName} RENAME COLUMN ${escapePostgresIdentifier(operation.to)} ` +
+              `TO ${escapePostgresIdentifier(operation.from)};`
+            );
+            break;
+
+          case 'change':
+            throw this.unsupportedChangeError(alter.name, operation.column.name);
+        }
+      });
+    }
+
+    return statements;
+  }
+
+  private generateAddColumn(tableName: string, column: ColumnNode, modelName: string, schema?: string): string {
+    const decoratorNames = column.decorators.map((d) => d.name);
+
+    // SQLite's ADD COLUMN cannot add keys or NOT NULL columns without a default
+    if (decoratorNames.includes('pk') || decoratorNames.includes('unique')) {
+      throw new GeneratorError(
+        `Cannot add column "${modelName}.${column.name}" with @pk or @unique in SQLite. ` +
+        `Add the column first and create a unique index separately`
+      );
+    }
+    if (resolveGenerated(column, modelName)?.stored) {
+      throw new GeneratorError(
+        `Cannot add stored generated column "${modelName}.${column.name}" in SQLite. ` +
+        `Use a virtual generated column or recreate the table`
+      );
+    }
+    if (
+      decoratorNames.includes('notnull') &&
+      !decoratorNames.includes('default') &&
+      !decoratorNames.includes('generated')
+    ) {
+      throw new GeneratorError(
+        `Cannot add column "${modelName}.${column.name}" with @notnull in SQLite without a @default value`
+      );
+    }
+
+    // SQLite refuses to drop a column that takes part in a foreign key, so the
+    // column could be added but never rolled back
+    if (decoratorNames.includes('ref')) {
+      throw new GeneratorError(
+        `Cannot add column "${modelName}.${column.name}" with @ref in SQLite: ` +
+        `a column used in a foreign key cannot be dropped again on rollback. Recreate the table instead`
+      );
+    }
+
+    const { columnDef } = this.generateColumn(column, modelName, schema);
+    return `ALTER TABLE ${tableName} ADD COLUMN ${columnDef};`;
+  }
+
+  private unsupportedChangeError(modelName: string, columnName: string): GeneratorError {
+    return new GeneratorError(
+      `Cannot change column "${modelName}.${columnName}": SQLite does not support altering column ` +
+      `definitions. Recreate the table with raw SQL instead`
+    );
+  }
+
+  /**
+   * Return the original column definition needed to reverse a drop
+   */
+  private requirePrevious(operation: DropColumnNode, modelName: string): ColumnNode {
+    if (operation.previous) {
+      return operation.previous;
+    }
+
+    throw new GeneratorError(
+      `Cannot reverse "drop ${operation.name}" on model "${modelName}": ` +
+      `declare the dropped definition (e.g., drop ${operation.name} Int)`
+    );
+  }
+
+  /**
+   * Resolve an @@index; SQLite supports partial and expression indexes but
+   * has no index methods and always builds indexes in place
+   */
+  private getIndex(model: ModelNode, attribute: DecoratorNode): IndexDefinition {
+    const index = resolveIndex(model, attribute);
+    const context = `@@index on model "${model.name}"`;
+    if (index.using) {
+      throw new GeneratorError(`${context} cannot use "using: ${index.using}": SQLite has no index methods`);
+    }
+    if (index.concurrently) {
+      throw new GeneratorError(`${context} cannot use "concurrently": it is PostgreSQL only`);
+    }
+    return index;
+  }
+
+  private getIndexName(model: ModelNode, attribute: DecoratorNode): string {
+    const index = this.getIndex(model, attribute);
+    return this.getConstraintName(model.name, index.columns, 'idx', index.name);
+  }
+
+  /**
+   * Return the escaped name for a constraint or index: the decorator's `name:`
+   * argument when given, otherwise a stable name derived from table and columns.
+   * SQLite identifiers share PostgreSQL escaping, so they share its length limit too.
+   */
+  private getConstraintName(
+    tableName: string,
+    columns: string[],
+    suffix: ConstraintSuffix,
+    override?: string
+  ): string {
+    return escapePostgresIdentifier(
+      override ?? buildConstraintName(tableName, columns, suffix, MAX_IDENTIFIER_LENGTH_POSTGRES)
+    );
+  }
+
   private generateColumn(
     column: ColumnNode,
-    modelName: string
+    modelName: string,
+    schema?: string
   ): { columnDef: string; constraint: string | null } {
     const parts: string[] = [];
 
@@ -87,13 +465,24 @@ export class SQLiteGenerator implements SqlGenerator {
     parts.push(columnName);
 
     // Column type
-    const typeInfo = this.mapType(column.type, column.typeArgs, column.name, modelName);
-    parts.push(typeInfo.type);
+    parts.push(this.columnType(column, modelName));
+
+    const generated = resolveGenerated(column, modelName);
+    if (generated) {
+      parts.push(`GENERATED ALWAYS AS (${generated.expression}) ${generated.stored ? 'STORED' : 'VIRTUAL'}`);
+    }
 
     let constraint: string | null = null;
 
     // Process decorators
     for (const decorator of column.decorators) {
+      // Only decorators that create a named constraint accept `name:`
+      if (decorator.namedArgs && !['unique', 'ref', 'check'].includes(decorator.name)) {
+        throw new GeneratorError(
+          `@${decorator.name} decorator on column "${modelName}.${column.name}" does not accept named arguments`
+        );
+      }
+
       switch (decorator.name) {
         case 'pk':
           // FIX BUG-041: Validate no arguments provided
@@ -104,7 +493,7 @@ export class SQLiteGenerator implements SqlGenerator {
           }
           // For INTEGER PRIMARY KEY, SQLite auto-increments
           // For other types, just add PRIMARY KEY
-          if (column.type === 'Serial' || column.type === 'Int') {
+          if ((column.type === 'Serial' || column.type === 'Int' || hasAutoincrementDefault(column)) && !column.array) {
             parts.push('PRIMARY KEY AUTOINCREMENT');
           } else {
             parts.push('PRIMARY KEY');
@@ -118,7 +507,10 @@ export class SQLiteGenerator implements SqlGenerator {
               `@unique decorator on column "${modelName}.${column.name}" does not accept arguments, but ${decorator.args.length} were provided`
             );
           }
-          parts.push('UNIQUE');
+          const uniqueName = this.getConstraintName(
+            modelName, [column.name], 'key', getNameOverride(decorator, `@unique on column "${modelName}.${column.name}"`)
+          );
+          parts.push(`CONSTRAINT ${uniqueName} UNIQUE`);
           break;
 
         case 'notnull':
@@ -143,7 +535,17 @@ export class SQLiteGenerator implements SqlGenerator {
               `@default decorator on column "${modelName}.${column.name}" accepts only one argument, got ${decorator.args.length}`
             );
           }
-          const defaultValue = this.formatDefaultValue(decorator.args[0]);
+          // Only INTEGER PRIMARY KEY columns auto-increment; @pk adds AUTOINCREMENT
+          if (hasAutoincrementDefault(column)) {
+            validateAutoincrement(column, modelName);
+            if (!column.decorators.some((d) => d.name === 'pk')) {
+              throw new GeneratorError(
+                `@default(autoincrement) on column "${modelName}.${column.name}" requires @pk in SQLite`
+              );
+            }
+            break;
+          }
+          const defaultValue = this.formatDefaultValue(decorator);
           parts.push(`DEFAULT ${defaultValue}`);
           break;
 
@@ -160,29 +562,46 @@ export class SQLiteGenerator implements SqlGenerator {
             );
           }
           const ref = this.parseReference(decorator.args[0]);
-          const onDelete = this.findOnDelete(column.decorators);
+          const foreignKeyOptions = resolveForeignKeyOptions(column.decorators);
+          const fkName = this.getConstraintName(
+            modelName, [column.name], 'fkey', getNameOverride(decorator, `@ref on column "${modelName}.${column.name}"`)
+          );
           const fkConstraint = this.generateForeignKey(
+            fkName,
             column.name,
-            ref.table,
-            ref.column,
-            onDelete
+            ref,
+            schema,
+            foreignKeyOptions
           );
           constraint = fkConstraint;
           break;
 
         // FIX BUG-043: Validate onDelete is used with @ref
         case 'onDelete':
+        case 'onUpdate':
+        case 'deferrable':
           // Check if there's a @ref decorator
           const hasRef = column.decorators.some(d => d.name === 'ref');
           if (!hasRef) {
             throw new GeneratorError(
-              `@onDelete decorator on column "${modelName}.${column.name}" ` +
-              `requires a @ref decorator (e.g., @ref(Table.column) @onDelete(CASCADE))`
+              `@${decorator.name} decorator on column "${modelName}.${column.name}" ` +
+              `requires a @ref decorator (e.g., @ref(Table.column) @${decorator.name}${decorator.name === 'deferrable' ? '' : '(CASCADE)'})`
             );
           }
           // If it has @ref, it will be handled there, so just skip here
           break;
 
+        case 'generated':
+          // Handled with the column type above
+          break;
+
+        case 'check': {
+          const check = resolveCheck(decorator, [column.name], `@check on column "${modelName}.${column.name}"`);
+          const checkName = this.getConstraintName(modelName, check.columns, 'check', check.name);
+          parts.push(`CONSTRAINT ${checkName} CHECK (${check.expression})`);
+          break;
+        }
+
         default:
           // FIX BUG-032: Add model/column context to error messages
           throw new GeneratorError(
@@ -191,12 +610,16 @@ export class SQLiteGenerator implements SqlGenerator {
       }
     }
 
-    // Add CHECK constraint for Enum types
-    if (column.type === 'Enum' && column.typeArgs && column.typeArgs.length > 0) {
+    // Add CHECK constraint for inline and named Enum types (arrays hold JSON text instead)
+    const enumValues = column.type === 'Enum'
+      ? column.typeArgs
+      : this.enums.get(column.type)?.values;
+    if (enumValues && enumValues.length > 0 && !column.array) {
       // FIX BUG-024 & BUG-015: Escape enum values to prevent SQL injection
-      const values = column.typeArgs.map((v) => escapeSqlStringLiteral(v)).join(', ');
+      const values = enumValues.map((v) => escapeSqlStringLiteral(v)).join(', ');
       const safeColumnName = escapePostgresIdentifier(column.name);
-      parts.push(`CHECK (${safeColumnName} IN (${values}))`);
+      const checkName = this.getConstraintName(modelName, [column.name], 'check');
+      parts.push(`CONSTRAINT ${checkName} CHECK (${safeColumnName} IN (${values}))`);
     }
 
     return {
@@ -205,9 +628,22 @@ export class SQLiteGenerator implements SqlGenerator {
     };
   }
 
+  /**
+   * A column's SQL type. SQLite has no arrays, so array columns hold JSON text.
+   */
+  private columnType(column: ColumnNode, modelName: string): string {
+    const typeInfo = this.mapType(column.type, column.typeArgs, column.name, modelName);
+    if (!column.array) {
+      return typeInfo.type;
+    }
+    validateArrayColumn(column, modelName);
+    this.warnings.push(arrayFallbackWarning(column, modelName, 'SQLite', 'JSON text'));
+    return 'TEXT';
+  }
+
   private mapType(
     type: string,
-    _args?: string[], // SQLite uses dynamic typing, args not needed
+    args?: string[], // SQLite uses dynamic typing, args are only validated
     columnName?: string,
     modelName?: string
   ): { type: string } {
@@ -216,24 +652,34 @@ export class SQLiteGenerator implements SqlGenerator {
       case 'Int':
       case 'BigInt':
       case 'SmallInt':
+      case 'TinyInt':
         return { type: 'INTEGER' };
 
       case 'VarChar':
       case 'Char':
       case 'Text':
+      case 'MediumText':
+      case 'LongText':
         return { type: 'TEXT' };
 
+      case 'Citext':
+        // NOCASE only folds ASCII letters
+        return { type: 'TEXT COLLATE NOCASE' };
+
       case 'Boolean':
         return { type: 'INTEGER' }; // 0 or 1
 
       case 'Timestamp':
+      case 'TimestampTz':
       case 'Date':
       case 'Time':
+      case 'Interval':
         return { type: 'TEXT' }; // ISO8601 strings
 
       case 'Decimal':
       case 'Numeric':
       case 'Real':
+      case 'Float':
       case 'DoublePrecision':
         return { type: 'REAL' };
 
@@ -242,8 +688,14 @@ export class SQLiteGenerator implements SqlGenerator {
         return { type: 'TEXT' }; // Store JSON as text
 
       case 'Uuid':
+      case 'Inet':
+      case 'Cidr':
         return { type: 'TEXT' };
 
+      case 'Bytes':
+      case 'Blob':
+        return { type: 'BLOB' };
+
       case 'Enum':
         // Enum is TEXT type; CHECK constraint is added in generateColumn
         return { type: 'TEXT' };
@@ -251,15 +703,38 @@ export class SQLiteGenerator implements SqlGenerator {
       default:
         // FIX BUG-032: Add model/column context to error messages
         const typeContext = modelName && columnName ? ` for column "${modelName}.${columnName}"` : '';
+
+        // Named enums are TEXT; the CHECK constraint is added in generateColumn
+        if (this.enums.has(type)) {
+          if (args && args.length > 0) {
+            throw new GeneratorError(`Enum type ${type} does not accept arguments${typeContext}`);
+          }
+          return { type: 'TEXT' };
+        }
+
         throw new GeneratorError(`Unknown type: ${type}${typeContext}`);
     }
   }
 
-  private formatDefaultValue(value: string): string {
-    // Handle special keywords
-    if (value.toLowerCase() === 'now') {
-      return "CURRENT_TIMESTAMP";
+  private formatDefaultValue(decorator: DecoratorNode): string {
+    // Expression defaults other than CURRENT_* constants must be parenthesized
+    const resolved = resolveDefault(decorator);
+    if (resolved.kind === 'sql') {
+      return `(${resolved.sql})`;
+    }
+    if (resolved.kind === 'function') {
+      switch (resolved.name) {
+        case 'uuid':
+          return SQLITE_UUID_EXPRESSION;
+        case 'now':
+          return 'CURRENT_TIMESTAMP';
+        case 'today':
+          return 'CURRENT_DATE';
+        case 'autoincrement':
+          throw new GeneratorError('@default(autoincrement) can only be used on a column');
+      }
     }
+    const value = resolved.value;
 
     if (value.toLowerCase() === 'true') {
       return '1';
@@ -278,17 +753,18 @@ export class SQLiteGenerator implements SqlGenerator {
     return escapeSqlStringLiteral(value);
   }
 
-  private parseReference(ref: string): { table: string; column: string } {
+  private parseReference(ref: string): Reference {
     const parts = ref.split('.');
-    if (parts.length !== 2) {
+    if (parts.length !== 2 && parts.length !== 3) {
       throw new GeneratorError(
-        `Invalid reference format: ${ref}. Expected Table.column`
+        `Invalid reference format: ${ref}. Expected Table.column or schema.Table.column`
       );
     }
 
     // FIX BUG-031: Validate table and column names are valid SQL identifiers
-    const table = parts[0].trim();
-    const column = parts[1].trim();
+    const schema = parts.length === 3 ? parts[0].trim() : undefined;
+    const table = parts[parts.length - 2].trim();
+    const column = parts[parts.length - 1].trim();
 
     // FIX BUG-036: Update regex to allow hyphens, matching escapeSqlIdentifier validation
     // Validate table name
@@ -307,53 +783,39 @@ export class SQLiteGenerator implements SqlGenerator {
       );
     }
 
-    return { table, column };
-  }
-
-  private findOnDelete(decorators: DecoratorNode[]): string | undefined {
-    const onDeleteDecorator = decorators.find((d) => d.name === 'onDelete');
-    if (!onDeleteDecorator) {
-      return undefined;
-    }
-
-    // FIX BUG-019 & BUG-028: Validate onDelete decorator arguments
-    if (!onDeleteDecorator.args || onDeleteDecorator.args.length === 0) {
-      throw new GeneratorError(
-        '@onDelete decorator requires an action argument (CASCADE, SET NULL, SET DEFAULT, RESTRICT, NO ACTION)'
-      );
-    }
-
-    const action = onDeleteDecorator.args[0].toUpperCase();
-    const validActions = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'RESTRICT', 'NO ACTION'];
-
-    if (!validActions.includes(action)) {
-      throw new GeneratorError(
-        `@onDelete action "${onDeleteDecorator.args[0]}" is invalid. ` +
-        `Must be one of: ${validActions.join(', ')}`
-      );
-    }
-
-    return onDeleteDecorator.args[0];
+    return { schema, table, column };
   }
 
   private generateForeignKey(
+    constraintName: string,
     columnName: string,
-    refTable: string,
-    refColumn: string,
-    onDelete?: string
+    ref: Reference,
+    schema: string | undefined,
+    options: ForeignKeyOptions
   ): string {
     // FIX BUG-026: Use safe identifier escaping for foreign key references
     const safeColumnName = escapePostgresIdentifier(columnName);
-    const safeRefTable = escapePostgresIdentifier(refTable);
-    const safeRefColumn = escapePostgresIdentifier(refColumn);
 
-    let fk = `FOREIGN KEY (${safeColumnName}) REFERENCES ${safeRefTable}(${safeRefColumn})`;
+    const references = this.generateReferenceClause(ref, schema, options);
 
-    if (onDelete) {
-      const action = onDelete.toUpperCase();
-      fk += ` ON DELETE ${action}`;
+    return `CONSTRAINT ${constraintName} FOREIGN KEY (${safeColumnName}) ${references}`;
+  }
+
+  /**
+   * The REFERENCES clause of a foreign key on a table in the given schema. SQLite
+   * looks the target up in the table's own database, so it is never qualified.
+   */
+  private generateReferenceClause(ref: Reference, schema: string | undefined, options: ForeignKeyOptions): string {
+    if (ref.schema !== schema) {
+      const target = ref.schema ? `${ref.schema}.${ref.table}` : ref.table;
+      throw new GeneratorError(
+        `Foreign key to "${target}" crosses databases: SQLite foreign keys must reference a table ` +
+        `in the same attached database`
+      );
     }
+    const safeRefTable = escapePostgresIdentifier(ref.table);
+    const safeRefColumn = escapePostgresIdentifier(ref.column);
 
-    return fk;
+    return `REFERENCES ${safeRefTable}(${safeRefColumn})${formatForeignKeyOptions(options)}`;
   }
 }
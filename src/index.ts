@@ -7,6 +7,12 @@
 export * from './ast/types.js';
 export { Lexer } from './ast/lexer.js';
 export { Parser } from './ast/parser.js';
+export { expandMixins } from './ast/mixins.js';
+export { expandTypeAliases } from './ast/type-aliases.js';
+export { expandRelations } from './ast/relations.js';
+export { mapNames, NameMapper } from './ast/naming.js';
+export { Analyzer } from './ast/analyzer.js';
+export { Printer } from './ast/printer.js';
 
 // Generators
 export { SqlGenerator } from './generators/base.js';
@@ -24,3 +30,4 @@ export { SQLiteIntrospector } from './engine/sqlite-introspector.js';
 // Utilities
 export { c } from './utils/colors.js';
 export * from './utils/formatting.js';
+export { splitSqlStatements, SqlDialect } from './utils/sql-splitter.js';
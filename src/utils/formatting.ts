@@ -107,6 +107,56 @@ export function formatTable(
   return [headerRow, separator, ...dataRows].join('\n');
 }
 
+/**
+ * Align rows of DSL cells into columns, e.g. a model's column names, types and
+ * decorators. Every cell but the last is padded to its column's widest value.
+ */
+export function alignColumns(rows: string[][], gap: string = '  '): string[] {
+  const widths: number[] = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] ?? 0, cell.length);
+    });
+  }
+
+  return rows.map((row) =>
+    row
+      .map((cell, i) => (i < row.length - 1 ? cell.padEnd(widths[i]) : cell))
+      .join(gap)
+      .trimEnd()
+  );
+}
+
+/**
+ * Render a doc string as /// comment lines, one per line of text
+ */
+export function formatDocComment(doc: string): string[] {
+  return doc.split('\n').map((line) => (line ? `/// ${line}` : '///'));
+}
+
+/**
+ * Render text as a double-quoted DSL string, e.g. a SQL expression read from the database
+ */
+export function formatDslString(value: string): string {
+  const escaped = value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+/**
+ * Render SQL as a triple-quoted DSL block, with each line indented
+ */
+export function formatSqlBlock(sql: string, indent: string = '  '): string {
+  const lines = sql.split('\n').map((line) => (line.trim() ? indent + line : ''));
+  return ['"""', ...lines, '"""'].join('\n');
+}
+
+/**
+ * Render a database default expression as a sql("...") decorator argument
+ */
+export function formatSqlExpression(sql: string): string {
+  return `sql(${formatDslString(sql)})`;
+}
+
 /**
  * Truncate text with ellipsis
  * FIX BUG-038: Handle edge case where maxLength < 3
@@ -130,3 +180,28 @@ export function truncate(text: string, maxLength: number): string {
 export function pluralize(word: string, count: number): string {
   return count === 1 ? word : `${word}s`;
 }
+
+/**
+ * Show a source line with a caret under the given column, e.g.
+ *
+ *   3 |   email VarChar(255 @unique
+ *     |                     ^
+ *
+ * Returns an empty string if the line is outside the source.
+ */
+export function formatCodeFrame(source: string, line: number, column: number): string {
+  const lines = source.split(/\r?\n/);
+  const text = lines[line - 1];
+  if (text === undefined) {
+    return '';
+  }
+
+  const gutter = String(line);
+  // Keep tabs so the caret lines up however the terminal renders them
+  const padding = text.slice(0, Math.max(0, column - 1)).replace(/[^\t]/g, ' ');
+
+  return [
+    `${gutter} | ${text}`,
+    `${' '.repeat(gutter.length)} | ${padding}^`,
+  ].join('\n');
+}
@@ -112,8 +112,8 @@ export function escapePostgresIdentifier(identifier: string): string {
  * @returns Quoted and escaped identifier safe for MySQL
  */
 export function escapeMySQLIdentifier(identifier: string): string {
-  // First validate the identifier
-  const validated = escapeSqlIdentifier(identifier, 'MySQL identifier');
+  // First validate the identifier against MySQL's own length limit
+  const validated = escapeSqlIdentifier(identifier, 'MySQL identifier', MAX_IDENTIFIER_LENGTH_MYSQL);
 
   // Escape any backticks in the identifier by doubling them
   const escaped = validated.replace(/`/g, '``');
@@ -122,6 +122,32 @@ export function escapeMySQLIdentifier(identifier: string): string {
   return `\`${escaped}\``;
 }
 
+/**
+ * Escapes a PostgreSQL (or SQLite) table name, qualified with its schema when it
+ * is not in the default one
+ *
+ * @param table - The table or view name
+ * @param schema - The schema holding it, if any
+ * @returns The escaped name, e.g. "auth"."User"
+ */
+export function escapePostgresTableName(table: string, schema?: string): string {
+  const name = escapePostgresIdentifier(table);
+  return schema ? `${escapePostgresIdentifier(schema)}.${name}` : name;
+}
+
+/**
+ * Escapes a MySQL table name, qualified with its database when it is not in the
+ * connection's default one
+ *
+ * @param table - The table or view name
+ * @param database - The database holding it, if any
+ * @returns The escaped name, e.g. `auth`.`User`
+ */
+export function escapeMySQLTableName(table: string, database?: string): string {
+  const name = escapeMySQLIdentifier(table);
+  return database ? `${escapeMySQLIdentifier(database)}.${name}` : name;
+}
+
 /**
  * Escapes a string literal for use in SQL queries
  * Prevents SQL injection in string values
@@ -0,0 +1,167 @@
+/**
+ * SQL Statement Splitter
+ * Splits a block of raw SQL into statements that can be run one at a time.
+ * Semicolons inside string literals, quoted identifiers, comments, PostgreSQL
+ * dollar-quoted bodies and SQLite trigger bodies do not end a statement, and
+ * MySQL DELIMITER lines change the terminator the way the mysql client does.
+ */
+
+export type SqlDialect = 'postgres' | 'mysql' | 'sqlite';
+
+// The first words of a CREATE TRIGGER or CREATE TEMP TRIGGER statement
+const TRIGGER_PREFIX = /^CREATE (?:(?:TEMP|TEMPORARY) )?TRIGGER\b/;
+const WORD = /[A-Za-z_][A-Za-z0-9_$]*/y;
+const DOLLAR_TAG = /\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/y;
+
+/**
+ * Split SQL into trimmed statements. Statements ending in ";" keep it; a custom
+ * MySQL delimiter is removed, since the server does not understand it.
+ */
+export function splitSqlStatements(sql: string, dialect: SqlDialect): string[] {
+  const statements: string[] = [];
+  let delimiter = ';';
+  let start = 0;
+  // The first words of the current statement, to recognize CREATE TRIGGER
+  let words: string[] = [];
+  // BEGIN or CASE blocks open inside a SQLite trigger body
+  let depth = 0;
+  // Text left over after the last statement may be only comments, which
+  // drivers reject as an empty query
+  let hasCode = false;
+
+  const endStatement = (end: number, next: number) => {
+    if (hasCode) {
+      statements.push(sql.slice(start, end).trim());
+    }
+    start = next;
+    words = [];
+    depth = 0;
+    hasCode = false;
+  };
+
+  let i = 0;
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (dialect === 'mysql' && (char === 'D' || char === 'd') && isDelimiterCommand(sql, i)) {
+      const lineEnd = endOfLine(sql, i);
+      endStatement(i, lineEnd);
+      delimiter = sql.slice(i + 'DELIMITER'.length, lineEnd).trim() || ';';
+      i = lineEnd;
+    } else if (depth === 0 && sql.startsWith(delimiter, i)) {
+      i += delimiter.length;
+      endStatement(delimiter === ';' ? i : i - delimiter.length, i);
+    } else if (char === "'" || char === '"' || (char === '`' && dialect !== 'postgres')) {
+      i = skipQuoted(sql, i, hasBackslashEscapes(sql, i, dialect));
+      hasCode = true;
+    } else if (isLineComment(sql, i, dialect)) {
+      i = endOfLine(sql, i);
+    } else if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+    } else if (dialect === 'postgres' && char === '$' && dollarTag(sql, i)) {
+      const tag = dollarTag(sql, i)!;
+      const end = sql.indexOf(tag, i + tag.length);
+      i = end === -1 ? sql.length : end + tag.length;
+      hasCode = true;
+    } else if (/[A-Za-z_]/.test(char)) {
+      WORD.lastIndex = i;
+      const word = WORD.exec(sql)![0];
+      if (words.length < 3) {
+        words.push(word.toUpperCase());
+      }
+      if (dialect === 'sqlite' && TRIGGER_PREFIX.test(words.join(' '))) {
+        depth = triggerDepth(depth, word.toUpperCase());
+      }
+      i += word.length;
+      hasCode = true;
+    } else {
+      hasCode ||= !/\s/.test(char);
+      i++;
+    }
+  }
+
+  endStatement(sql.length, sql.length);
+  return statements;
+}
+
+/**
+ * SQLite trigger bodies run from BEGIN to END, and CASE expressions inside them
+ * also end with END
+ */
+function triggerDepth(depth: number, word: string): number {
+  if (word === 'BEGIN' || word === 'CASE') {
+    return depth + 1;
+  }
+  if (word === 'END') {
+    return Math.max(depth - 1, 0);
+  }
+  return depth;
+}
+
+/**
+ * Index just past a quoted string or identifier starting at start. A doubled
+ * quote is part of the value, as is any character after a backslash when
+ * escapes apply.
+ */
+function skipQuoted(sql: string, start: number, backslashEscapes: boolean): number {
+  const quote = sql[start];
+  for (let i = start + 1; i < sql.length; i++) {
+    if (backslashEscapes && sql[i] === '\\') {
+      i++;
+    } else if (sql[i] === quote) {
+      return i + 1;
+    }
+  }
+  return sql.length;
+}
+
+/**
+ * MySQL strings take backslash escapes, as do PostgreSQL E'...' strings
+ */
+function hasBackslashEscapes(sql: string, index: number, dialect: SqlDialect): boolean {
+  if (sql[index] === '`') {
+    return false;
+  }
+  if (dialect === 'mysql') {
+    return true;
+  }
+  const prefix = sql.slice(Math.max(index - 2, 0), index);
+  return dialect === 'postgres' && sql[index] === "'" && /(?:^|[^\w$])[eE]$/.test(prefix);
+}
+
+/**
+ * "--" starts a comment, except that MySQL needs whitespace after it; MySQL also
+ * takes "#"
+ */
+function isLineComment(sql: string, index: number, dialect: SqlDialect): boolean {
+  if (dialect === 'mysql') {
+    return sql[index] === '#' || (sql.startsWith('--', index) && /^--(\s|$)/.test(sql.slice(index, index + 3)));
+  }
+  return sql.startsWith('--', index);
+}
+
+/**
+ * The $tag$ opening a dollar-quoted string at index, if any. A $ inside a word is
+ * part of an identifier and a $ followed by a digit is a parameter.
+ */
+function dollarTag(sql: string, index: number): string | undefined {
+  if (index > 0 && /[\w$]/.test(sql[index - 1])) {
+    return undefined;
+  }
+  DOLLAR_TAG.lastIndex = index;
+  return DOLLAR_TAG.exec(sql)?.[0];
+}
+
+/**
+ * Whether a DELIMITER command starts at index, at the beginning of a line
+ */
+function isDelimiterCommand(sql: string, index: number): boolean {
+  const lineStart = sql.lastIndexOf('\n', index - 1) + 1;
+  return sql.slice(lineStart, index).trim() === '' && /^DELIMITER\s/i.test(sql.slice(index, index + 10));
+}
+
+function endOfLine(sql: string, index: number): number {
+  const end = sql.indexOf('\n', index);
+  return end === -1 ? sql.length : end;
+}
@@ -0,0 +1,167 @@
+/**
+ * Analyzer Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import { Analyzer } from '../dist/ast/analyzer.js';
+
+function messages(diagnostics) {
+  return diagnostics.map((d) => d.message);
+}
+
+describe('Analyzer', () => {
+  it('should accept a valid schema', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  authorId Int @ref(User.id)
+}
+model User { id Serial @pk }`);
+    expect(Analyzer.analyze(ast)).toHaveLength(0);
+  });
+
+  it('should report unknown reference targets with their position', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  authorId Int @ref(Author.id)
+}`);
+    const diagnostics = Analyzer.analyze(ast);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].severity).toBe('error');
+    expect(diagnostics[0].message).toBe('Column "Post.authorId" references unknown model "Author"');
+    expect(diagnostics[0].line).toBe(3);
+    expect(diagnostics[0].column).toBe(16);
+  });
+
+  it('should report references to unknown columns', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+model Post { authorId Int @ref(User.uuid) }`);
+    expect(messages(Analyzer.analyze(ast))).toEqual([
+      'Column "Post.authorId" references unknown column "User.uuid"',
+    ]);
+  });
+
+  it('should report references to columns that are not keys', () => {
+    const ast = Parser.parse(`model User { id Serial @pk
+  email Text }
+model Post { authorEmail Text @ref(User.email) }`);
+    expect(messages(Analyzer.analyze(ast))[0]).toContain('is not a primary key or unique column');
+  });
+
+  it('should accept references to single-column @@unique keys', () => {
+    const ast = Parser.parse(`model User { id Serial @pk
+  email Text
+  @@unique(email) }
+model Post { authorEmail Text @ref(User.email) }`);
+    expect(Analyzer.analyze(ast)).toHaveLength(0);
+  });
+
+  it('should report type mismatches between a foreign key and its target', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+model Post { authorId VarChar(36) @ref(User.id) }`);
+    expect(messages(Analyzer.analyze(ast))).toEqual([
+      'Column "Post.authorId" has type VarChar but references "User.id" of type Serial',
+    ]);
+  });
+
+  it('should report duplicate models and columns', () => {
+    const ast = Parser.parse(`model User { id Serial @pk
+  email Text
+  email Text }
+model User { id Serial @pk }`);
+    expect(messages(Analyzer.analyze(ast))).toEqual([
+      'Duplicate column "User.email"',
+      'Model "User" is already declared',
+    ]);
+  });
+
+  it('should analyze migrations in order against earlier files', () => {
+    const files = [
+      { filename: '001_users.sigl', ast: Parser.parse(`model User { id Serial @pk }`) },
+      {
+        filename: '002_posts.sigl',
+        ast: Parser.parse(`model Post { authorId Int @ref(User.id) }
+alter model User { add email Text }`),
+      },
+      { filename: '003_again.sigl', ast: Parser.parse(`model User { id Serial @pk }`) },
+    ];
+    const diagnostics = Analyzer.analyzeMigrations(files);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].file).toBe('003_again.sigl');
+    expect(diagnostics[0].message).toBe('Model "User" is already declared in 001_users.sigl');
+  });
+
+  it('should track renamed and dropped columns across alter blocks', () => {
+    const files = [
+      { filename: '001.sigl', ast: Parser.parse(`model User { id Serial @pk
+  name Text }`) },
+      { filename: '002.sigl', ast: Parser.parse(`alter model User { rename name -> fullName }`) },
+      { filename: '003.sigl', ast: Parser.parse(`alter model User { drop name; add fullName Text }`) },
+    ];
+    expect(messages(Analyzer.analyzeMigrations(files))).toEqual([
+      'Column "User.name" does not exist',
+      'Column "User.fullName" already exists',
+    ]);
+  });
+
+  it('should warn about altering models no migration declares', () => {
+    const ast = Parser.parse(`alter model Legacy { add note Text }`);
+    const diagnostics = Analyzer.analyze(ast);
+    expect(diagnostics).toHaveLength(1);
+    expect(diagnostics[0].severity).toBe('warning');
+  });
+
+  it('should accept references to tables created by raw SQL', () => {
+    const ast = Parser.parse(`> CREATE TABLE legacy_accounts (id INT PRIMARY KEY);
+model Session { accountId Int @ref(legacy_accounts.id) }`);
+    expect(Analyzer.analyze(ast)).toHaveLength(0);
+
+    const qualified = Parser.parse(`> CREATE TABLE billing.invoice (id INT PRIMARY KEY);
+> CREATE TABLE IF NOT EXISTS "billing"."Payment" (id INT PRIMARY KEY);
+model Refund {
+  invoiceId Int @ref(billing.invoice.id)
+  paymentId Int @ref(billing.Payment.id)
+}`);
+    expect(Analyzer.analyze(qualified)).toHaveLength(0);
+  });
+
+  it('should report views that reuse a model or view name', () => {
+    const files = [
+      { filename: '001.sigl', ast: Parser.parse('model User { id Serial @pk }\nview Admins as """SELECT 1"""') },
+      { filename: '002.sigl', ast: Parser.parse('view User as """SELECT 1"""\nmodel Admins { id Serial @pk }') },
+    ];
+    expect(messages(Analyzer.analyzeMigrations(files))).toEqual([
+      'View "Admins" is already declared in 001.sigl',
+      'Model "User" is already declared in 001.sigl',
+    ]);
+  });
+
+  it('should tell apart models of the same name in different schemas', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+model auth.User { id Uuid @pk }
+model Session {
+  userId Uuid @ref(auth.User.id)
+  ownerId Uuid @ref(User.id)
+  roleId Int @ref(acl.Role.id)
+}`);
+    expect(messages(Analyzer.analyze(ast))).toEqual([
+      'Column "Session.ownerId" has type Uuid but references "User.id" of type Serial',
+      'Column "Session.roleId" references unknown model "acl.Role"',
+    ]);
+  });
+
+  it('should fill in dropped and changed definitions from earlier migrations', () => {
+    const files = [
+      { filename: '001.sigl', ast: Parser.parse('model User {\n  id Serial @pk\n  bio VarChar(100)\n  age Int\n}') },
+      { filename: '002.sigl', ast: Parser.parse('alter model User {\n  rename age -> years\n  change bio Text\n}') },
+      { filename: '003.sigl', ast: Parser.parse('alter model User {\n  drop years\n  drop bio Text @notnull\n}') },
+    ];
+    const [, changed, dropped] = Analyzer.withPreviousDefinitions(files);
+
+    const previous = (ast) =>
+      ast.alterations[0].operations.map((op) => op.previous && [op.previous.name, op.previous.type]);
+    expect(previous(changed)).toEqual([undefined, ['bio', 'VarChar']]);
+    expect(previous(dropped)).toEqual([['years', 'Int'], ['bio', 'Text']]);
+    expect(dropped.alterations[0].operations[1].previous.decorators[0].name).toBe('notnull');
+  });
+});
@@ -0,0 +1,608 @@
+/**
+ * Introspector Tests
+ * Runs the introspectors against an adapter that answers catalog queries with fixed rows
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { PostgresIntrospector } from '../dist/engine/introspector.js';
+import { MySQLIntrospector } from '../dist/engine/mysql-introspector.js';
+import { SQLiteIntrospector } from '../dist/engine/sqlite-introspector.js';
+import { Parser } from '../dist/ast/parser.js';
+
+function createAdapter({ tables, columns, constraints = [], checks = [], views = [] }) {
+  return {
+    connect: async () => {},
+    disconnect: async () => {},
+    transaction: async () => {},
+    query: async (sql) => {
+      if (sql.includes('information_schema.check_constraints')) return checks;
+      if (sql.includes('information_schema.key_column_usage')) return constraints;
+      if (sql.includes('information_schema.tables')) return tables;
+      if (sql.includes('information_schema.columns')) return columns;
+      if (sql.includes('pg_views') || sql.includes('information_schema.views')) return views;
+      return [];
+    },
+  };
+}
+
+function pgColumn(name, dataType, extra = {}) {
+  return {
+    column_name: name,
+    data_type: dataType,
+    udt_name: dataType,
+    character_maximum_length: null,
+    numeric_precision: null,
+    numeric_scale: null,
+    is_nullable: 'YES',
+    column_default: null,
+    column_comment: null,
+    ...extra,
+  };
+}
+
+function mysqlColumn(name, dataType, columnType = dataType, extra = {}) {
+  return {
+    columnName: name,
+    dataType,
+    characterMaximumLength: null,
+    numericPrecision: null,
+    numericScale: null,
+    isNullable: 'YES',
+    columnDefault: null,
+    columnType,
+    extra: '',
+    comment: '',
+    ...extra,
+  };
+}
+
+function columnTypes(dsl) {
+  return Parser.parse(dsl).models[0].columns.map((c) => c.type);
+}
+
+describe('PostgresIntrospector', () => {
+  it('should map extended PostgreSQL types', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Device', table_comment: null }],
+      columns: [
+        pgColumn('payload', 'bytea'),
+        pgColumn('seenAt', 'timestamp with time zone'),
+        pgColumn('uptime', 'interval'),
+        pgColumn('address', 'inet'),
+        pgColumn('network', 'cidr'),
+        pgColumn('name', 'USER-DEFINED', { udt_name: 'citext' }),
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    expect(columnTypes(dsl)).toEqual(['Bytes', 'TimestampTz', 'Interval', 'Inet', 'Cidr', 'Citext']);
+  });
+
+  it('should turn table and column comments into doc comments', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'User', table_comment: 'Registered users' }],
+      columns: [pgColumn('email', 'text', { column_comment: 'Login address' })],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    const model = Parser.parse(dsl).models[0];
+    expect(model.doc).toBe('Registered users');
+    expect(model.columns[0].doc).toBe('Login address');
+  });
+
+  it('should map array columns by their element type', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Post', table_comment: null }],
+      columns: [
+        pgColumn('tags', 'ARRAY', { udt_name: '_text' }),
+        pgColumn('scores', 'ARRAY', { udt_name: '_int4' }),
+        pgColumn('points', 'ARRAY', { udt_name: '_point' }),
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    const columns = Parser.parse(dsl).models[0].columns;
+    expect(columns.map((c) => c.type)).toEqual(['Text', 'Int', 'Text']);
+    expect(columns.every((c) => c.array)).toBe(true);
+  });
+
+  it('should translate default expressions back into default functions', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Event', table_comment: null }],
+      columns: [
+        pgColumn('id', 'integer', { column_default: `nextval('"Event_id_seq"'::regclass)` }),
+        pgColumn('ticket', 'bigint', { column_default: `nextval('"Event_ticket_seq"'::regclass)` }),
+        pgColumn('seq', 'bigint', { is_identity: 'YES' }),
+        pgColumn('token', 'uuid', { column_default: 'gen_random_uuid()' }),
+        pgColumn('createdAt', 'timestamp with time zone', { column_default: 'now()' }),
+        pgColumn('day', 'date', { column_default: 'CURRENT_DATE' }),
+        pgColumn('status', 'character varying', { column_default: `'draft'::character varying` }),
+        pgColumn('balance', 'integer', { column_default: '(-1)' }),
+        pgColumn('endsAt', 'timestamp', { column_default: `(now() + '1 day'::interval)` }),
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    const [id, ...columns] = Parser.parse(dsl).models[0].columns;
+    expect([id.type, id.decorators]).toEqual(['Serial', []]);
+    const defaults = columns.map((c) => c.decorators.find((d) => d.name === 'default'));
+    expect(defaults.map((d) => d.args[0])).toEqual([
+      'autoincrement', 'autoincrement', 'uuid', 'now', 'today', 'draft', '-1', `(now() + '1 day'::interval)`,
+    ]);
+    expect(defaults[2].argKinds).toEqual(['identifier']);
+    expect(defaults[5].argKinds).toEqual(['string']);
+    expect(defaults[7].argKinds).toEqual(['sql']);
+  });
+
+  it('should detect generated columns', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Person', table_comment: null }],
+      columns: [
+        pgColumn('first', 'text'),
+        pgColumn('fullName', 'text', {
+          is_generated: 'ALWAYS',
+          generation_expression: "((first || ' '::text) || last)",
+        }),
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    const generated = Parser.parse(dsl).models[0].columns[1].decorators[0];
+    expect(generated.name).toBe('generated');
+    expect(generated.args).toEqual(["((first || ' '::text) || last)", 'stored']);
+  });
+
+  it('should place CHECK constraints on their column or the model', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Event', table_comment: null }],
+      columns: [pgColumn('price', 'integer'), pgColumn('startsAt', 'date'), pgColumn('endsAt', 'date')],
+      checks: [
+        { constraint_name: 'Event_price_check', check_clause: '((price >= 0))' },
+        { constraint_name: 'event_window', check_clause: '(("startsAt" < "endsAt"))' },
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    expect(dsl).toContain('price     Int   @check("price >= 0")');
+    expect(dsl).toContain(`  @@check("\\"startsAt\\" < \\"endsAt\\"", name: "event_window")`);
+    expect(() => Parser.parse(dsl)).not.toThrow();
+  });
+
+  it('should read a primary key over several columns back as @@pk', async () => {
+    const key = (column) => ({ constraint_type: 'PRIMARY KEY', column_name: column });
+    const adapter = createAdapter({
+      tables: [{ table_name: 'PostTag', table_comment: null }],
+      columns: [
+        pgColumn('postId', 'integer', { is_nullable: 'NO' }),
+        pgColumn('tagId', 'integer', { is_nullable: 'NO' }),
+      ],
+      // The join to constraint_column_usage repeats each key column once per key column
+      constraints: [key('postId'), key('postId'), key('tagId'), key('tagId')],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    const model = Parser.parse(dsl).models[0];
+    expect(model.columns.map((c) => c.decorators)).toEqual([[], []]);
+    expect(model.attributes.map((a) => [a.name, a.args])).toEqual([['pk', ['postId', 'tagId']]]);
+  });
+
+  it('should read referential actions and deferrable foreign keys', async () => {
+    const foreignKey = (column, extra) => ({
+      constraint_type: 'FOREIGN KEY',
+      column_name: column,
+      foreign_table_name: 'Node',
+      foreign_column_name: 'id',
+      delete_rule: 'NO ACTION',
+      update_rule: 'NO ACTION',
+      is_deferrable: 'NO',
+      initially_deferred: 'NO',
+      ...extra,
+    });
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Edge', table_comment: null }],
+      columns: [pgColumn('fromId', 'integer'), pgColumn('toId', 'integer')],
+      constraints: [
+        foreignKey('fromId', {
+          delete_rule: 'CASCADE',
+          update_rule: 'SET NULL',
+          is_deferrable: 'YES',
+          initially_deferred: 'YES',
+        }),
+        foreignKey('toId', { is_deferrable: 'YES' }),
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    expect(dsl).toContain(`@ref(Node.id) @onDelete('cascade') @onUpdate('set null') @deferrable`);
+    expect(dsl).toContain('toId    Int  @ref(Node.id) @deferrable(immediate)');
+  });
+
+  it('should read table and column names back through the naming strategy', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'blog_posts', table_comment: null }],
+      columns: [pgColumn('author_id', 'integer'), pgColumn('Title', 'text')],
+      constraints: [
+        {
+          constraint_type: 'FOREIGN KEY',
+          column_name: 'author_id',
+          foreign_table_name: 'people',
+          foreign_column_name: 'id',
+        },
+      ],
+    });
+
+    const naming = { case: 'snake_case', pluralizeTables: true };
+    const dsl = await new PostgresIntrospector(adapter, naming).introspect();
+    expect(dsl).toContain('model BlogPost {');
+    expect(dsl).toContain('authorId  Int   @ref(people.id)');
+    expect(dsl).toContain(`Title     Text  @map("Title")`);
+    expect(dsl).not.toContain('@@map');
+  });
+
+  it('should emit views and materialized views after the models', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'User', table_comment: null }],
+      columns: [pgColumn('id', 'integer')],
+      views: [
+        { view_name: 'ActiveUsers', definition: ' SELECT "User".id\n   FROM "User";', materialized: false },
+        { view_name: 'UserCount', definition: ' SELECT count(*) AS count\n   FROM "User";', materialized: true },
+      ],
+    });
+
+    const dsl = await new PostgresIntrospector(adapter).introspect();
+    expect(dsl).toContain('}\n\nview ActiveUsers as """\n  SELECT "User".id\n     FROM "User"\n"""');
+    const ast = Parser.parse(dsl);
+    expect(ast.views.map((v) => [v.name, v.materialized])).toEqual([['ActiveUsers', undefined], ['UserCount', true]]);
+  });
+
+  it('should pull several schemas, qualifying all but the first', async () => {
+    const publicSchema = createAdapter({
+      tables: [{ table_name: 'Post', table_comment: null }],
+      columns: [pgColumn('authorId', 'integer')],
+      constraints: [
+        {
+          constraint_type: 'FOREIGN KEY',
+          column_name: 'authorId',
+          foreign_table_schema: 'auth',
+          foreign_table_name: 'User',
+          foreign_column_name: 'id',
+        },
+      ],
+    });
+    const authSchema = createAdapter({
+      tables: [{ table_name: 'User', table_comment: null }],
+      columns: [pgColumn('id', 'integer')],
+      views: [{ view_name: 'Admins', definition: ' SELECT 1;', materialized: false }],
+    });
+    const adapter = {
+      ...publicSchema,
+      query: (sql) => (sql.includes("'auth'") ? authSchema : publicSchema).query(sql),
+    };
+
+    const dsl = await new PostgresIntrospector(adapter).introspect(['public', 'auth']);
+    const ast = Parser.parse(dsl);
+    expect(ast.models.map((m) => [m.schema, m.name])).toEqual([
+      [undefined, 'Post'],
+      ['auth', 'User'],
+    ]);
+    expect(ast.models[0].columns[0].decorators[0].args).toEqual(['auth.User.id']);
+    expect(ast.views.map((v) => [v.schema, v.name])).toEqual([['auth', 'Admins']]);
+  });
+});
+
+describe('MySQLIntrospector', () => {
+  it('should map extended MySQL types', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Post', table_comment: '' }],
+      columns: [
+        mysqlColumn('published', 'tinyint', 'tinyint(1)'),
+        mysqlColumn('priority', 'tinyint', 'tinyint'),
+        mysqlColumn('summary', 'mediumtext'),
+        mysqlColumn('body', 'longtext'),
+        mysqlColumn('thumbnail', 'blob'),
+        mysqlColumn('original', 'longblob'),
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('blog');
+    expect(columnTypes(dsl)).toEqual(['Boolean', 'TinyInt', 'MediumText', 'LongText', 'Blob', 'Bytes']);
+  });
+
+  it('should translate default expressions back into default functions', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Event', table_comment: '' }],
+      columns: [
+        mysqlColumn('seq', 'bigint', 'bigint', { extra: 'auto_increment' }),
+        mysqlColumn('token', 'char', 'char(36)', { columnDefault: 'uuid()', extra: 'DEFAULT_GENERATED' }),
+        mysqlColumn('createdAt', 'timestamp', 'timestamp', {
+          columnDefault: 'CURRENT_TIMESTAMP',
+          extra: 'DEFAULT_GENERATED',
+        }),
+        mysqlColumn('day', 'date', 'date', { columnDefault: 'curdate()', extra: 'DEFAULT_GENERATED' }),
+        mysqlColumn('code', 'text', 'text', { columnDefault: 'uuid' }),
+        mysqlColumn('slug', 'varchar', 'varchar(20)', {
+          columnDefault: "concat(_utf8mb4'e-',rand())",
+          extra: 'DEFAULT_GENERATED',
+        }),
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('app');
+    const defaults = Parser.parse(dsl).models[0].columns.map((c) => c.decorators.find((d) => d.name === 'default'));
+    expect(defaults.map((d) => d.args[0])).toEqual([
+      'autoincrement', 'uuid', 'now', 'today', 'uuid', "concat(_utf8mb4'e-',rand())",
+    ]);
+    expect(defaults[4].argKinds).toEqual(['string']);
+    expect(defaults[5].argKinds).toEqual(['sql']);
+  });
+
+  it('should detect generated columns', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Line', table_comment: '' }],
+      columns: [
+        mysqlColumn('total', 'decimal', 'decimal(12,2)', {
+          extra: 'STORED GENERATED',
+          generationExpression: '(`price` * `quantity`)',
+        }),
+        mysqlColumn('label', 'text', 'text', { extra: 'VIRTUAL GENERATED', generationExpression: 'upper(`name`)' }),
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('app');
+    const [total, label] = Parser.parse(dsl).models[0].columns.map((c) => c.decorators[0]);
+    expect(total.args).toEqual(['(`price` * `quantity`)', 'stored']);
+    expect(label.args).toEqual(['upper(`name`)', 'virtual']);
+  });
+
+  it('should read CHECK constraints', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Item', table_comment: '' }],
+      columns: [mysqlColumn('quantity', 'int')],
+      checks: [
+        { name: 'Item_quantity_check', expression: '(`quantity` > 0)' },
+        { name: 'item_quantity_max', expression: '(`quantity` < 100)' },
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('shop');
+    const model = Parser.parse(dsl).models[0];
+    expect(model.columns[0].decorators[0].args).toEqual(['`quantity` > 0']);
+    expect(model.attributes[0].args).toEqual(['`quantity` < 100']);
+    expect(model.attributes[0].namedArgs).toEqual({ name: 'item_quantity_max' });
+  });
+
+  it('should read ON DELETE and ON UPDATE rules', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'Post', table_comment: '' }],
+      columns: [mysqlColumn('authorId', 'int')],
+      constraints: [
+        {
+          constraintType: 'FOREIGN KEY',
+          columnName: 'authorId',
+          foreignTableName: 'User',
+          foreignColumnName: 'id',
+          deleteRule: 'RESTRICT',
+          updateRule: 'CASCADE',
+        },
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('blog');
+    expect(dsl).toContain(`@ref(User.id) @onUpdate('cascade')`);
+    expect(dsl).not.toContain('@onDelete');
+  });
+
+  it('should read a primary key over several columns back as @@pk', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'PostTag', table_comment: '' }],
+      columns: [mysqlColumn('postId', 'int', 'int', { isNullable: 'NO' }), mysqlColumn('tagId', 'int')],
+      constraints: [
+        { constraintType: 'PRIMARY KEY', columnName: 'postId' },
+        { constraintType: 'PRIMARY KEY', columnName: 'tagId' },
+      ],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('blog');
+    expect(dsl).toContain('  postId  Int\n  tagId   Int\n  @@pk(postId, tagId)\n}');
+  });
+
+  it('should emit views without the database qualifier', async () => {
+    const adapter = createAdapter({
+      tables: [{ table_name: 'User', table_comment: '' }],
+      columns: [mysqlColumn('id', 'int')],
+      views: [{ VIEW_NAME: 'Admins', VIEW_DEFINITION: 'select `blog`.`User`.`id` AS `id` from `blog`.`User`' }],
+    });
+
+    const dsl = await new MySQLIntrospector(adapter).introspect('blog');
+    const [view] = Parser.parse(dsl).views;
+    expect(view.name).toBe('Admins');
+    expect(view.query).toBe('select `User`.`id` AS `id` from `User`');
+  });
+
+  it('should pull several databases, keeping references and view tables in the others qualified', async () => {
+    const blog = createAdapter({
+      tables: [{ table_name: 'Post', table_comment: '' }],
+      columns: [mysqlColumn('authorId', 'int')],
+      constraints: [
+        {
+          constraintType: 'FOREIGN KEY',
+          columnName: 'authorId',
+          foreignTableSchema: 'auth',
+          foreignTableName: 'User',
+          foreignColumnName: 'id',
+        },
+      ],
+    });
+    const auth = createAdapter({
+      tables: [{ table_name: 'User', table_comment: '' }],
+      columns: [mysqlColumn('id', 'int')],
+      views: [{ VIEW_NAME: 'Authors', VIEW_DEFINITION: 'select `auth`.`User`.`id` AS `id` from `blog`.`Post`' }],
+    });
+    const adapter = { ...blog, query: (sql) => (sql.includes("'auth'") ? auth : blog).query(sql) };
+
+    const dsl = await new MySQLIntrospector(adapter).introspect(['blog', 'auth']);
+    const ast = Parser.parse(dsl);
+    expect(dsl).toContain('model auth.User {');
+    expect(ast.models[0].columns[0].decorators[0].args).toEqual(['auth.User.id']);
+    expect(ast.views[0]).toEqual({
+      ...ast.views[0],
+      schema: 'auth',
+      query: 'select `auth`.`User`.`id` AS `id` from `Post`',
+    });
+  });
+});
+
+describe('SQLiteIntrospector', () => {
+  it('should detect generated columns from the CREATE TABLE statement', async () => {
+    const tableSql =
+      'CREATE TABLE "Line" ("price" REAL, "quantity" INTEGER, ' +
+      `"total" REAL GENERATED ALWAYS AS (price * (quantity + 1)) STORED, ` +
+      `"label" TEXT GENERATED ALWAYS AS ('(' || quantity) VIRTUAL)`;
+    const column = (cid, name, type, hidden = 0) => ({ cid, name, type, notnull: 0, dflt_value: null, pk: 0, hidden });
+    const adapter = {
+      connect: async () => {},
+      disconnect: async () => {},
+      transaction: async () => {},
+      query: async (sql) => {
+        if (sql.includes('PRAGMA table_xinfo')) {
+          return [
+            column(0, 'price', 'REAL'),
+            column(1, 'quantity', 'INTEGER'),
+            column(2, 'total', 'REAL GENERATED ALWAYS', 3),
+            column(3, 'label', 'TEXT GENERATED ALWAYS', 2),
+          ];
+        }
+        if (sql.includes("type = 'table' AND name =")) return [{ sql: tableSql }];
+        if (sql.includes("type = 'view'")) return [];
+        if (sql.includes('sqlite_master')) return [{ name: 'Line' }];
+        return [];
+      },
+    };
+
+    const dsl = await new SQLiteIntrospector(adapter).introspect();
+    const [, , total, label] = Parser.parse(dsl).models[0].columns;
+    expect(total.type).toBe('Real');
+    expect(total.decorators[0].args).toEqual(['price * (quantity + 1)', 'stored']);
+    expect(label.type).toBe('Text');
+    expect(label.decorators[0].args).toEqual(["'(' || quantity", 'virtual']);
+  });
+
+
+  it('should read named and unnamed CHECK constraints from the CREATE TABLE statement', async () => {
+    const tableSql =
+      'CREATE TABLE "Event" ("price" REAL CONSTRAINT "Event_price_check" CHECK (price >= 0), ' +
+      `"status" TEXT CHECK (status IN ('open', 'closed (for now)')), "startsAt" TEXT, "endsAt" TEXT, ` +
+      'CONSTRAINT "Event_startsAt_endsAt_check" CHECK (startsAt < endsAt))';
+    const column = (cid, name, type) => ({ cid, name, type, notnull: 0, dflt_value: null, pk: 0, hidden: 0 });
+    const adapter = {
+      connect: async () => {},
+      disconnect: async () => {},
+      transaction: async () => {},
+      query: async (sql) => {
+        if (sql.includes('PRAGMA table_xinfo')) {
+          return [
+            column(0, 'price', 'REAL'),
+            column(1, 'status', 'TEXT'),
+            column(2, 'startsAt', 'TEXT'),
+            column(3, 'endsAt', 'TEXT'),
+          ];
+        }
+        if (sql.includes("type = 'table' AND name =")) return [{ sql: tableSql }];
+        if (sql.includes("type = 'view'")) return [];
+        if (sql.includes('sqlite_master')) return [{ name: 'Event' }];
+        return [];
+      },
+    };
+
+    const dsl = await new SQLiteIntrospector(adapter).introspect();
+    const model = Parser.parse(dsl).models[0];
+    expect(model.columns[0].decorators[0].name).toBe('check');
+    expect(model.columns[0].decorators[0].args).toEqual(['price >= 0']);
+    expect(model.columns[1].decorators[0].args).toEqual(["status IN ('open', 'closed (for now)')"]);
+    expect(model.attributes).toHaveLength(1);
+    expect(model.attributes[0].args).toEqual(['startsAt < endsAt']);
+    expect(model.attributes[0].namedArgs).toBeUndefined();
+  });
+
+  it('should read ON UPDATE and DEFERRABLE from foreign keys', async () => {
+    const tableSql =
+      'CREATE TABLE "Edge" ("fromId" INTEGER CONSTRAINT "Edge_fromId_fkey" REFERENCES "Node"("id") ' +
+      'ON UPDATE CASCADE DEFERRABLE INITIALLY DEFERRED, "toId" INTEGER, "label" TEXT DEFAULT \'a, DEFERRABLE\', ' +
+      'CONSTRAINT "Edge_toId_fkey" FOREIGN KEY ("toId") REFERENCES "Node"("id") DEFERRABLE)';
+    const column = (cid, name, type) => ({ cid, name, type, notnull: 0, dflt_value: null, pk: 0, hidden: 0 });
+    const foreignKey = (from, onUpdate) => ({
+      table: 'Node',
+      from,
+      to: 'id',
+      on_update: onUpdate,
+      on_delete: 'NO ACTION',
+    });
+    const adapter = {
+      connect: async () => {},
+      disconnect: async () => {},
+      transaction: async () => {},
+      query: async (sql) => {
+        if (sql.includes('PRAGMA table_xinfo')) {
+          return [column(0, 'fromId', 'INTEGER'), column(1, 'toId', 'INTEGER'), column(2, 'label', 'TEXT')];
+        }
+        if (sql.includes('PRAGMA foreign_key_list')) {
+          return [foreignKey('fromId', 'CASCADE'), foreignKey('toId', 'NO ACTION')];
+        }
+        if (sql.includes("type = 'table' AND name =")) return [{ sql: tableSql }];
+        if (sql.includes("type = 'view'")) return [];
+        if (sql.includes('sqlite_master')) return [{ name: 'Edge' }];
+        return [];
+      },
+    };
+
+    const dsl = await new SQLiteIntrospector(adapter).introspect();
+    const [fromId, toId, label] = Parser.parse(dsl).models[0].columns;
+    expect(fromId.decorators.map((d) => d.name)).toEqual(['ref', 'onUpdate', 'deferrable']);
+    expect(fromId.decorators[2].args).toBeUndefined();
+    expect(toId.decorators[1].args).toEqual(['immediate']);
+    expect(label.decorators).toHaveLength(0);
+  });
+
+  it('should read a primary key over several columns back as @@pk in key order', async () => {
+    const tableSql = 'CREATE TABLE "PostTag" ("postId" INTEGER, "tagId" INTEGER, PRIMARY KEY ("tagId", "postId"))';
+    const column = (cid, name, pk) => ({ cid, name, type: 'INTEGER', notnull: 1, dflt_value: null, pk, hidden: 0 });
+    const adapter = {
+      connect: async () => {},
+      disconnect: async () => {},
+      transaction: async () => {},
+      query: async (sql) => {
+        if (sql.includes('PRAGMA table_xinfo')) return [column(0, 'postId', 2), column(1, 'tagId', 1)];
+        if (sql.includes("type = 'table' AND name =")) return [{ sql: tableSql }];
+        if (sql.includes("type = 'view'")) return [];
+        if (sql.includes('sqlite_master')) return [{ name: 'PostTag' }];
+        return [];
+      },
+    };
+
+    const dsl = await new SQLiteIntrospector(adapter).introspect();
+    const model = Parser.parse(dsl).models[0];
+    expect(model.columns.map((c) => [c.type, c.decorators])).toEqual([
+      ['Int', []],
+      ['Int', []],
+    ]);
+    expect(model.attributes.map((a) => [a.name, a.args])).toEqual([['pk', ['tagId', 'postId']]]);
+  });
+
+  it('should take view queries from their CREATE VIEW statement', async () => {
+    const adapter = {
+      connect: async () => {},
+      disconnect: async () => {},
+      transaction: async () => {},
+      query: async (sql) => {
+        if (sql.includes("type = 'view'")) {
+          const viewSql = 'CREATE VIEW IF NOT EXISTS "Admins" (id) AS\nSELECT id FROM "User" WHERE admin';
+          return [{ name: 'Admins', sql: viewSql }];
+        }
+        return [];
+      },
+    };
+
+    const dsl = await new SQLiteIntrospector(adapter).introspect();
+    expect(dsl).toBe('view Admins as """\n  SELECT id FROM "User" WHERE admin\n"""');
+  });
+});
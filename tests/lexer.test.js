@@ -33,7 +33,9 @@ describe('Lexer', () => {
     const types = [
       'Serial', 'Int', 'BigInt', 'SmallInt', 'VarChar', 'Char', 'Text',
       'Boolean', 'Timestamp', 'Date', 'Time', 'Decimal', 'Numeric',
-      'Real', 'DoublePrecision', 'Json', 'Jsonb', 'Uuid', 'Enum'
+      'Real', 'DoublePrecision', 'Json', 'Jsonb', 'Uuid', 'Enum',
+      'TinyInt', 'MediumText', 'LongText', 'Citext', 'TimestampTz', 'Interval',
+      'Float', 'Bytes', 'Blob', 'Inet', 'Cidr'
     ];
 
     for (const type of types) {
@@ -198,4 +200,103 @@ model Post { id Serial @pk }`;
     const commaTokens = tokens.filter(t => t.type === 'COMMA');
     expect(commaTokens).toHaveLength(2);
   });
+
+  it('should tokenize model-level attributes', () => {
+    const input = `model PostTag {
+  postId Int
+  @@pk(postId)
+}`;
+    const lexer = new Lexer(input);
+    const tokens = lexer.tokenize();
+
+    const attributeToken = tokens.find(t => t.type === 'MODEL_ATTRIBUTE');
+    expect(attributeToken).toBeDefined();
+    expect(attributeToken.value).toBe('pk');
+    expect(tokens.filter(t => t.type === 'DECORATOR')).toHaveLength(0);
+  });
+
+  it('should tokenize semicolons and arrows', () => {
+    const lexer = new Lexer('alter model User { rename name -> fullName; }');
+    const tokens = lexer.tokenize();
+
+    expect(tokens.find(t => t.type === 'ARROW')).toBeDefined();
+    expect(tokens.find(t => t.type === 'SEMICOLON')).toBeDefined();
+  });
+
+  it('should tokenize down raw SQL lines', () => {
+    const input = `> CREATE VIEW active AS SELECT 1;
+< DROP VIEW active;`;
+    const lexer = new Lexer(input);
+    const tokens = lexer.tokenize();
+
+    expect(tokens[0].type).toBe('RAW_SQL');
+    expect(tokens[1].type).toBe('RAW_SQL_DOWN');
+    expect(tokens[1].value).toBe('DROP VIEW active;');
+  });
+
+  it('should tokenize colons in named decorator arguments', () => {
+    const lexer = new Lexer('email Text @unique(name: "users_email_key")');
+    const tokens = lexer.tokenize();
+
+    const colon = tokens.find(t => t.type === 'COLON');
+    expect(colon).toBeDefined();
+    expect(colon.value).toBe(':');
+  });
+
+  it('should record where each token ends', () => {
+    const lexer = new Lexer('model User');
+    const tokens = lexer.tokenize();
+
+    expect(tokens[1].column).toBe(7);
+    expect(tokens[1].endLine).toBe(1);
+    expect(tokens[1].endColumn).toBe(11);
+  });
+
+  it('should include the filename in lexer errors', () => {
+    const lexer = new Lexer('model User { id Serial $ }', 'migrations/001_users.sigl');
+    expect(() => lexer.tokenize()).toThrow('Parse error at migrations/001_users.sigl:1:24');
+  });
+
+  it('should record comments with their position', () => {
+    const lexer = new Lexer('# header\nmodel User {\n  id Serial @pk # key\n}');
+    lexer.tokenize();
+    const comments = lexer.getComments();
+
+    expect(comments.map((c) => c.text)).toEqual(['# header', '# key']);
+    expect(comments[1].span.start).toEqual({ line: 3, column: 17 });
+  });
+
+  it('should tokenize /// doc comments separately from # comments', () => {
+    const lexer = new Lexer('/// Registered users\n# note\nmodel User {}');
+    const tokens = lexer.tokenize();
+
+    expect(tokens[0].type).toBe('DOC_COMMENT');
+    expect(tokens[0].value).toBe('Registered users');
+    expect(tokens[1].type).toBe('MODEL');
+    expect(lexer.getComments().map((c) => c.text)).toEqual(['# note']);
+  });
+
+  it('should take triple-quoted strings verbatim, without their shared indentation', () => {
+    const lexer = new Lexer('view V as """\n    SELECT \'a\\b\'\n      FROM "T"\n  """\nmodel User {}');
+    const tokens = lexer.tokenize();
+
+    expect(tokens[3].type).toBe('STRING');
+    expect(tokens[3].value).toBe('SELECT \'a\\b\'\n  FROM "T"');
+    expect(tokens[4].type).toBe('MODEL');
+    expect(tokens[4].line).toBe(5);
+    expect(() => new Lexer('view V as """SELECT 1').tokenize()).toThrow('Unterminated triple-quoted string');
+    expect(new Lexer('> """\n  INSERT INTO "T" VALUES (\'a  \');  \n"""').tokenize()[0].value).toBe(
+      "INSERT INTO \"T\" VALUES ('a  ');  "
+    );
+  });
+
+  it('should keep a fenced raw SQL block in one token', () => {
+    const lexer = new Lexer('> """\n  CREATE FUNCTION f() AS $$\n  SELECT 1;\n  $$;\n"""\n< """DROP FUNCTION f();"""');
+    const tokens = lexer.tokenize();
+
+    expect(tokens.map((t) => t.type)).toEqual(['RAW_SQL', 'RAW_SQL_DOWN', 'EOF']);
+    expect(tokens[0].value).toBe('CREATE FUNCTION f() AS $$\nSELECT 1;\n$$;');
+    expect(tokens[0].endLine).toBe(5);
+    expect(tokens[1].value).toBe('DROP FUNCTION f();');
+  });
 });
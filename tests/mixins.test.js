@@ -0,0 +1,88 @@
+/**
+ * Mixin Expansion Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import { expandMixins } from '../dist/ast/mixins.js';
+import { PostgresGenerator } from '../dist/generators/postgres.js';
+
+describe('expandMixins', () => {
+  it('should put mixin columns before the model columns', () => {
+    const ast = expandMixins(Parser.parse(`mixin Identity { id Serial @pk }
+mixin Timestamps {
+  createdAt Timestamp @default(now)
+  @@index(createdAt)
+}
+
+model Post with Identity, Timestamps {
+  title Text
+  @@unique(title)
+}`));
+
+    const post = ast.models[0];
+    expect(post.columns.map((c) => c.name)).toEqual(['id', 'createdAt', 'title']);
+    expect(post.attributes.map((a) => a.name)).toEqual(['index', 'unique']);
+    expect(post.mixins).toBeUndefined();
+  });
+
+  it('should use mixins from included files', () => {
+    const shared = Parser.parse('mixin Timestamps { createdAt Timestamp }', 'shared.sact');
+    const ast = expandMixins(
+      Parser.parse('model Post with Timestamps { title Text }'),
+      shared.mixins
+    );
+
+    expect(ast.models[0].columns.map((c) => c.name)).toEqual(['createdAt', 'title']);
+    expect(ast.models[0].columns[0].span.file).toBe('shared.sact');
+  });
+
+  it('should leave schemas without mixins unchanged', () => {
+    const ast = Parser.parse('model User { id Serial @pk }');
+    expect(expandMixins(ast)).toBe(ast);
+  });
+
+  it('should report unknown mixins at the model', () => {
+    const ast = Parser.parse('\nmodel Post with Timestamps { title Text }', 'posts.sigl');
+    expect(() => expandMixins(ast)).toThrow(
+      'Parse error at posts.sigl:2:1: Unknown mixin "Timestamps" in model "Post"'
+    );
+  });
+
+  it('should reject columns defined twice', () => {
+    const overlap = Parser.parse(`mixin Timestamps { createdAt Timestamp }
+model Post with Timestamps { createdAt Date }`);
+    expect(() => expandMixins(overlap)).toThrow(
+      'Column "Post.createdAt" is already defined by mixin "Timestamps"'
+    );
+
+    const twoMixins = Parser.parse(`mixin A { createdAt Timestamp }
+mixin B { createdAt Timestamp }
+model Post with A, B { title Text }`);
+    expect(() => expandMixins(twoMixins)).toThrow('is defined by both mixin "A" and mixin "B"');
+  });
+
+  it('should reject a mixin declared both locally and in an included file', () => {
+    const shared = Parser.parse('mixin Timestamps { createdAt Timestamp }', 'shared.sact');
+    const ast = Parser.parse(`mixin Timestamps { updatedAt Timestamp }
+model Post with Timestamps { title Text }`);
+    expect(() => expandMixins(ast, shared.mixins)).toThrow(
+      'Mixin "Timestamps" is already declared in shared.sact'
+    );
+  });
+
+  it('should be applied by generators', () => {
+    const sql = new PostgresGenerator().generateUp(Parser.parse(`mixin Timestamps {
+  createdAt Timestamp @default(now)
+}
+
+model Post with Timestamps {
+  id Serial @pk
+}`));
+
+    expect(sql[0]).toBe(`CREATE TABLE "Post" (
+  "createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  "id" SERIAL PRIMARY KEY
+);`);
+  });
+});
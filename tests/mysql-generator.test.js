@@ -276,4 +276,412 @@ model Comment { id Serial @pk }`);
     const primaryKeyIdx = sql[0].indexOf('PRIMARY KEY');
     expect(autoIncrementIdx).toBeLessThan(primaryKeyIdx);
   });
+
+  it('should generate composite primary key from @@pk', () => {
+    const ast = Parser.parse(`model PostTag {
+  postId Int
+  tagId Int
+  @@pk(postId, tagId)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('PRIMARY KEY (`postId`, `tagId`)');
+  });
+
+  it('should generate multi-column UNIQUE from @@unique', () => {
+    const ast = Parser.parse(`model Member {
+  tenantId Int
+  email VarChar(255)
+  @@unique(tenantId, email)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('UNIQUE (`tenantId`, `email`)');
+  });
+
+  it('should generate CREATE INDEX from @@index and drop indexes with their table', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  createdAt Timestamp
+  @@index(createdAt)
+}`);
+    const up = generator.generateUp(ast);
+    expect(up).toHaveLength(2);
+    expect(up[1]).toBe('CREATE INDEX `Post_createdAt_idx` ON `Post` (`createdAt`);');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual(['DROP TABLE IF EXISTS `Post`;']);
+  });
+
+  it('should drop @manyToMany join tables without dropping the index their foreign key uses', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  tags Tag[] @manyToMany
+}
+model Tag { id Serial @pk }`);
+    expect(generator.generateUp(ast)[3]).toBe('CREATE INDEX `PostTag_tagId_idx` ON `PostTag` (`tagId`);');
+    expect(generator.generateDown(ast)).toEqual([
+      'DROP TABLE IF EXISTS `PostTag`;',
+      'DROP TABLE IF EXISTS `Tag`;',
+      'DROP TABLE IF EXISTS `Post`;',
+    ]);
+  });
+
+  it('should generate expression and USING indexes, and reject PostgreSQL-only options', () => {
+    const ast = Parser.parse(`model User {
+  id Serial @pk
+  email VarChar(255)
+  @@index(sql("lower(email)"), name: "User_email_lower_idx")
+  @@index(email, using: hash)
+}`);
+    expect(generator.generateUp(ast).slice(1)).toEqual([
+      'CREATE INDEX `User_email_lower_idx` ON `User` ((lower(email)));',
+      'CREATE INDEX `User_email_idx` ON `User` (`email`) USING HASH;',
+    ]);
+
+    const parse = (attribute) => Parser.parse(`model Post {\n  id Serial @pk\n  title Text\n  ${attribute}\n}`);
+    expect(() => generator.generateUp(parse('@@index(title, where: "title IS NOT NULL")'))).toThrow(
+      '@@index on model "Post" cannot use "where": MySQL has no partial indexes'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, using: gin)'))).toThrow(
+      'cannot use "using: gin": MySQL indexes are btree or hash'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, concurrently: true)'))).toThrow(
+      'cannot use "concurrently": it is PostgreSQL only'
+    );
+  });
+
+  it('should throw error for model attribute referencing unknown column', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  @@unique(missing)
+}`);
+    expect(() => generator.generateUp(ast)).toThrow('unknown column "missing"');
+  });
+
+  it('should generate ALTER TABLE statements for alter blocks', () => {
+    const ast = Parser.parse(`alter model User {
+  add orgId Int @ref(Org.id)
+  rename name -> fullName
+  change bio Text @notnull
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql).toEqual([
+      'ALTER TABLE `User` ADD COLUMN `orgId` INT;',
+      'ALTER TABLE `User` ADD CONSTRAINT `User_orgId_fkey` FOREIGN KEY (`orgId`) REFERENCES `Org`(`id`);',
+      'ALTER TABLE `User` RENAME COLUMN `name` TO `fullName`;',
+      'ALTER TABLE `User` MODIFY COLUMN `bio` TEXT NOT NULL;',
+    ]);
+  });
+
+  it('should drop the named foreign key before dropping an added column', () => {
+    const ast = Parser.parse(`alter model User {
+  add orgId Int @ref(Org.id)
+  change bio Text @notnull from VarChar(500)
+}`);
+    const sql = generator.generateDown(ast);
+    expect(sql).toEqual([
+      'ALTER TABLE `User` MODIFY COLUMN `bio` VARCHAR(500);',
+      'ALTER TABLE `User` DROP FOREIGN KEY `User_orgId_fkey`;',
+      'ALTER TABLE `User` DROP COLUMN `orgId`;',
+    ]);
+  });
+
+  it('should throw error when reversing a change without its original definition', () => {
+    const ast = Parser.parse(`alter model User { change bio Text }`);
+    expect(() => generator.generateDown(ast)).toThrow('Cannot reverse "change bio"');
+  });
+
+  it('should run down raw SQL in reverse order before dropping tables', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+> CREATE VIEW a AS SELECT 1;
+< DROP VIEW a;
+> CREATE VIEW b AS SELECT 2;
+< DROP VIEW b;`);
+
+    const up = generator.generateUp(ast);
+    expect(up).toContain('CREATE VIEW a AS SELECT 1;');
+    expect(up).not.toContain('DROP VIEW a;');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'DROP VIEW b;',
+      'DROP VIEW a;',
+      'DROP TABLE IF EXISTS `User`;',
+    ]);
+  });
+
+  it('should inline named enums as ENUM columns', () => {
+    const ast = Parser.parse(`enum Status { active suspended }
+model Tenant { status Status @default('active') }`);
+    const sql = generator.generateUp(ast);
+    expect(sql).toHaveLength(1);
+    expect(sql[0]).toContain("`status` ENUM('active', 'suspended') DEFAULT 'active'");
+  });
+
+  it('should resolve enums declared by earlier migrations', () => {
+    const { enums } = Parser.parse('enum Status { active suspended }');
+    const ast = { ...Parser.parse('alter model Tenant {\n  add status Status\n}'), existingEnums: enums };
+    expect(generator.generateUp(ast)).toEqual([
+      "ALTER TABLE `Tenant` ADD COLUMN `status` ENUM('active', 'suspended');",
+    ]);
+  });
+
+  it('should create referenced tables before the tables that reference them', () => {
+    const ast = Parser.parse(`model Post { id Serial @pk
+  authorId Int @ref(User.id) }
+model User { id Serial @pk }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('CREATE TABLE `User`');
+    expect(sql[1]).toContain('CREATE TABLE `Post`');
+  });
+
+  it('should defer and drop foreign keys that form a reference cycle', () => {
+    const ast = Parser.parse(`model User { id Serial @pk
+  avatarId Int @ref(Media.id) }
+model Media { id Serial @pk
+  ownerId Int @ref(User.id) }`);
+    const up = generator.generateUp(ast);
+    expect(up).toHaveLength(3);
+    expect(up[2]).toBe('ALTER TABLE `User` ADD CONSTRAINT `User_avatarId_fkey` FOREIGN KEY (`avatarId`) REFERENCES `Media`(`id`);');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'ALTER TABLE `User` DROP FOREIGN KEY `User_avatarId_fkey`;',
+      'DROP TABLE IF EXISTS `Media`;',
+      'DROP TABLE IF EXISTS `User`;',
+    ]);
+  });
+
+  it('should emit named unique constraints as table constraints', () => {
+    const ast = Parser.parse(`model User { email VarChar(255) @unique }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('`email` VARCHAR(255),');
+    expect(sql[0]).toContain('CONSTRAINT `User_email_key` UNIQUE (`email`)');
+  });
+
+  it('should drop foreign keys by their overridden name', () => {
+    const ast = Parser.parse(`alter model Post {
+  add authorId Int @ref(User.id, name: "posts_author_fkey")
+}`);
+    const up = generator.generateUp(ast);
+    expect(up[1]).toBe('ALTER TABLE `Post` ADD CONSTRAINT `posts_author_fkey` FOREIGN KEY (`authorId`) REFERENCES `User`(`id`);');
+
+    const down = generator.generateDown(ast);
+    expect(down[0]).toBe('ALTER TABLE `Post` DROP FOREIGN KEY `posts_author_fkey`;');
+  });
+
+  it('should truncate long constraint names to the MySQL limit', () => {
+    const ast = Parser.parse(`model OrganizationMembershipInvitation {
+  invitedByUserId Int
+  organizationId Int
+  @@unique(invitedByUserId, organizationId)
+}`);
+    const sql = generator.generateUp(ast);
+    const name = sql[0].match(/CONSTRAINT `([^`]+)` UNIQUE/)[1];
+    expect(name.length).toBe(64);
+    expect(name.endsWith('_key')).toBe(true);
+  });
+
+
+  it('should emit doc comments as table and column COMMENT clauses', () => {
+    const ast = Parser.parse(`/// Registered users
+model User {
+  /// Login address
+  email VarChar(255) @unique
+}`);
+    const sql = generator.generateUp(ast);
+
+    expect(sql[0]).toContain("`email` VARCHAR(255) COMMENT 'Login address'");
+    expect(sql[0]).toContain("COMMENT='Registered users'");
+  });
+
+  it('should reject doc comments longer than MySQL allows', () => {
+    const ast = Parser.parse(`model User {
+  /// ${'x'.repeat(1025)}
+  email Text
+}`);
+    expect(() => generator.generateUp(ast)).toThrow(
+      'Doc comment on column "User.email" is 1025 characters; MySQL allows at most 1024'
+    );
+  });
+
+
+  it('should inline domain aliases as their base type', () => {
+    const ast = Parser.parse(`domain Money = Decimal(19, 4) @notnull
+model Invoice {
+  total Money
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql).toHaveLength(1);
+    expect(sql[0]).toContain('`total` DECIMAL(19, 4) NOT NULL');
+  });
+
+
+  it('should map extended types', () => {
+    const ast = Parser.parse(`model Device {
+  payload Bytes
+  seenAt TimestampTz
+  uptime Interval
+  address Inet
+  network Cidr
+  name Citext
+  level TinyInt
+  notes LongText
+  ratio Float
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('`payload` LONGBLOB');
+    expect(sql).toContain('`seenAt` TIMESTAMP');
+    expect(sql).toContain('`uptime` VARCHAR(64)');
+    expect(sql).toContain('`address` VARCHAR(45)');
+    expect(sql).toContain('`network` VARCHAR(49)');
+    expect(sql).toContain('`name` TEXT');
+    expect(sql).toContain('`level` TINYINT');
+    expect(sql).toContain('`notes` LONGTEXT');
+    expect(sql).toContain('`ratio` DOUBLE');
+  });
+
+  it('should store array columns as JSON with a warning', () => {
+    const ast = Parser.parse('model Post {\n  tags Text[] @notnull\n  title Text\n}', 'post.sact');
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('`tags` JSON NOT NULL');
+    const warnings = generator.getWarnings();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].severity).toBe('warning');
+    expect(warnings[0].message).toBe(
+      'Column "Post.tags" has array type Text[]; MySQL has no array types, so it is stored as JSON'
+    );
+    expect(warnings[0].file).toBe('post.sact');
+    expect(warnings[0].line).toBe(2);
+
+    generator.generateUp(Parser.parse('model Post { title Text }'));
+    expect(generator.getWarnings()).toHaveLength(0);
+  });
+
+  it('should map portable default functions and sql(...) defaults', () => {
+    const ast = Parser.parse(`model Event {
+  id BigInt @pk @default(autoincrement)
+  token Char(36) @default(uuid)
+  code Text @default('uuid')
+  createdAt Timestamp @default(now)
+  day Date @default(today)
+  slug VarChar(20) @default(sql("concat('e-', floor(rand() * 1000))"))
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('`id` BIGINT AUTO_INCREMENT PRIMARY KEY');
+    expect(sql).toContain('`token` CHAR(36) DEFAULT (UUID())');
+    expect(sql).toContain("`code` TEXT DEFAULT 'uuid'");
+    expect(sql).toContain('`createdAt` TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    expect(sql).toContain('`day` DATE DEFAULT (CURRENT_DATE)');
+    expect(sql).toContain("`slug` VARCHAR(20) DEFAULT (concat('e-', floor(rand() * 1000)))");
+  });
+
+  it('should reject @default(autoincrement) on a column that is not a key', () => {
+    const ast = Parser.parse('model Event {\n  id Uuid @pk\n  seq Int @default(autoincrement)\n}');
+    expect(() => generator.generateUp(ast)).toThrow(
+      '@default(autoincrement) on column "Event.seq" requires @pk or @unique'
+    );
+    const keyed = Parser.parse(`model Event {
+  id Int @default(autoincrement)
+  @@pk(id)
+}
+model Entry {
+  seq Int @default(autoincrement)
+  day Date
+  @@index(seq, day)
+}`);
+    const [event, entry] = generator.generateUp(keyed);
+    expect(event).toContain('`id` INT AUTO_INCREMENT');
+    expect(entry).toContain('`seq` INT AUTO_INCREMENT');
+    expect(() => generator.generateUp(Parser.parse(`model Event {
+  day Date
+  seq Int @default(autoincrement)
+  @@unique(day, seq)
+}`))).toThrow('or to be the first column of @@pk, @@unique or @@index');
+  });
+
+  it('should generate stored and virtual generated columns', () => {
+    const ast = Parser.parse(`model Line {
+  price Decimal(10, 2)
+  quantity Int
+  total Decimal(12, 2) @notnull @generated("price * quantity", stored)
+  label Text @generated("concat('x', quantity)", virtual)
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('`total` DECIMAL(12, 2) GENERATED ALWAYS AS (price * quantity) STORED NOT NULL');
+    expect(sql).toContain("`label` TEXT GENERATED ALWAYS AS (concat('x', quantity)) VIRTUAL");
+  });
+
+  it('should generate named CHECK constraints after the column comment', () => {
+    const ast = Parser.parse(`model Event {
+  /// Ticket price
+  price Decimal(10,2) @check("price >= 0")
+  startsAt Timestamp
+  endsAt Timestamp
+  @@check("startsAt < endsAt", name: "event_window")
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain("`price` DECIMAL(10, 2) COMMENT 'Ticket price' CONSTRAINT `Event_price_check` CHECK (price >= 0)");
+    expect(sql).toContain('CONSTRAINT `event_window` CHECK (startsAt < endsAt)');
+  });
+
+  it('should generate ON UPDATE and reject what InnoDB cannot honor', () => {
+    const sql = generator.generateUp(
+      Parser.parse('model Post { authorId Int @ref(User.id) @onDelete(CASCADE) @onUpdate(CASCADE) }')
+    )[0];
+    expect(sql).toContain('REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE');
+
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @ref(U.id) @deferrable }'))).toThrow(
+      '@deferrable on column "T.x" is not supported by MySQL'
+    );
+    expect(() => generator.generateUp(Parser.parse(`model T { x Int @ref(U.id) @onUpdate('set default') }`))).toThrow(
+      `@onUpdate('SET DEFAULT') on column "T.x" is not supported by MySQL`
+    );
+  });
+
+  it('should create and drop views, rejecting materialized ones', () => {
+    const ast = Parser.parse('model User { id Int @pk }\nview Admins as """SELECT `id` FROM `User`"""');
+    expect(generator.generateUp(ast)[1]).toBe('CREATE VIEW `Admins` AS\nSELECT `id` FROM `User`;');
+    expect(generator.generateDown(ast)[0]).toBe('DROP VIEW IF EXISTS `Admins`;');
+    expect(() => generator.generateUp(Parser.parse('materialized view Totals as """SELECT 1"""'))).toThrow(
+      'View "Totals" cannot be materialized: MySQL has no materialized views'
+    );
+  });
+
+  it('should split fenced raw SQL at MySQL DELIMITER changes', () => {
+    const ast = Parser.parse(`> """
+  DELIMITER //
+  CREATE PROCEDURE touch() BEGIN UPDATE t SET n = n + 1; END//
+  DELIMITER ;
+  CALL touch();
+"""`);
+    expect(generator.generateUp(ast)).toEqual([
+      'CREATE PROCEDURE touch() BEGIN UPDATE t SET n = n + 1; END',
+      'CALL touch();',
+    ]);
+  });
+
+  it('should map schemas to databases', () => {
+    const ast = Parser.parse(`model auth.User { id Int @pk }
+model Session {
+  id Int @pk
+  userId Int @ref(auth.User.id)
+}
+view auth.Admins as """SELECT 1"""`);
+
+    const up = generator.generateUp(ast);
+    expect(up[0]).toBe('CREATE DATABASE IF NOT EXISTS `auth`;');
+    expect(up[1]).toContain('CREATE TABLE `auth`.`User` (');
+    expect(up[2]).toContain('FOREIGN KEY (`userId`) REFERENCES `auth`.`User`(`id`)');
+    expect(up[3]).toBe('CREATE VIEW `auth`.`Admins` AS\nSELECT 1;');
+    expect(generator.generateDown(ast)).toEqual([
+      'DROP VIEW IF EXISTS `auth`.`Admins`;',
+      'DROP TABLE IF EXISTS `Session`;',
+      'DROP TABLE IF EXISTS `auth`.`User`;',
+    ]);
+  });
 });
@@ -0,0 +1,152 @@
+/**
+ * Table and Column Naming Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import {
+  mapNames,
+  NameMapper,
+  tableNameFor,
+  modelNameForTable,
+  fieldNameForColumn,
+  referenceForColumn,
+} from '../dist/ast/naming.js';
+
+const SNAKE_PLURAL = { case: 'snake_case', pluralizeTables: true };
+
+describe('mapNames', () => {
+  it('should apply @@map and @map, including to references and attributes', () => {
+    const ast = mapNames(
+      Parser.parse(`model Post {
+  id Int @pk
+  authorId Int @ref(User.id) @map("author_id")
+  @@index(authorId)
+}
+model User {
+  id Int @pk @map("user_id")
+  @@map("users")
+}`)
+    );
+
+    const [post, user] = ast.models;
+    expect(post.name).toBe('Post');
+    expect(post.columns[1].name).toBe('author_id');
+    expect(post.columns[1].decorators.map((d) => d.name)).toEqual(['ref']);
+    expect(post.columns[1].decorators[0].args).toEqual(['users.user_id']);
+    expect(post.attributes[0].args).toEqual(['author_id']);
+    expect(user.name).toBe('users');
+    expect(user.attributes).toEqual([]);
+  });
+
+  it('should apply a naming strategy to models, columns and alter blocks', () => {
+    const ast = mapNames(
+      Parser.parse(`model BlogPost {
+  id Int @pk
+  createdAt Timestamp
+  categoryId Int @ref(Category.id)
+}
+model Category { id Int @pk }
+alter model BlogPost {
+  add publishedAt Timestamp
+  rename createdAt -> postedAt
+}`),
+      SNAKE_PLURAL
+    );
+
+    expect(ast.models.map((m) => m.name)).toEqual(['blog_posts', 'categories']);
+    expect(ast.models[0].columns.map((c) => c.name)).toEqual(['id', 'created_at', 'category_id']);
+    expect(ast.models[0].columns[2].decorators[0].args).toEqual(['categories.id']);
+    const [add, rename] = ast.alterations[0].operations;
+    expect(ast.alterations[0].name).toBe('blog_posts');
+    expect(add.column.name).toBe('published_at');
+    expect(rename).toEqual({ ...rename, from: 'created_at', to: 'posted_at' });
+  });
+
+  it('should keep schema qualifiers and allow the same table name in different schemas', () => {
+    const ast = mapNames(
+      Parser.parse(`model auth.User { id Int @pk }
+model User { id Int @pk }
+model Session { userId Int @ref(auth.User.id) }
+alter model auth.User { add createdAt Timestamp }`),
+      SNAKE_PLURAL
+    );
+
+    expect(ast.models.map((m) => [m.schema, m.name])).toEqual([
+      ['auth', 'users'],
+      [undefined, 'users'],
+      [undefined, 'sessions'],
+    ]);
+    expect(ast.models[2].columns[0].decorators[0].args).toEqual(['auth.users.id']);
+    expect(ast.alterations[0]).toEqual({ ...ast.alterations[0], schema: 'auth', name: 'users' });
+  });
+
+  it('should map @@index columns but leave sql(...) expressions as written', () => {
+    const ast = mapNames(
+      Parser.parse('model User {\n  emailAddress Text\n  @@index(emailAddress, sql("lower(email_address)"))\n}'),
+      SNAKE_PLURAL
+    );
+    expect(ast.models[0].attributes[0].args).toEqual(['email_address', 'lower(email_address)']);
+  });
+
+  it('should reject expressions that use a field whose column is named differently', () => {
+    const map = (source) => () => mapNames(Parser.parse(source, 'events.sigl'), SNAKE_PLURAL);
+    expect(map('model Event {\n  startAt Date\n  endAt Date\n  @@check("\\"startAt\\" < \\"endAt\\"")\n}')).toThrow(
+      'events.sigl:4:3: @@check on model "Event" uses field "startAt", but expressions are passed to the database ' +
+        'as written. Use its column name "start_at" instead'
+    );
+    expect(map('model Event {\n  price Int\n  unitPrice Int @generated("unitPrice * 2", stored)\n}')).toThrow(
+      '@generated on column "Event.unitPrice" uses field "unitPrice"'
+    );
+    expect(map('model Event {\n  isOpen Boolean\n  day Date\n  @@index(day, where: "isOpen")\n}')).toThrow(
+      '@@index on model "Event" uses field "isOpen"'
+    );
+    expect(map('model Event {\n  startAt Date\n  price Int @check("start_at IS NOT NULL")\n}')).not.toThrow();
+  });
+
+  it('should leave schemas without @map or a strategy untouched', () => {
+    const ast = Parser.parse('model User { id Int @pk }');
+    expect(mapNames(ast)).toBe(ast);
+  });
+
+  it('should reject invalid and clashing names', () => {
+    expect(() => mapNames(Parser.parse('model User { id Int @map(1) }'))).toThrow(
+      '@map on column "User.id" requires one quoted name, e.g. @map("created_at")'
+    );
+    expect(() => mapNames(Parser.parse('model User {\n  a Int @map("b")\n  b Int\n}'))).toThrow(
+      'Columns "User.a" and "User.b" both map to column "b"'
+    );
+    expect(() =>
+      mapNames(Parser.parse('model Person { id Int }\nmodel People {\n  id Int\n  @@map("Person")\n}'))
+    ).toThrow('Models "Person" and "People" both map to table "Person"');
+  });
+});
+
+describe('NameMapper', () => {
+  it('should remember names mapped by earlier migrations', () => {
+    const names = new NameMapper({ case: 'snake_case' });
+    names.map(Parser.parse('model User {\n  id Int @pk @map("user_id")\n  @@map("accounts")\n}'));
+    const ast = names.map(Parser.parse('model Session { userId Int @ref(User.id) }\nalter model User {\n  drop id\n}'));
+
+    expect(ast.models[0].columns[0].decorators[0].args).toEqual(['accounts.user_id']);
+    expect(ast.alterations[0].name).toBe('accounts');
+    expect(ast.alterations[0].operations[0].name).toBe('user_id');
+  });
+});
+
+describe('Reading names back', () => {
+  it('should reverse the strategy, or ask for @@map and @map', () => {
+    expect(tableNameFor('Category', SNAKE_PLURAL)).toBe('categories');
+    expect(modelNameForTable('blog_posts', SNAKE_PLURAL)).toEqual({ name: 'BlogPost', map: false });
+    expect(modelNameForTable('statuses', SNAKE_PLURAL)).toEqual({ name: 'Status', map: false });
+    expect(modelNameForTable('people', SNAKE_PLURAL)).toEqual({ name: 'people', map: true });
+    expect(modelNameForTable('BlogPost')).toEqual({ name: 'BlogPost', map: false });
+    expect(fieldNameForColumn('created_at', SNAKE_PLURAL)).toEqual({ name: 'createdAt', map: false });
+    expect(fieldNameForColumn('Email', SNAKE_PLURAL)).toEqual({ name: 'Email', map: true });
+  });
+
+  it('should qualify references to tables in another schema', () => {
+    expect(referenceForColumn('users', 'user_id', SNAKE_PLURAL, 'auth')).toBe('auth.User.userId');
+    expect(referenceForColumn('users', 'user_id', SNAKE_PLURAL)).toBe('User.userId');
+  });
+});
@@ -219,4 +219,482 @@ model User {
 }`;
     expect(() => Parser.parse(input)).toThrow('Unexpected token');
   });
+
+  it('should parse model-level attributes', () => {
+    const input = `model PostTag {
+  postId Int @ref(Post.id)
+  tagId Int @ref(Tag.id)
+  createdAt Timestamp
+  @@pk(postId, tagId)
+  @@index(createdAt)
+}`;
+    const ast = Parser.parse(input);
+
+    const model = ast.models[0];
+    expect(model.columns).toHaveLength(3);
+    expect(model.attributes).toHaveLength(2);
+    expect(model.attributes[0].name).toBe('pk');
+    expect(model.attributes[0].args).toEqual(['postId', 'tagId']);
+    expect(model.attributes[1].name).toBe('index');
+    expect(model.attributes[1].args).toEqual(['createdAt']);
+  });
+
+  it('should throw error for model attribute without column list', () => {
+    const input = `model PostTag {
+  postId Int
+  @@unique
+}`;
+    expect(() => Parser.parse(input)).toThrow('requires a column list');
+  });
+
+  it('should parse alter model blocks', () => {
+    const input = `alter model User {
+  add phone VarChar(20); drop legacyId
+  rename name -> fullName
+  change bio Text @notnull
+}`;
+    const ast = Parser.parse(input);
+
+    expect(ast.models).toHaveLength(0);
+    expect(ast.alterations).toHaveLength(1);
+    expect(ast.alterations[0].name).toBe('User');
+
+    const [add, drop, rename, change] = ast.alterations[0].operations;
+    expect(add.action).toBe('add');
+    expect(add.column.name).toBe('phone');
+    expect(add.column.typeArgs).toEqual(['20']);
+    expect(drop.action).toBe('drop');
+    expect(drop.name).toBe('legacyId');
+    expect(drop.previous).toBeUndefined();
+    expect(rename.from).toBe('name');
+    expect(rename.to).toBe('fullName');
+    expect(change.column.type).toBe('Text');
+    expect(change.column.decorators[0].name).toBe('notnull');
+  });
+
+  it('should parse previous definitions for drop and change', () => {
+    const input = `alter model User {
+  drop legacyId Int @notnull
+  change bio Text from VarChar(500)
+}`;
+    const ast = Parser.parse(input);
+
+    const [drop, change] = ast.alterations[0].operations;
+    expect(drop.previous.type).toBe('Int');
+    expect(drop.previous.decorators[0].name).toBe('notnull');
+    expect(change.previous.name).toBe('bio');
+    expect(change.previous.type).toBe('VarChar');
+    expect(change.previous.typeArgs).toEqual(['500']);
+  });
+
+  it('should allow alter as a column name', () => {
+    const ast = Parser.parse(`model Audit { alter Text }`);
+    expect(ast.models[0].columns[0].name).toBe('alter');
+  });
+
+  it('should throw error for unknown alter operation', () => {
+    const input = `alter model User {
+  modify bio Text
+}`;
+    expect(() => Parser.parse(input)).toThrow('Unknown alter operation "modify"');
+  });
+
+  it('should throw error for empty alter block', () => {
+    expect(() => Parser.parse(`alter model User { }`)).toThrow('at least one operation');
+  });
+
+  it('should parse down raw SQL statements', () => {
+    const input = `> CREATE VIEW active AS SELECT 1;
+< DROP VIEW active;`;
+    const ast = Parser.parse(input);
+
+    expect(ast.rawSql).toHaveLength(2);
+    expect(ast.rawSql[0].direction).toBeUndefined();
+    expect(ast.rawSql[1].direction).toBe('down');
+    expect(ast.rawSql[1].sql).toBe('DROP VIEW active;');
+  });
+
+  it('should parse named enum declarations', () => {
+    const input = `enum Status { active suspended 'on hold' }
+
+model Tenant {
+  status Status @default('active')
+}`;
+    const ast = Parser.parse(input);
+
+    expect(ast.enums).toHaveLength(1);
+    expect(ast.enums[0].name).toBe('Status');
+    expect(ast.enums[0].values).toEqual(['active', 'suspended', 'on hold']);
+    expect(ast.models[0].columns[0].type).toBe('Status');
+  });
+
+  it('should throw error for duplicate enum values', () => {
+    expect(() => Parser.parse(`enum Status { active active }`)).toThrow('Duplicate value "active"');
+  });
+
+  it('should throw error for duplicate enum declarations', () => {
+    const input = `enum Status { active }
+enum Status { suspended }`;
+    expect(() => Parser.parse(input)).toThrow('Duplicate enum "Status"');
+  });
+
+  it('should throw error for empty enum', () => {
+    expect(() => Parser.parse(`enum Status { }`)).toThrow('must have at least one value');
+  });
+
+  it('should parse named decorator arguments', () => {
+    const input = `model Post {
+  authorId Int @ref(User.id, name: "posts_author_fkey")
+  @@index(authorId, name: posts_author_idx)
+}`;
+    const ast = Parser.parse(input);
+    const ref = ast.models[0].columns[0].decorators[0];
+    expect(ref.args).toEqual(['User.id']);
+    expect(ref.namedArgs).toEqual({ name: 'posts_author_fkey' });
+    expect(ast.models[0].attributes[0].args).toEqual(['authorId']);
+    expect(ast.models[0].attributes[0].namedArgs).toEqual({ name: 'posts_author_idx' });
+  });
+
+  it('should omit namedArgs when a decorator has none', () => {
+    const ast = Parser.parse(`model User { email Text @unique }`);
+    expect(ast.models[0].columns[0].decorators[0].namedArgs).toBeUndefined();
+  });
+
+  it('should throw error for duplicate named arguments', () => {
+    const input = `model User { email Text @unique(name: "a", name: "b") }`;
+    expect(() => Parser.parse(input)).toThrow('Duplicate named argument "name"');
+  });
+
+  it('should attach source spans to nodes', () => {
+    const input = `model User {
+  id Serial @pk
+  email Text @unique(name: "users_email_key")
+}
+> CREATE VIEW users_view AS SELECT * FROM "User";`;
+    const ast = Parser.parse(input, 'migrations/001_users.sigl');
+    const model = ast.models[0];
+    const email = model.columns[1];
+
+    expect(model.span).toEqual({
+      file: 'migrations/001_users.sigl',
+      start: { line: 1, column: 1 },
+      end: { line: 4, column: 2 },
+    });
+    expect(email.span.start).toEqual({ line: 3, column: 3 });
+    expect(email.span.end).toEqual({ line: 3, column: 46 });
+    expect(email.decorators[0].span.start).toEqual({ line: 3, column: 14 });
+    expect(ast.rawSql[0].span.start).toEqual({ line: 5, column: 1 });
+  });
+
+  it('should attach spans to alter operations', () => {
+    const ast = Parser.parse(`alter model User {
+  add phone VarChar(20)
+  drop legacyId
+}`);
+    const [add, drop] = ast.alterations[0].operations;
+    expect(add.span.start).toEqual({ line: 2, column: 3 });
+    expect(drop.span.start).toEqual({ line: 3, column: 3 });
+    expect(drop.span.end).toEqual({ line: 3, column: 16 });
+  });
+
+  it('should include the filename in parse errors', () => {
+    expect(() => Parser.parse(`model User { }`, 'migrations/001_users.sigl'))
+      .toThrow('Parse error at migrations/001_users.sigl:1:7');
+  });
+
+  it('should collect every error in recovery mode', () => {
+    const input = `model User {
+  id Serial @pk
+  email VarChar(255 @unique
+  age Int @default(
+}
+
+modl Post {
+  id Serial @pk
+}
+
+enum Role { admin 1 guest }`;
+    const { ast, errors } = Parser.parseWithRecovery(input, 'schema.sigl');
+
+    expect(errors).toHaveLength(4);
+    expect(errors.map((e) => [e.line, e.column])).toEqual([[3, 21], [5, 1], [7, 1], [11, 19]]);
+    expect(errors[0].file).toBe('schema.sigl');
+    expect(errors[0].message).toContain('Expected ")" after type arguments');
+  });
+
+  it('should keep constructs that parsed cleanly in recovery mode', () => {
+    const input = `model User {
+  id Serial @pk
+  name Text @default(,)
+  email Text
+}
+
+model Post {
+  id Serial @pk
+}`;
+    const { ast, errors } = Parser.parseWithRecovery(input);
+
+    expect(errors).toHaveLength(1);
+    expect(ast.models.map((m) => m.name)).toEqual(['User', 'Post']);
+    expect(ast.models[0].columns.map((c) => c.name)).toEqual(['id', 'email']);
+  });
+
+  it('should resume at the next declaration after an unclosed block', () => {
+    const input = `model User {
+  id Serial @pk
+
+alter model User {
+  add phone Text
+}`;
+    const { ast, errors } = Parser.parseWithRecovery(input);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Expected "}" to close model block');
+    expect(errors[0].line).toBe(4);
+    expect(ast.alterations).toHaveLength(1);
+  });
+
+  it('should not report an empty block when its contents failed to parse', () => {
+    const { errors } = Parser.parseWithRecovery('model User {\n  id 42\n}');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Expected column type');
+  });
+
+  it('should collect lexer errors in recovery mode', () => {
+    const { ast, errors } = Parser.parseWithRecovery('model User {\n  id Serial @pk $\n}');
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toContain('Unexpected character: $');
+    expect(ast.models[0].columns).toHaveLength(1);
+  });
+
+  it('should return no errors for valid input in recovery mode', () => {
+    const { ast, errors } = Parser.parseWithRecovery('model User {\n  id Serial @pk\n}');
+
+    expect(errors).toHaveLength(0);
+    expect(ast.models).toHaveLength(1);
+  });
+
+  it('should still throw on the first error from parse', () => {
+    expect(() => Parser.parse('model User {\n  id 42\n  name\n}')).toThrow('line 2, column 6');
+  });
+
+
+  it('should record how decorator arguments were written', () => {
+    const ast = Parser.parse(`model Post {
+  authorId Int @ref(User.id, name: "posts_author_fkey") @default(0)
+  title Text @default('now')
+}`);
+    const [authorId, title] = ast.models[0].columns;
+
+    expect(authorId.decorators[0].argKinds).toEqual(['identifier']);
+    expect(authorId.decorators[0].namedArgKinds).toEqual({ name: 'string' });
+    expect(authorId.decorators[1].argKinds).toEqual(['number']);
+    expect(title.decorators[0].argKinds).toEqual(['string']);
+  });
+
+  it('should attach comments to the schema', () => {
+    const ast = Parser.parse('# users\nmodel User {\n  id Serial @pk\n}');
+
+    expect(ast.comments).toHaveLength(1);
+    expect(ast.comments[0].text).toBe('# users');
+    expect(Parser.parse('model User {\n  id Serial @pk\n}').comments).toBeUndefined();
+  });
+
+  it('should attach /// doc comments to models and columns', () => {
+    const ast = Parser.parse(`/// Registered users.
+/// One row per account.
+model User {
+  /// Login address
+  email Text @unique
+  name Text
+}`);
+
+    expect(ast.models[0].doc).toBe('Registered users.\nOne row per account.');
+    expect(ast.models[0].columns[0].doc).toBe('Login address');
+    expect(ast.models[0].columns[1].doc).toBeUndefined();
+  });
+
+  it('should attach doc comments to added and changed columns', () => {
+    const ast = Parser.parse(`alter model User {
+  /// Mobile number
+  add phone VarChar(20)
+  /// Display name
+  change name VarChar(100) from Text
+}`);
+    const [add, change] = ast.alterations[0].operations;
+
+    expect(add.column.doc).toBe('Mobile number');
+    expect(change.column.doc).toBe('Display name');
+    expect(change.previous.doc).toBeUndefined();
+  });
+
+  it('should reject doc comments that do not precede a model or column', () => {
+    expect(() => Parser.parse('/// Orphan\n> SELECT 1;')).toThrow(
+      'Doc comments (///) must precede a model or column'
+    );
+    expect(() => Parser.parse(`alter model User {
+  /// Gone
+  drop legacyId
+}`)).toThrow('Doc comments (///) can only precede "add" and "change" operations, not "drop"');
+  });
+
+
+  it('should parse mixins and models that use them', () => {
+    const ast = Parser.parse(`mixin Timestamps {
+  createdAt Timestamp @default(now)
+  updatedAt Timestamp
+  @@index(createdAt)
+}
+
+model Post with Timestamps, SoftDelete {
+  title Text
+}`);
+
+    expect(ast.mixins).toHaveLength(1);
+    expect(ast.mixins[0].name).toBe('Timestamps');
+    expect(ast.mixins[0].columns.map((c) => c.name)).toEqual(['createdAt', 'updatedAt']);
+    expect(ast.mixins[0].attributes[0].name).toBe('index');
+    expect(ast.models[0].mixins).toEqual(['Timestamps', 'SoftDelete']);
+    expect(ast.models[0].columns).toHaveLength(1);
+  });
+
+  it('should parse include directives', () => {
+    const ast = Parser.parse(`include "./shared.sact"
+model Post with Timestamps { title Text }`, 'migrations/002_posts.sigl');
+
+    expect(ast.includes).toHaveLength(1);
+    expect(ast.includes[0].path).toBe('./shared.sact');
+    expect(ast.includes[0].span.start).toEqual({ line: 1, column: 1 });
+  });
+
+  it('should reject duplicate and empty mixins', () => {
+    expect(() => Parser.parse('mixin A { x Int }\nmixin A { y Int }')).toThrow('Duplicate mixin "A"');
+    expect(() => Parser.parse('mixin A {}')).toThrow('Mixin "A" must have at least one column');
+    expect(() => Parser.parse('model Post with { title Text }')).toThrow('Expected mixin name after "with"');
+    expect(() => Parser.parse('include shared')).toThrow('Expected a quoted file path after "include"');
+  });
+
+  it('should keep "mixin", "with" and "include" usable as column names', () => {
+    const ast = Parser.parse(`model Settings {
+  mixin Text
+  with Int
+  include Boolean
+}`);
+    expect(ast.models[0].columns.map((c) => c.name)).toEqual(['mixin', 'with', 'include']);
+  });
+
+
+  it('should parse type aliases and domains', () => {
+    const ast = Parser.parse(`type Email = VarChar(320) @notnull
+domain Money = Decimal(19, 4) @default(0)
+
+model User {
+  email Email @unique
+}`);
+
+    expect(ast.typeAliases).toHaveLength(2);
+    expect(ast.typeAliases[0].name).toBe('Email');
+    expect(ast.typeAliases[0].type).toBe('VarChar');
+    expect(ast.typeAliases[0].typeArgs).toEqual(['320']);
+    expect(ast.typeAliases[0].decorators[0].name).toBe('notnull');
+    expect(ast.typeAliases[0].domain).toBeUndefined();
+    expect(ast.typeAliases[1].domain).toBe(true);
+    expect(ast.models[0].columns[0].type).toBe('Email');
+  });
+
+  it('should reject malformed and duplicate type aliases', () => {
+    expect(() => Parser.parse('type Email VarChar(320)')).toThrow('Expected "=" after type name');
+    expect(() => Parser.parse('type Email = VarChar(320)\ntype Email = Text')).toThrow(
+      'Duplicate type alias "Email"'
+    );
+  });
+
+  it('should parse array types', () => {
+    const ast = Parser.parse('type Tags = Text[]\nmodel Post {\n  tags Text[] @notnull\n  codes VarChar(8)[]\n  title Text\n}');
+    const [tags, codes, title] = ast.models[0].columns;
+    expect(tags.type).toBe('Text');
+    expect(tags.array).toBe(true);
+    expect(tags.decorators[0].name).toBe('notnull');
+    expect(codes.typeArgs).toEqual(['8']);
+    expect(codes.array).toBe(true);
+    expect(title.array).toBeUndefined();
+    expect(ast.typeAliases[0].array).toBe(true);
+  });
+
+  it('should reject unclosed and multi-dimensional array types', () => {
+    expect(() => Parser.parse('model Post { tags Text[ }')).toThrow('Expected "]" after "[" in array type');
+    expect(() => Parser.parse('model Grid { cells Int[][] }')).toThrow(
+      'Multi-dimensional array types are not supported'
+    );
+  });
+
+  it('should parse sql(...) default expressions', () => {
+    const ast = Parser.parse(`model Event {
+  id Uuid @default(uuid)
+  code Text @default('uuid')
+  endsAt Timestamp @default(sql("now() + interval '1 day'"))
+}`);
+    const [id, code, endsAt] = ast.models[0].columns.map((c) => c.decorators[0]);
+    expect(id.args).toEqual(['uuid']);
+    expect(id.argKinds).toEqual(['identifier']);
+    expect(code.argKinds).toEqual(['string']);
+    expect(endsAt.args).toEqual(["now() + interval '1 day'"]);
+    expect(endsAt.argKinds).toEqual(['sql']);
+  });
+
+  it('should reject malformed sql(...) expressions', () => {
+    expect(() => Parser.parse('model T { x Int @default(sql(1)) }')).toThrow(
+      'Expected a quoted SQL expression in sql(...)'
+    );
+    expect(() => Parser.parse('model T { x Int @default(sql("")) }')).toThrow('SQL expression cannot be empty');
+    expect(() => Parser.parse('model T { x Int @default(sql("1" }')).toThrow('Expected ")" after SQL expression');
+  });
+
+  it('should parse views and materialized views', () => {
+    const ast = Parser.parse(`view ActiveUsers as """
+  SELECT * FROM "User" WHERE "isActive"
+"""
+materialized view DailyTotals as """SELECT 1"""
+model User { id Int @pk }`);
+
+    expect(ast.views.map((v) => v.name)).toEqual(['ActiveUsers', 'DailyTotals']);
+    expect(ast.views[0].query).toBe('SELECT * FROM "User" WHERE "isActive"');
+    expect(ast.views[0].materialized).toBeUndefined();
+    expect(ast.views[1].materialized).toBe(true);
+    expect(ast.views[0].span.end.line).toBe(3);
+    expect(ast.models).toHaveLength(1);
+  });
+
+  it('should reject malformed and duplicate views', () => {
+    expect(() => Parser.parse('view V """SELECT 1"""')).toThrow('Expected "as" after view name');
+    expect(() => Parser.parse('materialized V as """SELECT 1"""')).toThrow('Expected "view" after "materialized"');
+    expect(() => Parser.parse('view V as """  """')).toThrow('View "V" has an empty query');
+    expect(() => Parser.parse('view V as "SELECT 1"\nview V as "SELECT 2"')).toThrow('Duplicate view "V"');
+  });
+
+  it('should parse schema-qualified models, alter blocks, views and references', () => {
+    const ast = Parser.parse(`model auth.User { id Int @pk }
+model Invoice {
+  id Int @pk
+  userId Int @ref(auth.User.id)
+}
+alter model auth.User { add email Text }
+view reporting.Totals as "SELECT 1"`);
+
+    expect(ast.models.map((m) => [m.schema, m.name])).toEqual([
+      ['auth', 'User'],
+      [undefined, 'Invoice'],
+    ]);
+    expect(ast.models[1].columns[1].decorators[0].args).toEqual(['auth.User.id']);
+    expect(ast.alterations[0]).toEqual({ ...ast.alterations[0], schema: 'auth', name: 'User' });
+    expect(ast.views[0]).toEqual({ ...ast.views[0], schema: 'reporting', name: 'Totals' });
+  });
+
+  it('should reject a schema without a model name', () => {
+    expect(() => Parser.parse('model auth. { id Int }')).toThrow('Expected model name after schema "auth."');
+    expect(() => Parser.parse('view reporting.{')).toThrow('Expected view name after schema "reporting."');
+    expect(() => Parser.parse('view V as "SELECT 1"\nview a.V as "SELECT 1"')).not.toThrow();
+  });
 });
@@ -323,4 +323,659 @@ model Comment { id Serial @pk }`);
     expect(sql[0]).toContain('UNIQUE');
     expect(sql[0]).toContain('NOT NULL');
   });
+
+  it('should generate composite primary key from @@pk', () => {
+    const ast = Parser.parse(`model PostTag {
+  postId Int
+  tagId Int
+  @@pk(postId, tagId)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('PRIMARY KEY ("postId", "tagId")');
+  });
+
+  it('should generate multi-column UNIQUE from @@unique', () => {
+    const ast = Parser.parse(`model Member {
+  tenantId Int
+  email VarChar(255)
+  @@unique(tenantId, email)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('UNIQUE ("tenantId", "email")');
+  });
+
+  it('should generate CREATE INDEX and matching DROP INDEX from @@index', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  createdAt Timestamp
+  @@index(createdAt)
+}`);
+    const up = generator.generateUp(ast);
+    expect(up).toHaveLength(2);
+    expect(up[1]).toBe('CREATE INDEX "Post_createdAt_idx" ON "Post" ("createdAt");');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'DROP INDEX IF EXISTS "Post_createdAt_idx";',
+      'DROP TABLE IF EXISTS "Post" CASCADE;',
+    ]);
+  });
+
+  it('should generate partial, expression and method-specific indexes', () => {
+    const ast = Parser.parse(`model User {
+  id Serial @pk
+  email Text
+  deletedAt Timestamp
+  settings Jsonb
+  @@index(email, where: "\\"deletedAt\\" IS NULL")
+  @@index(sql("lower(email)"), name: "User_email_lower_idx")
+  @@index(settings, using: GIN)
+}`);
+    const up = generator.generateUp(ast);
+    expect(up.slice(1)).toEqual([
+      'CREATE INDEX "User_email_idx" ON "User" ("email") WHERE "deletedAt" IS NULL;',
+      'CREATE INDEX "User_email_lower_idx" ON "User" ((lower(email)));',
+      'CREATE INDEX "User_settings_idx" ON "User" USING gin ("settings");',
+    ]);
+  });
+
+  it('should create and drop CONCURRENTLY indexes, with a transaction warning', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  title Text
+  @@index(title, concurrently: true)
+}`);
+    expect(generator.generateUp(ast)[1]).toBe('CREATE INDEX CONCURRENTLY "Post_title_idx" ON "Post" ("title");');
+    const warnings = generator.getWarnings();
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0].message).toContain('not allow inside a transaction');
+    expect(warnings[0].line).toBe(4);
+    expect(generator.getNonTransactional()).toEqual([
+      'CREATE INDEX CONCURRENTLY "Post_title_idx" ON "Post" ("title");',
+    ]);
+    expect(generator.generateDown(ast)[0]).toBe('DROP INDEX CONCURRENTLY IF EXISTS "Post_title_idx";');
+  });
+
+  it('should reject invalid @@index options', () => {
+    const parse = (attribute) => Parser.parse(`model Post {\n  id Serial @pk\n  title Text\n  ${attribute}\n}`);
+    expect(() => generator.generateUp(parse('@@index(title, unique: true)'))).toThrow(
+      'Unknown argument "unique" for @@index on model "Post"'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, where: "")'))).toThrow('where: to be a quoted condition');
+    expect(() => generator.generateUp(parse('@@index(title, using: "gin; DROP")'))).toThrow(
+      'using: to name an index method'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, concurrently: yes)'))).toThrow(
+      'concurrently: to be true or false'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, title)'))).toThrow('lists column "title" more than once');
+  });
+
+  it('should throw error for model attribute referencing unknown column', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  @@index(missing)
+}`);
+    expect(() => generator.generateUp(ast)).toThrow('unknown column "missing"');
+  });
+
+  it('should throw error for @@pk combined with column-level @pk', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  slug Text
+  @@pk(id, slug)
+}`);
+    expect(() => generator.generateUp(ast)).toThrow('cannot combine @@pk');
+  });
+
+  it('should throw error for unknown model attribute', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  @@fulltext(id)
+}`);
+    expect(() => generator.generateUp(ast)).toThrow('Unknown model attribute @@fulltext');
+  });
+
+  it('should generate ALTER TABLE statements for alter blocks', () => {
+    const ast = Parser.parse(`alter model User {
+  add phone VarChar(20)
+  add orgId Int @ref(Org.id)
+  drop legacyId
+  rename name -> fullName
+  change bio Text @notnull
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql).toEqual([
+      'ALTER TABLE "User" ADD COLUMN "phone" VARCHAR(20);',
+      'ALTER TABLE "User" ADD COLUMN "orgId" INTEGER;',
+      'ALTER TABLE "User" ADD CONSTRAINT "User_orgId_fkey" FOREIGN KEY ("orgId") REFERENCES "Org"("id");',
+      'ALTER TABLE "User" DROP COLUMN "legacyId";',
+      'ALTER TABLE "User" RENAME COLUMN "name" TO "fullName";',
+      'ALTER TABLE "User" ALTER COLUMN "bio" TYPE TEXT, ALTER COLUMN "bio" SET NOT NULL, ALTER COLUMN "bio" DROP DEFAULT;',
+    ]);
+  });
+
+  it('should derive reverse ALTER TABLE statements in generateDown', () => {
+    const ast = Parser.parse(`alter model User {
+  add phone VarChar(20)
+  drop legacyId Int
+  rename name -> fullName
+  change bio Text @notnull from VarChar(500) @default('')
+}`);
+    const sql = generator.generateDown(ast);
+    expect(sql).toEqual([
+      'ALTER TABLE "User" ALTER COLUMN "bio" TYPE VARCHAR(500), ALTER COLUMN "bio" DROP NOT NULL, ALTER COLUMN "bio" SET DEFAULT \'\';',
+      'ALTER TABLE "User" RENAME COLUMN "fullName" TO "name";',
+      'ALTER TABLE "User" ADD COLUMN "legacyId" INTEGER;',
+      'ALTER TABLE "User" DROP COLUMN "phone";',
+    ]);
+  });
+
+  it('should throw error when reversing a drop without its definition', () => {
+    const ast = Parser.parse(`alter model User { drop legacyId }`);
+    expect(() => generator.generateDown(ast)).toThrow('Cannot reverse "drop legacyId"');
+  });
+
+  it('should throw error for key decorators in change', () => {
+    const ast = Parser.parse(`alter model User { change email Text @unique }`);
+    expect(() => generator.generateUp(ast)).toThrow('@unique cannot be used when changing column');
+  });
+
+  it('should run down raw SQL in reverse order before dropping tables', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+> CREATE VIEW a AS SELECT 1;
+< DROP VIEW a;
+> CREATE VIEW b AS SELECT 2;
+< DROP VIEW b;`);
+
+    const up = generator.generateUp(ast);
+    expect(up).toContain('CREATE VIEW a AS SELECT 1;');
+    expect(up).not.toContain('DROP VIEW a;');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'DROP VIEW b;',
+      'DROP VIEW a;',
+      'DROP TABLE IF EXISTS "User" CASCADE;',
+    ]);
+  });
+
+  it('should create native enum types for named enums', () => {
+    const ast = Parser.parse(`enum Status { active suspended }
+model Tenant { status Status @default('active') }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toBe(`CREATE TYPE "Status" AS ENUM ('active', 'suspended');`);
+    expect(sql[1]).toContain(`"status" "Status" DEFAULT 'active'`);
+  });
+
+  it('should drop native enum types after tables', () => {
+    const ast = Parser.parse(`enum Status { active suspended }
+model Tenant { status Status }`);
+    const sql = generator.generateDown(ast);
+    expect(sql).toEqual([
+      'DROP TABLE IF EXISTS "Tenant" CASCADE;',
+      'DROP TYPE IF EXISTS "Status";',
+    ]);
+  });
+
+  it('should cast when changing a column to a named enum', () => {
+    const ast = Parser.parse(`enum Status { active suspended }
+alter model Tenant { change status Status }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[1]).toContain('ALTER COLUMN "status" TYPE "Status" USING "status"::"Status"');
+  });
+
+  it('should widen inline Enum columns for long values', () => {
+    const longValue = 'x'.repeat(60);
+    const ast = Parser.parse(`model Test { kind Enum(short, ${longValue}) }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('VARCHAR(60) CONSTRAINT "Test_kind_check" CHECK');
+  });
+
+  it('should throw error for undeclared type names', () => {
+    const ast = Parser.parse(`model Tenant { status Status }`);
+    expect(() => generator.generateUp(ast)).toThrow('Unknown type: Status');
+  });
+
+  it('should create referenced tables before the tables that reference them', () => {
+    const ast = Parser.parse(`model Post { id Serial @pk
+  authorId Int @ref(User.id) }
+model User { id Serial @pk }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('CREATE TABLE "User"');
+    expect(sql[1]).toContain('CREATE TABLE "Post"');
+  });
+
+  it('should defer foreign keys that form a reference cycle', () => {
+    const ast = Parser.parse(`model User { id Serial @pk
+  avatarId Int @ref(Media.id) }
+model Media { id Serial @pk
+  ownerId Int @ref(User.id) }`);
+    const sql = generator.generateUp(ast);
+    expect(sql).toHaveLength(3);
+    expect(sql[0]).toContain('CREATE TABLE "User"');
+    expect(sql[0].includes('REFERENCES')).toBe(false);
+    expect(sql[1]).toContain('REFERENCES "User"("id")');
+    expect(sql[2]).toBe('ALTER TABLE "User" ADD CONSTRAINT "User_avatarId_fkey" FOREIGN KEY ("avatarId") REFERENCES "Media"("id");');
+  });
+
+  it('should drop tables in reverse dependency order', () => {
+    const ast = Parser.parse(`model Post { id Serial @pk
+  authorId Int @ref(User.id) }
+model User { id Serial @pk }`);
+    const sql = generator.generateDown(ast);
+    expect(sql).toEqual([
+      'DROP TABLE IF EXISTS "Post" CASCADE;',
+      'DROP TABLE IF EXISTS "User" CASCADE;',
+    ]);
+  });
+
+  it('should name unique, foreign key and check constraints', () => {
+    const ast = Parser.parse(`model Post {
+  slug VarChar(100) @unique
+  authorId Int @ref(User.id)
+  status Enum(draft, published)
+  @@unique(authorId, slug)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('"slug" VARCHAR(100) CONSTRAINT "Post_slug_key" UNIQUE');
+    expect(sql[0]).toContain('CONSTRAINT "Post_authorId_fkey" FOREIGN KEY ("authorId")');
+    expect(sql[0]).toContain('CONSTRAINT "Post_status_check" CHECK');
+    expect(sql[0]).toContain('CONSTRAINT "Post_authorId_slug_key" UNIQUE ("authorId", "slug")');
+  });
+
+  it('should use the name argument to override constraint and index names', () => {
+    const ast = Parser.parse(`model Post {
+  slug VarChar(100) @unique(name: "posts_slug_key")
+  authorId Int @ref(User.id, name: "posts_author_fkey")
+  @@index(authorId, name: "posts_author_idx")
+}`);
+    const up = generator.generateUp(ast);
+    expect(up[0]).toContain('CONSTRAINT "posts_slug_key" UNIQUE');
+    expect(up[0]).toContain('CONSTRAINT "posts_author_fkey" FOREIGN KEY');
+    expect(up[1]).toBe('CREATE INDEX "posts_author_idx" ON "Post" ("authorId");');
+
+    const down = generator.generateDown(ast);
+    expect(down[0]).toBe('DROP INDEX IF EXISTS "posts_author_idx";');
+  });
+
+  it('should truncate long constraint names with a stable hash', () => {
+    const table = 'OrganizationMembershipInvitation';
+    const ast = Parser.parse(`model ${table} {
+  invitedByUserId Int
+  organizationId Int
+  @@index(invitedByUserId, organizationId)
+}`);
+    const first = generator.generateUp(ast)[1];
+    const second = generator.generateUp(ast)[1];
+    const name = first.match(/CREATE INDEX "([^"]+)"/)[1];
+
+    expect(first).toBe(second);
+    expect(name.length).toBe(63);
+    expect(name.startsWith(`${table}_invitedByUserId_`)).toBe(true);
+    expect(name.endsWith('_idx')).toBe(true);
+  });
+
+  it('should reject named arguments on decorators that do not create constraints', () => {
+    const ast = Parser.parse(`model User { active Boolean @default(true, name: "x") }`);
+    expect(() => generator.generateUp(ast)).toThrow('does not accept named arguments');
+  });
+
+  it('should reject unknown named arguments', () => {
+    const ast = Parser.parse(`model User { email Text @unique(label: "x") }`);
+    expect(() => generator.generateUp(ast)).toThrow('Unknown argument "label"');
+  });
+
+  it('should report the source location in generator errors', () => {
+    const ast = Parser.parse(`model User {
+  id Serial @pk
+  role Text @default(a, b)
+}`, 'migrations/001_users.sigl');
+    expect(() => generator.generateUp(ast)).toThrow(
+      'migrations/001_users.sigl:3:3: @default decorator on column "User.role" accepts only one argument'
+    );
+  });
+
+  it('should locate model attribute and alter errors at the offending node', () => {
+    const attributeAst = Parser.parse(`model User {
+  id Serial @pk
+  @@index(missing)
+}`, 'schema.sigl');
+    expect(() => generator.generateUp(attributeAst)).toThrow('schema.sigl:3:3: @@index');
+
+    const alterAst = Parser.parse(`alter model User {
+  add phone VarChar(20)
+  drop legacyId
+}`, 'schema.sigl');
+    expect(() => generator.generateDown(alterAst)).toThrow('schema.sigl:3:3: Cannot reverse "drop legacyId"');
+  });
+
+  it('should emit doc comments as COMMENT ON TABLE and COLUMN', () => {
+    const ast = Parser.parse(`/// Registered users
+model User {
+  id Serial @pk
+  /// Login address, it's unique
+  email Text @unique
+}`);
+    const sql = generator.generateUp(ast);
+
+    expect(sql).toContain(`COMMENT ON TABLE "User" IS 'Registered users';`);
+    expect(sql).toContain(`COMMENT ON COLUMN "User"."email" IS 'Login address, it''s unique';`);
+  });
+
+  it('should set and restore column comments in alter blocks', () => {
+    const ast = Parser.parse(`alter model User {
+  /// Mobile number
+  add phone VarChar(20)
+  /// Display name
+  change name VarChar(100) from Text
+}`);
+
+    const up = generator.generateUp(ast);
+    expect(up).toContain(`COMMENT ON COLUMN "User"."phone" IS 'Mobile number';`);
+    expect(up).toContain(`COMMENT ON COLUMN "User"."name" IS 'Display name';`);
+
+    const down = generator.generateDown(ast);
+    expect(down).toContain(`COMMENT ON COLUMN "User"."name" IS NULL;`);
+  });
+
+
+  it('should expand type aliases into column types', () => {
+    const ast = Parser.parse(`type Email = VarChar(320) @notnull
+model User {
+  email Email @unique
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[0]).toContain('"email" VARCHAR(320) NOT NULL CONSTRAINT "User_email_key" UNIQUE');
+  });
+
+  it('should create domains for domain aliases and drop them on rollback', () => {
+    const ast = Parser.parse(`domain Money = Decimal(19, 4) @notnull @default(0)
+model Invoice {
+  total Money
+}`);
+
+    const up = generator.generateUp(ast);
+    expect(up[0]).toBe('CREATE DOMAIN "Money" AS NUMERIC(19, 4) DEFAULT 0 NOT NULL;');
+    expect(up[1]).toContain('"total" "Money" NOT NULL DEFAULT 0');
+
+    const down = generator.generateDown(ast);
+    expect(down[down.length - 1]).toBe('DROP DOMAIN IF EXISTS "Money";');
+  });
+
+  it('should reject domains based on Serial or Enum', () => {
+    const ast = Parser.parse('domain Id = Serial\nmodel T { id Id }');
+    expect(() => generator.generateUp(ast)).toThrow('Domain "Id" cannot be based on Serial');
+  });
+
+  it('should map extended types', () => {
+    const ast = Parser.parse(`model Device {
+  payload Bytes
+  seenAt TimestampTz
+  uptime Interval
+  address Inet
+  network Cidr
+  name Citext
+  level TinyInt
+  notes LongText
+  ratio Float
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('"payload" BYTEA');
+    expect(sql).toContain('"seenAt" TIMESTAMPTZ');
+    expect(sql).toContain('"uptime" INTERVAL');
+    expect(sql).toContain('"address" INET');
+    expect(sql).toContain('"network" CIDR');
+    expect(sql).toContain('"name" CITEXT');
+    expect(sql).toContain('"level" SMALLINT');
+    expect(sql).toContain('"notes" TEXT');
+    expect(sql).toContain('"ratio" DOUBLE PRECISION');
+  });
+
+  it('should generate native array columns', () => {
+    const ast = Parser.parse(`enum Role { admin member }
+domain Tags = Text[]
+model Post {
+  tags Text[] @notnull
+  scores Int[]
+  codes VarChar(8)[]
+  roles Role[]
+  labels Tags
+}`);
+    const statements = generator.generateUp(ast);
+    const sql = statements[2];
+
+    expect(statements[1]).toBe('CREATE DOMAIN "Tags" AS TEXT[];');
+    expect(sql).toContain('"tags" TEXT[] NOT NULL');
+    expect(sql).toContain('"scores" INTEGER[]');
+    expect(sql).toContain('"codes" VARCHAR(8)[]');
+    expect(sql).toContain('"roles" "Role"[]');
+    expect(sql).toContain('"labels" "Tags"');
+  });
+
+  it('should reject arrays of Serial and inline enums', () => {
+    expect(() => generator.generateUp(Parser.parse('model T { ids Serial[] }'))).toThrow(
+      'Column "T.ids" cannot be an array of Serial. Use Int[] instead'
+    );
+    expect(() => generator.generateUp(Parser.parse("model T { roles Enum('a', 'b')[] }"))).toThrow(
+      'Declare a named enum and use an array of it'
+    );
+  });
+
+  it('should change a column to an array type', () => {
+    const ast = Parser.parse('alter model Post {\n  change tags Text[] from Text\n}');
+    expect(generator.generateUp(ast)[0]).toContain('ALTER COLUMN "tags" TYPE TEXT[]');
+  });
+
+  it('should map portable default functions and sql(...) defaults', () => {
+    const ast = Parser.parse(`model Event {
+  id Uuid @pk @default(uuid)
+  code Text @default('uuid')
+  createdAt Timestamp @default(now)
+  day Date @default(today)
+  seq BigInt @default(autoincrement)
+  price Numeric @default(sql("0.0::numeric"))
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('"id" UUID PRIMARY KEY DEFAULT gen_random_uuid()');
+    expect(sql).toContain(`"code" TEXT DEFAULT 'uuid'`);
+    expect(sql).toContain('"createdAt" TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    expect(sql).toContain('"day" DATE DEFAULT CURRENT_DATE');
+    expect(sql).toContain('"seq" BIGINT GENERATED BY DEFAULT AS IDENTITY');
+    expect(sql).toContain('"price" NUMERIC(10, 2) DEFAULT (0.0::numeric)');
+  });
+
+  it('should reject autoincrement on non-integer columns and in changes', () => {
+    expect(() => generator.generateUp(Parser.parse('model T { id Text @default(autoincrement) }'))).toThrow(
+      '@default(autoincrement) on column "T.id" requires Int, BigInt, SmallInt or TinyInt'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { id Serial @default(autoincrement) }'))).toThrow(
+      'Serial columns already auto-increment'
+    );
+    expect(() =>
+      generator.generateUp(Parser.parse('alter model T {\n  change id BigInt @default(autoincrement) from Int\n}'))
+    ).toThrow('Cannot change column "T.id" to @default(autoincrement)');
+  });
+
+  it('should generate stored generated columns', () => {
+    const ast = Parser.parse(`model Person {
+  first Text @notnull
+  last Text @notnull
+  fullName Text @generated("first || ' ' || last", stored) @notnull
+  search Text @generated("lower(first)")
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain(`"fullName" TEXT GENERATED ALWAYS AS (first || ' ' || last) STORED NOT NULL`);
+    expect(sql).toContain('"search" TEXT GENERATED ALWAYS AS (lower(first)) STORED');
+  });
+
+  it('should reject virtual and invalid generated columns', () => {
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @generated("1", virtual) }'))).toThrow(
+      'PostgreSQL only supports stored generated columns'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @generated("1", later) }'))).toThrow(
+      '@generated on column "T.x" must be stored or virtual, got "later"'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @generated(1) }'))).toThrow(
+      'requires the expression as a quoted string'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @generated("1") @default(0) }'))).toThrow(
+      'cannot be combined with @default'
+    );
+    expect(() =>
+      generator.generateUp(Parser.parse('alter model T {\n  change x Int @generated("1") from Int\n}'))
+    ).toThrow('@generated cannot be used when changing column "T.x"');
+  });
+
+  it('should generate named CHECK constraints from @check and @@check', () => {
+    const ast = Parser.parse(`model Event {
+  price Decimal(10,2) @check("price >= 0")
+  startsAt Timestamp
+  endsAt Timestamp
+  status Text @check("status <> ''", name: "event_status_present")
+  @@check("\\"startsAt\\" < \\"endsAt\\"")
+}`);
+    const sql = generator.generateUp(ast)[0];
+
+    expect(sql).toContain('"price" NUMERIC(10, 2) CONSTRAINT "Event_price_check" CHECK (price >= 0)');
+    expect(sql).toContain(`"status" TEXT CONSTRAINT "event_status_present" CHECK (status <> '')`);
+    expect(sql).toContain('CONSTRAINT "Event_startsAt_endsAt_check" CHECK ("startsAt" < "endsAt")');
+  });
+
+  it('should reject CHECK constraints whose names clash', () => {
+    expect(() =>
+      generator.generateUp(Parser.parse('model T {\n  x Int @check("x > 0")\n  @@check("x < 10")\n}'))
+    ).toThrow('Model "T" has more than one CHECK constraint named "T_x_check". Pass name: to tell them apart');
+    expect(() =>
+      generator.generateUp(Parser.parse(`model T {\n  s Enum('a', 'b') @check("s <> 'b'")\n}`))
+    ).toThrow('more than one CHECK constraint named "T_s_check"');
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @check(1) }'))).toThrow(
+      '@check on column "T.x" requires the expression as a quoted string'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @check }'))).toThrow(
+      '@check on column "T.x" requires exactly one expression'
+    );
+  });
+
+  it('should generate ON UPDATE and DEFERRABLE foreign key clauses', () => {
+    const ast = Parser.parse(`model Enrollment {
+  countryCode Char(2) @ref(Country.code) @onDelete(RESTRICT) @onUpdate(CASCADE)
+  parentId Int @ref(Enrollment.id) @deferrable
+  courseId Int @ref(Course.id) @onUpdate('set null') @deferrable(immediate)
+}`);
+    const sql = generator.generateUp(ast).join('\n');
+
+    expect(sql).toContain('REFERENCES "Country"("code") ON DELETE RESTRICT ON UPDATE CASCADE');
+    expect(sql).toContain('REFERENCES "Enrollment"("id") DEFERRABLE INITIALLY DEFERRED');
+    expect(sql).toContain('REFERENCES "Course"("id") ON UPDATE SET NULL DEFERRABLE INITIALLY IMMEDIATE');
+  });
+
+  it('should reject invalid @onUpdate and @deferrable decorators', () => {
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @ref(U.id) @onUpdate(explode) }'))).toThrow(
+      '@onUpdate action "explode" is invalid'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @deferrable }'))).toThrow(
+      '@deferrable decorator on column "T.x" requires a @ref decorator'
+    );
+    expect(() => generator.generateUp(Parser.parse('model T { x Int @ref(U.id) @deferrable(later) }'))).toThrow(
+      '@deferrable accepts one optional argument, deferred (the default) or immediate, got "later"'
+    );
+  });
+
+  it('should name tables, columns and constraints after @@map and @map', () => {
+    const ast = Parser.parse(`model BlogPost {
+  id Serial @pk
+  authorId Int @ref(Author.id) @map("author_id")
+  @@index(authorId)
+  @@map("blog_posts")
+}
+model Author {
+  id Serial @pk
+  @@map("authors")
+}`);
+    const sql = generator.generateUp(ast).join('\n');
+
+    expect(sql).toContain('CREATE TABLE "blog_posts"');
+    expect(sql).toContain('CONSTRAINT "blog_posts_author_id_fkey" FOREIGN KEY ("author_id") REFERENCES "authors"("id")');
+    expect(sql).toContain('CREATE INDEX "blog_posts_author_id_idx" ON "blog_posts" ("author_id");');
+  });
+
+  it('should create views after tables, in dependency order, and drop them first', () => {
+    const ast = Parser.parse(`view RecentActive as """
+  SELECT * FROM "ActiveUsers" WHERE "createdAt" > now() - interval '7 days';
+"""
+materialized view ActiveUsers as """SELECT * FROM "User" WHERE "isActive\""""
+model User {
+  id Int @pk
+  isActive Boolean
+  createdAt Timestamp
+}`);
+
+    const up = generator.generateUp(ast);
+    expect(up.slice(1)).toEqual([
+      'CREATE MATERIALIZED VIEW "ActiveUsers" AS\nSELECT * FROM "User" WHERE "isActive";',
+      'CREATE VIEW "RecentActive" AS\nSELECT * FROM "ActiveUsers" WHERE "createdAt" > now() - interval \'7 days\';',
+    ]);
+    expect(generator.generateDown(ast)).toEqual([
+      'DROP VIEW IF EXISTS "RecentActive";',
+      'DROP MATERIALIZED VIEW IF EXISTS "ActiveUsers";',
+      'DROP TABLE IF EXISTS "User" CASCADE;',
+    ]);
+  });
+
+  it('should split fenced raw SQL into statements, keeping dollar-quoted bodies whole', () => {
+    const ast = Parser.parse(`> """
+  CREATE FUNCTION touch() RETURNS trigger AS $$
+  BEGIN
+    NEW."updatedAt" = now();
+    RETURN NEW;
+  END;
+  $$ LANGUAGE plpgsql;
+  CREATE TRIGGER touch BEFORE UPDATE ON "Post" FOR EACH ROW EXECUTE FUNCTION touch();
+"""
+< """
+  DROP TRIGGER touch ON "Post";
+  DROP FUNCTION touch();
+"""
+< DROP TABLE "Audit";`);
+
+    const up = generator.generateUp(ast);
+    expect(up).toHaveLength(2);
+    expect(up[0]).toContain('RETURN NEW;\nEND;\n$$ LANGUAGE plpgsql;');
+    expect(generator.generateDown(ast)).toEqual([
+      'DROP TABLE "Audit";',
+      'DROP TRIGGER touch ON "Post";',
+      'DROP FUNCTION touch();',
+    ]);
+  });
+
+  it('should create schemas and qualify tables, references and indexes in them', () => {
+    const ast = Parser.parse(`model auth.User {
+  id Int @pk
+  @@index(id)
+}
+model billing.Invoice {
+  id Int @pk
+  userId Int @ref(auth.User.id)
+}
+alter model auth.User { add email Text }`);
+
+    const up = generator.generateUp(ast);
+    expect(up.slice(0, 2)).toEqual(['CREATE SCHEMA IF NOT EXISTS "auth";', 'CREATE SCHEMA IF NOT EXISTS "billing";']);
+    expect(up[2]).toContain('CREATE TABLE "auth"."User" (');
+    expect(up[3]).toBe('CREATE INDEX "User_id_idx" ON "auth"."User" ("id");');
+    expect(up[4]).toContain(
+      'CONSTRAINT "Invoice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "auth"."User"("id")'
+    );
+    expect(up[5]).toBe('ALTER TABLE "auth"."User" ADD COLUMN "email" TEXT;');
+    expect(generator.generateDown(ast)).toEqual([
+      'ALTER TABLE "auth"."User" DROP COLUMN "email";',
+      'DROP TABLE IF EXISTS "billing"."Invoice" CASCADE;',
+      'DROP INDEX IF EXISTS "auth"."User_id_idx";',
+      'DROP TABLE IF EXISTS "auth"."User" CASCADE;',
+    ]);
+  });
 });
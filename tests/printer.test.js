@@ -0,0 +1,334 @@
+/**
+ * Printer Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import { Printer } from '../dist/ast/printer.js';
+
+function format(input) {
+  return Printer.print(Parser.parse(input));
+}
+
+describe('Printer', () => {
+  it('should print an empty schema as an empty string', () => {
+    expect(format('')).toBe('');
+  });
+
+  it('should align column names, types and decorators', () => {
+    const input = `model User {
+  id Serial @pk
+  email VarChar(255) @unique @notnull
+  createdAt Timestamp
+}`;
+
+    expect(format(input)).toBe(`model User {
+  id         Serial        @pk
+  email      VarChar(255)  @unique @notnull
+  createdAt  Timestamp
+}
+`);
+  });
+
+  it('should normalize strings to single quotes', () => {
+    const input = `model User {
+  role Enum("admin", "it's") @default("admin")
+  ref Int @ref(Org.id) @onDelete("CASCADE")
+  @@unique(role, ref, name: "users_role_ref_key")
+}`;
+
+    expect(format(input)).toBe(`model User {
+  role  Enum('admin', 'it\\'s')  @default('admin')
+  ref   Int                     @ref(Org.id) @onDelete('CASCADE')
+  @@unique(role, ref, name: 'users_role_ref_key')
+}
+`);
+  });
+
+  it('should keep bare and quoted decorator arguments apart', () => {
+    const output = format(`model Post {
+  publishedAt Timestamp @default(now)
+  title Text @default('now')
+  views Int @default(0)
+}`);
+
+    expect(output).toContain('@default(now)');
+    expect(output).toContain("@default('now')");
+    expect(output).toContain('@default(0)');
+  });
+
+  it('should keep comments in place', () => {
+    const input = `# Accounts
+model User {   # users table
+  id Serial @pk # primary key
+
+  # contact details
+  email Text
+  # to be removed
+}
+# trailing`;
+
+    expect(format(input)).toBe(`# Accounts
+model User { # users table
+  id     Serial  @pk # primary key
+
+  # contact details
+  email  Text
+  # to be removed
+}
+
+# trailing
+`);
+  });
+
+  it('should separate declarations with one blank line and keep raw SQL together', () => {
+    const input = `enum Status { active 'on hold' }
+model User {
+  id Serial @pk
+  status Status
+}
+
+
+
+> CREATE INDEX user_status ON "User"(status);
+< DROP INDEX user_status;
+alter model User { add bio Text; drop legacy Int @notnull
+  rename name -> fullName
+  change age BigInt from Int }`;
+
+    expect(format(input)).toBe(`enum Status { active 'on hold' }
+
+model User {
+  id      Serial  @pk
+  status  Status
+}
+
+> CREATE INDEX user_status ON "User"(status);
+< DROP INDEX user_status;
+
+alter model User {
+  add bio Text
+  drop legacy Int @notnull
+  rename name -> fullName
+  change age BigInt from Int
+}
+`);
+  });
+
+  it('should keep the line grouping of multi-line enums', () => {
+    const input = `enum Role {
+  admin editor
+  # read only
+  viewer
+}`;
+
+    expect(format(input)).toBe(`enum Role {
+  admin editor
+  # read only
+  viewer
+}
+`);
+  });
+
+  it('should quote enum values that are not identifiers', () => {
+    expect(format("enum Kind { 'Text' 'model' plain }")).toBe("enum Kind { 'Text' 'model' plain }\n");
+  });
+
+  it('should be idempotent', () => {
+    const input = `# Blog
+model Post {
+  id Serial @pk
+  authorId Int @ref(User.id, name: "posts_author_fkey") # author
+  @@index(authorId)
+}
+> SELECT 1;`;
+
+    const once = format(input);
+    expect(format(once)).toBe(once);
+  });
+
+  it('should print hand-built ASTs without spans', () => {
+    const ast = {
+      models: [
+        {
+          name: 'User',
+          columns: [
+            { name: 'id', type: 'Serial', decorators: [{ name: 'pk' }] },
+            { name: 'role', type: 'Text', decorators: [{ name: 'default', args: ['guest user'] }] },
+          ],
+        },
+      ],
+      rawSql: [{ sql: 'SELECT 1;' }],
+    };
+
+    expect(Printer.print(ast)).toBe(`model User {
+  id    Serial  @pk
+  role  Text    @default('guest user')
+}
+
+> SELECT 1;
+`);
+  });
+
+
+  it('should keep /// doc comments above their model and columns', () => {
+    const input = `# Accounts
+/// Registered users
+///
+/// One row per account
+model User {
+  id Serial @pk
+  /// Login address
+  email Text @unique
+}
+
+alter model User {
+  /// Mobile number
+  add phone VarChar(20)
+}
+`;
+
+    const output = format(input);
+    expect(output).toBe(`# Accounts
+/// Registered users
+///
+/// One row per account
+model User {
+  id     Serial  @pk
+  /// Login address
+  email  Text    @unique
+}
+
+alter model User {
+  /// Mobile number
+  add phone VarChar(20)
+}
+`);
+    expect(format(output)).toBe(output);
+  });
+
+
+  it('should print mixins, with clauses and includes', () => {
+    const input = `include "./shared.sact"
+mixin SoftDelete {
+  deletedAt Timestamp
+}
+model Post with Timestamps,SoftDelete {
+  title Text
+}
+`;
+
+    const output = format(input);
+    expect(output).toBe(`include './shared.sact'
+
+mixin SoftDelete {
+  deletedAt  Timestamp
+}
+
+model Post with Timestamps, SoftDelete {
+  title  Text
+}
+`);
+    expect(format(output)).toBe(output);
+  });
+
+
+  it('should print type aliases as one-line declarations', () => {
+    const input = `type Email = VarChar(320) @notnull
+domain Money = Decimal(19,4)
+model Invoice {
+  total Money
+}
+`;
+
+    const output = format(input);
+    expect(output).toBe(`type Email = VarChar(320) @notnull
+domain Money = Decimal(19, 4)
+
+model Invoice {
+  total  Money
+}
+`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print array types', () => {
+    const input = 'type Tags = Text[]\nmodel Post {\n  tags Text[] @notnull\n  codes VarChar(8)[]\n}\n';
+    const output = format(input);
+    expect(output).toBe(`type Tags = Text[]
+
+model Post {
+  tags   Text[]        @notnull
+  codes  VarChar(8)[]
+}
+`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print default functions bare and sql(...) in double quotes', () => {
+    const input = `model Event {
+  id Uuid @default(uuid)
+  code Text @default('uuid')
+  endsAt Timestamp @default(sql('now() + interval \\'1 day\\''))
+}
+`;
+    const output = format(input);
+    expect(output).toContain('@default(uuid)');
+    expect(output).toContain("@default('uuid')");
+    expect(output).toContain(`@default(sql("now() + interval '1 day'"))`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print expressions with single quotes in double quotes', () => {
+    const output = format(`model Person {\n  fullName Text @generated('first || \\' \\' || last', stored)\n}\n`);
+    expect(output).toContain(`@generated("first || ' ' || last", stored)`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print @check and @@check expressions in double quotes', () => {
+    const output = format(
+      `model Order {\n  status Text @check('status <> \\'\\'')\n  qty Int\n  @@check('qty > 0', name: 'order_qty')\n}\n`
+    );
+    expect(output).toContain(`@check("status <> ''")`);
+    expect(output).toContain(`@@check("qty > 0", name: 'order_qty')`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print @@index conditions in double quotes and expressions as sql(...)', () => {
+    const output = format(
+      `model User {\n  email Text\n  @@index(sql('lower(email)'), where: 'role <> \\'bot\\'', ` +
+        'using: btree, concurrently: true)\n}\n'
+    );
+    expect(output).toContain(`@@index(sql("lower(email)"), where: "role <> 'bot'", using: btree, concurrently: true)`);
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print view queries in an indented triple-quoted block', () => {
+    const output = format(
+      'materialized view Totals as """SELECT 1"""\nview Recent as """\nSELECT *\n  FROM "Post"\n""" # latest\n'
+    );
+    expect(output).toBe(
+      'materialized view Totals as """\n  SELECT 1\n"""\n\n' +
+        'view Recent as """\n  SELECT *\n    FROM "Post"\n""" # latest\n'
+    );
+    expect(format(output)).toBe(output);
+  });
+
+  it('should print multi-line raw SQL as a fenced block', () => {
+    const output = format('> CREATE INDEX a ON t (x);\n> """\nSELECT 1;\nSELECT 2;\n"""\n< DROP INDEX a;\n');
+    expect(output).toBe('> CREATE INDEX a ON t (x);\n\n> """\n  SELECT 1;\n  SELECT 2;\n"""\n\n< DROP INDEX a;\n');
+    expect(format(output)).toBe(output);
+  });
+
+  it('should keep schema qualifiers on models, alter blocks and views', () => {
+    const output = format(
+      'model auth.User {\n  id Int @pk\n}\n\n' +
+        'alter model auth.User {\n  add email Text\n}\n\n' +
+        'view auth.Admins as """\n  SELECT 1\n"""\n'
+    );
+    expect(output).toContain('model auth.User {');
+    expect(output).toContain('alter model auth.User {');
+    expect(output).toContain('view auth.Admins as');
+    expect(format(output)).toBe(output);
+  });
+});
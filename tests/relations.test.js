@@ -0,0 +1,125 @@
+/**
+ * Many-to-Many Relation Expansion Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import { expandRelations } from '../dist/ast/relations.js';
+import { Printer } from '../dist/ast/printer.js';
+import { PostgresGenerator } from '../dist/generators/postgres.js';
+
+describe('expandRelations', () => {
+  it('should replace a @manyToMany field with a join model', () => {
+    const ast = expandRelations(Parser.parse(`model Post {
+  id Serial @pk
+  title Text
+  tags Tag[] @manyToMany
+}
+model Tag { slug VarChar(64) @pk }`));
+
+    expect(ast.models.map((m) => m.name)).toEqual(['Post', 'Tag', 'PostTag']);
+    expect(ast.models[0].columns.map((c) => c.name)).toEqual(['id', 'title']);
+
+    const join = ast.models[2];
+    expect(join.columns.map((c) => [c.name, c.type, c.typeArgs])).toEqual([
+      ['postId', 'Int', undefined],
+      ['tagSlug', 'VarChar', ['64']],
+    ]);
+    expect(join.columns[1].decorators.map((d) => [d.name, d.args])).toEqual([
+      ['ref', ['Tag.slug']],
+      ['onDelete', ['cascade']],
+    ]);
+    expect(join.attributes.map((a) => [a.name, a.args])).toEqual([
+      ['pk', ['postId', 'tagSlug']],
+      ['index', ['tagSlug']],
+    ]);
+  });
+
+  it('should generate one join model when both sides declare the relation', () => {
+    const ast = expandRelations(Parser.parse(`model User {
+  id Uuid @pk
+  wishlist Product[] @manyToMany("Wishlist")
+}
+model Product {
+  id Serial @pk
+  wishedBy User[] @manyToMany("Wishlist")
+}
+model auth.Role {
+  id Int @pk
+  users User[] @manyToMany
+}`));
+
+    expect(ast.models.map((m) => [m.schema, m.name])).toEqual([
+      [undefined, 'User'],
+      [undefined, 'Product'],
+      ['auth', 'Role'],
+      [undefined, 'Wishlist'],
+      ['auth', 'RoleUser'],
+    ]);
+    expect(ast.models[3].columns.map((c) => c.name)).toEqual(['productId', 'userId']);
+    expect(ast.models[4].columns[0].decorators[0].args).toEqual(['auth.Role.id']);
+  });
+
+  it('should join models declared by earlier migrations', () => {
+    const [tag] = Parser.parse('model Tag { slug VarChar(64) @pk }').models;
+    const ast = expandRelations(Parser.parse('model Post {\n  id Serial @pk\n  tags Tag[] @manyToMany\n}'), [tag]);
+
+    expect(ast.models.map((m) => m.name)).toEqual(['Post', 'PostTag']);
+    expect(ast.models[1].columns[1].decorators[0].args).toEqual(['Tag.slug']);
+  });
+
+  it('should leave schemas without relations unchanged, and keep the shorthand when printed', () => {
+    const plain = Parser.parse('model User { id Serial @pk }');
+    expect(expandRelations(plain)).toBe(plain);
+
+    const input = 'model Post {\n  id    Serial  @pk\n  tags  Tag[]   @manyToMany\n}\n';
+    expect(Printer.print(Parser.parse(input))).toBe(input);
+  });
+
+  it('should reject relations it cannot expand', () => {
+    const expand = (source) => () => expandRelations(Parser.parse(source, 'blog.sigl'));
+    expect(expand('model Post {\n  id Serial @pk\n  tags Tag[] @manyToMany\n}')).toThrow(
+      'Parse error at blog.sigl:3:3: @manyToMany on "Post.tags" references unknown model "Tag"'
+    );
+    expect(expand('model Post {\n  id Serial @pk\n  tag Tag @manyToMany\n}\nmodel Tag { id Serial @pk }')).toThrow(
+      'needs a list type, e.g. tag Tag[]'
+    );
+    expect(expand('model User {\n  id Serial @pk\n  friends User[] @manyToMany\n}')).toThrow(
+      'relates "User" to itself'
+    );
+    expect(expand('model Post {\n  id Serial @pk\n  tags Tag[] @manyToMany\n}\nmodel Tag { name Text }')).toThrow(
+      'needs model "Tag" to have a single-column primary key'
+    );
+    const clash = 'model Post {\n  id Serial @pk\n  tags Tag[] @manyToMany\n}\nmodel Tag { id Serial @pk }';
+    expect(expand(`${clash}\nmodel PostTag { id Int }`)).toThrow(
+      'Join model "PostTag" for "Post.tags" clashes with a declared model'
+    );
+    expect(expand('alter model Post {\n  add tags Tag[] @manyToMany\n}')).toThrow(
+      '@manyToMany cannot be added in an alter model block'
+    );
+  });
+
+  it('should be applied by generators', () => {
+    const generator = new PostgresGenerator();
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  tags Tag[] @manyToMany
+}
+model Tag { id Serial @pk }`);
+
+    expect(generator.generateUp(ast).slice(2)).toEqual([
+      `CREATE TABLE "PostTag" (
+  "postId" INTEGER,
+  "tagId" INTEGER,
+  CONSTRAINT "PostTag_postId_fkey" FOREIGN KEY ("postId") REFERENCES "Post"("id") ON DELETE CASCADE,
+  CONSTRAINT "PostTag_tagId_fkey" FOREIGN KEY ("tagId") REFERENCES "Tag"("id") ON DELETE CASCADE,
+  PRIMARY KEY ("postId", "tagId")
+);`,
+      'CREATE INDEX "PostTag_tagId_idx" ON "PostTag" ("tagId");',
+    ]);
+    expect(generator.generateDown(ast).slice(0, 2)).toEqual([
+      'DROP INDEX IF EXISTS "PostTag_tagId_idx";',
+      'DROP TABLE IF EXISTS "PostTag" CASCADE;',
+    ]);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Migration Runner Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { MigrationRunner } from '../dist/engine/runner.js';
+import { PostgresGenerator } from '../dist/generators/postgres.js';
+import { writeFile, mkdir, rm } from 'fs/promises';
+import { join } from 'path';
+
+const TEST_DIR = './tests/temp-runner';
+const MIGRATIONS = join(TEST_DIR, 'migrations');
+const LEDGER = join(TEST_DIR, 'ledger.json');
+
+async function setup(files) {
+  await rm(TEST_DIR, { recursive: true, force: true });
+  await mkdir(MIGRATIONS, { recursive: true });
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(MIGRATIONS, name), content);
+  }
+}
+
+async function cleanup() {
+  await rm(TEST_DIR, { recursive: true, force: true });
+}
+
+// failOn: queries run outside a transaction that match it throw
+function createRunner(config = {}, failOn = null) {
+  const executed = [];
+  // Queries run outside a transaction, in order, with the transactions marked
+  const log = [];
+  const adapter = {
+    connect: async () => {},
+    disconnect: async () => {},
+    query: async (sql) => {
+      if (failOn?.test(sql)) {
+        throw new Error('canceling statement due to lock timeout');
+      }
+      log.push(sql);
+      return [];
+    },
+    transaction: async (queries) => {
+      executed.push(...queries);
+      log.push('<transaction>');
+    },
+  };
+  const runner = new MigrationRunner({
+    adapter,
+    generator: new PostgresGenerator(),
+    migrationsPath: MIGRATIONS,
+    ledgerPath: LEDGER,
+    config: { logging: { console: false }, ...config },
+  });
+  return { runner, executed, log };
+}
+
+describe('MigrationRunner', () => {
+  it('should load included files relative to the migrations directory', async () => {
+    await setup({
+      'shared.sact': 'mixin Timestamps { createdAt Timestamp }',
+      '001_posts.sigl': 'include "./shared.sact"\nmodel Post with Timestamps { title Text }',
+    });
+
+    const { runner } = createRunner();
+    const [migration] = await runner.loadMigrationFiles();
+
+    expect(migration.includes).toHaveLength(1);
+    expect(migration.includes[0].path).toBe('./shared.sact');
+    expect(migration.includes[0].content).toBe('mixin Timestamps { createdAt Timestamp }');
+
+    await cleanup();
+  });
+
+  it('should expand mixins from included files when applying', async () => {
+    await setup({
+      'shared.sact': 'mixin Timestamps { createdAt Timestamp }',
+      '001_posts.sigl': 'include "./shared.sact"\nmodel Post with Timestamps { title Text }',
+    });
+
+    const { runner, executed } = createRunner();
+    const { applied } = await runner.up();
+
+    expect(applied).toEqual(['001_posts.sigl']);
+    expect(executed[0]).toContain('"createdAt" TIMESTAMP');
+
+    await cleanup();
+  });
+
+  it('should detect changes to included files of applied migrations', async () => {
+    await setup({
+      'shared.sact': 'mixin Timestamps { createdAt Timestamp }',
+      '001_posts.sigl': 'include "./shared.sact"\nmodel Post with Timestamps { title Text }',
+    });
+    await createRunner().runner.up();
+
+    await writeFile(join(MIGRATIONS, 'shared.sact'), 'mixin Timestamps { updatedAt Timestamp }');
+
+    await expect(async () => {
+      await createRunner().runner.up();
+    }).toThrowAsync('"001_posts.sigl" has been modified');
+
+    await cleanup();
+  });
+
+  it('should report missing includes at the directive', async () => {
+    await setup({
+      '001_posts.sigl': 'model Post { title Text }\ninclude "./missing.sact"',
+    });
+
+    await expect(async () => {
+      await createRunner().runner.loadMigrationFiles();
+    }).toThrowAsync('001_posts.sigl:2:1: Included file "./missing.sact" not found');
+
+    await cleanup();
+  });
+
+  it('should reject includes outside the migrations directory', async () => {
+    await setup({
+      '001_posts.sigl': 'model Post { title Text }\ninclude "../shared.sact"',
+    });
+    await writeFile(join(TEST_DIR, 'shared.sact'), 'mixin Timestamps { createdAt Timestamp }');
+
+    await expect(async () => {
+      await createRunner().runner.loadMigrationFiles();
+    }).toThrowAsync('001_posts.sigl:2:1: Included file "../shared.sact" is outside the migrations directory');
+
+    await cleanup();
+  });
+
+  it('should apply the file size limit to included files', async () => {
+    await setup({
+      '001_posts.sigl': 'include "./shared.sact"\nmodel Post { title Text }',
+      'shared.sact': `mixin Timestamps { createdAt Timestamp }\n${'#'.repeat(200)}`,
+    });
+
+    await expect(async () => {
+      await createRunner({ maxMigrationFileSize: 100 }).runner.loadMigrationFiles();
+    }).toThrowAsync('Migration file too large');
+
+    await cleanup();
+  });
+
+  it('should only allow mixins in included files', async () => {
+    await setup({
+      'shared.sact': 'model Audit { id Serial @pk }',
+      '001_posts.sigl': 'include "./shared.sact"\nmodel Post { title Text }',
+    });
+
+    await expect(async () => {
+      await createRunner().runner.up();
+    }).toThrowAsync('shared.sact:1:1: Included files may only declare mixins');
+
+    await cleanup();
+  });
+
+
+  it('should share type aliases but not domains through includes', async () => {
+    await setup({
+      'shared.sact': 'type Email = VarChar(320) @notnull',
+      '001_users.sigl': 'include "./shared.sact"\nmodel User { email Email }',
+    });
+
+    const { runner, executed } = createRunner();
+    await runner.up();
+    expect(executed[0]).toContain('"email" VARCHAR(320) NOT NULL');
+
+    await writeFile(join(MIGRATIONS, 'shared.sact'), 'domain Email = VarChar(320)');
+    await rm(LEDGER, { force: true });
+    await expect(async () => {
+      await createRunner().runner.up();
+    }).toThrowAsync('Included files may only declare mixins and type aliases');
+
+    await cleanup();
+  });
+
+  it('should map names across migrations with the configured naming strategy', async () => {
+    await setup({
+      '001_posts.sigl': 'model BlogPost {\n  id Serial @pk\n  createdAt Timestamp\n}',
+      '002_comments.sigl':
+        'model Comment { postId Int @ref(BlogPost.id) }\nalter model BlogPost {\n  add publishedAt Timestamp\n}',
+    });
+
+    const { runner, executed } = createRunner({ naming: { case: 'snake_case', pluralizeTables: true } });
+    await runner.up();
+    expect(executed[0]).toContain('CREATE TABLE "blog_posts"');
+    expect(executed[0]).toContain('"created_at" TIMESTAMP');
+    expect(executed.join('\n')).toContain('REFERENCES "blog_posts"("id")');
+    expect(executed).toContain('ALTER TABLE "blog_posts" ADD COLUMN "published_at" TIMESTAMP;');
+
+    executed.length = 0;
+    await runner.down();
+    expect(executed).toContain('ALTER TABLE "blog_posts" DROP COLUMN "published_at";');
+    expect(executed).toContain('DROP TABLE IF EXISTS "comments" CASCADE;');
+
+    await cleanup();
+  });
+
+  it('should run CONCURRENTLY index statements on their own, in place', async () => {
+    await setup({
+      '001_posts.sigl': [
+        'model Post {\n  id Serial @pk\n  title Text\n  @@index(title, concurrently: true)\n}',
+        '> ANALYZE "Post";',
+        '< SELECT 1;',
+      ].join('\n'),
+    });
+
+    const { runner, executed, log } = createRunner();
+    await runner.up();
+    expect(executed.join('\n')).not.toContain('CONCURRENTLY');
+    expect(log.slice(-3)).toEqual([
+      '<transaction>',
+      'CREATE INDEX CONCURRENTLY "Post_title_idx" ON "Post" ("title");',
+      '<transaction>',
+    ]);
+    expect(executed[executed.length - 1]).toBe('ANALYZE "Post";');
+
+    log.length = 0;
+    executed.length = 0;
+    await runner.down();
+    expect(log.slice(-3)).toEqual([
+      '<transaction>',
+      'DROP INDEX CONCURRENTLY IF EXISTS "Post_title_idx";',
+      '<transaction>',
+    ]);
+    expect(executed).toEqual(['SELECT 1;', 'DROP TABLE IF EXISTS "Post" CASCADE;']);
+
+    await cleanup();
+  });
+
+  it('should keep raw CONCURRENTLY statements inside the migration transaction', async () => {
+    await setup({
+      '001_posts.sigl': 'model Post {\n  id Serial @pk\n  title Text\n}\n' +
+        '> CREATE INDEX CONCURRENTLY post_title ON "Post" ("title");',
+    });
+
+    const { runner, executed, log } = createRunner();
+    await runner.up();
+    expect(executed).toContain('CREATE INDEX CONCURRENTLY post_title ON "Post" ("title");');
+    expect(log.slice(-1)).toEqual(['<transaction>']);
+
+    await cleanup();
+  });
+
+  it('should report the committed statements when a CONCURRENTLY index fails', async () => {
+    await setup({
+      '001_posts.sigl': 'model Post {\n  id Serial @pk\n  title Text\n  @@index(title, concurrently: true)\n}',
+    });
+
+    const { runner } = createRunner({}, /CONCURRENTLY/);
+    let error;
+    try {
+      await runner.up();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).toContain('Migration "001_posts.sigl" was partially applied: canceling statement');
+    expect(error.committedStatements[0]).toContain('CREATE TABLE "Post"');
+    expect(error.committedStatements.join('\n')).not.toContain('CONCURRENTLY');
+
+    const { runner: retry } = createRunner();
+    expect((await retry.status()).pending).toEqual(['001_posts.sigl']);
+
+    await cleanup();
+  });
+
+  it('should let later migrations use enums declared by earlier ones', async () => {
+    await setup({
+      '001_users.sigl': 'enum Status { active suspended }\nmodel User { id Serial @pk }',
+      '002_status.sigl': 'alter model User {\n  add status Status\n}',
+    });
+
+    const { runner, executed } = createRunner();
+    await runner.up();
+    expect(executed).toContain('ALTER TABLE "User" ADD COLUMN "status" "Status";');
+    expect(executed.filter((sql) => sql.startsWith('CREATE TYPE'))).toHaveLength(1);
+
+    executed.length = 0;
+    await runner.down();
+    expect(executed).toContain('ALTER TABLE "User" DROP COLUMN "status";');
+    expect(executed.filter((sql) => sql.startsWith('DROP TYPE'))).toHaveLength(1);
+
+    await cleanup();
+  });
+
+  it('should roll back drop and change operations using the definitions of earlier migrations', async () => {
+    await setup({
+      '001_users.sigl': 'model User {\n  id Serial @pk\n  bio VarChar(100)\n  legacyId Int\n}',
+      '002_alter.sigl': 'alter model User {\n  drop legacyId\n  change bio Text @notnull\n}',
+    });
+
+    const { runner, executed } = createRunner();
+    await runner.up();
+    executed.length = 0;
+    await runner.down();
+    expect(executed.slice(0, 3)).toEqual([
+      'ALTER TABLE "User" ALTER COLUMN "bio" TYPE VARCHAR(100), ALTER COLUMN "bio" DROP NOT NULL, ' +
+        'ALTER COLUMN "bio" DROP DEFAULT;',
+      'ALTER TABLE "User" ADD COLUMN "legacyId" INTEGER;',
+      'DROP TABLE IF EXISTS "User" CASCADE;',
+    ]);
+
+    await cleanup();
+  });
+
+  it('should join models created by earlier migrations with @manyToMany', async () => {
+    await setup({ '001_tags.sigl': 'model Tag { slug VarChar(64) @pk }' });
+    const { runner, executed } = createRunner();
+    await runner.up();
+
+    await writeFile(join(MIGRATIONS, '002_posts.sigl'), 'model Post {\n  id Serial @pk\n  tags Tag[] @manyToMany\n}');
+    executed.length = 0;
+    await runner.up();
+    expect(executed[1]).toContain('"tagSlug" VARCHAR(64)');
+    expect(executed[1]).toContain('REFERENCES "Tag"("slug") ON DELETE CASCADE');
+
+    executed.length = 0;
+    await runner.down();
+    expect(executed).toContain('DROP TABLE IF EXISTS "PostTag" CASCADE;');
+    expect(executed).not.toContain('DROP TABLE IF EXISTS "Tag" CASCADE;');
+
+    await cleanup();
+  });
+});
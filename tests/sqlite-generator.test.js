@@ -268,4 +268,310 @@ model Comment { id Serial @pk }`);
     expect(sql[1]).toContain('PRIMARY KEY');
     expect(sql[1]).not.toContain('AUTOINCREMENT');
   });
+
+  it('should generate composite primary key from @@pk', () => {
+    const ast = Parser.parse(`model PostTag {
+  postId Int
+  tagId Int
+  @@pk(postId, tagId)
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[1]).toContain('PRIMARY KEY ("postId", "tagId")');
+    expect(sql[1]).not.toContain('AUTOINCREMENT');
+  });
+
+  it('should generate CREATE INDEX and matching DROP INDEX from @@index', () => {
+    const ast = Parser.parse(`model Post {
+  id Serial @pk
+  createdAt Timestamp
+  @@index(createdAt)
+}`);
+    const up = generator.generateUp(ast);
+    expect(up).toHaveLength(3);
+    expect(up[2]).toBe('CREATE INDEX "Post_createdAt_idx" ON "Post" ("createdAt");');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'PRAGMA foreign_keys = ON;',
+      'DROP INDEX IF EXISTS "Post_createdAt_idx";',
+      'DROP TABLE IF EXISTS "Post";',
+    ]);
+  });
+
+  it('should generate partial and expression indexes, and reject index methods', () => {
+    const ast = Parser.parse(`model User {
+  id Serial @pk
+  email Text
+  deletedAt Timestamp
+  @@index(sql("lower(email)"), where: "deletedAt IS NULL", name: "User_active_email_idx")
+}`);
+    expect(generator.generateUp(ast)[2]).toBe(
+      'CREATE INDEX "User_active_email_idx" ON "User" ((lower(email))) WHERE deletedAt IS NULL;'
+    );
+
+    const parse = (attribute) => Parser.parse(`model Post {\n  id Serial @pk\n  title Text\n  ${attribute}\n}`);
+    expect(() => generator.generateUp(parse('@@index(title, using: gin)'))).toThrow(
+      '@@index on model "Post" cannot use "using: gin": SQLite has no index methods'
+    );
+    expect(() => generator.generateUp(parse('@@index(title, concurrently: true)'))).toThrow(
+      'cannot use "concurrently": it is PostgreSQL only'
+    );
+  });
+
+  it('should generate ALTER TABLE statements for alter blocks', () => {
+    const ast = Parser.parse(`alter model User {
+  add orgId Int
+  drop legacyId Int
+  rename name -> fullName
+}`);
+    const up = generator.generateUp(ast);
+    expect(up).toEqual([
+      'PRAGMA foreign_keys = ON;',
+      'ALTER TABLE "User" ADD COLUMN "orgId" INTEGER;',
+      'ALTER TABLE "User" DROP COLUMN "legacyId";',
+      'ALTER TABLE "User" RENAME COLUMN "name" TO "fullName";',
+    ]);
+  });
+
+  it('should derive reverse ALTER TABLE statements in generateDown', () => {
+    const ast = Parser.parse(`alter model User {
+  add phone Text
+  drop legacyId Int
+  rename name -> fullName
+}`);
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'PRAGMA foreign_keys = ON;',
+      'ALTER TABLE "User" RENAME COLUMN "fullName" TO "name";',
+      'ALTER TABLE "User" ADD COLUMN "legacyId" INTEGER;',
+      'ALTER TABLE "User" DROP COLUMN "phone";',
+    ]);
+  });
+
+  it('should throw error for change operations', () => {
+    const ast = Parser.parse(`alter model User { change bio Text @notnull }`);
+    expect(() => generator.generateUp(ast)).toThrow('SQLite does not support altering column definitions');
+  });
+
+  it('should throw error when adding @notnull column without default', () => {
+    const ast = Parser.parse(`alter model User { add phone Text @notnull }`);
+    expect(() => generator.generateUp(ast)).toThrow('without a @default value');
+  });
+
+  it('should reject adding a @ref column, which could not be dropped on rollback', () => {
+    const ast = Parser.parse(`alter model User { add orgId Int @ref(Org.id) }`);
+    expect(() => generator.generateUp(ast)).toThrow(
+      'Cannot add column "User.orgId" with @ref in SQLite: a column used in a foreign key cannot be dropped again'
+    );
+  });
+
+  it('should run down raw SQL in reverse order before dropping tables', () => {
+    const ast = Parser.parse(`model User { id Serial @pk }
+> CREATE VIEW a AS SELECT 1;
+< DROP VIEW a;
+> CREATE VIEW b AS SELECT 2;
+< DROP VIEW b;`);
+
+    const up = generator.generateUp(ast);
+    expect(up).toContain('CREATE VIEW a AS SELECT 1;');
+    expect(up).not.toContain('DROP VIEW a;');
+
+    const down = generator.generateDown(ast);
+    expect(down).toEqual([
+      'PRAGMA foreign_keys = ON;',
+      'DROP VIEW b;',
+      'DROP VIEW a;',
+      'DROP TABLE IF EXISTS "User";',
+    ]);
+  });
+
+  it('should add CHECK constraint for named enums', () => {
+    const ast = Parser.parse(`enum Status { active suspended }
+model Tenant { status Status }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[1]).toContain(`"status" TEXT CONSTRAINT "Tenant_status_check" CHECK ("status" IN ('active', 'suspended'))`);
+  });
+
+  it('should create referenced tables first and keep cyclic foreign keys inline', () => {
+    const ast = Parser.parse(`model Post { id Serial @pk
+  authorId Int @ref(User.id) }
+model User { id Serial @pk
+  avatarId Int @ref(Media.id) }
+model Media { id Serial @pk
+  ownerId Int @ref(User.id) }`);
+    const sql = generator.generateUp(ast);
+    expect(sql[1]).toContain('CREATE TABLE "User"');
+    expect(sql[1]).toContain('REFERENCES "Media"("id")');
+    expect(sql[2]).toContain('CREATE TABLE "Post"');
+    expect(sql[3]).toContain('CREATE TABLE "Media"');
+  });
+
+  it('should name unique and foreign key constraints', () => {
+    const ast = Parser.parse(`model Post {
+  slug Text @unique
+  authorId Int @ref(User.id, name: "posts_author_fkey")
+}`);
+    const sql = generator.generateUp(ast);
+    expect(sql[1]).toContain('"slug" TEXT CONSTRAINT "Post_slug_key" UNIQUE');
+    expect(sql[1]).toContain('CONSTRAINT "posts_author_fkey" FOREIGN KEY ("authorId")');
+  });
+
+
+  it('should map extended types', () => {
+    const ast = Parser.parse(`model Device {
+  payload Bytes
+  seenAt TimestampTz
+  uptime Interval
+  address Inet
+  network Cidr
+  name Citext
+  level TinyInt
+  notes LongText
+  ratio Float
+}`);
+    const sql = generator.generateUp(ast)[1];
+
+    expect(sql).toContain('"payload" BLOB');
+    expect(sql).toContain('"seenAt" TEXT');
+    expect(sql).toContain('"uptime" TEXT');
+    expect(sql).toContain('"address" TEXT');
+    expect(sql).toContain('"network" TEXT');
+    expect(sql).toContain('"name" TEXT COLLATE NOCASE');
+    expect(sql).toContain('"level" INTEGER');
+    expect(sql).toContain('"notes" TEXT');
+    expect(sql).toContain('"ratio" REAL');
+  });
+
+  it('should store array columns as JSON text with a warning', () => {
+    const ast = Parser.parse("enum Role { admin member }\nmodel Post {\n  id Int[] @pk\n  roles Role[]\n}");
+    const sql = generator.generateUp(ast)[1];
+
+    expect(sql).toContain('"id" TEXT PRIMARY KEY,');
+    expect(sql).toContain('"roles" TEXT');
+    expect(sql).not.toContain('CHECK');
+    const warnings = generator.getWarnings();
+    expect(warnings).toHaveLength(2);
+    expect(warnings[1].message).toBe(
+      'Column "Post.roles" has array type Role[]; SQLite has no array types, so it is stored as JSON text'
+    );
+  });
+
+  it('should map portable default functions and sql(...) defaults', () => {
+    const ast = Parser.parse(`model Event {
+  id BigInt @pk @default(autoincrement)
+  token Text @default(uuid)
+  createdAt Timestamp @default(now)
+  day Date @default(today)
+  expires Text @default(sql("datetime('now', '+1 day')"))
+}`);
+    const sql = generator.generateUp(ast)[1];
+
+    expect(sql).toContain('"id" INTEGER PRIMARY KEY AUTOINCREMENT,');
+    expect(sql).toContain('"token" TEXT DEFAULT (lower(hex(randomblob(4))');
+    expect(sql).toContain('"createdAt" TEXT DEFAULT CURRENT_TIMESTAMP');
+    expect(sql).toContain('"day" TEXT DEFAULT CURRENT_DATE');
+    expect(sql).toContain(`"expires" TEXT DEFAULT (datetime('now', '+1 day'))`);
+  });
+
+  it('should require @pk for autoincrement defaults', () => {
+    expect(() => generator.generateUp(Parser.parse('model T { seq Int @default(autoincrement) }'))).toThrow(
+      '@default(autoincrement) on column "T.seq" requires @pk in SQLite'
+    );
+  });
+
+  it('should generate stored and virtual generated columns', () => {
+    const ast = Parser.parse(`model Line {
+  price Real
+  quantity Int
+  total Real @generated("price * quantity", stored)
+  label Text @generated("'x' || quantity", virtual)
+}`);
+    const sql = generator.generateUp(ast)[1];
+
+    expect(sql).toContain('"total" REAL GENERATED ALWAYS AS (price * quantity) STORED');
+    expect(sql).toContain(`"label" TEXT GENERATED ALWAYS AS ('x' || quantity) VIRTUAL`);
+  });
+
+  it('should only add virtual generated columns', () => {
+    const add = (storage) =>
+      generator.generateUp(Parser.parse(`alter model Line {\n  add total Real @generated("price * 2", ${storage})\n}`));
+    expect(add('virtual')[1]).toBe(
+      'ALTER TABLE "Line" ADD COLUMN "total" REAL GENERATED ALWAYS AS (price * 2) VIRTUAL;'
+    );
+    expect(() => add('stored')).toThrow('Cannot add stored generated column "Line.total" in SQLite');
+  });
+
+  it('should generate named CHECK constraints', () => {
+    const ast = Parser.parse(`model Event {
+  price Real @check("price >= 0")
+  startsAt Timestamp
+  endsAt Timestamp
+  @@check("startsAt < endsAt")
+}`);
+    const sql = generator.generateUp(ast).join('\n');
+
+    expect(sql).toContain('"price" REAL CONSTRAINT "Event_price_check" CHECK (price >= 0)');
+    expect(sql).toContain('CONSTRAINT "Event_startsAt_endsAt_check" CHECK (startsAt < endsAt)');
+  });
+
+  it('should reject a @check named like the enum CHECK on the same column', () => {
+    const ast = Parser.parse(`enum Status { open, closed }\nmodel T {\n  s Status @check("s <> 'closed'")\n}`);
+    expect(() => generator.generateUp(ast)).toThrow('more than one CHECK constraint named "T_s_check"');
+  });
+
+  it('should generate ON UPDATE and DEFERRABLE foreign key clauses', () => {
+    const ast = Parser.parse(`model Node {
+  id Int @pk
+  parentId Int @ref(Node.id) @onUpdate(CASCADE) @deferrable
+  rootId Int @ref(Node.id) @deferrable(immediate)
+}`);
+    const sql = generator.generateUp(ast).join('\n');
+
+    expect(sql).toContain('REFERENCES "Node"("id") ON UPDATE CASCADE DEFERRABLE INITIALLY DEFERRED');
+    expect(sql).toContain('REFERENCES "Node"("id") DEFERRABLE INITIALLY IMMEDIATE');
+  });
+
+  it('should create and drop views, rejecting materialized ones', () => {
+    const ast = Parser.parse('model User { id Int @pk }\nview Admins as """SELECT "id" FROM "User\""""');
+    const up = generator.generateUp(ast);
+    expect(up[up.length - 1]).toBe('CREATE VIEW "Admins" AS\nSELECT "id" FROM "User";');
+    expect(generator.generateDown(ast)).toContain('DROP VIEW IF EXISTS "Admins";');
+    expect(() => generator.generateUp(Parser.parse('materialized view Totals as """SELECT 1"""'))).toThrow(
+      'View "Totals" cannot be materialized: SQLite has no materialized views'
+    );
+  });
+
+  it('should keep trigger bodies in fenced raw SQL together', () => {
+    const ast = Parser.parse(`> """
+  CREATE TRIGGER touch AFTER UPDATE ON "Post" BEGIN
+    UPDATE "Post" SET "updatedAt" = datetime('now') WHERE id = NEW.id;
+  END;
+"""`);
+    const up = generator.generateUp(ast);
+    expect(up[up.length - 1]).toBe(
+      'CREATE TRIGGER touch AFTER UPDATE ON "Post" BEGIN\n' +
+        '  UPDATE "Post" SET "updatedAt" = datetime(\'now\') WHERE id = NEW.id;\nEND;'
+    );
+  });
+
+  it('should qualify tables in attached databases and reject foreign keys across them', () => {
+    const ast = Parser.parse(`model auth.User {
+  id Int @pk
+  @@index(id)
+}
+model auth.Session {
+  id Int @pk
+  userId Int @ref(auth.User.id)
+}`);
+
+    const up = generator.generateUp(ast);
+    expect(up[1]).toContain('CREATE TABLE "auth"."User" (');
+    expect(up[2]).toBe('CREATE INDEX "auth"."User_id_idx" ON "User" ("id");');
+    expect(up[3]).toContain('REFERENCES "User"("id")');
+    expect(generator.generateDown(ast)).toContain('DROP INDEX IF EXISTS "auth"."User_id_idx";');
+    const crossDatabase = Parser.parse(
+      'model auth.User { id Int @pk }\nmodel Post { authorId Int @ref(auth.User.id) }'
+    );
+    expect(() => generator.generateUp(crossDatabase)).toThrow('Foreign key to "auth.User" crosses databases');
+  });
 });
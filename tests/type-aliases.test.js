@@ -0,0 +1,102 @@
+/**
+ * Type Alias Expansion Tests
+ */
+
+import { describe, it, expect } from './test-runner.js';
+import { Parser } from '../dist/ast/parser.js';
+import { expandTypeAliases } from '../dist/ast/type-aliases.js';
+
+function expand(input, included) {
+  return expandTypeAliases(Parser.parse(input), included);
+}
+
+describe('expandTypeAliases', () => {
+  it('should replace aliases with their type and decorators', () => {
+    const ast = expand(`type Email = VarChar(320) @notnull
+model User {
+  email Email @unique
+}`);
+
+    const column = ast.models[0].columns[0];
+    expect(column.type).toBe('VarChar');
+    expect(column.typeArgs).toEqual(['320']);
+    expect(column.decorators.map((d) => d.name)).toEqual(['notnull', 'unique']);
+    expect(column.domain).toBeUndefined();
+  });
+
+  it('should let column decorators override the alias', () => {
+    const ast = expand(`type Role = Text @notnull @default('member')
+model User {
+  role Role @default('admin')
+}`);
+
+    const decorators = ast.models[0].columns[0].decorators;
+    expect(decorators.map((d) => d.name)).toEqual(['notnull', 'default']);
+    expect(decorators[1].args).toEqual(['admin']);
+  });
+
+  it('should follow aliases of aliases and record the nearest domain', () => {
+    const ast = expand(`domain Email = VarChar(320) @notnull
+type WorkEmail = Email @unique
+model User {
+  email WorkEmail
+}`);
+
+    const column = ast.models[0].columns[0];
+    expect(column.type).toBe('VarChar');
+    expect(column.decorators.map((d) => d.name)).toEqual(['notnull', 'unique']);
+    expect(column.domain).toBe('Email');
+    expect(ast.typeAliases[1].type).toBe('VarChar');
+  });
+
+  it('should expand columns in alter blocks', () => {
+    const ast = expand(`type Email = VarChar(320)
+alter model User {
+  add email Email
+  change backup Email from Text
+}`);
+
+    const [add, change] = ast.alterations[0].operations;
+    expect(add.column.type).toBe('VarChar');
+    expect(change.column.typeArgs).toEqual(['320']);
+    expect(change.previous.type).toBe('Text');
+  });
+
+  it('should use aliases from included files', () => {
+    const shared = Parser.parse('type Email = VarChar(320)', 'shared.sact');
+    const ast = expand('model User { email Email }', shared.typeAliases);
+    expect(ast.models[0].columns[0].type).toBe('VarChar');
+  });
+
+  it('should reject cycles, arguments and clashes with enums', () => {
+    expect(() => expand('type A = B\ntype B = A\nmodel T { x A }')).toThrow('refers to itself');
+    expect(() => expand('type Email = VarChar(320)\nmodel User { email Email(100) }')).toThrow(
+      'Type alias "Email" does not accept arguments (column "email")'
+    );
+    expect(() => expand('enum Status { a b }\ntype Status = Text')).toThrow(
+      'Type alias "Status" has the same name as an enum'
+    );
+  });
+
+  it('should carry array types through aliases', () => {
+    const ast = expand('type Tags = Text[]\ntype Email = VarChar(320)\nmodel Post {\n  tags Tags\n  cc Email[]\n}');
+    const [tags, cc] = ast.models[0].columns;
+    expect(tags.type).toBe('Text');
+    expect(tags.array).toBe(true);
+    expect(cc.type).toBe('VarChar');
+    expect(cc.array).toBe(true);
+    expect(ast.typeAliases[0].array).toBe(true);
+  });
+
+  it('should reject arrays of array aliases and of domains', () => {
+    expect(() => expand('type Tags = Text[]\nmodel Post { tags Tags[] }')).toThrow(
+      'Type alias "Tags" is already an array type (column "tags")'
+    );
+    expect(() => expand('type Tags = Text[]\ntype Grid = Tags[]')).toThrow(
+      'Type alias "Tags" is already an array type (alias "Grid")'
+    );
+    expect(() => expand('domain Money = Decimal(19,4)\nmodel T { amounts Money[] }')).toThrow(
+      'Domain "Money" cannot be used as an array element (column "amounts")'
+    );
+  });
+});
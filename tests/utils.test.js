@@ -19,7 +19,10 @@ import {
   formatTable,
   truncate,
   pluralize,
+  formatCodeFrame,
+  alignColumns,
 } from '../dist/utils/formatting.js';
+import { splitSqlStatements } from '../dist/utils/sql-splitter.js';
 
 describe('SQL Identifier Escaping', () => {
   it('should validate simple identifier', () => {
@@ -322,3 +325,90 @@ describe('pluralize', () => {
     expect(pluralize('file', 5)).toBe('files');
   });
 });
+
+describe('formatCodeFrame', () => {
+  it('should show the line with a caret under the column', () => {
+    const source = 'model User {\n  id Serial @pk $\n}';
+    expect(formatCodeFrame(source, 2, 17)).toBe('2 |   id Serial @pk $\n  |                 ^');
+  });
+
+  it('should keep tabs in the caret padding', () => {
+    expect(formatCodeFrame('\tid 42', 1, 5)).toBe('1 | \tid 42\n  | \t   ^');
+  });
+
+  it('should widen the gutter for multi-digit line numbers', () => {
+    const source = Array.from({ length: 12 }, (_, i) => `line${i + 1}`).join('\n');
+    expect(formatCodeFrame(source, 12, 1)).toBe('12 | line12\n   | ^');
+  });
+
+  it('should return an empty string for a line outside the source', () => {
+    expect(formatCodeFrame('model User {}', 5, 1)).toBe('');
+  });
+});
+
+describe('alignColumns', () => {
+  it('should pad every cell but the last to its column width', () => {
+    const rows = alignColumns([
+      ['id', 'Serial', '@pk'],
+      ['createdAt', 'Timestamp', ''],
+    ]);
+
+    expect(rows).toEqual(['id         Serial     @pk', 'createdAt  Timestamp']);
+  });
+
+  it('should use a custom gap', () => {
+    expect(alignColumns([['a', 'b'], ['ccc', 'd']], ' ')).toEqual(['a   b', 'ccc d']);
+  });
+});
+
+describe('splitSqlStatements', () => {
+  it('should split on semicolons outside strings, identifiers and comments', () => {
+    const sql = `INSERT INTO "a;b" VALUES ('x;y', 'it''s');
+-- a comment; still a comment
+/* block; comment */ UPDATE t SET n = 1;
+SELECT 2`;
+    expect(splitSqlStatements(sql, 'postgres')).toEqual([
+      `INSERT INTO "a;b" VALUES ('x;y', 'it''s');`,
+      '-- a comment; still a comment\n/* block; comment */ UPDATE t SET n = 1;',
+      'SELECT 2',
+    ]);
+  });
+
+  it('should keep PostgreSQL dollar-quoted bodies and E strings together', () => {
+    const sql = `CREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql;
+SELECT E'a\\';b', $$x;y$$;`;
+    expect(splitSqlStatements(sql, 'postgres')).toEqual([
+      'CREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql;',
+      `SELECT E'a\\';b', $$x;y$$;`,
+    ]);
+  });
+
+  it('should follow MySQL DELIMITER lines and backslash escapes', () => {
+    const sql = `DELIMITER //
+CREATE PROCEDURE p() BEGIN SELECT 'a\\'; b'; SELECT 1; END//
+DELIMITER ;
+# done;
+SELECT \`x;y\` FROM t;`;
+    expect(splitSqlStatements(sql, 'mysql')).toEqual([
+      `CREATE PROCEDURE p() BEGIN SELECT 'a\\'; b'; SELECT 1; END`,
+      '# done;\nSELECT `x;y` FROM t;',
+    ]);
+  });
+
+  it('should keep SQLite trigger bodies together', () => {
+    const sql = `CREATE TEMP TRIGGER t AFTER INSERT ON a BEGIN
+  UPDATE b SET n = CASE WHEN n > 0 THEN n END;
+  DELETE FROM c;
+END;
+DROP TABLE d;`;
+    expect(splitSqlStatements(sql, 'sqlite')).toEqual([
+      'CREATE TEMP TRIGGER t AFTER INSERT ON a BEGIN\n' +
+        '  UPDATE b SET n = CASE WHEN n > 0 THEN n END;\n  DELETE FROM c;\nEND;',
+      'DROP TABLE d;',
+    ]);
+  });
+
+  it('should drop empty statements and trailing comments', () => {
+    expect(splitSqlStatements('SELECT 1;; -- the end', 'postgres')).toEqual(['SELECT 1;']);
+  });
+});